@@ -12,51 +12,139 @@
  */
 
 const express = require("express");
-const { randomUUID, createHmac, timingSafeEqual } = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { randomUUID, randomBytes, createHmac, timingSafeEqual } = require("crypto");
 const { Agent, fetch: undiciFetch } = require("undici");
 let CacheableLookup; try { CacheableLookup = require("cacheable-lookup"); } catch {}
 let pino; try { pino = require("pino"); } catch { pino = () => ({ info: console.log, warn: console.warn, error: console.error, debug: console.log }); }
 const Redis = require("ioredis");
 const prom = require("prom-client");
+const { createLineClient, CIRCUIT_STATES } = require("./lib/line-client");
+const { createRichMenuManager } = require("./lib/richmenu");
+const { createPhotoStorage } = require("./lib/photo-storage");
+const { createI18n } = require("./lib/i18n");
+const seating = require("./lib/seating");
+const { createPluginHost } = require("./lib/plugins");
+const roles = require("./lib/roles");
+const { compilePhases, loadPhases, isFaqHidden } = require("./lib/phases");
+const { createFlexTemplates, validateFlexMessage } = require("./lib/flex-templates");
+const { validateWebhookBody, validateEvent, checkEventTime, eventTypeLabel } = require("./lib/webhook-validation");
+const { hashUserId, insightField, normalizePhrase, dayOf, lastDays, summarizeInsights } = require("./lib/insights");
+const { SettingsError, loadSettings, redactSettings, diffSettings, reloadableKeys } = require("./lib/settings");
+const { CHOICE_LABELS, compileQuiz, loadQuiz, scoreAnswer, rankEntries, answerData, parseAnswerData } = require("./lib/quiz");
+const { DEFAULT_GROUP_SETTINGS, addressedText, inQuietHours, normalizeGroupSettings, isCommandEnabled } = require("./lib/groups");
 
-// ====== 環境変数 ======
-const PORT = Number(process.env.PORT || 3000);
-const TOKEN = process.env.LINE_ACCESS_TOKEN || ""; // 未設定でも落とさない
-const CHANNEL_SECRET = process.env.LINE_CHANNEL_SECRET || "";
-const STRICT_SIGNATURE = /^true$/i.test(process.env.STRICT_SIGNATURE || "false");
+// ====== 設定（lib/settings.js。既定値 < SETTINGS_FILE < 環境変数、起動時に型と範囲を検証） ======
+// let の項目は実行中に再読込できる（SIGHUP / admin config reload。「設定の再読込」セクション）
+let settingsState;
+try {
+  settingsState = loadSettings({ baseDir: __dirname });
+} catch (e) {
+  if (!(e instanceof SettingsError) || require.main !== module) throw e;
+  console.error(`[Settings] 設定が不正なため起動できません:\n${e.errors.map(x => `  - ${x}`).join("\n")}`);
+  process.exit(1);
+}
+const settings = settingsState.values; // 起動時の値（再読込後の実効値は settingsState.values）
+const PORT = settings.PORT;
+const TOKEN = settings.LINE_ACCESS_TOKEN; // 未設定でも落とさない
+const CHANNEL_SECRET = settings.LINE_CHANNEL_SECRET;
+const LINE_API_BASE = settings.LINE_API_BASE; // ローカルエミュレータ等に差し替え可
+const LINE_DATA_API_BASE = settings.LINE_DATA_API_BASE; // 画像アップロード等
+const STRICT_MODE = settings.STRICT_MODE; // 秘密情報なしでは起動しない・署名必須
+const STRICT_SIGNATURE = settings.STRICT_SIGNATURE; // 署名が無い・違う要求を 403 にするか（false なら 200 で捨てる）
 
-const FAST_HTTP_EARLY_200 = !/^false$/i.test(process.env.FAST_HTTP_EARLY_200 || "true");
-const TAP_DEBOUNCE_MS = Number(process.env.TAP_DEBOUNCE_MS || 1200);
-const DEDUPE_TTL_MS = Number(process.env.DEDUPE_TTL_MS || 5 * 60 * 1000);
-const RATE_CAP = Number(process.env.RATE_CAP || 10);
-const RATE_REFILL = Number(process.env.RATE_REFILL || 1);
-const REQUEST_TIMEOUT_MS = Number(process.env.REQUEST_TIMEOUT_MS || 5000); // 全体目安
-const DNS_CACHE_TTL = Number(process.env.DNS_CACHE_TTL || 0); // 0=無効, 秒
+const FAST_HTTP_EARLY_200 = settings.FAST_HTTP_EARLY_200;
+let TAP_DEBOUNCE_MS = settings.TAP_DEBOUNCE_MS;
+const DEDUPE_TTL_MS = settings.DEDUPE_TTL_MS;
+// これより古いイベントは捨てる（重複検知の期限を過ぎた再送を通さない。0 で無効）。既定は DEDUPE_TTL_MS と同じ1時間:
+// 短いと障害・デプロイで遅れて届いたイベントを落とし、長いと重複検知のキーを長く持つ・返信が遅れて届く
+let WEBHOOK_MAX_EVENT_AGE_MS = settings.WEBHOOK_MAX_EVENT_AGE_MS;
+let WEBHOOK_MAX_CLOCK_SKEW_MS = settings.WEBHOOK_MAX_CLOCK_SKEW_MS; // これより未来の timestamp は捨てる（0 で無効）
+let RATE_CAP = settings.RATE_CAP;
+let RATE_REFILL = settings.RATE_REFILL;
+const REQUEST_TIMEOUT_MS = settings.REQUEST_TIMEOUT_MS; // 全体目安
+const DNS_CACHE_TTL = settings.DNS_CACHE_TTL; // 0=無効, 秒
+const LINE_RETRY_MAX_ATTEMPTS = settings.LINE_RETRY_MAX_ATTEMPTS; // LINE API 1回の送信あたりの試行回数（429・5xx・タイムアウト）
+const LINE_RETRY_BASE_MS = settings.LINE_RETRY_BASE_MS; // 再試行の待ち（2倍ずつ、50-100% のジッター）
+const LINE_RETRY_MAX_MS = settings.LINE_RETRY_MAX_MS;
+const LINE_RETRY_AFTER_MAX_MS = settings.LINE_RETRY_AFTER_MAX_MS; // これより長い Retry-After は待たずに失敗（キューの再試行に任せる）
+const LINE_REPLY_TOKEN_TTL_MS = settings.LINE_REPLY_TOKEN_TTL_MS; // 返信トークンを使える目安（イベント発生から）。過ぎる再試行はせず push へ
+const LINE_BREAKER_THRESHOLD = settings.LINE_BREAKER_THRESHOLD; // 5xx・タイムアウトがこの回数続いたら LINE API への送信を止める
+const LINE_BREAKER_COOLDOWN_MS = settings.LINE_BREAKER_COOLDOWN_MS; // 止めてから試しに1件送るまで
+let QUEUE_MAX_ATTEMPTS = settings.QUEUE_MAX_ATTEMPTS; // 1イベントの処理試行回数（超過で dead-letter）
+let QUEUE_RETRY_DELAY_MS = settings.QUEUE_RETRY_DELAY_MS;
+const QUEUE_CLAIM_IDLE_MS = settings.QUEUE_CLAIM_IDLE_MS; // 落ちたワーカーの未ACKを引き取るまでの放置時間
+const SCHEDULER_INTERVAL_MS = settings.SCHEDULER_INTERVAL_MS;
+const SCHEDULE_TZ_OFFSET_MIN = settings.SCHEDULE_TZ_OFFSET_MIN; // 予約時刻の解釈（既定 JST）
 
-const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || "").split(",").map(s => s.trim()).filter(Boolean);
-const ADMIN_REG_TOKEN = process.env.ADMIN_REG_TOKEN || "";
-const REDIS_URL = process.env.REDIS_URL || "";
+const ADMIN_USER_IDS = settings.ADMIN_USER_IDS;
+const ADMIN_REG_TOKEN = settings.ADMIN_REG_TOKEN;
+const ADMIN_REG_ROLE = settings.ADMIN_REG_ROLE; // ADMIN_REG_TOKEN で登録した人のロール（期限付きトークンは admin token で発行）
+const PERMISSIONS_FILE = settings.PERMISSIONS_FILE;
+const AUDIT_FILE = settings.AUDIT_FILE; // 監査ログを JSONL でも追記する場合のパス
+const WEBHOOK_CAPTURE_FILE = settings.WEBHOOK_CAPTURE_FILE; // 署名を確認した Webhook 本文を JSONL で保存（scripts/webhook-replay.js 用。ゲストの発言を含むので開発時のみ）
+const AUDIT_MAX = settings.AUDIT_MAX; // Redis／メモリに保持する件数
+const REDIS_URL = settings.REDIS_URL;
 
-const METRICS_USER = process.env.METRICS_USER || "";
-const METRICS_PASS = process.env.METRICS_PASS || "";
+const RATE_LIMITS_FILE = settings.RATE_LIMITS_FILE;
+const PUBLIC_BASE_URL = settings.PUBLIC_BASE_URL; // 画像URL等に使う公開URL（https）
+const PHOTO_STORAGE = settings.PHOTO_STORAGE;
+const PHOTO_DIR = settings.PHOTO_DIR;
+const PHOTO_MAX_BYTES = settings.PHOTO_MAX_BYTES;
+const PHOTO_URL_SECRET = settings.PHOTO_URL_SECRET; // 未承認写真の署名付きURL用
+const SEATING_MAP_URL = settings.SEATING_MAP_URL; // 席次案内の会場フロアマップ画像（https、卓ごとの map があればそちら優先）
+const RICHMENUS_FILE = settings.RICHMENUS_FILE;
+const INTENTS_FILE = settings.INTENTS_FILE;
+const PHASES_FILE = settings.PHASES_FILE; // 未設定ならフェーズ無し（見本は config/phases.example.json）
+const QUIZ_FILE = settings.QUIZ_FILE; // 未設定ならクイズ無し（見本は config/quiz.example.json）
+const QUIZ_BOARD_KEY = settings.QUIZ_BOARD_KEY; // 会場スクリーン用のランキング画面 /quiz/board の鍵（?key=。未設定なら STRICT_MODE では 404、開発時だけ鍵なしで開く）
+const FLEX_TEMPLATES_DIR = settings.FLEX_TEMPLATES_DIR;
+const FLEX_THEME_FILE = settings.FLEX_THEME_FILE;
+const FLEX_PREVIEW = settings.FLEX_PREVIEW; // /dev/flex（開発用プレビュー）
+const LOCALES_DIR = settings.LOCALES_DIR;
+const DEFAULT_LANG = settings.DEFAULT_LANG; // 言語が分からないユーザー向け
+
+const METRICS_USER = settings.METRICS_USER;
+const METRICS_PASS = settings.METRICS_PASS;
+const ADMIN_API_TOKEN = settings.ADMIN_API_TOKEN; // 管理API（Bearer）。未設定なら無効
+const ADMIN_WEB_USER = settings.ADMIN_WEB_USER; // 管理画面 /admin（Basic 認証）。未設定なら無効
+const ADMIN_WEB_PASS = settings.ADMIN_WEB_PASS;
+let RECENT_EVENTS_MAX = settings.RECENT_EVENTS_MAX; // 管理画面に出す直近の Webhook イベント数
+const INSIGHTS_RETENTION_DAYS = settings.INSIGHTS_RETENTION_DAYS; // 質問の分析（日別集計）の保持日数
+const INSIGHTS_UNMATCHED_MAX = settings.INSIGHTS_UNMATCHED_MAX; // 未回答フレーズを覚えておく種類数（少ないものから捨てる）
+const INSIGHTS_SALT = settings.INSIGHTS_SALT; // 集計用ユーザーIDの HMAC 鍵
+const GROUP_COMMAND_PREFIX = settings.GROUP_COMMAND_PREFIX; // グループ・トークルームで「/faq」のように呼ぶ接頭辞（空ならメンションのみ）
+const PLUGIN_MODULES = settings.PLUGIN_MODULES; // 追加プラグイン（パス、カンマ区切り）
+const BODY_LIMIT = settings.BODY_LIMIT;
 
 // ====== ロガー ======
 let logger;
 try {
-  logger = pino(process.env.NODE_ENV === "production" ? {} : { transport: { target: "pino-pretty" } });
+  const level = settings.LOG_LEVEL;
+  logger = pino(settings.NODE_ENV === "production" ? { level } : { level, transport: { target: "pino-pretty" } });
 } catch { logger = pino(); }
 
 // ====== 起動前チェック ======
 if (!TOKEN) logger.error("[WARN] LINE_ACCESS_TOKEN 未設定のため、Reply/Push は送信スキップします。");
 if (!CHANNEL_SECRET) logger.warn("[WARN] LINE_CHANNEL_SECRET 未設定。STRICT_SIGNATURE=true の場合 403 になります。");
+if (WEBHOOK_CAPTURE_FILE) { fs.mkdirSync(path.dirname(WEBHOOK_CAPTURE_FILE), { recursive: true }); logger.warn({ WEBHOOK_CAPTURE_FILE }, "[WARN] Webhook 本文を保存します（ゲストの発言を含む）"); }
+if (WEBHOOK_MAX_EVENT_AGE_MS <= 0 || WEBHOOK_MAX_EVENT_AGE_MS > DEDUPE_TTL_MS) logger.warn({ WEBHOOK_MAX_EVENT_AGE_MS, DEDUPE_TTL_MS }, "[WARN] 重複検知の期限を過ぎたイベントも受け付けます（同じ Webhook の再送を二重に処理しうる）");
+// STRICT_MODE（本番の既定）では秘密情報なしで起動しない（init で throw）
+function assertStrictModeReady() {
+  if (!STRICT_MODE) return;
+  const missing = [!TOKEN && "LINE_ACCESS_TOKEN", !CHANNEL_SECRET && "LINE_CHANNEL_SECRET"].filter(Boolean);
+  if (missing.length) throw new Error(`STRICT_MODE: ${missing.join(", ")} must be set (set STRICT_MODE=false to run without them)`);
+}
 
 // ====== アプリ初期化 ======
 const app = express();
 
 // ====== 生ボディ保持（署名検証用）＋ サイズ制限 ======
 function rawBodySaver(req, _res, buf, encoding) { if (buf && buf.length) req.rawBody = buf.toString(encoding || "utf8"); }
-app.use(express.json({ verify: rawBodySaver, limit: process.env.BODY_LIMIT || "1mb" }));
-app.use(express.urlencoded({ extended: true, verify: rawBodySaver, limit: process.env.BODY_LIMIT || "1mb" }));
+app.use(express.json({ verify: rawBodySaver, limit: BODY_LIMIT }));
+app.use(express.urlencoded({ extended: true, verify: rawBodySaver, limit: BODY_LIMIT }));
 
 // ====== 相関ID付与 ======
 app.use((req, res, next) => {
@@ -70,7 +158,7 @@ app.use((req, res, next) => {
   next();
 });
 
-logger.info({ PORT, FAST_HTTP_EARLY_200, REQUEST_TIMEOUT_MS, DNS_CACHE_TTL }, "[BOOT] starting");
+logger.info({ PORT, FAST_HTTP_EARLY_200, REQUEST_TIMEOUT_MS, DNS_CACHE_TTL, LINE_API_BASE }, "[BOOT] starting");
 
 // ====== Redis 初期化 ======
 let redis = null;
@@ -96,63 +184,373 @@ if (DNS_CACHE_TTL > 0 && CacheableLookup) {
 }
 const lineAgent = new Agent(agentOpts);
 
-// **Abort 付き fetch（確実なタイムアウト）**
-async function fetchWithTimeout(url, init = {}, timeoutMs = REQUEST_TIMEOUT_MS) {
-  const ac = new AbortController();
-  const t = setTimeout(() => ac.abort(new Error("timeout")), timeoutMs);
-  try { return await undiciFetch(url, { ...init, signal: ac.signal }); }
-  finally { clearTimeout(t); }
-}
-
-async function lineFetch(path, { method = "GET", body, headers = {} } = {}) {
-  return fetchWithTimeout("https://api.line.me" + path, {
-    method,
-    body,
-    dispatcher: lineAgent,
-    headers: {
-      Authorization: `Bearer ${TOKEN}`,
-      "Content-Type": "application/json",
-      ...headers
-    }
-  });
-}
-
 // ====== Prometheus メトリクス ======
 prom.collectDefaultMetrics();
 const webhookHist = new prom.Histogram({ name: "line_webhook_duration_seconds", help: "Webhook processing time", buckets: [0.02, 0.05, 0.1, 0.3, 0.5, 1, 2] });
 const replyCounter = new prom.Counter({ name: "line_reply_messages_total", help: "Total messages replied" });
+const inboundTextCounter = new prom.Counter({ name: "line_inbound_texts_total", help: "Inbound guest texts by classification (route / faq / intent / unmatched)", labelNames: ["kind", "key"] });
+const replyUnconfirmedCounter = new prom.Counter({ name: "line_reply_unconfirmed_total", help: "Replies that failed after LINE may have accepted them (not pushed; kept in dead-letters)" });
 const pushCounter = new prom.Counter({ name: "line_push_messages_total", help: "Total messages pushed" });
-const rateLimitBlockCounter = new prom.Counter({ name: "line_ratelimit_block_total", help: "Rate limit blocks" });
+const multicastCounter = new prom.Counter({ name: "line_multicast_messages_total", help: "Total messages multicast (messages x recipients)" });
+const broadcastCounter = new prom.Counter({ name: "line_broadcast_messages_total", help: "Total messages broadcast" });
+const queueEventCounter = new prom.Counter({ name: "line_queue_events_total", help: "Webhook queue event outcomes", labelNames: ["result"] });
+const scheduledJobCounter = new prom.Counter({ name: "line_scheduled_jobs_total", help: "Scheduled jobs executed", labelNames: ["result"] });
+const rateLimitBlockCounter = new prom.Counter({ name: "line_ratelimit_block_total", help: "Rate limit blocks", labelNames: ["policy", "source"] });
 const tapGuardBlockCounter = new prom.Counter({ name: "line_tapguard_block_total", help: "Tap guard (debounce) blocks" });
+const pluginHandledCounter = new prom.Counter({ name: "line_plugin_handled_total", help: "Events handled by plugin handlers", labelNames: ["plugin", "kind"] });
+const pluginErrorCounter = new prom.Counter({ name: "line_plugin_errors_total", help: "Plugin handler errors", labelNames: ["plugin"] });
+const webhookRejectCounter = new prom.Counter({ name: "line_webhook_rejected_total", help: "Webhook requests rejected (signature / body schema)", labelNames: ["reason"] });
+const webhookEventRejectCounter = new prom.Counter({ name: "line_webhook_events_rejected_total", help: "Webhook events dropped before processing (schema / stale / future)", labelNames: ["reason", "type"] });
+const quizAnswerCounter = new prom.Counter({ name: "line_quiz_answers_total", help: "Quiz answers by result", labelNames: ["result"] });
+const flexInvalidCounter = new prom.Counter({ name: "line_flex_invalid_total", help: "Flex messages replaced with text because they exceed LINE limits" });
+const lineApiHist = new prom.Histogram({ name: "line_api_request_duration_seconds", help: "LINE API request latency by endpoint", labelNames: ["endpoint", "method"], buckets: [0.05, 0.1, 0.2, 0.5, 1, 2, 5] });
+const lineApiResponseCounter = new prom.Counter({ name: "line_api_responses_total", help: "LINE API responses by endpoint and status (timeout / error / circuit_open for no response)", labelNames: ["endpoint", "method", "status"] });
+const lineCircuitGauge = new prom.Gauge({ name: "line_api_circuit_state", help: "LINE API circuit breaker state (0=closed, 1=half-open, 2=open)", labelNames: ["api"] });
+
+// ====== LINE API クライアント（lib/line-client.js。リトライ・返信トークン期限・サーキットブレーカー） ======
+const lineClient = createLineClient({
+  token: TOKEN, apiBase: LINE_API_BASE, dataApiBase: LINE_DATA_API_BASE, fetch: undiciFetch, dispatcher: lineAgent, timeoutMs: REQUEST_TIMEOUT_MS, logger,
+  retry: { maxAttempts: LINE_RETRY_MAX_ATTEMPTS, baseMs: LINE_RETRY_BASE_MS, maxMs: LINE_RETRY_MAX_MS, retryAfterMaxMs: LINE_RETRY_AFTER_MAX_MS },
+  breaker: { threshold: LINE_BREAKER_THRESHOLD, cooldownMs: LINE_BREAKER_COOLDOWN_MS },
+  metrics: {
+    observe: (endpoint, method, status, seconds) => {
+      lineApiResponseCounter.inc({ endpoint, method, status });
+      if (seconds > 0) lineApiHist.observe({ endpoint, method }, seconds);
+    },
+    circuit: (api, state) => lineCircuitGauge.set({ api }, CIRCUIT_STATES[state]),
+  },
+});
 
 // ====== 共通ユーティリティ ======
 const now = () => Date.now();
 const elapsed = (t) => `${Date.now() - t}ms`;
 const toISO = (d = new Date()) => d.toISOString();
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-const summarizeData = (data) => { try { return JSON.stringify(data).slice(0, 300); } catch { return String(data).slice(0, 300); } };
 
-// ====== データ（サンプル応答） ======
-const rabbitImages = [
-  "https://raw.githubusercontent.com/rara0423usapiy02-debug/express-hello-world/c19ba036deab7aebd1484d78191d27a8a7060b9c/huku/S__564051997_0.jpg",
-  "https://raw.githubusercontent.com/rara0423usapiy02-debug/express-hello-world/c19ba036deab7aebd1484d78191d27a8a7060b9c/huku/S__564051999_0.jpg",
-  "https://raw.githubusercontent.com/rara0423usapiy02-debug/express-hello-world/c19ba036deab7aebd1484d78191d27a8a7060b9c/huku/S__564052000.jpg",
-  "https://raw.githubusercontent.com/rara0423usapiy02-debug/express-hello-world/c19ba036deab7aebd1484d78191d27a8a7060b9c/huku/S__564052001.jpg",
-  "https://raw.githubusercontent.com/rara0423usapiy02-debug/express-hello-world/c19ba036deab7aebd1484d78191d27a8a7060b9c/huku/S__564052002.jpg",
-];
+// ====== 多言語カタログ（locales/*.json、ユーザーごとの言語は「ユーザー言語」セクション） ======
+const i18n = createI18n({ dir: LOCALES_DIR, defaultLang: DEFAULT_LANG });
+const defaultT = i18n.translator(DEFAULT_LANG); // イベント外（管理API・起動時など）の文面用
+logger.info({ languages: i18n.supported, defaultLang: DEFAULT_LANG }, "[BOOT] i18n catalogs loaded");
 
+// ====== データ（サンプル応答） ======
+// FAQ 初期データ（初回起動時のシード。以降はストア側を正とする）
+// i18n: { <lang>: { q, a } } は既定言語以外の訳（無い言語は既定の文面を表示）
 const faqData = {
-  "駐車場": { q: "駐車場はありますか？", a: "会場には無料でご利用いただける駐車場がございます（最大78台）\nどうぞ安心してお越しください" },
-  "服装": { q: "服装の指定はありますか？", a: "平服でお越しください\n男性はスーツ、女性はセミフォーマルがおすすめです\n屋外に出る場面もございますので羽織れる服が安心です" },
-  "送迎バス": { q: "送迎バスの時間を変更したい", a: "招待状でご回答以外の便にもご乗車いただけます\nご都合に合わせてご利用ください" },
-  "最終集合時間": { q: "最終集合時間は?", a: "13:15です\n11:45からウェルカムドリンクを提供しますので是非ご利用ください" },
-  "更衣室": { q: "更衣室はありますか？", a: "館内1階に個室の更衣室がございます\n11:45からご利用いただけます!" },
+  "駐車場": { q: "駐車場はありますか？", a: "会場には無料でご利用いただける駐車場がございます（最大78台）\nどうぞ安心してお越しください",
+    i18n: { en: { q: "Is there parking?", a: "Free parking is available at the venue (up to 78 cars).\nPlease feel free to drive." } } },
+  "服装": { q: "服装の指定はありますか？", a: "平服でお越しください\n男性はスーツ、女性はセミフォーマルがおすすめです\n屋外に出る場面もございますので羽織れる服が安心です",
+    i18n: { en: { q: "Is there a dress code?", a: "Smart casual is fine.\nWe recommend suits for men and semi-formal wear for women.\nPart of the day is outdoors, so a light layer is a good idea." } } },
+  "送迎バス": { q: "送迎バスの時間を変更したい", a: "招待状でご回答以外の便にもご乗車いただけます\nご都合に合わせてご利用ください",
+    i18n: { en: { q: "I want to change my shuttle bus time", a: "You may take any shuttle, not only the one you chose on the invitation.\nPlease use whichever suits you." } } },
+  "最終集合時間": { q: "最終集合時間は?", a: "13:15です\n11:45からウェルカムドリンクを提供しますので是非ご利用ください",
+    i18n: { en: { q: "What is the latest arrival time?", a: "13:15.\nWelcome drinks are served from 11:45, so please come early if you can." } } },
+  "更衣室": { q: "更衣室はありますか？", a: "館内1階に個室の更衣室がございます\n11:45からご利用いただけます!",
+    i18n: { en: { q: "Is there a changing room?", a: "Private changing rooms are on the first floor.\nThey are available from 11:45!" } } },
 };
 
+// 出欠フローで選べる送迎バス便（最後の要素は「利用しない」扱い）。保存・集計はこの文字列、表示はカタログ rsvp.busOptions の同じ位置
+const rsvpBusOptions = ["往路 10:45 駅前発", "往路 11:15 駅前発", "往路 12:00 駅前発", "利用しない"];
+const RSVP_COMPANIONS_MAX = 4;
+
 // ====== メッセージ生成 ======
-const createFaqListFlex = () => ({
+// Flex の上限目安: ボタンラベル40文字 / message action text 300文字 / カルーセル12バブル
+const FAQ_PER_BUBBLE = 8;
+const FLEX_CAROUSEL_MAX = 12;
+const truncate = (s, n) => { const str = String(s || ""); return str.length > n ? str.slice(0, n - 1) + "…" : str; };
+const chunk = (arr, n) => { const out = []; for (let i = 0; i < arr.length; i += n) out.push(arr.slice(i, i + n)); return out; };
+
+// 既定言語以外は faq.i18n[lang] の訳で q/a を差し替え（訳が無ければそのまま）
+const localizeFaq = (faq, lang) => (faq && faq.i18n?.[lang] ? { ...faq, ...faq.i18n[lang] } : faq);
+
+// ====== Flex テンプレート（templates/flex/*.json + templates/theme.json、書式は lib/flex-templates.js） ======
+const flexTemplates = createFlexTemplates({ dir: FLEX_TEMPLATES_DIR, themeFile: FLEX_THEME_FILE });
+logger.info({ dir: FLEX_TEMPLATES_DIR, ...flexTemplates.reload() }, "[BOOT] flex templates loaded"); // 壊れていたら起動しない
+
+// entries: listFaqs() の結果。1バブルに収まらない場合はカルーセルでページ分割。t: i18n.translator(lang)
+// phase: 現在のフェーズ（lib/phases.js）。隠す FAQ を除き、お知らせとギャラリーボタンを先頭ページに足す
+const createFaqListFlex = (entries = [], t = defaultT, phase = null) => {
+  const visible = entries.filter(f => !isFaqHidden(phase, f.key)).map((f, n) => ({ ...localizeFaq(f, t.lang), n }));
+  const pages = chunk(visible, FAQ_PER_BUBBLE).slice(0, FLEX_CAROUSEL_MAX);
+  if (pages.length === 0) pages.push([]);
+  const notice = phase?.notice ? i18n.localize(phase.notice, t.lang) : undefined;
+  const bubbles = pages.map((faqs, i) => flexTemplates.render("faq-list", {
+    title: t("faq.listTitle") + (pages.length > 1 ? ` (${i + 1}/${pages.length})` : ""),
+    faqs, emptyText: t("faq.listEmpty"),
+    ...(i === 0 && { notice, galleryLabel: phase?.galleryLink ? t("phase.galleryButton") : undefined }), // 先頭ページだけ
+  }));
+  return flexTemplates.message(t("faq.listAlt"), bubbles.length === 1 ? bubbles[0] : { type: "carousel", contents: bubbles });
+};
+
+const createFaqAnswerFlex = (rawFaq, t = defaultT) => {
+  const faq = localizeFaq(rawFaq, t.lang);
+  const q = faq?.q || t("faq.defaultQ");
+  return flexTemplates.message(q, flexTemplates.render("faq-answer", { q, a: faq?.a || t("faq.defaultA") }));
+};
+
+// ====== Quick Reply ヘルパ ======
+function sanitizeMessages(messages) {
+  if (!Array.isArray(messages)) return [];
+  const compact = messages.filter(Boolean);
+  const MAX_REPLY_MESSAGES = 5;
+  return compact.slice(0, MAX_REPLY_MESSAGES).map(enforceFlexLimits);
+}
+// LINE の上限を超える Flex は API に 400 で弾かれるので、送る前に altText のテキストへ差し替える（ログとメトリクスで気付けるように）
+function enforceFlexLimits(message) {
+  if (message.type !== "flex") return message;
+  const errors = validateFlexMessage(message);
+  if (errors.length === 0) return message;
+  flexInvalidCounter.inc();
+  logger.error({ errors: errors.slice(0, 10), altText: message.altText }, "[Flex] invalid message replaced with text");
+  const { quickReply } = message;
+  return { type: "text", text: truncate(message.altText || "…", 5000), ...(quickReply && { quickReply }) };
+}
+function withQuickReply(messages, items = []) {
+  const compact = sanitizeMessages(messages);
+  if (compact.length === 0) return compact;
+  if (!Array.isArray(items) || items.length === 0) return compact;
+  // LINE Quick Reply items 上限は 13
+  const qItems = items
+    .filter(i => i && i.label && i.text)
+    .slice(0, 13)
+    .map(i => ({ type: "action", action: { type: "message", label: i.label, text: i.text } }));
+  if (qItems.length === 0) return compact;
+  const [head, ...rest] = compact;
+  return [{ ...head, quickReply: { items: qItems } }, ...rest];
+}
+function stripEmptyQuickReply(messages) {
+  return (messages || []).map(m => {
+    if (m && m.quickReply && (!Array.isArray(m.quickReply.items) || m.quickReply.items.length === 0)) {
+      const { quickReply, ...rest } = m;
+      return rest;
+    }
+    return m;
+  });
+}
+
+// ====== 管理者（ロール viewer < staff < owner、コマンド別の必要ロールは config/permissions.json） ======
+// ADMIN_USER_IDS は固定の owner（チャットからは変更不可）。それ以外は Redis の admin:roles ハッシュ（未設定時はメモリ）
+const permissions = roles.loadPermissions(PERMISSIONS_FILE);
+if (!permissions.isRole(ADMIN_REG_ROLE)) throw new Error(`ADMIN_REG_ROLE must be one of ${permissions.roles.join(", ")}`);
+const adminRolesMem = new Map(); // userId -> { role, grantedBy, grantedAt }
+let adminsMigrated = false;
+
+// 旧形式（Redis の admins セット＝全権）の登録者は staff として取り込む（初回のみ）
+async function ensureAdminsMigrated() {
+  if (!redis || adminsMigrated) return;
+  if ((await redis.set("admin:migrated", "1", "NX")) === "OK") {
+    const legacy = await redis.smembers("admins");
+    for (const uid of legacy) await redis.hsetnx("admin:roles", uid, JSON.stringify({ role: "staff", grantedBy: "migration", grantedAt: toISO() }));
+    if (legacy.length) logger.warn({ count: legacy.length }, "[Admin] legacy admins migrated as staff");
+  }
+  adminsMigrated = true;
+}
+const parseAdmin = (userId, raw) => { try { return { userId, ...JSON.parse(raw) }; } catch { return null; } };
+async function getAdminRecord(userId) {
+  if (!userId) return null;
+  if (ADMIN_USER_IDS.includes(userId)) return { userId, role: permissions.top, fixed: true };
+  if (redis) { await ensureAdminsMigrated(); const raw = await redis.hget("admin:roles", userId); return raw ? parseAdmin(userId, raw) : null; }
+  const v = adminRolesMem.get(userId);
+  return v ? { userId, ...v } : null;
+}
+const getAdminRole = async (userId) => (await getAdminRecord(userId))?.role || null;
+async function isAdmin(userId) { return !!(await getAdminRole(userId)); }
+
+// role=null で解除。管理メニューのリッチメニューも付け外しする
+async function setAdminRole(userId, role, grantedBy = null) {
+  const rec = { role, grantedBy, grantedAt: toISO() };
+  if (role) { if (redis) await redis.hset("admin:roles", userId, JSON.stringify(rec)); else adminRolesMem.set(userId, rec); }
+  else if (redis) await redis.hdel("admin:roles", userId);
+  else adminRolesMem.delete(userId);
+  await syncAdminRichMenu(userId, !!role);
+}
+
+// 強いロール順。固定 owner が先頭
+async function listAdmins() {
+  let registered;
+  if (redis) { await ensureAdminsMigrated(); registered = Object.entries(await redis.hgetall("admin:roles")).map(([uid, raw]) => parseAdmin(uid, raw)).filter(Boolean); }
+  else registered = [...adminRolesMem.entries()].map(([userId, v]) => ({ userId, ...v }));
+  const fixed = ADMIN_USER_IDS.map(userId => ({ userId, role: permissions.top, fixed: true }));
+  return [...fixed, ...registered.filter(a => !ADMIN_USER_IDS.includes(a.userId)).sort((a, b) => permissions.rank(b.role) - permissions.rank(a.role))];
+}
+
+// 管理者の一覧。perm を指定するとその権限を持つ人だけ（通知の宛先に使う）
+async function listAdminIds(perm) {
+  return (await listAdmins()).filter(a => !perm || permissions.allows(a.role, perm)).map(a => a.userId);
+}
+
+// ---- 登録トークン（owner が admin token で発行。期限付き、once は1回使うと失効。保存はハッシュのみ） ----
+const regTokensMem = new Map(); // hash -> { role, once, expiresAt, createdBy, expireAt }
+async function issueRegToken({ role, ttlMs, once, by }) {
+  const token = randomBytes(12).toString("base64url");
+  const rec = { role, once: !!once, expiresAt: toISO(new Date(now() + ttlMs)), createdBy: by || null };
+  const key = roles.hashToken(token);
+  if (redis) await redis.set(`admin:token:${key}`, JSON.stringify(rec), "PX", ttlMs);
+  else regTokensMem.set(key, { ...rec, expireAt: now() + ttlMs });
+  return { token, ...rec };
+}
+// 使えるトークンなら { role, once, createdBy }、無効・期限切れは null。once は GETDEL で取り出すので同時に使っても1人だけ
+async function redeemRegToken(token) {
+  if (ADMIN_REG_TOKEN) {
+    const given = Buffer.from(String(token)), expected = Buffer.from(ADMIN_REG_TOKEN);
+    if (given.length === expected.length && timingSafeEqual(given, expected)) return { role: ADMIN_REG_ROLE, once: false, createdBy: "env" };
+  }
+  const key = roles.hashToken(token);
+  if (redis) {
+    const raw = await redis.get(`admin:token:${key}`);
+    let rec; try { rec = raw ? JSON.parse(raw) : null; } catch { rec = null; }
+    if (!rec || (rec.once && !(await redis.getdel(`admin:token:${key}`)))) return null;
+    return rec;
+  }
+  const rec = regTokensMem.get(key);
+  if (!rec || rec.expireAt <= now()) { regTokensMem.delete(key); return null; }
+  if (rec.once) regTokensMem.delete(key);
+  return rec;
+}
+
+// ---- 監査ログ（追記のみ。Redis リスト admin:audit／未設定時はメモリ、AUDIT_FILE 指定時は JSONL にも追記） ----
+const auditMem = [];
+if (AUDIT_FILE) fs.mkdirSync(path.dirname(AUDIT_FILE), { recursive: true });
+// 記録の失敗で管理操作自体は止めない（ログのみ）
+async function appendAudit(entry) {
+  const rec = { ts: toISO(), ...entry };
+  try {
+    if (redis) await redis.multi().rpush("admin:audit", JSON.stringify(rec)).ltrim("admin:audit", -AUDIT_MAX, -1).exec();
+    else { auditMem.push(rec); if (auditMem.length > AUDIT_MAX) auditMem.splice(0, auditMem.length - AUDIT_MAX); }
+    if (AUDIT_FILE) await fs.promises.appendFile(AUDIT_FILE, JSON.stringify(rec) + "\n");
+  } catch (e) {
+    logger.error({ err: String(e), action: rec.action }, "[Audit] append failed");
+  }
+  return rec;
+}
+// 新しい順。action は前方一致（"roles" で roles.* すべて）
+async function listAudit({ limit = 50, actor, action } = {}) {
+  const all = redis ? (await redis.lrange("admin:audit", 0, -1)).map(raw => { try { return JSON.parse(raw); } catch { return null; } }).filter(Boolean) : auditMem;
+  const hit = all.filter(e => (!actor || e.actor === actor) && (!action || e.action === action || String(e.action).startsWith(action + ".")));
+  return hit.slice(-limit).reverse();
+}
+
+// チャットコマンドの権限確認。結果（ok / denied）は監査ログに残す。許可なら null、不可ならお断りのメッセージ
+async function authorize(event, perm) {
+  const userId = event.source?.userId || null;
+  const role = await getAdminRole(userId);
+  const ok = permissions.allows(role, perm);
+  const detail = truncate(String(event.message?.text || event.postback?.data || "").split("\n")[0], 200);
+  await appendAudit({ actor: userId, role, action: perm, detail, result: ok ? "ok" : "denied", via: "chat" });
+  return ok ? null : [{ type: "text", text: (await translatorFor(event))("admin.denied") }];
+}
+
+// ====== FAQ ストア（Redis 優先／未設定時はメモリ） ======
+const FAQ_KEY_MAX = 40;
+const FAQ_Q_MAX = 120;
+const FAQ_A_MAX = 2000;
+const faqMem = new Map(Object.entries(faqData).map(([key, v], i) => [key, { q: v.q, a: v.a, i18n: v.i18n || {}, order: i, updatedAt: null }]));
+let faqSeeded = false;
+const byFaqOrder = (x, y) => (x.order - y.order) || x.key.localeCompare(y.key);
+
+// Redis は初回のみ faqData をシード（削除した既定FAQが再起動で復活しないよう seeded フラグで管理）
+async function ensureFaqSeeded() {
+  if (!redis || faqSeeded) return;
+  if ((await redis.set("faq:seeded", "1", "NX")) === "OK") {
+    const fields = Object.entries(faqData).flatMap(([key, v], i) => [key, JSON.stringify({ q: v.q, a: v.a, i18n: v.i18n || {}, order: i, updatedAt: null })]);
+    if (fields.length) await redis.hset("faq:entries", ...fields);
+  }
+  faqSeeded = true;
+}
+function parseFaq(key, raw) {
+  try { const v = JSON.parse(raw); return { key, q: String(v.q || ""), a: String(v.a || ""), i18n: v.i18n || {}, order: Number(v.order) || 0, updatedAt: v.updatedAt || null }; }
+  catch { return null; }
+}
+async function listFaqs() {
+  if (redis) {
+    await ensureFaqSeeded();
+    const all = await redis.hgetall("faq:entries");
+    return Object.entries(all).map(([k, raw]) => parseFaq(k, raw)).filter(Boolean).sort(byFaqOrder);
+  }
+  return [...faqMem.entries()].map(([key, v]) => ({ key, ...v })).sort(byFaqOrder);
+}
+async function getFaq(key) {
+  if (redis) { await ensureFaqSeeded(); const raw = await redis.hget("faq:entries", key); return raw ? parseFaq(key, raw) : null; }
+  const v = faqMem.get(key); return v ? { key, ...v } : null;
+}
+function validateFaqInput(key, q, a, t = defaultT) {
+  if (!key || key.length > FAQ_KEY_MAX || /[|\r\n]/.test(key)) return t("faq.invalidKey", { max: FAQ_KEY_MAX });
+  if (!q || q.length > FAQ_Q_MAX) return t("faq.invalidQ", { max: FAQ_Q_MAX });
+  if (!a || a.length > FAQ_A_MAX) return t("faq.invalidA", { max: FAQ_A_MAX });
+  return null;
+}
+// 既存キーは表示順・訳を維持、新規は末尾に追加。i18n を渡すと訳を丸ごと置き換え
+async function saveFaq(key, { q, a, i18n: translations }) {
+  const prev = await getFaq(key);
+  const entry = { q, a, i18n: translations || prev?.i18n || {}, order: prev ? prev.order : Date.now(), updatedAt: toISO() };
+  if (redis) await redis.hset("faq:entries", key, JSON.stringify(entry)); else faqMem.set(key, entry);
+  return { key, ...entry };
+}
+// 既定言語以外の訳を1言語分だけ追加・更新
+async function saveFaqTranslation(key, lang, { q, a }) {
+  const prev = await getFaq(key);
+  if (!prev) return null;
+  return saveFaq(key, { q: prev.q, a: prev.a, i18n: { ...prev.i18n, [lang]: { q, a } } });
+}
+// API から受け取った訳（{ en: { q, a } }）の検証。対応言語・文字数のみ確認
+function validateFaqTranslations(raw) {
+  if (raw === undefined) return { value: undefined };
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { error: "i18n must be an object" };
+  const value = {};
+  for (const [code, v] of Object.entries(raw)) {
+    const lang = i18n.normalizeLang(code);
+    if (!lang || lang === DEFAULT_LANG) return { error: `unsupported language: ${code}` };
+    const q = String(v?.q || "").trim(), a = String(v?.a || "").trim();
+    const invalid = validateFaqInput("-", q, a);
+    if (invalid) return { error: `${lang}: ${invalid}` };
+    value[lang] = { q, a };
+  }
+  return { value };
+}
+async function removeFaq(key) {
+  if (redis) { await ensureFaqSeeded(); return (await redis.hdel("faq:entries", key)) === 1; }
+  return faqMem.delete(key);
+}
+// "キー|質問|回答" 形式（回答内の | はそのまま残す）
+function parseFaqCommand(body) {
+  const [key = "", q = "", ...rest] = body.split("|");
+  return { key: key.trim(), q: q.trim(), a: rest.join("|").trim() };
+}
+
+// ====== 出欠（RSVP）フロー：会話状態は per-key で Redis／メモリ保持 ======
+const RSVP_STATE_TTL_MS = 30 * 60 * 1000;
+const RSVP_DIET_MAX = 200;
+const RSVP_START_RE = /^(rsvp|出欠|出欠回答)$/i;
+const rsvpStateMem = new Map(); // key -> { state, expireAt }
+const rsvpAnswersMem = new Map(); // userId -> answer
+setInterval(() => { if (redis) return; const t = now(); for (const [k, v] of rsvpStateMem.entries()) if (v.expireAt <= t) rsvpStateMem.delete(k); }, 60 * 1000).unref();
+
+async function getRsvpState(key) {
+  if (redis) { const raw = await redis.get(`rsvp:state:${key}`); try { return raw ? JSON.parse(raw) : null; } catch { return null; } }
+  const v = rsvpStateMem.get(key); return v && v.expireAt > now() ? v.state : null;
+}
+async function setRsvpState(key, state) {
+  if (redis) await redis.set(`rsvp:state:${key}`, JSON.stringify(state), "PX", RSVP_STATE_TTL_MS);
+  else rsvpStateMem.set(key, { state, expireAt: now() + RSVP_STATE_TTL_MS });
+}
+async function clearRsvpState(key) {
+  if (redis) await redis.del(`rsvp:state:${key}`); else rsvpStateMem.delete(key);
+}
+async function saveRsvpAnswer(userId, answer) {
+  const entry = { userId, ...answer, updatedAt: toISO() };
+  if (redis) await redis.hset("rsvp:answers", userId, JSON.stringify(entry)); else rsvpAnswersMem.set(userId, entry);
+  return entry;
+}
+async function listRsvpAnswers() {
+  if (redis) {
+    const all = await redis.hgetall("rsvp:answers");
+    return Object.values(all).map(raw => { try { return JSON.parse(raw); } catch { return null; } }).filter(Boolean);
+  }
+  return [...rsvpAnswersMem.values()];
+}
+
+const createRsvpQuestionFlex = (title, note, options) => ({
   type: "flex",
-  altText: "結婚式FAQリスト",
+  altText: truncate(title, 400),
   contents: {
     type: "bubble",
     styles: { body: { backgroundColor: "#FFF0F5" } },
@@ -160,13 +558,14 @@ const createFaqListFlex = () => ({
       type: "box",
       layout: "vertical",
       contents: [
-        { type: "text", text: " 結婚式 FAQ 🕊️", weight: "bold", size: "lg", align: "center", color: "#C19A6B" },
+        { type: "text", text: title, weight: "bold", size: "md", wrap: true, color: "#C19A6B" },
+        ...(note ? [{ type: "text", text: note, size: "xs", wrap: true, margin: "sm", color: "#666666" }] : []),
         { type: "separator", margin: "md", color: "#E6C9C9" },
-        ...Object.keys(faqData).map((key, i) => ({
+        ...options.map((o, i) => ({
           type: "button",
           style: "secondary",
           color: ["#FADADD", "#D5E8D4", "#DDEBF7"][i % 3],
-          action: { type: "message", label: faqData[key].q, text: "FAQ:" + key },
+          action: { type: "postback", label: truncate(o.label, 40), data: o.data, displayText: truncate(o.label, 300) },
           margin: "sm",
         })),
       ],
@@ -174,128 +573,1668 @@ const createFaqListFlex = () => ({
   },
 });
 
-const createFaqAnswerFlex = (key) => ({
+// 保存値（rsvpBusOptions の文字列）→ 表示言語のラベル
+const rsvpBusLabel = (bus, t) => { const labels = t("rsvp.busOptions"); const i = rsvpBusOptions.indexOf(bus); return (Array.isArray(labels) && labels[i]) || bus; };
+
+const rsvpAskAttend = (t) => createRsvpQuestionFlex(t("rsvp.askAttend"), t("rsvp.askAttendNote"), [
+  { label: t("rsvp.attendYes"), data: "rsvp:attend:yes" },
+  { label: t("rsvp.attendNo"), data: "rsvp:attend:no" },
+]);
+const rsvpAskCompanions = (t) => createRsvpQuestionFlex(t("rsvp.askCompanions"), null,
+  Array.from({ length: RSVP_COMPANIONS_MAX + 1 }, (_, n) => ({ label: n === 0 ? t("rsvp.companionsNone") : t("rsvp.companionsN", { n }), data: `rsvp:companions:${n}` })));
+const rsvpAskBus = (t) => createRsvpQuestionFlex(t("rsvp.askBus"), null,
+  rsvpBusOptions.map((bus, i) => ({ label: rsvpBusLabel(bus, t), data: `rsvp:bus:${i}` })));
+const rsvpAskDiet = (t) => createRsvpQuestionFlex(t("rsvp.askDiet"), t("rsvp.askDietNote", { max: RSVP_DIET_MAX }), [
+  { label: t("rsvp.dietNone"), data: "rsvp:diet:none" },
+]);
+
+async function finishRsvp(key, userId, answers, t) {
+  const entry = await saveRsvpAnswer(userId, answers);
+  await clearRsvpState(key);
+  logger.info({ userKey: key, attending: entry.attending }, "[RSVP] answer saved");
+  if (!entry.attending) return [{ type: "text", text: t("rsvp.thanksDeclined") }];
+  const lines = [
+    t("rsvp.thanksAttending"),
+    t("rsvp.lineCompanions", { n: entry.companions }),
+    t("rsvp.lineBus", { bus: rsvpBusLabel(entry.bus, t) }),
+    t("rsvp.lineDiet", { diet: entry.dietary || t("common.none") }),
+    t("rsvp.changeHint"),
+  ];
+  return [{ type: "text", text: lines.join("\n") }];
+}
+
+async function startRsvp(event) {
+  const t = await translatorFor(event);
+  if (event.source?.type !== "user" || !event.source.userId) return [{ type: "text", text: t("common.directOnly") }];
+  await setRsvpState(keyFromEvent(event), { step: "attend", answers: {} });
+  return [rsvpAskAttend(t)];
+}
+
+// postback "rsvp:<step>:<value>"。現在のステップと一致しない（古いボタン等）ものは案内のみ返す
+async function handleRsvpPostback(event, data) {
+  const t = await translatorFor(event);
+  if (event.source?.type !== "user" || !event.source.userId) return [{ type: "text", text: t("common.directOnly") }];
+  const key = keyFromEvent(event);
+  const [, step, value = ""] = data.split(":");
+  const state = await getRsvpState(key);
+  if (!state || state.step !== step) return [{ type: "text", text: t("rsvp.restart") }];
+  const answers = state.answers || {};
+  if (step === "attend") {
+    if (value === "no") return finishRsvp(key, event.source.userId, { attending: false, companions: 0, bus: "", dietary: "" }, t);
+    await setRsvpState(key, { step: "companions", answers: { ...answers, attending: true } });
+    return [rsvpAskCompanions(t)];
+  }
+  if (step === "companions") {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0 || n > RSVP_COMPANIONS_MAX) return [rsvpAskCompanions(t)];
+    await setRsvpState(key, { step: "bus", answers: { ...answers, companions: n } });
+    return [rsvpAskBus(t)];
+  }
+  if (step === "bus") {
+    const bus = rsvpBusOptions[Number(value)];
+    if (!bus) return [rsvpAskBus(t)];
+    await setRsvpState(key, { step: "diet", answers: { ...answers, bus } });
+    return [rsvpAskDiet(t)];
+  }
+  if (step === "diet") return finishRsvp(key, event.source.userId, { ...answers, dietary: "" }, t);
+  return null;
+}
+
+// 食事の配慮（自由入力）待ちの間はテキストを回答として受け取る。対象外なら null
+async function handleRsvpText(event, text) {
+  if (event.source?.type !== "user" || !event.source.userId) return null;
+  const key = keyFromEvent(event);
+  const state = await getRsvpState(key);
+  if (!state || RSVP_START_RE.test(text)) return null; // 再度「出欠」はやり直し
+  const t = await translatorFor(event);
+  if (/^(キャンセル|cancel)$/i.test(text)) {
+    await clearRsvpState(key);
+    return [{ type: "text", text: t("rsvp.cancelled") }];
+  }
+  if (state.step !== "diet") return null;
+  return finishRsvp(key, event.source.userId, { ...state.answers, dietary: truncate(text, RSVP_DIET_MAX) }, t);
+}
+
+function summarizeRsvp(answers) {
+  const attending = answers.filter(a => a.attending);
+  const bus = {};
+  for (const a of attending) bus[a.bus] = (bus[a.bus] || 0) + 1 + (Number(a.companions) || 0);
+  return {
+    responses: answers.length,
+    attending: attending.length,
+    declined: answers.length - attending.length,
+    headcount: attending.reduce((n, a) => n + 1 + (Number(a.companions) || 0), 0),
+    bus,
+    dietary: attending.filter(a => a.dietary).length,
+  };
+}
+
+// 表計算ソフトで開かれるので、= + - @（とタブ・CR）で始まるセルは ' を付けて数式として評価させない（dietary は客の自由入力）
+const csvCell = (v) => {
+  let str = v === undefined || v === null ? "" : String(v);
+  if (/^[=+\-@\t\r]/.test(str)) str = "'" + str;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+function rsvpToCsv(answers) {
+  const header = ["userId", "attending", "companions", "bus", "dietary", "updatedAt"];
+  const rows = answers.map(a => [a.userId, a.attending ? "yes" : "no", a.companions, a.bus, a.dietary, a.updatedAt]);
+  return [header, ...rows].map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// ====== 友だち・参加グループ台帳（follow/unfollow/join/leave から記録） ======
+const membersMem = new Map(); // id -> member
+const MEMBER_TAG_RE = /^[^\s:,|]{1,30}$/;
+
+async function fetchProfile(userId) {
+  if (!TOKEN || !userId) return null;
+  try {
+    return await lineClient.profile(userId);
+  } catch (e) {
+    logger.warn({ userId, status: e.response?.status, err: String(e) }, "[Profile] fetch failed");
+    return null;
+  }
+}
+async function fetchGroupSummary(groupId) {
+  if (!TOKEN || !groupId) return null;
+  try {
+    return await lineClient.groupSummary(groupId);
+  } catch (e) {
+    logger.warn({ groupId, status: e.response?.status, err: String(e) }, "[GroupSummary] fetch failed");
+    return null;
+  }
+}
+
+// グループ・トークルームのメンバーのプロフィール（友だちでなくても取れる）
+async function fetchChatMemberProfile(source, userId) {
+  const chatId = source?.type === "group" ? source.groupId : source?.type === "room" ? source.roomId : null;
+  if (!TOKEN || !chatId || !userId) return null;
+  try {
+    return await lineClient.chatMemberProfile(source.type, chatId, userId);
+  } catch (e) {
+    logger.warn({ userId, status: e.response?.status, err: String(e) }, "[MemberProfile] fetch failed");
+    return null;
+  }
+}
+
+async function getMember(id) {
+  if (redis) { const raw = await redis.hget("members", id); try { return raw ? JSON.parse(raw) : null; } catch { return null; } }
+  return membersMem.get(id) || null;
+}
+async function saveMember(member) {
+  if (redis) await redis.hset("members", member.id, JSON.stringify(member)); else membersMem.set(member.id, member);
+  return member;
+}
+async function listMembers({ type, status, tag } = {}) {
+  let all;
+  if (redis) all = Object.values(await redis.hgetall("members")).map(raw => { try { return JSON.parse(raw); } catch { return null; } }).filter(Boolean);
+  else all = [...membersMem.values()];
+  return all
+    .filter(m => (!type || m.type === type) && (!status || m.status === status) && (!tag || (m.tags || []).includes(tag)))
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+function countMembers(members) {
+  const counts = { users: 0, blocked: 0, groups: 0, rooms: 0 };
+  for (const m of members) {
+    if (m.type === "user") { if (m.status === "active") counts.users++; else counts.blocked++; }
+    else if (m.status === "active") counts[m.type === "group" ? "groups" : "rooms"]++;
+  }
+  return counts;
+}
+async function setMemberTag(id, tag, on) {
+  const m = await getMember(id);
+  if (!m) return null;
+  const tags = new Set(m.tags || []);
+  if (on) tags.add(tag); else tags.delete(tag);
+  return saveMember({ ...m, tags: [...tags], updatedAt: toISO() });
+}
+
+// 既存のタグ・初回日時は引き継ぐ。グループ・トークルームは memberJoined / memberLeft で参加者（memberIds）も追う
+async function recordMembershipEvent(event) {
+  const at = toISO(new Date(event.timestamp || now()));
+  const src = event.source || {};
+  if (event.type === "follow" || event.type === "unfollow") {
+    if (!src.userId) return null;
+    const prev = await getMember(src.userId);
+    const base = prev || { id: src.userId, type: "user", displayName: null, language: null, tags: [], firstSeenAt: at };
+    if (event.type === "unfollow") return saveMember({ ...base, status: "blocked", unfollowedAt: at, updatedAt: at });
+    const profile = await fetchProfile(src.userId);
+    return saveMember({
+      ...base, status: "active", followedAt: at, updatedAt: at,
+      displayName: profile?.displayName || base.displayName, language: profile?.language || base.language,
+    });
+  }
+  const id = src.groupId || src.roomId;
+  if (!id) return null;
+  const prev = await getMember(id);
+  const base = prev || { id, type: src.groupId ? "group" : "room", displayName: null, tags: [], memberIds: [], firstSeenAt: at };
+  if (event.type === "leave") return saveMember({ ...base, status: "left", leftAt: at, updatedAt: at });
+  if (event.type === "memberJoined" || event.type === "memberLeft") {
+    const joined = event.type === "memberJoined";
+    const memberIds = new Set(base.memberIds || []);
+    for (const m of (joined ? event.joined : event.left)?.members || []) if (m?.userId) joined ? memberIds.add(m.userId) : memberIds.delete(m.userId);
+    return saveMember({ ...base, status: base.status || "active", memberIds: [...memberIds], updatedAt: at });
+  }
+  const summary = src.groupId ? await fetchGroupSummary(src.groupId) : null;
+  return saveMember({ ...base, status: "active", joinedAt: at, updatedAt: at, displayName: summary?.groupName || base.displayName });
+}
+
+async function createWelcomeMessages(member, t = defaultT) {
+  const phase = await currentPhase();
+  const faqs = (await listFaqs()).filter(f => !isFaqHidden(phase, f.key));
+  const items = [
+    { label: t("menu.faqList"), text: "faq" },
+    { label: t("menu.rsvp"), text: t("menu.rsvpText") },
+    { label: t("menu.table"), text: "table" },
+    ...faqs.map(f => ({ label: truncate(f.i18n?.[t.lang]?.q || f.key, 20), text: "FAQ:" + f.key })),
+  ];
+  return withQuickReply([{
+    type: "text",
+    text: member?.displayName ? t("welcome.named", { name: member.displayName }) : t("welcome.anonymous"),
+  }], items);
+}
+
+// ====== ユーザー言語（lang コマンドでの指定 → プロフィールの language → DEFAULT_LANG） ======
+const USER_LANG_PROFILE_MEM_MAX = 10000;
+const userLangMem = new Map(); // userId -> lang（明示指定）
+const profileLangMem = new Map(); // userId -> lang | null（台帳に無いユーザーのプロフィール取得結果）
+const eventLangCache = new WeakMap(); // event -> lang（1イベント内で何度も引かない）
+
+async function getUserLang(userId) {
+  return redis ? await redis.hget("user:lang", userId) : userLangMem.get(userId) || null;
+}
+async function setUserLang(userId, lang) {
+  if (redis) await redis.hset("user:lang", userId, lang); else userLangMem.set(userId, lang);
+}
+async function resolveUserLang(userId) {
+  if (!userId) return DEFAULT_LANG;
+  const chosen = i18n.normalizeLang(await getUserLang(userId));
+  if (chosen) return chosen;
+  const member = await getMember(userId);
+  if (member) return i18n.normalizeLang(member.language) || DEFAULT_LANG;
+  // 友だち追加前から居るユーザー・グループ内の発言者は台帳に無いので、プロフィールを1度だけ引いて覚える
+  if (!profileLangMem.has(userId)) {
+    if (profileLangMem.size >= USER_LANG_PROFILE_MEM_MAX) profileLangMem.clear();
+    profileLangMem.set(userId, i18n.normalizeLang((await fetchProfile(userId))?.language));
+  }
+  return profileLangMem.get(userId) || DEFAULT_LANG;
+}
+async function langOf(event) {
+  if (eventLangCache.has(event)) return eventLangCache.get(event);
+  const lang = await resolveUserLang(event?.source?.userId);
+  eventLangCache.set(event, lang);
+  return lang;
+}
+// 送信元ユーザーの言語に固定した t（route handler 等で使う）
+const translatorFor = async (event) => i18n.translator(await langOf(event));
+const translatorForUser = async (userId) => i18n.translator(await resolveUserLang(userId));
+// 宛先を言語ごとにまとめて multicast（build(t) がその言語のメッセージ配列を返す）
+async function multicastLocalized(ids, build) {
+  const byLang = new Map();
+  for (const id of ids) { const lang = await resolveUserLang(id); byLang.set(lang, [...(byLang.get(lang) || []), id]); }
+  for (const [lang, group] of byLang) await multicastWithRetry(group, build(i18n.translator(lang)));
+}
+
+// ====== 予約配信（ジョブは Redis ZSET／メモリ、取り出しは ZREM で排他） ======
+const scheduleMem = new Map(); // id -> job
+const SCHEDULE_TEXT_MAX = 5000;
+
+const formatLocalTime = (ms) => new Date(ms + SCHEDULE_TZ_OFFSET_MIN * 60000).toISOString().slice(0, 16).replace("T", " ");
+
+// "+30m" / "+2h" / "13:15"（過ぎていれば翌日） / "2026-05-03 13:15"（SCHEDULE_TZ_OFFSET_MIN のローカル時刻）
+// 2026-02-31 のような存在しない日付は Date.UTC が翌月へ繰り越すので、組み立て直して一致するかで確かめる
+function isCalendarDate(y, mo, d) {
+  const dt = new Date(Date.UTC(y, mo - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === mo - 1 && dt.getUTCDate() === d;
+}
+function parseScheduleTime(spec, base = now()) {
+  let m = spec.match(/^\+(\d+)([mh])$/i);
+  if (m) return base + Number(m[1]) * (m[2].toLowerCase() === "h" ? 3600000 : 60000);
+  m = spec.match(/^(?:(\d{4})-(\d{2})-(\d{2})[ T])?(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const off = SCHEDULE_TZ_OFFSET_MIN * 60000;
+  const local = new Date(base + off);
+  const [y, mo, d] = m[1] ? [Number(m[1]), Number(m[2]) - 1, Number(m[3])] : [local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()];
+  const hh = Number(m[4]), mm = Number(m[5]);
+  if (hh > 23 || mm > 59) return null;
+  if (m[1] && !isCalendarDate(y, mo + 1, d)) return null;
+  let t = Date.UTC(y, mo, d, hh, mm) - off;
+  if (!m[1] && t <= base) t += 24 * 3600000;
+  return t;
+}
+
+// 送信先: all（全友だち broadcast） / tag:<名前>（セグメントへ multicast） / U.. C.. R..（個別 push）
+function parseScheduleTarget(spec, event) {
+  if (/^all$/i.test(spec)) return "all";
+  if (/^here$/i.test(spec)) return event?.source?.groupId || event?.source?.roomId || event?.source?.userId || null;
+  if (/^tag:\S+$/i.test(spec)) return "tag:" + spec.slice(4);
+  if (/^[UCR][0-9a-f]{32}$/i.test(spec)) return spec;
+  return null;
+}
+
+// セグメント解決: 出欠回答ベースの attending / declined / bus（バス利用者） / bus:<便番号>、それ以外は台帳のタグ
+async function resolveSegment(tag) {
+  const answers = await listRsvpAnswers();
+  const noBus = rsvpBusOptions[rsvpBusOptions.length - 1];
+  let picked = [];
+  if (tag === "attending") picked = answers.filter(a => a.attending);
+  else if (tag === "declined") picked = answers.filter(a => !a.attending);
+  else if (tag === "bus") picked = answers.filter(a => a.attending && a.bus && a.bus !== noBus);
+  else if (/^bus:\d+$/.test(tag)) picked = answers.filter(a => a.attending && a.bus === rsvpBusOptions[Number(tag.slice(4))]);
+  else return (await listMembers({ type: "user", status: "active", tag })).map(m => m.id); // 台帳のタグ
+  return picked.map(a => a.userId);
+}
+
+async function addScheduledJob({ runAt, target, text, createdBy }) {
+  const job = { id: randomUUID().slice(0, 8), runAt, target, text, createdBy: createdBy || null, createdAt: toISO() };
+  if (redis) await redis.multi().hset("sched:data", job.id, JSON.stringify(job)).zadd("sched:jobs", runAt, job.id).exec();
+  else scheduleMem.set(job.id, job);
+  return job;
+}
+async function listScheduledJobs() {
+  if (redis) {
+    const ids = await redis.zrange("sched:jobs", 0, -1);
+    if (ids.length === 0) return [];
+    const raws = await redis.hmget("sched:data", ...ids);
+    return raws.map(raw => { try { return raw ? JSON.parse(raw) : null; } catch { return null; } }).filter(Boolean);
+  }
+  return [...scheduleMem.values()].sort((a, b) => a.runAt - b.runAt);
+}
+async function cancelScheduledJob(id) {
+  if (redis) {
+    const removed = await redis.zrem("sched:jobs", id);
+    await redis.hdel("sched:data", id);
+    return removed === 1;
+  }
+  return scheduleMem.delete(id);
+}
+// 期限到来ジョブの取り出し。ZREM に成功したレプリカだけが実行する（at-most-once）
+async function claimDueJobs(t = now()) {
+  if (redis) {
+    const ids = await redis.zrangebyscore("sched:jobs", 0, t, "LIMIT", 0, 20);
+    const claimed = [];
+    for (const id of ids) {
+      if ((await redis.zrem("sched:jobs", id)) !== 1) continue;
+      const raw = await redis.hget("sched:data", id);
+      await redis.hdel("sched:data", id);
+      try { if (raw) claimed.push(JSON.parse(raw)); } catch { logger.warn({ id }, "[Scheduler] broken job data"); }
+    }
+    return claimed;
+  }
+  const due = [...scheduleMem.values()].filter(j => j.runAt <= t);
+  for (const j of due) scheduleMem.delete(j.id);
+  return due;
+}
+
+async function runScheduledJob(job) {
+  const messages = [{ type: "text", text: job.text }];
+  if (job.target === "all") return broadcastWithRetry(messages);
+  if (job.target.startsWith("tag:")) return multicastWithRetry(await resolveSegment(job.target.slice(4)), messages);
+  return pushWithRetry(job.target, messages);
+}
+
+let schedulerBusy = false;
+async function schedulerTick() {
+  if (schedulerBusy) return;
+  schedulerBusy = true;
+  try {
+    await applyPhaseChange();
+  } catch (e) {
+    logger.error({ err: String(e) }, "[Phases] apply error");
+  }
+  try {
+    for (const job of await claimDueJobs()) {
+      try {
+        await runScheduledJob(job);
+        scheduledJobCounter.inc({ result: "ok" });
+        logger.info({ jobId: job.id, target: job.target, delayMs: now() - job.runAt }, "[Scheduler] job sent");
+      } catch (e) {
+        scheduledJobCounter.inc({ result: "error" });
+        logger.error({ jobId: job.id, target: job.target, err: String(e) }, "[Scheduler] job failed");
+      }
+    }
+  } catch (e) {
+    logger.error({ err: String(e) }, "[Scheduler] tick error");
+  } finally {
+    schedulerBusy = false;
+  }
+}
+let schedulerTimer = null;
+function startScheduler() {
+  schedulerTimer = setInterval(schedulerTick, SCHEDULER_INTERVAL_MS);
+  schedulerTimer.unref();
+}
+if (!redis) logger.warn("[BOOT] Scheduled jobs are in-memory only and will be lost on restart");
+
+// ====== インテント（設定ファイル定義・あいまい一致・ホットリロード） ======
+// 全角/半角（NFKC）・カタカナ/ひらがな・大小文字を寄せ、記号は空白に
+function normalizeForMatch(s) {
+  return String(s || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[\u30a1-\u30f6]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0x60))
+    .replace(/[\s!-/:-@[-`{-~、。・「」『』（）！？…〜]+/g, " ")
+    .trim();
+}
+const bigrams = (s) => { const t = s.replace(/ /g, ""); const out = []; for (let i = 0; i < t.length - 1; i++) out.push(t.slice(i, i + 2)); return out.length ? out : [t]; };
+// 語 term が本文 text にどれだけ含まれるか（0..1）。英字のみの語は単語境界で判定
+function scoreTerm(text, term) {
+  if (!term || !text) return 0;
+  if (text === term) return 1;
+  const ascii = /^[\x20-\x7e]+$/.test(term);
+  const contains = ascii ? ` ${text} `.includes(` ${term} `) : text.replace(/ /g, "").includes(term.replace(/ /g, ""));
+  if (contains) return 0.8 + 0.2 * Math.min(1, term.length / text.length);
+  if (ascii || term.length < 3) return 0; // 短い語・英単語は部分一致のみ（誤爆防止）
+  const tb = bigrams(term), have = new Set(bigrams(text));
+  return 0.7 * (tb.filter(b => have.has(b)).length / tb.length);
+}
+const renderTemplate = (tpl, vars) => String(tpl || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (_m, k) => (vars[k] ?? ""));
+
+let intentConfig = { minScore: 0.6, fallback: { enabled: false }, intents: [], loadedAt: null };
+function compileIntents(raw) {
+  if (!raw || !Array.isArray(raw.intents)) throw new Error("intents must be an array");
+  const intents = raw.intents.map((it, i) => {
+    if (!it || !it.id || !it.response) throw new Error(`intents[${i}] requires id and response`);
+    const r = it.response;
+    if (!r.faq && !r.text && !r.route) throw new Error(`intents[${i}].response requires faq, text or route`);
+    if (it.phases !== undefined && !(Array.isArray(it.phases) && it.phases.every(p => typeof p === "string"))) throw new Error(`intents[${i}].phases must be string[]`);
+    return {
+      id: String(it.id),
+      phases: it.phases || null, // 有効なフェーズ（未指定なら常に。フェーズ定義が無いときも常に）
+      response: r,
+      terms: [
+        ...(it.keywords || []).map(k => ({ term: normalizeForMatch(k), weight: 1 })),
+        ...(it.synonyms || []).map(k => ({ term: normalizeForMatch(k), weight: 0.9 })),
+      ].filter(t => t.term),
+      regex: (it.regex || []).map(src => new RegExp(src, "i")),
+    };
+  });
+  const fb = raw.fallback || {};
+  return {
+    minScore: Number.isFinite(Number(raw.minScore)) ? Number(raw.minScore) : 0.6,
+    fallback: { enabled: !!fb.enabled, sourceTypes: fb.sourceTypes || ["user"], text: fb.text || null, suggestions: Math.min(Number(fb.suggestions) || 4, 11) },
+    intents,
+    loadedAt: toISO(),
+  };
+}
+// 読み込み失敗時は直前の設定を維持
+function loadIntents() {
+  try {
+    intentConfig = compileIntents(JSON.parse(fs.readFileSync(INTENTS_FILE, "utf8")));
+    logger.info({ file: INTENTS_FILE, intents: intentConfig.intents.length }, "[Intents] loaded");
+  } catch (e) {
+    if (e.code === "ENOENT") logger.warn({ file: INTENTS_FILE }, "[Intents] config not found, intent matching disabled");
+    else logger.error({ file: INTENTS_FILE, err: String(e) }, "[Intents] load failed, keeping previous config");
+  }
+}
+loadIntents();
+fs.watchFile(INTENTS_FILE, { interval: 2000 }, (cur, prev) => { if (cur.mtimeMs !== prev.mtimeMs) loadIntents(); }).unref();
+
+function matchIntent(text, phase = null) {
+  const norm = normalizeForMatch(text);
+  const nfkc = String(text).normalize("NFKC");
+  let best = null;
+  for (const it of intentConfig.intents) {
+    if (phase && it.phases && !it.phases.includes(phase.id)) continue;
+    let score = it.regex.some(re => re.test(nfkc)) ? 1 : 0;
+    for (const t of it.terms) score = Math.max(score, t.weight * scoreTerm(norm, t.term));
+    if (score >= intentConfig.minScore && (!best || score > best.score)) best = { intent: it, score };
+  }
+  return best;
+}
+
+// 応答文中の {{name}}: 「○○さん」（言語ごとの敬称）／名前未取得なら「ゲストさま」
+async function templateVars(event, text, t) {
+  const member = event.source?.userId ? await getMember(event.source.userId) : null;
+  return { name: member?.displayName ? t("common.honorific", { name: member.displayName }) : t("common.guestName"), input: text };
+}
+
+// response.text / fallback.text は文字列か { ja, en, ... }（ユーザーの言語で選ぶ）
+// フェーズで隠している FAQ を指す応答は「ご案内終了」に差し替える
+async function respondIntent(intent, text, event, phase = null) {
+  const r = intent.response;
+  const t = await translatorFor(event);
+  if (r.faq) noteFaqAsked(event, r.faq);
+  if (r.faq && isFaqHidden(phase, r.faq)) return [{ type: "text", text: t("phase.faqHidden") }];
+  if (r.faq) { const faq = await getFaq(r.faq); return faq ? [createFaqAnswerFlex(faq, t)] : null; }
+  if (r.route) return plugins.dispatchText(r.route, event);
+  return [{ type: "text", text: renderTemplate(i18n.localize(r.text, t.lang), await templateVars(event, text, t)) }];
+}
+
+// どれにも当たらなかったとき：近い FAQ をクイックリプライで提示（設定で 1:1 のみ等に限定）
+async function intentFallback(text, event, phase = null) {
+  const fb = intentConfig.fallback;
+  if (!fb.enabled || !fb.sourceTypes.includes(event.source?.type)) return null;
+  const t = await translatorFor(event);
+  const norm = normalizeForMatch(text);
+  const scoreFaq = (f) => Math.max(...[f.key, f.q, f.i18n?.[t.lang]?.q].filter(Boolean).map(s => scoreTerm(norm, normalizeForMatch(s))));
+  const scored = (await listFaqs()).filter(f => !isFaqHidden(phase, f.key)).map(f => ({ f: localizeFaq(f, t.lang), score: scoreFaq(f) }));
+  const top = scored.sort((a, b) => b.score - a.score).slice(0, fb.suggestions).map(x => x.f);
+  const msg = { type: "text", text: renderTemplate(i18n.localize(fb.text, t.lang) || t("intent.fallback"), await templateVars(event, text, t)) };
+  return withQuickReply([msg], [...top.map(f => ({ label: truncate(f.q, 20), text: "FAQ:" + f.key })), { label: t("menu.faqList"), text: "faq" }, { label: t("menu.staff"), text: t("menu.staffText") }]);
+}
+
+// ====== 進行フェーズ（定義は PHASES_FILE、判定は lib/phases.js。admin phase set で手動上書き） ======
+let phaseConfig = compilePhases();
+// 読み込み失敗時は直前の定義を維持。PHASES_FILE が未設定・ファイルが無ければフェーズ無し（従来どおりの応答）
+function loadPhaseConfig() {
+  if (!PHASES_FILE) return;
+  try {
+    phaseConfig = loadPhases(PHASES_FILE, { tzOffsetMin: SCHEDULE_TZ_OFFSET_MIN });
+    logger.info({ file: PHASES_FILE, phases: phaseConfig.phases.map(p => p.id) }, "[Phases] loaded");
+  } catch (e) {
+    if (e.code === "ENOENT") logger.info({ file: PHASES_FILE }, "[Phases] config not found, phases disabled");
+    else logger.error({ file: PHASES_FILE, err: String(e) }, "[Phases] load failed, keeping previous config");
+  }
+}
+loadPhaseConfig();
+if (PHASES_FILE) fs.watchFile(PHASES_FILE, { interval: 2000 }, (cur, prev) => { if (cur.mtimeMs !== prev.mtimeMs) loadPhaseConfig(); }).unref();
+
+let phaseOverrideMem = null;
+async function getPhaseOverride() { return redis ? await redis.get("bot:phase:override") : phaseOverrideMem; }
+async function setPhaseOverride(id, by = null) {
+  if (redis) await (id ? redis.set("bot:phase:override", id) : redis.del("bot:phase:override"));
+  else phaseOverrideMem = id || null;
+  logger.warn({ phase: id || "auto", by }, "[Phases] override changed");
+}
+// 手動上書き（定義に残っている id のみ有効）→ 時刻からの判定。{ phase, scheduled, override }
+async function phaseStatus(ts = now()) {
+  const scheduled = phaseConfig.at(ts);
+  const override = phaseConfig.get(await getPhaseOverride());
+  return { phase: override || scheduled, scheduled, override: !!override };
+}
+async function currentPhase() { return (await phaseStatus()).phase; }
+
+// フェーズが変わったら既定のリッチメニューを切り替えて管理者に知らせる（予約配信の tick ごと／上書き直後）。GETSET で1レプリカだけが行う
+let phaseAppliedMem = "";
+async function applyPhaseChange() {
+  const phase = await currentPhase();
+  const id = phase?.id || "";
+  let prev;
+  if (redis) prev = (await redis.getset("bot:phase:applied", id)) || "";
+  else { prev = phaseAppliedMem; phaseAppliedMem = id; }
+  if (prev === id) return null;
+  logger.info({ from: prev || null, to: id || null }, "[Phases] phase changed");
+  if (phase?.richMenu && TOKEN) {
+    try {
+      const menuId = await getRichMenuId(phase.richMenu);
+      if (menuId) await richMenus.setDefault(menuId);
+      else logger.warn({ phase: id, richMenu: phase.richMenu }, "[Phases] rich menu not synced yet (admin richmenu apply)");
+    } catch (e) {
+      logger.warn({ phase: id, err: String(e) }, "[Phases] rich menu switch failed");
+    }
+  }
+  if (prev && id) await notifyAdmins("phase.notifyChanged", { from: prev, to: id }, "phase.view");
+  return phase;
+}
+
+// ====== 有人対応（チケット：open → claimed → closed、対応中は自動応答を止めて中継） ======
+const HANDOFF_START_RE = /^(talk to staff|staff|スタッフ|スタッフと話したい|スタッフにつないで|スタッフを呼んで|有人対応|スタッフに相談)$/i;
+const HANDOFF_END_RE = /^(end|終了|おわり|スタッフ対応終了)$/i;
+const ticketsMem = new Map(); // id -> ticket
+const openTicketMem = new Map(); // userId -> ticketId
+let ticketSeqMem = 0;
+
+async function getTicket(id) {
+  if (redis) { const raw = await redis.hget("tickets", String(id)); try { return raw ? JSON.parse(raw) : null; } catch { return null; } }
+  return ticketsMem.get(String(id)) || null;
+}
+async function saveTicket(t) {
+  if (redis) {
+    const tx = redis.multi().hset("tickets", t.id, JSON.stringify(t));
+    if (t.status === "closed") tx.del(`ticket:open:${t.userId}`); else tx.set(`ticket:open:${t.userId}`, t.id);
+    await tx.exec();
+  } else {
+    ticketsMem.set(t.id, t);
+    if (t.status === "closed") openTicketMem.delete(t.userId); else openTicketMem.set(t.userId, t.id);
+  }
+  return t;
+}
+async function getOpenTicketFor(userId) {
+  const id = redis ? await redis.get(`ticket:open:${userId}`) : openTicketMem.get(userId);
+  if (!id) return null;
+  const t = await getTicket(id);
+  return t && t.status !== "closed" ? t : null;
+}
+async function listActiveTickets() {
+  const all = redis
+    ? Object.values(await redis.hgetall("tickets")).map(raw => { try { return JSON.parse(raw); } catch { return null; } }).filter(Boolean)
+    : [...ticketsMem.values()];
+  return all.filter(t => t.status !== "closed").sort((a, b) => Number(a.id) - Number(b.id));
+}
+async function openTicket(userId) {
+  const existing = await getOpenTicketFor(userId);
+  if (existing) return { ticket: existing, created: false };
+  const id = String(redis ? await redis.incr("ticket:seq") : ++ticketSeqMem);
+  const member = await getMember(userId);
+  const ticket = { id, userId, displayName: member?.displayName || null, status: "open", openedAt: toISO(), claimedBy: null, closedAt: null };
+  await saveTicket(ticket);
+  return { ticket, created: true };
+}
+
+// 文面は管理者それぞれの言語で（key/vars はカタログのキーと差し込み値）。perm を持つ管理者だけに送る
+async function notifyAdmins(key, vars, perm = "tickets.handle") {
+  const ids = await listAdminIds(perm);
+  if (ids.length === 0) { logger.warn("[Handoff] no admins registered to notify"); return; }
+  await multicastLocalized(ids, (t) => [{ type: "text", text: truncate(t(key, vars), 5000) }]);
+}
+const ticketLabel = (t) => `#${t.id} ${t.displayName || t.userId}`;
+
+async function startHandoff(event, text) {
+  const userId = event.source?.type === "user" ? event.source.userId : null;
+  const t = await translatorFor(event);
+  if (!userId) return [{ type: "text", text: t("common.directOnly") }];
+  const { ticket, created } = await openTicket(userId);
+  if (created) {
+    logger.info({ ticketId: ticket.id }, "[Handoff] ticket opened");
+    await notifyAdmins("handoff.notifyOpened", { ticket: ticketLabel(ticket), text, id: ticket.id });
+  }
+  return [{ type: "text", text: t("handoff.started") }];
+}
+
+// 対応中チケットがあればゲストの発言を管理者へ中継して自動応答を止める。対象外なら null
+async function relayHandoffText(event, text) {
+  const userId = event.source?.type === "user" ? event.source.userId : null;
+  if (!userId) return null;
+  const ticket = await getOpenTicketFor(userId);
+  if (!ticket) return null;
+  if (HANDOFF_END_RE.test(text)) {
+    await saveTicket({ ...ticket, status: "closed", closedAt: toISO(), closedBy: "guest" });
+    await notifyAdmins("handoff.notifyGuestClosed", { ticket: ticketLabel(ticket) });
+    return [{ type: "text", text: (await translatorFor(event))("handoff.ended") }];
+  }
+  await notifyAdmins("handoff.notifyRelay", { ticket: ticketLabel(ticket), text, id: ticket.id });
+  logger.info({ ticketId: ticket.id }, "[Handoff] guest message relayed");
+  return [];
+}
+// ボタン操作（postback）も対応中はテキストと同じく中継して自動応答を止める。対象外なら null
+async function relayHandoffPostback(event, data) {
+  const userId = event.source?.type === "user" ? event.source.userId : null;
+  if (!userId) return null;
+  const ticket = await getOpenTicketFor(userId);
+  if (!ticket) return null;
+  let shown = data;
+  try { shown = decodeURIComponent(data); } catch { /* そのまま */ }
+  await notifyAdmins("handoff.notifyRelay", { ticket: ticketLabel(ticket), text: `[postback] ${truncate(shown, 300)}`, id: ticket.id });
+  logger.info({ ticketId: ticket.id }, "[Handoff] guest postback relayed");
+  return [];
+}
+
+// ====== リッチメニュー（定義は config/richmenus.json、同期ロジックは lib/richmenu.js） ======
+const richMenus = createRichMenuManager({ request: lineClient.request, logger, configFile: RICHMENUS_FILE, baseDir: __dirname });
+const richMenuIdsMem = new Map(); // 定義id -> richMenuId（直近の apply 結果）
+
+async function getRichMenuId(defId) {
+  return redis ? await redis.hget("richmenu:ids", defId) : richMenuIdsMem.get(defId) || null;
+}
+async function saveRichMenuIds(menus) {
+  if (redis) { await redis.del("richmenu:ids"); if (Object.keys(menus).length) await redis.hset("richmenu:ids", menus); }
+  else { richMenuIdsMem.clear(); for (const [k, v] of Object.entries(menus)) richMenuIdsMem.set(k, v); }
+}
+
+// 同期 → 既定メニュー設定 → 管理者へ管理メニューを個別リンク
+async function applyRichMenus() {
+  const result = await richMenus.sync({ prune: true });
+  await saveRichMenuIds(result.menus);
+  if (result.defaultId) await richMenus.setDefault(result.menus[result.defaultId]);
+  const adminMenuId = result.audiences.admin ? result.menus[result.audiences.admin] : null;
+  let linked = 0;
+  if (adminMenuId) for (const uid of await listAdminIds()) { await richMenus.linkUser(uid, adminMenuId); linked++; }
+  return { ...result, linked };
+}
+async function resetRichMenus() {
+  for (const uid of await listAdminIds()) await richMenus.unlinkUser(uid);
+  const result = await richMenus.reset();
+  await saveRichMenuIds({});
+  return result;
+}
+// 管理者の登録/解除に合わせて管理メニューを付け外し（失敗しても登録自体は継続）
+async function syncAdminRichMenu(userId, isAdminNow) {
+  if (!TOKEN) return;
+  try {
+    const defs = richMenus.loadDefinitions();
+    const adminDef = defs.find(d => d.audience === "admin");
+    const menuId = adminDef ? await getRichMenuId(adminDef.id) : null;
+    if (!menuId) return;
+    if (isAdminNow) await richMenus.linkUser(userId, menuId); else await richMenus.unlinkUser(userId);
+  } catch (e) {
+    logger.warn({ err: String(e) }, "[RichMenu] admin menu link failed");
+  }
+}
+
+// ====== ゲスト写真（受信 → 保存 → 管理者承認 → ギャラリー） ======
+const photoStorage = createPhotoStorage(PHOTO_STORAGE, { dir: PHOTO_DIR });
+const photosMem = new Map(); // id -> photo
+const PHOTO_GALLERY_FLEX_MAX = 11; // + 「もっと見る」で 12 バブル
+
+async function getPhoto(id) {
+  if (redis) { const raw = await redis.hget("photos", id); try { return raw ? JSON.parse(raw) : null; } catch { return null; } }
+  return photosMem.get(id) || null;
+}
+async function savePhoto(photo) {
+  if (redis) await redis.hset("photos", photo.id, JSON.stringify(photo)); else photosMem.set(photo.id, photo);
+  return photo;
+}
+async function listPhotos({ status, album } = {}) {
+  const all = redis
+    ? Object.values(await redis.hgetall("photos")).map(raw => { try { return JSON.parse(raw); } catch { return null; } }).filter(Boolean)
+    : [...photosMem.values()];
+  return all.filter(p => (!status || p.status === status) && (!album || p.album === album))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+async function deletePhoto(id) {
+  const photo = await getPhoto(id);
+  if (!photo) return false;
+  await Promise.all([photoStorage.remove(`${id}-original`), photoStorage.remove(`${id}-thumb`)]);
+  if (redis) await redis.hdel("photos", id); else photosMem.delete(id);
+  return true;
+}
+
+const signPhoto = (id, variant) => createHmac("sha256", PHOTO_URL_SECRET).update(`${id}:${variant}`).digest("base64url").slice(0, 22);
+function verifyPhotoSig(id, variant, sig) {
+  const a = Buffer.from(String(sig || "")), b = Buffer.from(signPhoto(id, variant));
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+// 承認済みはそのまま、未承認は署名付き。公開URLが無ければ外部URL（シード画像のみ）
+function photoUrl(photo, variant) {
+  if (PUBLIC_BASE_URL) {
+    const url = `${PUBLIC_BASE_URL}/photos/${photo.id}/${variant}`;
+    return photo.status === "approved" ? url : `${url}?sig=${signPhoto(photo.id, variant)}`;
+  }
+  return photo.externalUrl || null;
+}
+
+const fetchMessageContent = (messageId, preview = false) => lineClient.content(messageId, { preview, maxBytes: PHOTO_MAX_BYTES });
+
+const createPhotoModerationFlex = (photo, t = defaultT) => ({
   type: "flex",
-  altText: faqData[key]?.q || "ご案内",
+  altText: t("photo.newTitle", { id: photo.id }),
   contents: {
     type: "bubble",
-    styles: { body: { backgroundColor: "#FFFAF0" } },
+    hero: { type: "image", url: photoUrl(photo, "thumb"), size: "full", aspectMode: "cover", aspectRatio: "1:1" },
     body: {
       type: "box",
       layout: "vertical",
       contents: [
-        { type: "text", text: "Q. " + (faqData[key]?.q || "ご案内"), weight: "bold", size: "md", color: "#C19A6B" },
-        { type: "text", text: "A. " + (faqData[key]?.a || "ただいまご案内のご用意がありませんでした。"), wrap: true, size: "sm", margin: "md", color: "#333333" },
+        { type: "text", text: t("photo.newTitle", { id: photo.id }), weight: "bold", size: "md", color: "#C19A6B" },
+        { type: "text", text: `from ${photo.uploaderName || photo.uploadedBy || "-"}`, size: "xs", color: "#666666", margin: "sm" },
+      ],
+    },
+    footer: {
+      type: "box",
+      layout: "horizontal",
+      spacing: "sm",
+      contents: [
+        { type: "button", style: "primary", color: "#C19A6B", action: { type: "postback", label: t("photo.approve"), data: `photo:approve:${photo.id}`, displayText: t("photo.approveDisplay", { id: photo.id }) } },
+        { type: "button", style: "secondary", action: { type: "postback", label: t("photo.reject"), data: `photo:reject:${photo.id}`, displayText: t("photo.rejectDisplay", { id: photo.id }) } },
       ],
     },
   },
 });
 
-const createRandomRabbitImage = () => {
-  const img = rabbitImages[Math.floor(Math.random() * rabbitImages.length)];
-  return [{ type: "image", originalContentUrl: img, previewImageUrl: img }];
-};
+// 画像メッセージ（1:1のみ）。複数枚まとめて送られた場合はお礼を1回だけ返す
+async function handleImageMessage(event) {
+  const msg = event.message;
+  if (event.source?.type !== "user" || !event.source.userId) return null;
+  if (msg.contentProvider && msg.contentProvider.type !== "line") return null;
+  const id = randomUUID().replace(/-/g, "").slice(0, 12);
+  const original = await fetchMessageContent(msg.id);
+  const thumb = await fetchMessageContent(msg.id, true).catch((e) => { logger.warn({ err: String(e) }, "[Photos] preview fetch failed, using original"); return original; });
+  await photoStorage.put(`${id}-original`, original.buf);
+  await photoStorage.put(`${id}-thumb`, thumb.buf);
+  const member = await getMember(event.source.userId);
+  const photo = await savePhoto({
+    id, album: "guest", status: "pending", contentType: original.contentType, thumbContentType: thumb.contentType, size: original.buf.length,
+    uploadedBy: event.source.userId, uploaderName: member?.displayName || null, createdAt: toISO(),
+  });
+  logger.info({ photoId: id, size: photo.size }, "[Photos] received");
+  const admins = await listAdminIds("photos.moderate");
+  if (admins.length) {
+    const note = (t) => [photoUrl(photo, "thumb") ? createPhotoModerationFlex(photo, t) : { type: "text", text: t("photo.newText", { id }) }];
+    await multicastLocalized(admins, note).catch(e => logger.warn({ err: String(e) }, "[Photos] admin notify failed"));
+  }
+  const set = msg.imageSet;
+  if (set && set.index > 1) return [];
+  return [{ type: "text", text: (await translatorFor(event))("photo.thanks") }];
+}
 
-// ====== Quick Reply ヘルパ ======
-function sanitizeMessages(messages) {
-  if (!Array.isArray(messages)) return [];
-  const compact = messages.filter(Boolean);
-  const MAX_REPLY_MESSAGES = 5;
-  return compact.slice(0, MAX_REPLY_MESSAGES);
+async function moderatePhoto(id, action, by) {
+  const photo = await getPhoto(id);
+  if (!photo) return null;
+  if (action === "delete") { await deletePhoto(id); return { ...photo, status: "deleted" }; }
+  return savePhoto({ ...photo, status: action === "approve" ? "approved" : "rejected", moderatedBy: by || null, moderatedAt: toISO() });
 }
-function withQuickReply(messages, items = []) {
-  const compact = sanitizeMessages(messages);
-  if (compact.length === 0) return compact;
-  if (!Array.isArray(items) || items.length === 0) return compact;
-  // LINE Quick Reply items 上限は 13
-  const qItems = items
-    .filter(i => i && i.label && i.text)
-    .slice(0, 13)
-    .map(i => ({ type: "action", action: { type: "message", label: i.label, text: i.text } }));
-  if (qItems.length === 0) return compact;
-  const [head, ...rest] = compact;
-  return [{ ...head, quickReply: { items: qItems } }, ...rest];
+
+function createGalleryFlex(photos, t = defaultT) {
+  const bubbles = photos.slice(0, PHOTO_GALLERY_FLEX_MAX).map(p => ({
+    type: "bubble",
+    size: "micro",
+    hero: { type: "image", url: photoUrl(p, "thumb"), size: "full", aspectMode: "cover", aspectRatio: "1:1", action: { type: "uri", uri: photoUrl(p, "original") } },
+  }));
+  if (PUBLIC_BASE_URL) {
+    bubbles.push({
+      type: "bubble",
+      size: "micro",
+      styles: { body: { backgroundColor: "#FFF0F5" } },
+      body: {
+        type: "box", layout: "vertical", justifyContent: "center",
+        contents: [{ type: "button", style: "link", color: "#C19A6B", action: { type: "uri", label: t("gallery.more"), uri: `${PUBLIC_BASE_URL}/gallery` } }],
+      },
+    });
+  }
+  return { type: "flex", altText: t("gallery.alt"), contents: { type: "carousel", contents: bubbles } };
 }
-function stripEmptyQuickReply(messages) {
-  return (messages || []).map(m => {
-    if (m && m.quickReply && (!Array.isArray(m.quickReply.items) || m.quickReply.items.length === 0)) {
-      const { quickReply, ...rest } = m;
-      return rest;
+
+async function galleryMessages(t = defaultT) {
+  const photos = PUBLIC_BASE_URL ? await listPhotos({ album: "guest", status: "approved" }) : [];
+  if (photos.length === 0) return [{ type: "text", text: t("gallery.empty") }];
+  return [createGalleryFlex(photos, t)];
+}
+
+// ====== 席次（ゲスト名簿 CSV の取り込み・LINE アカウントとの紐付け・テーブル案内） ======
+// CSV の形式・照合ルールは lib/seating.js。名簿は guestId（=招待コード）→ ゲスト、紐付けは userId → guestId
+const SEATING_SHOW_RE = /^(table|my table|seat|席|座席|席次|テーブル|私の席)$/i;
+const SEATING_LINK_RE = /^(?:table|seat|席|座席|テーブル)\s+(.{1,60})$/i;
+const SEATING_MATES_MAX = 20;
+const seatingGuestsMem = new Map(); // guestId -> guest
+const seatingTablesMem = new Map(); // tableId -> table
+const seatingLinksMem = new Map(); // userId -> guestId
+
+async function listSeatingGuests() {
+  const all = redis
+    ? Object.values(await redis.hgetall("seating:guests")).map(raw => { try { return JSON.parse(raw); } catch { return null; } }).filter(Boolean)
+    : [...seatingGuestsMem.values()];
+  return all.sort(seating.bySeat);
+}
+async function listSeatingTables() {
+  const all = redis
+    ? Object.values(await redis.hgetall("seating:tables")).map(raw => { try { return JSON.parse(raw); } catch { return null; } }).filter(Boolean)
+    : [...seatingTablesMem.values()];
+  return all.sort((a, b) => String(a.id).localeCompare(String(b.id), "ja", { numeric: true }));
+}
+async function getSeatingTable(id) {
+  if (redis) { const raw = await redis.hget("seating:tables", id); try { return raw ? JSON.parse(raw) : null; } catch { return null; } }
+  return seatingTablesMem.get(id) || null;
+}
+async function saveSeatingGuest(guest) {
+  if (redis) {
+    const tx = redis.multi().hset("seating:guests", guest.id, JSON.stringify(guest));
+    if (guest.userId) tx.hset("seating:links", guest.userId, guest.id);
+    await tx.exec();
+  } else {
+    seatingGuestsMem.set(guest.id, guest);
+    if (guest.userId) seatingLinksMem.set(guest.userId, guest.id);
+  }
+  return guest;
+}
+// 名簿の全件置き換え。既存の紐付けはコード／氏名で引き継ぐ
+async function replaceSeatingGuests(guests) {
+  const next = seating.carryLinks(await listSeatingGuests(), guests);
+  if (redis) {
+    const tx = redis.multi().del("seating:guests", "seating:links");
+    for (const g of next) { tx.hset("seating:guests", g.id, JSON.stringify(g)); if (g.userId) tx.hset("seating:links", g.userId, g.id); }
+    await tx.exec();
+  } else {
+    seatingGuestsMem.clear(); seatingLinksMem.clear();
+    for (const g of next) { seatingGuestsMem.set(g.id, g); if (g.userId) seatingLinksMem.set(g.userId, g.id); }
+  }
+  return next;
+}
+async function replaceSeatingTables(tables) {
+  if (redis) {
+    const tx = redis.multi().del("seating:tables");
+    for (const tb of tables) tx.hset("seating:tables", tb.id, JSON.stringify(tb));
+    await tx.exec();
+  } else {
+    seatingTablesMem.clear();
+    for (const tb of tables) seatingTablesMem.set(tb.id, tb);
+  }
+  return tables;
+}
+async function getLinkedGuest(userId) {
+  const id = redis ? await redis.hget("seating:links", userId) : seatingLinksMem.get(userId);
+  if (!id) return null;
+  if (redis) { const raw = await redis.hget("seating:guests", id); try { return raw ? JSON.parse(raw) : null; } catch { return null; } }
+  return seatingGuestsMem.get(id) || null;
+}
+
+// 名前 or 招待コードでゲストを特定して userId を紐付け。{ guest } か { error: notFound|ambiguous|taken }
+async function linkSeatingGuest(userId, query) {
+  const hits = seating.findGuests(await listSeatingGuests(), query);
+  if (hits.length === 0) return { error: "notFound" };
+  if (hits.length > 1) return { error: "ambiguous" };
+  const guest = hits[0];
+  if (guest.userId && guest.userId !== userId) return { error: "taken" };
+  const prev = await getLinkedGuest(userId);
+  if (prev && prev.id !== guest.id) await saveSeatingGuest({ ...prev, userId: null, linkedAt: null });
+  return { guest: await saveSeatingGuest({ ...guest, userId, linkedAt: guest.linkedAt || toISO() }) };
+}
+
+// 管理者による席替え。query は名前 or 招待コード（同姓同名はコード指定）
+async function reassignSeat(query, tableId, seat) {
+  const hits = seating.findGuests(await listSeatingGuests(), query);
+  if (hits.length !== 1) return { error: hits.length ? "ambiguous" : "notFound" };
+  return { guest: await saveSeatingGuest({ ...hits[0], table: tableId, seat: seat || null, updatedAt: toISO() }) };
+}
+
+function createTableFlex(guest, table, mates, t = defaultT) {
+  const mapUrl = table?.map || SEATING_MAP_URL || null;
+  const tableName = table?.name ? `${guest.table}（${table.name}）` : guest.table;
+  return {
+    type: "flex",
+    altText: truncate(t("seating.alt", { table: tableName }), 400),
+    contents: {
+      type: "bubble",
+      ...(mapUrl ? { hero: { type: "image", url: mapUrl, size: "full", aspectMode: "fit", aspectRatio: "4:3", action: { type: "uri", uri: mapUrl } } } : {}),
+      styles: { body: { backgroundColor: "#FFF0F5" } },
+      body: {
+        type: "box",
+        layout: "vertical",
+        contents: [
+          { type: "text", text: t("seating.title", { name: guest.name }), size: "sm", color: "#666666", wrap: true },
+          { type: "text", text: t("seating.table", { table: tableName }), weight: "bold", size: "xl", color: "#C19A6B", wrap: true, margin: "sm" },
+          ...(guest.seat ? [{ type: "text", text: t("seating.seat", { seat: guest.seat }), size: "md", color: "#333333", margin: "sm" }] : []),
+          ...(table?.note ? [{ type: "text", text: table.note, size: "xs", color: "#666666", wrap: true, margin: "sm" }] : []),
+          { type: "separator", margin: "md", color: "#E6C9C9" },
+          { type: "text", text: t("seating.mates"), size: "sm", weight: "bold", color: "#C19A6B", margin: "md" },
+          {
+            type: "text",
+            text: mates.length ? truncate(mates.slice(0, SEATING_MATES_MAX).map(m => m.name).join("、") + (mates.length > SEATING_MATES_MAX ? " …" : ""), 2000) : t("seating.noMates"),
+            size: "sm", color: "#333333", wrap: true, margin: "sm",
+          },
+        ],
+      },
+    },
+  };
+}
+
+async function tableMessages(event) {
+  const t = await translatorFor(event);
+  const userId = event.source?.type === "user" ? event.source.userId : null;
+  if (!userId) return [{ type: "text", text: t("common.directOnly") }];
+  const guest = await getLinkedGuest(userId);
+  if (!guest) return [{ type: "text", text: t("seating.askLink") }];
+  const mates = (await listSeatingGuests()).filter(g => g.table === guest.table && g.id !== guest.id);
+  return [createTableFlex(guest, await getSeatingTable(guest.table), mates, t)];
+}
+
+async function linkTableMessages(event, query) {
+  const t = await translatorFor(event);
+  const userId = event.source?.type === "user" ? event.source.userId : null;
+  if (!userId) return [{ type: "text", text: t("common.directOnly") }];
+  const { guest, error } = await linkSeatingGuest(userId, query);
+  if (error) return [{ type: "text", text: t(`seating.${error}`) }];
+  logger.info({ guestId: guest.id }, "[Seating] guest linked");
+  return tableMessages(event);
+}
+
+// ====== メンテナンスモード（Redis の bot:maintenance／未設定時はメモリ。管理画面・管理APIで切り替え） ======
+let maintenanceMem = { enabled: false, message: "", updatedBy: null, updatedAt: null };
+async function getMaintenance() {
+  if (!redis) return maintenanceMem;
+  try { return { ...maintenanceMem, ...JSON.parse((await redis.get("bot:maintenance")) || "{}") }; } catch { return maintenanceMem; }
+}
+async function setMaintenance({ enabled, message = "", by = null }) {
+  const state = { enabled: !!enabled, message: String(message || "").trim().slice(0, 1000), updatedBy: by, updatedAt: toISO() };
+  if (redis) await redis.set("bot:maintenance", JSON.stringify(state));
+  else maintenanceMem = state;
+  logger.warn({ enabled: state.enabled, by }, "[Maintenance] switched");
+  return state;
+}
+// メンテナンス中、1:1 のゲストには定型文（message 未設定ならカタログの maintenance.reply）だけ返す。管理者は通常どおり
+async function maintenanceReply(event) {
+  if (event.source?.type !== "user" || !["message", "postback"].includes(event.type)) return null;
+  const state = await getMaintenance();
+  if (!state.enabled || (await isAdmin(event.source.userId))) return null;
+  return [{ type: "text", text: state.message || (await translatorFor(event))("maintenance.reply") }];
+}
+
+// ====== グループ・トークルーム（メンションか GROUP_COMMAND_PREFIX で呼ばれたときだけ応答。設定は Redis の group:settings／メモリ） ======
+const groupSettingsMem = new Map(); // groupId|roomId -> settings
+const ADMIN_TEXT_RE = /^admin[:\s]/i;
+
+const chatIdOf = (event) => (event?.source?.type === "group" ? event.source.groupId : event?.source?.type === "room" ? event.source.roomId : null) || null;
+
+async function getGroupSettings(id) {
+  if (redis) { const raw = await redis.hget("group:settings", id); try { return { ...DEFAULT_GROUP_SETTINGS, ...(raw ? JSON.parse(raw) : {}) }; } catch { return { ...DEFAULT_GROUP_SETTINGS }; } }
+  return { ...DEFAULT_GROUP_SETTINGS, ...groupSettingsMem.get(id) };
+}
+// patch は normalizeGroupSettings で検証（不正なら throw）。指定の無い項目は今の値のまま
+async function setGroupSettings(id, patch, by = null) {
+  const settings = { ...normalizeGroupSettings(patch, await getGroupSettings(id)), updatedBy: by, updatedAt: toISO() };
+  if (redis) await redis.hset("group:settings", id, JSON.stringify(settings)); else groupSettingsMem.set(id, settings);
+  logger.info({ chatId: id, by, quietHours: settings.quietHours, commands: settings.commands, welcome: settings.welcome }, "[Groups] settings updated");
+  return settings;
+}
+// 設定で指定できるコマンド名（管理コマンドは常に使えるので除く）+ インテント応答
+const groupCommands = () => [...plugins.commands().filter(c => c !== "core" && c !== "admin"), "intents"].sort();
+
+// グループ・トークルームのメッセージ／postback の前処理。無視するなら { skip: 理由 }
+// メッセージはボット宛て（メンション・接頭辞）のみ、本文は宛て先部分を除いたもの。管理コマンドは静かな時間・コマンド設定の対象外
+async function gateGroupEvent(event) {
+  let text = null;
+  if (event.type === "message") {
+    const addressed = addressedText(event.message, GROUP_COMMAND_PREFIX);
+    if (!addressed) return { skip: "not-addressed" };
+    text = addressed.text;
+    if (ADMIN_TEXT_RE.test(text)) return { text, allow: null };
+  }
+  const settings = await getGroupSettings(chatIdOf(event));
+  if (inQuietHours(settings, event.timestamp || now(), SCHEDULE_TZ_OFFSET_MIN)) return { skip: "quiet-hours" };
+  return { text, allow: (command) => isCommandEnabled(settings, command) };
+}
+
+// ボットの参加（join）・メンバーの参加（memberJoined）のあいさつ。welcome オフ・静かな時間は送らない
+async function groupWelcomeMessages(event) {
+  const settings = await getGroupSettings(chatIdOf(event));
+  if (!settings.welcome || inQuietHours(settings, event.timestamp || now(), SCHEDULE_TZ_OFFSET_MIN)) return null;
+  const t = await translatorFor(event);
+  const how = GROUP_COMMAND_PREFIX ? t("group.howTo", { prefix: GROUP_COMMAND_PREFIX }) : t("group.howToMention");
+  if (event.type === "join") return [{ type: "text", text: t("group.welcome", { how }) }];
+  const ids = (event.joined?.members || []).map(m => m?.userId).filter(Boolean).slice(0, 5);
+  const names = (await Promise.all(ids.map(uid => fetchChatMemberProfile(event.source, uid)))).map(p => p?.displayName).filter(Boolean);
+  if (names.length === 0) return [{ type: "text", text: t("group.memberWelcomeAnonymous", { how }) }];
+  return [{ type: "text", text: t("group.memberWelcome", { names: names.map(name => t("common.honorific", { name })).join(t("group.nameSeparator")), how }) }];
+}
+
+// ====== 質問の分析（受け取ったテキストの分類を日別に集計。Redis の insights:* ／メモリ、仕様は lib/insights.js） ======
+const insightsDayMem = new Map(); // day -> { counts: Map(field -> n), users: Set(hash) }
+const insightsUnmatchedMem = new Map(); // phrase -> count
+const faqAskedByEvent = new WeakMap(); // event -> FAQ キー（回答したハンドラが noteFaqAsked で残す）
+const unmatchedByEvent = new WeakSet(); // 無い FAQ を聞かれた event（noteUnmatched。キーは客の入力そのままなのでラベルにしない）
+
+const noteFaqAsked = (event, key) => { if (event && key) faqAskedByEvent.set(event, key); };
+const noteUnmatched = (event) => { if (event) unmatchedByEvent.add(event); };
+
+// 失敗しても返信は止めない（ログのみ）
+async function recordInsight(event, text, { kind, key = null }) {
+  const day = dayOf(event.timestamp || now(), SCHEDULE_TZ_OFFSET_MIN);
+  const field = insightField(kind, key);
+  const user = hashUserId(event.source?.userId, INSIGHTS_SALT);
+  const phrase = kind === "unmatched" ? normalizePhrase(text) : null;
+  inboundTextCounter.inc({ kind, key: kind === "unmatched" ? "" : String(key) });
+  try {
+    if (redis) {
+      const ttlSec = INSIGHTS_RETENTION_DAYS * 86400;
+      const m = redis.multi().hincrby(`insights:day:${day}`, field, 1).expire(`insights:day:${day}`, ttlSec);
+      if (user) m.pfadd(`insights:users:${day}`, user).expire(`insights:users:${day}`, ttlSec);
+      if (phrase) m.zincrby("insights:unmatched", 1, phrase).zremrangebyrank("insights:unmatched", 0, -(INSIGHTS_UNMATCHED_MAX + 1));
+      await m.exec();
+      return;
+    }
+    if (!insightsDayMem.has(day)) {
+      const keep = new Set(lastDays(INSIGHTS_RETENTION_DAYS, now(), SCHEDULE_TZ_OFFSET_MIN));
+      for (const d of insightsDayMem.keys()) if (!keep.has(d)) insightsDayMem.delete(d);
+      insightsDayMem.set(day, { counts: new Map(), users: new Set() });
+    }
+    const bucket = insightsDayMem.get(day);
+    bucket.counts.set(field, (bucket.counts.get(field) || 0) + 1);
+    if (user) bucket.users.add(user);
+    if (phrase) {
+      insightsUnmatchedMem.set(phrase, (insightsUnmatchedMem.get(phrase) || 0) + 1);
+      if (insightsUnmatchedMem.size > INSIGHTS_UNMATCHED_MAX) {
+        const [least] = [...insightsUnmatchedMem].reduce((a, b) => (b[1] < a[1] ? b : a));
+        insightsUnmatchedMem.delete(least);
+      }
+    }
+  } catch (err) {
+    logger.warn({ err: String(err), kind }, "[Insights] record failed");
+  }
+}
+
+// 直近 days 日（今日を含む）の集計と、未回答フレーズの上位 top 件
+async function insightsReport({ days = 7, top = 10 } = {}) {
+  const perDay = await Promise.all(lastDays(days, now(), SCHEDULE_TZ_OFFSET_MIN).map(async (day) => {
+    if (redis) return { day, counts: await redis.hgetall(`insights:day:${day}`), users: await redis.pfcount(`insights:users:${day}`) };
+    const bucket = insightsDayMem.get(day);
+    return { day, counts: Object.fromEntries(bucket?.counts || []), users: bucket?.users.size || 0 };
+  }));
+  let unmatched;
+  if (redis) {
+    const raw = await redis.zrevrange("insights:unmatched", 0, top - 1, "WITHSCORES");
+    unmatched = []; for (let i = 0; i < raw.length; i += 2) unmatched.push({ phrase: raw[i], count: Number(raw[i + 1]) });
+  } else {
+    unmatched = [...insightsUnmatchedMem].map(([phrase, count]) => ({ phrase, count })).sort((a, b) => b.count - a.count || a.phrase.localeCompare(b.phrase)).slice(0, top);
+  }
+  return { days, ...summarizeInsights(perDay, { top }), unmatched };
+}
+// FAQ にした未回答フレーズを集計から外す
+async function forgetUnmatched(phrase) {
+  const p = normalizePhrase(phrase);
+  if (!p) return false;
+  return redis ? (await redis.zrem("insights:unmatched", p)) > 0 : insightsUnmatchedMem.delete(p);
+}
+
+// ====== クイズ（定義は QUIZ_FILE、採点・順位は lib/quiz.js。状態は Redis の quiz:* ／メモリ） ======
+// admin quiz next で次の問題を送り先（audience）へ配信して受付を開き、timeLimitMs の経過か admin quiz reveal（正解発表）で締める
+// 回答は1問につき1人1回: tapGuardAccept を「回:問題」単位で受付期間いっぱい効かせる（レプリカ間でも SET NX で1回だけ）
+// quiz:state（回 round・出題中の問題・受付期限）、quiz:scores（ZSET userId -> 得点）、quiz:names（表示名）、quiz:tally:<問題ID>（選択肢ごとの回答数）
+let quizConfig = compileQuiz();
+// 読み込み失敗時は直前の定義を維持。QUIZ_FILE が未設定・ファイルが無ければクイズ無し
+function loadQuizConfig() {
+  if (!QUIZ_FILE) return;
+  try {
+    quizConfig = loadQuiz(QUIZ_FILE);
+    logger.info({ file: QUIZ_FILE, questions: quizConfig.questions.length }, "[Quiz] loaded");
+  } catch (e) {
+    if (e.code === "ENOENT") logger.info({ file: QUIZ_FILE }, "[Quiz] config not found, quiz disabled");
+    else logger.error({ file: QUIZ_FILE, err: String(e) }, "[Quiz] load failed, keeping previous config");
+  }
+}
+loadQuizConfig();
+if (QUIZ_FILE) fs.watchFile(QUIZ_FILE, { interval: 2000 }, (cur, prev) => { if (cur.mtimeMs !== prev.mtimeMs) loadQuizConfig(); }).unref();
+
+const QUIZ_ANSWER_GRACE_MS = 2000; // 締切間際に押したボタンが届くまでの猶予
+const QUIZ_RANKING_MAX = 10;
+let quizStateMem = null;
+const quizScoresMem = new Map(); // userId -> 得点
+const quizNamesMem = new Map(); // userId -> 表示名
+const quizTallyMem = new Map(); // 問題ID -> 選択肢ごとの回答数の配列
+
+async function getQuizState() {
+  if (!redis) return quizStateMem;
+  const raw = await redis.get("quiz:state");
+  try { return raw ? JSON.parse(raw) : null; } catch { return null; }
+}
+async function saveQuizState(state) {
+  if (redis) await redis.set("quiz:state", JSON.stringify(state)); else quizStateMem = state;
+  return state;
+}
+async function quizTally(q) {
+  if (redis) { const raw = await redis.hgetall(`quiz:tally:${q.id}`); return q.choices.map((_c, i) => Number(raw[i]) || 0); }
+  const counts = quizTallyMem.get(q.id) || [];
+  return q.choices.map((_c, i) => counts[i] || 0);
+}
+const totalOf = (arr) => arr.reduce((a, b) => a + b, 0);
+const quizTitle = (t) => i18n.localize(quizConfig.title, t.lang) || t("quiz.defaultTitle");
+
+function createQuizQuestionFlex(q, state, t = defaultT) {
+  const n = state.index + 1;
+  const text = i18n.localize(q.text, t.lang);
+  return flexTemplates.message(truncate(`Q${n}. ${text}`, 400), flexTemplates.render("quiz-question", {
+    title: t("quiz.questionTitle", { title: quizTitle(t), n, total: quizConfig.questions.length }),
+    text, image: q.image || undefined,
+    choices: q.choices.map((c, i) => ({ label: `${CHOICE_LABELS[i]}. ${i18n.localize(c, t.lang)}`, data: answerData(state.round, q.id, i) })),
+    footer: t("quiz.questionFooter", { sec: Math.round(q.timeLimitMs / 1000) }),
+  }));
+}
+
+// all は broadcast（言語ごとに分けられないので DEFAULT_LANG）、tag:<名前> は予約配信と同じセグメントへ言語別に multicast
+async function sendToQuizAudience(build) {
+  if (quizConfig.audience === "all") return broadcastWithRetry(build(defaultT));
+  return multicastLocalized(await resolveSegment(quizConfig.audience.slice(4)), build);
+}
+
+// 次の問題を出す。-> { question, state } | { error: "noQuiz" | "finished" }
+async function startNextQuestion(by = null) {
+  if (quizConfig.questions.length === 0) return { error: "noQuiz" };
+  const prev = await getQuizState();
+  const index = prev ? prev.index + 1 : 0;
+  const q = quizConfig.questions[index];
+  if (!q) return { error: "finished" };
+  const t = now();
+  const state = await saveQuizState({ round: prev?.round || randomUUID().slice(0, 8), index, questionId: q.id, startedAt: t, endsAt: t + q.timeLimitMs, revealed: false });
+  logger.info({ question: q.id, by }, "[Quiz] question opened");
+  await sendToQuizAudience((tr) => [createQuizQuestionFlex(q, state, tr)]);
+  return { question: q, state };
+}
+
+async function rememberQuizName(userId) {
+  if (redis ? await redis.hexists("quiz:names", userId) : quizNamesMem.has(userId)) return;
+  const name = (await getMember(userId))?.displayName || (await fetchProfile(userId))?.displayName;
+  if (!name) return;
+  if (redis) await redis.hset("quiz:names", userId, name); else quizNamesMem.set(userId, name);
+}
+
+// 回答（postback）。時刻は LINE 側の timestamp（キューでの遅れを不利にしない）
+// -> { result: "ok" | "stale"（前の問題・別の回のボタン）| "late" | "already", question, choice, points }
+async function answerQuiz(event, data) {
+  const a = parseAnswerData(data);
+  const userId = event.source?.userId;
+  const state = await getQuizState();
+  const q = a && state && a.round === state.round && a.questionId === state.questionId ? quizConfig.get(a.questionId) : null;
+  const done = (result, extra = {}) => { quizAnswerCounter.inc({ result }); return { result, question: q, ...extra }; };
+  if (!q || !userId || a.choice >= q.choices.length) return done("stale");
+  const at = Math.min(event.timestamp || now(), now());
+  if (state.revealed || at > state.endsAt + QUIZ_ANSWER_GRACE_MS) return done("late");
+  if (!(await tapGuardAccept(`quiz:${userId}`, `${state.round}:${q.id}`, state.endsAt + QUIZ_ANSWER_GRACE_MS - now() + 60000))) return done("already");
+  const points = scoreAnswer({ correct: a.choice === q.answer, elapsedMs: Math.max(0, at - state.startedAt), limitMs: q.timeLimitMs, points: q.points });
+  if (redis) {
+    await redis.multi().zincrby("quiz:scores", points, userId).hincrby(`quiz:tally:${q.id}`, String(a.choice), 1).exec();
+  } else {
+    quizScoresMem.set(userId, (quizScoresMem.get(userId) || 0) + points);
+    const counts = quizTallyMem.get(q.id) || [];
+    counts[a.choice] = (counts[a.choice] || 0) + 1;
+    quizTallyMem.set(q.id, counts);
+  }
+  await rememberQuizName(userId);
+  return done("ok", { choice: a.choice, points });
+}
+
+// 正解発表（受付中なら締め切る）。送り先へは最初の1回だけ送る。-> { question, tally, answered, sent } | { error: "notStarted" }
+async function revealQuestion(by = null) {
+  const state = await getQuizState();
+  const q = state && quizConfig.get(state.questionId);
+  if (!q) return { error: "notStarted" };
+  const sent = !state.revealed;
+  if (sent) await saveQuizState({ ...state, endsAt: Math.min(state.endsAt, now()), revealed: true });
+  const tally = await quizTally(q);
+  if (sent) {
+    logger.info({ question: q.id, by, answered: totalOf(tally) }, "[Quiz] answer revealed");
+    await sendToQuizAudience((t) => withQuickReply([{
+      type: "text",
+      text: truncate([
+        t("quiz.reveal", { n: state.index + 1, answer: `${CHOICE_LABELS[q.answer]}. ${i18n.localize(q.choices[q.answer], t.lang)}`, correct: tally[q.answer], answered: totalOf(tally) }),
+        ...(q.explanation ? [i18n.localize(q.explanation, t.lang)] : []),
+      ].join("\n"), 5000),
+    }], [{ label: t("quiz.rankingButton"), text: "ranking" }]));
+  }
+  return { question: q, tally, answered: totalOf(tally), sent };
+}
+
+// -> { entries: [{ userId, name, score, rank }]（上位 limit 件）, players, me }
+async function quizLeaderboard({ limit = QUIZ_RANKING_MAX, userId = null } = {}) {
+  let scores;
+  if (redis) {
+    const raw = await redis.zrange("quiz:scores", 0, -1, "WITHSCORES");
+    scores = []; for (let i = 0; i < raw.length; i += 2) scores.push({ userId: raw[i], score: Number(raw[i + 1]) });
+  } else {
+    scores = [...quizScoresMem].map(([id, score]) => ({ userId: id, score }));
+  }
+  const names = redis ? await redis.hgetall("quiz:names") : Object.fromEntries(quizNamesMem);
+  const ranked = rankEntries(scores).map(e => ({ ...e, name: names[e.userId] || null }));
+  return { entries: ranked.slice(0, limit), players: ranked.length, me: userId ? ranked.find(e => e.userId === userId) || null : null };
+}
+
+// -> { title, total, index, question, open, revealed, endsAt, answered }
+async function quizStatus(t = defaultT) {
+  const state = await getQuizState();
+  const q = state && quizConfig.get(state.questionId);
+  return {
+    title: quizTitle(t), total: quizConfig.questions.length,
+    index: q ? state.index : null, question: q, open: !!q && !state.revealed && now() <= state.endsAt,
+    revealed: !!q && state.revealed, endsAt: q ? state.endsAt : null, answered: q ? totalOf(await quizTally(q)) : 0,
+  };
+}
+
+// 得点・回答数・進行をすべて消して最初の問題からやり直す（新しい回になるので古いボタンは stale）
+async function resetQuiz(by = null) {
+  if (redis) await redis.del("quiz:state", "quiz:scores", "quiz:names", ...quizConfig.questions.map(q => `quiz:tally:${q.id}`));
+  else { quizStateMem = null; quizScoresMem.clear(); quizNamesMem.clear(); quizTallyMem.clear(); }
+  logger.warn({ by }, "[Quiz] reset");
+}
+
+function rankingMessages(board, t = defaultT) {
+  if (board.players === 0) return [{ type: "text", text: t("quiz.rankingEmpty") }];
+  const lines = board.entries.map(e => t("quiz.rankingLine", { rank: e.rank, name: e.name || t("quiz.anonymous"), score: e.score }));
+  const me = board.me ? t("quiz.rankingMe", { rank: board.me.rank, score: board.me.score }) : null;
+  return [{ type: "text", text: truncate([t("quiz.rankingHead", { title: quizTitle(t), players: board.players }), ...lines, ...(me ? [me] : [])].join("\n"), 5000) }];
+}
+
+// ====== ルーター ======
+// app.js 内の機能（出欠・席次・有人対応・写真など）のテキストルート。plugins/ と同じ振り分けに "core" プラグインとして載せる
+// ゲスト向けのルートには command（グループで使えるコマンドの名前）を付ける。無いものは "core"（管理コマンド）
+const routes = [
+  {
+    match: /^admin[:\s]+rsvp$/i,
+    handle: async (_text, _m, event) => {
+      const t = await translatorFor(event);
+      const denied = await authorize(event, "rsvp.view");
+      if (denied) return denied;
+      const sum = summarizeRsvp(await listRsvpAnswers());
+      const body = [
+        t("rsvp.admin.responses", { n: sum.responses }),
+        t("rsvp.admin.attending", { n: sum.attending, headcount: sum.headcount }),
+        t("rsvp.admin.declined", { n: sum.declined }),
+        ...Object.entries(sum.bus).map(([bus, n]) => t("rsvp.admin.bus", { bus: rsvpBusLabel(bus, t), n })),
+        t("rsvp.admin.dietary", { n: sum.dietary }),
+      ].join("\n");
+      return [{ type: "text", text: body }];
+    }
+  },
+  {
+    match: /^admin[:\s]+schedule\s+((?:\d{4}-\d{2}-\d{2}[ T])?\d{1,2}:\d{2}|\+\d+[mh])\s+(\S+)\s+([\s\S]+)$/i,
+    handle: async (_text, m, event) => {
+      const t = await translatorFor(event);
+      const denied = await authorize(event, "schedule.edit");
+      if (denied) return denied;
+      const runAt = parseScheduleTime(m[1]);
+      if (!runAt) return [{ type: "text", text: t("schedule.invalidTime") }];
+      const target = parseScheduleTarget(m[2], event);
+      if (!target) return [{ type: "text", text: t("schedule.invalidTarget") }];
+      const text = m[3].trim();
+      if (text.length > SCHEDULE_TEXT_MAX) return [{ type: "text", text: t("schedule.tooLong", { max: SCHEDULE_TEXT_MAX }) }];
+      const job = await addScheduledJob({ runAt, target, text, createdBy: event.source?.userId });
+      logger.info({ jobId: job.id, runAt: toISO(new Date(runAt)), target }, "[Scheduler] job added via chat");
+      return [{ type: "text", text: t("schedule.added", { id: job.id, at: formatLocalTime(runAt), target }) }];
+    }
+  },
+  {
+    match: /^admin[:\s]+cancel\s+(\S+)$/i,
+    handle: async (_text, m, event) => {
+      const t = await translatorFor(event);
+      const denied = await authorize(event, "schedule.edit");
+      if (denied) return denied;
+      if (!(await cancelScheduledJob(m[1]))) return [{ type: "text", text: t("schedule.notFound", { id: m[1] }) }];
+      logger.info({ jobId: m[1] }, "[Scheduler] job cancelled via chat");
+      return [{ type: "text", text: t("schedule.cancelled", { id: m[1] }) }];
+    }
+  },
+  {
+    match: /^admin[:\s]+jobs$/i,
+    handle: async (_text, _m, event) => {
+      const t = await translatorFor(event);
+      const denied = await authorize(event, "schedule.view");
+      if (denied) return denied;
+      const jobs = await listScheduledJobs();
+      if (jobs.length === 0) return [{ type: "text", text: t("schedule.empty") }];
+      return [{ type: "text", text: truncate(jobs.map(j => `${j.id} ${formatLocalTime(j.runAt)} ${j.target}\n  ${truncate(j.text.replace(/\s+/g, " "), 40)}`).join("\n"), 5000) }];
+    }
+  },
+  {
+    match: /^admin[:\s]+(followers|members)(?:\s+(\S+))?$/i,
+    handle: async (_text, m, event) => {
+      const t = await translatorFor(event);
+      const denied = await authorize(event, "followers.view");
+      if (denied) return denied;
+      const all = await listMembers();
+      const c = countMembers(all);
+      const head = t("members.head", c);
+      if (!m[2]) return [{ type: "text", text: head }];
+      // "list" なら直近の友だち、それ以外はタグ名として絞り込み
+      const tag = /^list$/i.test(m[2]) ? null : m[2];
+      const users = all.filter(x => x.type === "user" && x.status === "active" && (!tag || (x.tags || []).includes(tag)));
+      const lines = users.slice(0, 30).map(x => `・${x.displayName || t("members.noName")} ${x.id}${x.tags?.length ? " [" + x.tags.join(",") + "]" : ""}`);
+      return [{ type: "text", text: truncate([head, tag ? t("members.tagCount", { tag, n: users.length }) : t("members.recent", { shown: lines.length, n: users.length }), ...lines].join("\n"), 5000) }];
     }
-    return m;
-  });
-}
-
-// ====== 管理者（自己登録） ======
-const adminsMem = new Set();
-async function isAdmin(userId) {
-  if (!userId) return false;
-  if (ADMIN_USER_IDS.includes(userId)) return true;
-  if (redis) return (await redis.sismember("admins", userId)) === 1;
-  return adminsMem.has(userId);
-}
-
-// ====== ルーター ======
-const routes = [
+  },
+  {
+    match: /^admin[:\s]+tag\s+(add|remove)\s+(\S+)\s+(U[0-9a-f]{32})$/i,
+    handle: async (_text, m, event) => {
+      const t = await translatorFor(event);
+      const denied = await authorize(event, "followers.tag");
+      if (denied) return denied;
+      if (!MEMBER_TAG_RE.test(m[2])) return [{ type: "text", text: t("members.invalidTag") }];
+      const member = await setMemberTag(m[3], m[2], m[1].toLowerCase() === "add");
+      if (!member) return [{ type: "text", text: t("members.notFound") }];
+      return [{ type: "text", text: t("members.tags", { name: member.displayName || member.id, tags: (member.tags || []).join(", ") || t("common.none") }) }];
+    }
+  },
+  {
+    match: /^reply\s+#?(\d+)\s+([\s\S]+)$/i,
+    command: "handoff",
+    handle: async (_text, m, event) => {
+      const t = await translatorFor(event);
+      const uid = event.source?.userId;
+      if (!(await isAdmin(uid))) return undefined; // 一般ゲストの "reply ..." は通常の発言として扱う
+      const denied = await authorize(event, "tickets.handle");
+      if (denied) return denied;
+      const ticket = await getTicket(m[1]);
+      if (!ticket || ticket.status === "closed") return [{ type: "text", text: t("ticket.notActive", { id: m[1] }) }];
+      await pushWithRetry(ticket.userId, [{ type: "text", text: m[2].trim() }]);
+      if (ticket.status === "open") await saveTicket({ ...ticket, status: "claimed", claimedBy: uid, claimedAt: toISO() });
+      logger.info({ ticketId: ticket.id }, "[Handoff] admin reply relayed");
+      return [{ type: "text", text: t("ticket.sent", { id: ticket.id }) }];
+    }
+  },
   {
-    match: /^admin[:\s]+register\s+(\S+)$/i,
+    match: /^admin[:\s]+(claim|close)\s+#?(\d+)$/i,
     handle: async (_text, m, event) => {
-      if (!ADMIN_REG_TOKEN) return [{ type: "text", text: "現在、管理者の自己登録はご利用いただけません。" }];
-      const token = m[1];
-      if (token !== ADMIN_REG_TOKEN) return [{ type: "text", text: "合言葉が一致しませんでした。" }];
-      if (event.source?.type !== "user" || !event.source.userId) return [{ type: "text", text: "個別トークでお試しください。" }];
-      const uid = event.source.userId;
-      if (redis) await redis.sadd("admins", uid); else adminsMem.add(uid);
-      return [{ type: "text", text: "管理者として登録いたしました。いつもありがとうございます。" }];
+      const t = await translatorFor(event);
+      const uid = event.source?.userId;
+      const denied = await authorize(event, "tickets.handle");
+      if (denied) return denied;
+      const ticket = await getTicket(m[2]);
+      if (!ticket || ticket.status === "closed") return [{ type: "text", text: t("ticket.notActive", { id: m[2] }) }];
+      if (m[1].toLowerCase() === "claim") {
+        await saveTicket({ ...ticket, status: "claimed", claimedBy: uid, claimedAt: toISO() });
+        return [{ type: "text", text: t("ticket.claimed", { id: ticket.id }) }];
+      }
+      await saveTicket({ ...ticket, status: "closed", closedAt: toISO(), closedBy: uid });
+      await pushWithRetry(ticket.userId, [{ type: "text", text: (await translatorForUser(ticket.userId))("handoff.ended") }]);
+      logger.info({ ticketId: ticket.id }, "[Handoff] ticket closed");
+      return [{ type: "text", text: t("ticket.closed", { id: ticket.id }) }];
     }
   },
   {
-    match: /^admin[:\s]+unregister$/i,
+    match: /^admin[:\s]+tickets$/i,
     handle: async (_text, _m, event) => {
-      if (event.source?.type !== "user" || !event.source.userId) return [{ type: "text", text: "個別トークでお試しください。" }];
-      const uid = event.source.userId;
-      if (redis) await redis.srem("admins", uid); else adminsMem.delete(uid);
-      return [{ type: "text", text: "管理者登録を解除いたしました。引き続きよろしくお願いいたします。" }];
+      const t = await translatorFor(event);
+      const denied = await authorize(event, "tickets.view");
+      if (denied) return denied;
+      const list = await listActiveTickets();
+      if (list.length === 0) return [{ type: "text", text: t("ticket.none") }];
+      return [{ type: "text", text: truncate(list.map(t => `${ticketLabel(t)} [${t.status}] ${formatLocalTime(Date.parse(t.openedAt))}`).join("\n"), 5000) }];
+    }
+  },
+  {
+    match: /^admin[:\s]+richmenu\s+(list|apply|reset)$/i,
+    handle: async (_text, m, event) => {
+      const t = await translatorFor(event);
+      const op = m[1].toLowerCase();
+      const denied = await authorize(event, op === "list" ? "richmenu.view" : "richmenu.apply");
+      if (denied) return denied;
+      if (!TOKEN) return [{ type: "text", text: t("richmenu.noToken") }];
+      try {
+        if (op === "apply") {
+          const r = await applyRichMenus();
+          logger.info({ created: r.created, reused: r.reused, deleted: r.deleted.length, linked: r.linked }, "[RichMenu] applied via chat");
+          return [{ type: "text", text: t("richmenu.applied", { created: r.created.join(", ") || t("common.none"), reused: r.reused.join(", ") || t("common.none"), deleted: r.deleted.length, linked: r.linked }) }];
+        }
+        if (op === "reset") {
+          const r = await resetRichMenus();
+          logger.info({ deleted: r.deleted.length }, "[RichMenu] reset via chat");
+          return [{ type: "text", text: t("richmenu.reset", { deleted: r.deleted.length }) }];
+        }
+        const defs = richMenus.loadDefinitions();
+        const remote = await richMenus.listRemote();
+        const defaultId = await richMenus.getDefault();
+        const lines = defs.map(d => {
+          const r = remote.find(x => x.name === d.name);
+          const flags = [d.default ? t("richmenu.flagDefault") : null, d.audience ? t("richmenu.flagAudience", { audience: d.audience }) : null, t(r ? (r.richMenuId === defaultId ? "richmenu.flagActive" : "richmenu.flagRegistered") : "richmenu.flagMissing")].filter(Boolean);
+          return `・${d.id} [${flags.join(" / ")}]`;
+        });
+        return [{ type: "text", text: t("richmenu.list", { defs: defs.length, remote: remote.length, lines: lines.join("\n") }) }];
+      } catch (e) {
+        logger.error({ err: String(e) }, "[RichMenu] command failed");
+        return [{ type: "text", text: t("richmenu.failed", { error: truncate(String(e.message || e), 200) }) }];
+      }
+    }
+  },
+  {
+    match: /^(?:lang|language|言語)(?:\s+(\S+))?$/i,
+    command: "lang",
+    handle: async (_text, m, event) => {
+      const t = await translatorFor(event);
+      const options = i18n.supported.join(" / ");
+      if (!m[1]) return [{ type: "text", text: t("lang.current", { name: i18n.languageName(t.lang), options }) }];
+      const lang = i18n.normalizeLang(m[1]);
+      if (!lang) return [{ type: "text", text: t("lang.unsupported", { options }) }];
+      if (!event.source?.userId) return [{ type: "text", text: t("common.directOnly") }];
+      await setUserLang(event.source.userId, lang);
+      logger.info({ lang }, "[I18n] language set via chat");
+      return [{ type: "text", text: i18n.t(lang, "lang.changed") }];
     }
   },
   {
-    match: /^admin[:\s]+(stats|status)$/i,
+    match: /^admin[:\s]+seating$/i,
     handle: async (_text, _m, event) => {
-      const uid = event.source?.userId;
-      if (await isAdmin(uid)) {
-        const mem = process.memoryUsage();
-        const body = [
-          `uptimeSec: ${Math.floor(process.uptime())}`,
-          `rssMB: ${(mem.rss / 1024 / 1024).toFixed(1)}`,
-          `heapUsedMB: ${(mem.heapUsed / 1024 / 1024).toFixed(1)}`,
-          `perKeyQueues: ${perKeyQueue.size}`,
-          `seenCacheSize: ${seenSize()}`,
-          `tapGuardSize: ${tapGuardSize()}`,
-          `rateEntries: ${rate.size}`,
-          `redis: ${!!redis}`,
-        ].join("\n");
-        return [{ type: "text", text: body }];
+      const t = await translatorFor(event);
+      const denied = await authorize(event, "seating.view");
+      if (denied) return denied;
+      const guests = await listSeatingGuests();
+      const tables = await listSeatingTables();
+      const counts = {};
+      for (const g of guests) counts[g.table] = (counts[g.table] || 0) + 1;
+      const lines = Object.entries(counts).map(([table, n]) => `・${table}: ${n}`);
+      const head = t("seating.admin.summary", { guests: guests.length, linked: guests.filter(g => g.userId).length, tables: tables.length });
+      return [{ type: "text", text: truncate([head, ...lines].join("\n"), 5000) }];
+    }
+  },
+  {
+    match: /^admin[:\s]+seating\s+(import|tables)\s*\n([\s\S]+)$/i,
+    handle: async (_text, m, event) => {
+      const t = await translatorFor(event);
+      const denied = await authorize(event, "seating.edit");
+      if (denied) return denied;
+      if (m[1].toLowerCase() === "tables") {
+        const { tables, errors } = seating.parseTableCsv(m[2]);
+        if (errors.length) return [{ type: "text", text: t("seating.admin.importFailed", { errors: errors.slice(0, 10).join("\n") }) }];
+        await replaceSeatingTables(tables);
+        logger.info({ tables: tables.length }, "[Seating] tables imported via chat");
+        return [{ type: "text", text: t("seating.admin.tablesImported", { n: tables.length }) }];
       }
-      return [{ type: "text", text: "権限対象ではございません。" }];
+      const { guests, errors } = seating.parseGuestCsv(m[2]);
+      if (errors.length) return [{ type: "text", text: t("seating.admin.importFailed", { errors: errors.slice(0, 10).join("\n") }) }];
+      const saved = await replaceSeatingGuests(guests);
+      logger.info({ guests: saved.length }, "[Seating] guests imported via chat");
+      return [{ type: "text", text: t("seating.admin.imported", { n: saved.length, linked: saved.filter(g => g.userId).length }) }];
+    }
+  },
+  {
+    match: /^admin[:\s]+seating\s+export$/i,
+    handle: async (_text, _m, event) => {
+      const t = await translatorFor(event);
+      const denied = await authorize(event, "seating.export");
+      if (denied) return denied;
+      const guests = await listSeatingGuests();
+      if (guests.length === 0) return [{ type: "text", text: t("seating.admin.empty") }];
+      return [{ type: "text", text: truncate(seating.guestsToCsv(guests), 5000) }];
+    }
+  },
+  {
+    match: /^admin[:\s]+seat\s+([^|\n]+)\|([^|\n]+)(?:\|([^|\n]*))?$/i,
+    handle: async (_text, m, event) => {
+      const t = await translatorFor(event);
+      const denied = await authorize(event, "seating.edit");
+      if (denied) return denied;
+      const tableId = m[2].trim(), seat = (m[3] || "").trim();
+      if (!seating.TABLE_ID_RE.test(tableId) || seat.length > seating.SEAT_MAX) return [{ type: "text", text: t("seating.admin.reassignUsage") }];
+      const { guest, error } = await reassignSeat(m[1].trim(), tableId, seat);
+      if (error) return [{ type: "text", text: t(`seating.${error}`) }];
+      logger.info({ guestId: guest.id, table: guest.table, by: event.source?.userId }, "[Seating] reassigned via chat");
+      return [{ type: "text", text: t("seating.admin.reassigned", { name: guest.name, table: guest.table, seat: guest.seat || "-" }) }];
+    }
+  },
+  { match: SEATING_SHOW_RE, command: "seating", handle: async (_t, _m, event) => tableMessages(event) },
+  { match: SEATING_LINK_RE, command: "seating", handle: async (_t, m, event) => linkTableMessages(event, m[1].trim()) },
+  { match: HANDOFF_START_RE, command: "handoff", handle: async (text, _m, event) => startHandoff(event, text) },
+  { match: RSVP_START_RE, command: "rsvp", handle: async (_t, _m, event) => startRsvp(event) },
+  {
+    match: /^admin[:\s]+photos$/i,
+    handle: async (_text, _m, event) => {
+      const t = await translatorFor(event);
+      const denied = await authorize(event, "photos.view");
+      if (denied) return denied;
+      const pending = await listPhotos({ album: "guest", status: "pending" });
+      const approved = await listPhotos({ album: "guest", status: "approved" });
+      const lines = pending.slice(0, 20).map(p => `・${p.id} ${p.uploaderName || p.uploadedBy || "-"} ${formatLocalTime(Date.parse(p.createdAt))}`);
+      return [{ type: "text", text: [t("photo.adminSummary", { pending: pending.length, approved: approved.length }), ...lines].join("\n") }];
+    }
+  },
+  {
+    match: /^admin[:\s]+photo\s+(approve|reject|delete)\s+(\S+)$/i,
+    handle: async (_text, m, event) => {
+      const t = await translatorFor(event);
+      const denied = await authorize(event, "photos.moderate");
+      if (denied) return denied;
+      const photo = await moderatePhoto(m[2], m[1].toLowerCase(), event.source.userId);
+      if (!photo) return [{ type: "text", text: t("photo.notFound", { id: m[2] }) }];
+      logger.info({ photoId: photo.id, status: photo.status }, "[Photos] moderated via chat");
+      return [{ type: "text", text: t("photo.moderated", { id: photo.id, status: photo.status }) }];
     }
   },
-  { match: /^faq$/i, handle: async () => [createFaqListFlex()] },
-  { match: /^faq:(.+)$/i, handle: async (_t, m) => { const key = m[1].trim(); return faqData[key] ? [createFaqAnswerFlex(key)] : null; } },
-  { match: /\bhuku\b/i, handle: async () => createRandomRabbitImage() },
-  { match: /^test$/i, handle: async () => [{ type: "text", text: "Hello, user" }, { type: "text", text: "May I help you?" }] },
+  { match: /^(gallery|ギャラリー|フォトギャラリー)$/i, command: "gallery", handle: async (_t, _m, event) => galleryMessages(await translatorFor(event)) },
 ];
 
-async function routeMessage(text, event) {
-  for (const r of routes) {
-    const m = text.match(r.match);
-    if (m) return await r.handle(text, m, event);
+// ====== プラグイン（core + plugins/*.js + PLUGIN_MODULES。登録順に振り分け、仕様は lib/plugins.js） ======
+const BUILTIN_PLUGINS = ["admin", "groups", "faq", "quiz", "huku", "test"];
+const plugins = createPluginHost({ logger, metrics: { handled: pluginHandledCounter, errors: pluginErrorCounter } });
+
+const corePlugin = {
+  name: "core",
+  handlers: [
+    ...routes.map(r => ({ text: r.match, command: r.command, handle: ({ text, match, event }) => r.handle(text, match, event) })),
+    { postback: "rsvp:", command: "rsvp", handle: ({ event, data }) => handleRsvpPostback(event, data) },
+    {
+      postback: "photo:",
+      handle: async ({ event, data }) => {
+        const [, action, id] = data.split(":");
+        if (!["approve", "reject"].includes(action) || !(await isAdmin(event.source?.userId))) return null; // ゲストには何も返さない
+        const denied = await authorize(event, "photos.moderate");
+        if (denied) return denied;
+        const photo = await moderatePhoto(id, action, event.source.userId);
+        const t = await translatorFor(event);
+        return [{ type: "text", text: photo ? t("photo.moderated", { id, status: photo.status }) : t("photo.notFound", { id }) }];
+      }
+    },
+    {
+      event: ["follow", "unfollow", "join", "leave", "memberJoined", "memberLeft"],
+      handle: async ({ event, rid }) => {
+        const member = await recordMembershipEvent(event);
+        logger.info({ rid, eventId: event.webhookEventId || "no-id", type: event.type, memberId: member?.id || null }, "[Members] recorded");
+        if (event.type === "follow") return createWelcomeMessages(member, await translatorFor(event));
+        if (event.type === "join" || event.type === "memberJoined") return groupWelcomeMessages(event);
+        return null;
+      }
+    },
+    { event: "image", handle: ({ event }) => handleImageMessage(event) },
+  ],
+};
+
+// プラグイン用の小さな KV（キーは plugin:<名前>:<key>、値は JSON）。Redis 優先／未設定時はメモリ
+const pluginStoreMem = new Map(); // key -> { value, expireAt }
+function createPluginStore(name) {
+  const k = (key) => `plugin:${name}:${key}`;
+  return {
+    async get(key) {
+      if (redis) { const raw = await redis.get(k(key)); try { return raw ? JSON.parse(raw) : null; } catch { return null; } }
+      const v = pluginStoreMem.get(k(key));
+      if (v && v.expireAt && v.expireAt <= now()) { pluginStoreMem.delete(k(key)); return null; }
+      return v ? v.value : null;
+    },
+    async set(key, value, ttlMs = 0) {
+      if (redis) { await (ttlMs ? redis.set(k(key), JSON.stringify(value), "PX", ttlMs) : redis.set(k(key), JSON.stringify(value))); return; }
+      pluginStoreMem.set(k(key), { value, expireAt: ttlMs ? now() + ttlMs : 0 });
+    },
+    async del(key) { if (redis) await redis.del(k(key)); else pluginStoreMem.delete(k(key)); },
+  };
+}
+// 同名のメトリクスは使い回す（プラグインの再読込・複数回 init でも重複登録しない）
+const pluginMetric = (Type) => ({ name, ...opts }) => prom.register.getSingleMetric(name) || new Type({ name, ...opts });
+
+async function runtimeStats() {
+  const mem = process.memoryUsage();
+  return {
+    uptimeSec: Math.floor(process.uptime()),
+    rssMB: (mem.rss / 1024 / 1024).toFixed(1),
+    heapUsedMB: (mem.heapUsed / 1024 / 1024).toFixed(1),
+    perKeyQueues: perKeyQueue.size,
+    seenCacheSize: seenSize(),
+    tapGuardSize: tapGuardSize(),
+    rateEntries: rateSize(),
+    queue: redis && FAST_HTTP_EARLY_200 ? "redis-stream" : FAST_HTTP_EARLY_200 ? `memory(${memQueue.length})` : "sync",
+    deadLetters: await countDeadLetters(),
+    redis: !!redis,
+    plugins: plugins.list().map(p => p.name).join(","),
+    phase: (await currentPhase())?.id || "-",
+    lineApi: Object.entries(lineClient.circuit()).map(([api, c]) => `${api}:${c.state}`).join(","),
+  };
+}
+
+// プラグインに渡す共有サービス（store は lib/plugins.js がプラグインごとに storeFor で差し込む）
+const services = {
+  logger, redis, i18n, translatorFor, translatorForUser, notifyAdmins,
+  reply: replyWithRetryOrPush, push: pushWithRetry, multicast: multicastWithRetry,
+  storeFor: createPluginStore,
+  metrics: { counter: pluginMetric(prom.Counter), gauge: pluginMetric(prom.Gauge), histogram: pluginMetric(prom.Histogram) },
+  admins: { isAdmin, authorize, permissions, record: getAdminRecord, list: listAdmins, setRole: setAdminRole, issueToken: issueRegToken, redeemToken: redeemRegToken },
+  audit: { append: appendAudit, list: listAudit },
+  members: { get: getMember },
+  faqs: { list: listFaqs, get: getFaq, save: saveFaq, remove: removeFaq, saveTranslation: saveFaqTranslation, validate: validateFaqInput, parseCommand: parseFaqCommand, listFlex: createFaqListFlex, answerFlex: createFaqAnswerFlex },
+  photos: { get: getPhoto, save: savePhoto, list: listPhotos, url: photoUrl, storage: photoStorage },
+  phases: { current: currentPhase, status: phaseStatus, list: () => phaseConfig.phases, get: (id) => phaseConfig.get(id), setOverride: setPhaseOverride, apply: applyPhaseChange, isFaqHidden },
+  maintenance: { get: getMaintenance, set: setMaintenance },
+  insights: { noteFaq: noteFaqAsked, noteUnmatched, record: recordInsight, report: insightsReport, forgetUnmatched },
+  quiz: { status: quizStatus, next: startNextQuestion, reveal: revealQuestion, reset: resetQuiz, answer: answerQuiz, leaderboard: quizLeaderboard, rankingMessages },
+  groups: { idOf: chatIdOf, getSettings: getGroupSettings, setSettings: setGroupSettings, commands: groupCommands },
+  flex: { render: flexTemplates.render, message: flexTemplates.message, validate: validateFlexMessage },
+  settings: { effective: effectiveSettings, reload: reloadSettings },
+  runtimeStats,
+  util: { truncate, chunk, withQuickReply, toISO, formatLocalTime },
+};
+
+plugins.use(corePlugin);
+for (const name of BUILTIN_PLUGINS) plugins.use(require(`./plugins/${name}`));
+for (const mod of PLUGIN_MODULES) plugins.use(require(path.resolve(mod)));
+
+// 完全一致ルート（プラグイン） → インテント（スコア最大） → フォールバック の順。いずれも無ければ沈黙
+// インテントとフォールバックは現在のフェーズで絞る（intents の phases、フェーズの hideFaqs）
+// allow: グループで使えるコマンドの絞り込み（gateGroupEvent）。"intents" が無効ならインテント・フォールバックも行わない
+// 結果は質問の分析に記録する（FAQ を答えたら faq、それ以外はコマンド／インテント、何も返せない・無い FAQ なら unmatched）
+async function routeMessage(text, event, { allow = null } = {}) {
+  const { msgs, kind, key } = await classifyMessage(text, event, allow);
+  const faq = faqAskedByEvent.get(event);
+  await recordInsight(event, text, faq ? { kind: "faq", key: faq } : unmatchedByEvent.has(event) ? { kind: "unmatched" } : { kind, key });
+  return msgs;
+}
+async function classifyMessage(text, event, allow) {
+  let command = null;
+  const routed = await plugins.dispatchText(text, event, {}, { allow, onHandled: (h) => { command = h.command; } });
+  if (routed !== undefined) return { msgs: routed, kind: "route", key: command };
+  if (allow && !allow("intents")) return { msgs: null, kind: "unmatched" };
+  const phase = await currentPhase();
+  const hit = matchIntent(text, phase);
+  if (hit) {
+    logger.info({ intent: hit.intent.id, score: +hit.score.toFixed(2), phase: phase?.id }, "[Intents] matched");
+    return { msgs: await respondIntent(hit.intent, text, event, phase), kind: "intent", key: hit.intent.id };
   }
-  return null; // ヒットしなければ沈黙
+  return { msgs: await intentFallback(text, event, phase), kind: "unmatched" };
 }
 
 // ====== 署名検証 ======
+// 秘密情報が無いときは STRICT_SIGNATURE でなければ通す（開発用）
 function validateSignature(req) {
-  if (!CHANNEL_SECRET) return { ok: true, reason: "no-secret" };
+  if (!CHANNEL_SECRET) return { ok: !STRICT_SIGNATURE, reason: "no-secret" };
   const signature = req.get("x-line-signature");
   if (!signature || !req.rawBody) return { ok: false, reason: "missing" };
   const digest = createHmac("sha256", CHANNEL_SECRET).update(req.rawBody).digest("base64");
@@ -306,7 +2245,7 @@ function validateSignature(req) {
   return { ok, reason: ok ? "match" : "mismatch" };
 }
 
-// ====== 返信/Push（undici + リトライ） ======
+// ====== 返信/Push（送信は lineClient。ここではメッセージの整形と件数の記録） ======
 function ensureSendable() {
   if (!TOKEN) {
     logger.warn("[Reply/Push] skipped: LINE_ACCESS_TOKEN not set");
@@ -315,80 +2254,61 @@ function ensureSendable() {
   return true;
 }
 
-async function replyWithRetry(eventId, replyToken, rawMessages) {
-  const start = now();
+// 返信トークンの期限（LINE_REPLY_TOKEN_TTL_MS）を過ぎる再試行はしない。失敗は err.deadlineExceeded
+async function replyWithRetry(event, rawMessages) {
+  const eventId = event.webhookEventId || "no-id";
   const messages = stripEmptyQuickReply(sanitizeMessages(rawMessages));
   if (messages.length === 0) { logger.warn({ eventId }, "[Reply Skip] no-messages"); return; }
   if (!ensureSendable()) return;
-
-  const maxAttempts = 4;
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    try {
-      const resp = await lineFetch("/v2/bot/message/reply", {
-        method: "POST",
-        body: JSON.stringify({ replyToken, messages })
-      });
-      if (resp.ok) {
-        replyCounter.inc(messages.length);
-        logger.info({ eventId, status: resp.status, attempt, elapsed: elapsed(start), size: messages.length }, "LINE Reply OK");
-        return;
-      }
-      const retryAfterSec = parseInt(resp.headers.get("retry-after") || "0", 10);
-      const bodyText = await resp.text().catch(() => "");
-      logger.error({ eventId, attempt, status: resp.status, data: summarizeData(bodyText), elapsed: elapsed(start) }, "LINE Reply error");
-      if (resp.status === 429 || (resp.status >= 500 && resp.status < 600)) {
-        const backoff = retryAfterSec > 0 ? retryAfterSec * 1000 : Math.min(2000 * Math.pow(2, attempt - 1), 8000);
-        await sleep(backoff); continue;
-      }
-      const err = new Error(`Reply failed ${resp.status}: ${bodyText}`); err.response = { status: resp.status }; throw err;
-    } catch (err) {
-      if (attempt >= maxAttempts) throw err;
-      await sleep(Math.min(2000 * Math.pow(2, attempt - 1), 8000));
-    }
-  }
+  await lineClient.reply(event.replyToken, messages, { deadline: (event.timestamp || now()) + LINE_REPLY_TOKEN_TTL_MS, ctx: { eventId } });
+  replyCounter.inc(messages.length);
 }
 
 async function pushWithRetry(to, rawMessages) {
-  const start = now();
   const messages = stripEmptyQuickReply(sanitizeMessages(rawMessages));
   if (messages.length === 0) return;
   if (!ensureSendable()) return;
+  await lineClient.push(to, messages);
+  pushCounter.inc(messages.length);
+}
 
-  const maxAttempts = 4;
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    try {
-      const resp = await lineFetch("/v2/bot/message/push", {
-        method: "POST",
-        body: JSON.stringify({ to, messages })
-      });
-      if (resp.ok) {
-        pushCounter.inc(messages.length);
-        logger.info({ to, status: resp.status, attempt, elapsed: elapsed(start), size: messages.length }, "LINE Push OK");
-        return;
-      }
-      const retryAfterSec = parseInt(resp.headers.get("retry-after") || "0", 10);
-      const bodyText = await resp.text().catch(() => "");
-      logger.error({ to, attempt, status: resp.status, data: summarizeData(bodyText), elapsed: elapsed(start) }, "LINE Push error");
-      if (resp.status === 429 || (resp.status >= 500 && resp.status < 600)) {
-        const backoff = retryAfterSec > 0 ? retryAfterSec * 1000 : Math.min(2000 * Math.pow(2, attempt - 1), 8000);
-        await sleep(backoff); continue;
-      }
-      const err = new Error(`Push failed ${resp.status}: ${bodyText}`); err.response = { status: resp.status }; throw err;
-    } catch (err) {
-      if (attempt >= maxAttempts) throw err;
-      await sleep(Math.min(2000 * Math.pow(2, attempt - 1), 8000));
-    }
+// multicast は1リクエスト500件までなので分割送信
+async function multicastWithRetry(userIds, rawMessages) {
+  const messages = stripEmptyQuickReply(sanitizeMessages(rawMessages));
+  const to = [...new Set((userIds || []).filter(Boolean))];
+  if (messages.length === 0 || to.length === 0) return;
+  if (!ensureSendable()) return;
+  for (const batch of chunk(to, 500)) {
+    await lineClient.multicast(batch, messages);
+    multicastCounter.inc(messages.length * batch.length);
   }
 }
 
+async function broadcastWithRetry(rawMessages) {
+  const messages = stripEmptyQuickReply(sanitizeMessages(rawMessages));
+  if (messages.length === 0) return;
+  if (!ensureSendable()) return;
+  await lineClient.broadcast(messages);
+  broadcastCounter.inc(messages.length);
+}
+
+// 返信できなかった（4xx・トークン期限切れ）1:1 のトークは push で届ける。ブレーカーが開いているときは push もしない
 async function replyWithRetryOrPush(event, rawMessages) {
   const eventId = event.webhookEventId || "no-id";
   try {
-    await replyWithRetry(eventId, event.replyToken, rawMessages);
+    await replyWithRetry(event, rawMessages);
   } catch (e) {
     const status = e.response?.status;
-    if ((status >= 400 && status < 500) && event.source?.type === "user" && event.source.userId) {
-      logger.warn({ eventId, status }, "Reply failed -> Push fallback");
+    // 5xx・タイムアウトの試行があった返信は届いているかもしれないので push しない（二重送信より欠落を選ぶ）
+    // キューの再試行にも回さない（同じ返信トークンは 400 になり、そこから push してしまう）。届いていないと確認できたら dead-letter から再投入すると push される
+    if (e.maybeAccepted) {
+      replyUnconfirmedCounter.inc();
+      await addDeadLetter({ event, rid: null, attempts: 0, error: `reply may have been accepted: ${String(e?.message || e)}` });
+      logger.error({ eventId, status, deadlineExceeded: !!e.deadlineExceeded }, "Reply may have been accepted -> no Push fallback, dead-letter");
+      return;
+    }
+    if (((status >= 400 && status < 500) || e.deadlineExceeded) && event.source?.type === "user" && event.source.userId) {
+      logger.warn({ eventId, status, deadlineExceeded: !!e.deadlineExceeded }, "Reply failed -> Push fallback");
       await pushWithRetry(event.source.userId, rawMessages);
     } else { throw e; }
   }
@@ -406,40 +2326,162 @@ async function isDuplicate(event) {
 function seenSize() { return redis ? -1 : seenMem.size; }
 
 // ====== ログ整形（合言葉は伏字化） ======
+function maskedText(e) {
+  const txt = e.message?.text;
+  return typeof txt === "string" && /^admin[:\s]+register\s+\S+/i.test(txt) ? "admin:register ******" : txt;
+}
 function safeLogEvent(e, rid) {
-  let txt = e.message?.text;
-  if (typeof txt === "string" && /^admin[:\s]+register\s+\S+/i.test(txt)) txt = "admin:register ******";
-  const base = { rid, eventId: e.webhookEventId || null, type: e.type, source: e.source?.type, msgType: e.message?.type, text: txt };
+  const base = { rid, eventId: e.webhookEventId || null, type: e.type, source: e.source?.type, msgType: e.message?.type, text: maskedText(e) };
   logger.info(base, "[Webhook Event]");
 }
 
+// ---- 直近のイベント（管理画面用。Redis リスト webhook:recent／未設定時はメモリ、新しい順に RECENT_EVENTS_MAX 件） ----
+const recentEventsMem = [];
+async function recordRecentEvent(e, rid) {
+  const rec = {
+    ts: toISO(), rid, eventId: e.webhookEventId || null, type: e.type, source: e.source?.type, sourceId: e.source?.groupId || e.source?.roomId || e.source?.userId || null,
+    msgType: e.message?.type, text: e.message?.text !== undefined ? truncate(maskedText(e), 200) : undefined, data: e.postback?.data !== undefined ? truncate(e.postback.data, 200) : undefined,
+  };
+  try {
+    if (redis) await redis.multi().lpush("webhook:recent", JSON.stringify(rec)).ltrim("webhook:recent", 0, RECENT_EVENTS_MAX - 1).exec();
+    else { recentEventsMem.unshift(rec); recentEventsMem.length = Math.min(recentEventsMem.length, RECENT_EVENTS_MAX); }
+  } catch (err) {
+    logger.warn({ rid, err: String(err) }, "[RecentEvents] record failed");
+  }
+}
+async function listRecentEvents(limit = RECENT_EVENTS_MAX) {
+  if (!redis) return recentEventsMem.slice(0, limit);
+  return (await redis.lrange("webhook:recent", 0, limit - 1)).map(raw => { try { return JSON.parse(raw); } catch { return null; } }).filter(Boolean);
+}
+
 // ====== ダブルタップ抑止（タップガード） ======
 const tapMem = new Map(); // mapKey -> expireAt
 setInterval(() => { if (redis) return; const t = Date.now(); for (const [k, exp] of tapMem.entries()) if (exp <= t) tapMem.delete(k); }, 60 * 1000).unref();
 function normalizePayloadText(s) { return String(s || "").trim().toLowerCase(); }
-async function tapGuardAccept(userOrGroupKey, payloadText) {
+// ttlMs: 同じ操作を受け付けない期間（既定は TAP_DEBOUNCE_MS。クイズの回答は問題の受付期間いっぱい）
+async function tapGuardAccept(userOrGroupKey, payloadText, ttlMs = TAP_DEBOUNCE_MS) {
   const norm = normalizePayloadText(payloadText);
   const mapKey = `${userOrGroupKey}|${norm}`;
   if (redis) {
-    const ok = await redis.set(`tap:${mapKey}`, "1", "PX", TAP_DEBOUNCE_MS, "NX");
+    const ok = await redis.set(`tap:${mapKey}`, "1", "PX", ttlMs, "NX");
     const accept = ok === "OK"; if (!accept) tapGuardBlockCounter.inc(); return accept;
   } else {
     const t = Date.now(); const exp = tapMem.get(mapKey);
     if (exp && exp > t) { tapGuardBlockCounter.inc(); return false; }
-    tapMem.set(mapKey, t + TAP_DEBOUNCE_MS); return true;
+    tapMem.set(mapKey, t + ttlMs); return true;
   }
 }
 function tapGuardSize() { return redis ? -1 : tapMem.size; }
 
-// ====== レート制限（ユーザー単位 簡易トークンバケット） ======
-const rate = new Map(); // key -> { tokens, updatedAt }
-function allowRate(key) {
-  const nowSec = Math.floor(Date.now() / 1000);
-  const cur = rate.get(key) || { tokens: RATE_CAP, updatedAt: nowSec };
-  const refill = (nowSec - cur.updatedAt) * RATE_REFILL;
-  const tokens = Math.min(RATE_CAP, cur.tokens + refill);
-  if (tokens < 1) { rate.set(key, { tokens, updatedAt: nowSec }); rateLimitBlockCounter.inc(); return false; }
-  rate.set(key, { tokens: tokens - 1, updatedAt: nowSec }); return true;
+// ====== レート制限（トークンバケット：Redis Lua で全レプリカ共通／未設定時はメモリ＋TTL 掃除） ======
+// ポリシー: default（全イベント、送信元種別ごとに上書き可）と、テキスト正規表現／postback 前方一致で選ぶルート別ポリシー
+const RATE_IDLE_TTL_MAX_MS = 24 * 3600 * 1000;
+const rateMem = new Map(); // bucketKey -> { tokens, updatedAt, expireAt }
+setInterval(() => { const t = now(); for (const [k, v] of rateMem.entries()) if (v.expireAt <= t) rateMem.delete(k); }, 60 * 1000).unref();
+
+if (redis) {
+  // 戻り値 1=許可 / 0=拒否。時刻は Redis の TIME を使いレプリカ間の時計ずれを避ける
+  redis.defineCommand("rateTake", {
+    numberOfKeys: 1,
+    lua: `
+      local cap = tonumber(ARGV[1])
+      local refill = tonumber(ARGV[2])
+      local ttl = tonumber(ARGV[3])
+      local t = redis.call("TIME")
+      local nowms = tonumber(t[1]) * 1000 + math.floor(tonumber(t[2]) / 1000)
+      local b = redis.call("HMGET", KEYS[1], "t", "u")
+      local tokens = tonumber(b[1]) or cap
+      local updated = tonumber(b[2]) or nowms
+      tokens = math.min(cap, tokens + math.max(0, nowms - updated) / 1000 * refill)
+      local allowed = 0
+      if tokens >= 1 then tokens = tokens - 1; allowed = 1 end
+      redis.call("HSET", KEYS[1], "t", tostring(tokens), "u", tostring(nowms))
+      redis.call("PEXPIRE", KEYS[1], ttl)
+      return allowed`,
+  });
+}
+
+// 満タンに戻るまでの時間が過ぎたバケットは初期状態と同じなので捨ててよい
+const bucketTtlMs = ({ cap, refillPerSec }) => (refillPerSec > 0 ? Math.min(RATE_IDLE_TTL_MAX_MS, Math.ceil(cap / refillPerSec * 1000) + 1000) : RATE_IDLE_TTL_MAX_MS);
+
+function takeTokenMem(bucketKey, limit) {
+  const t = now();
+  const cur = rateMem.get(bucketKey) || { tokens: limit.cap, updatedAt: t };
+  const tokens = Math.min(limit.cap, cur.tokens + (t - cur.updatedAt) / 1000 * limit.refillPerSec);
+  const allowed = tokens >= 1;
+  rateMem.set(bucketKey, { tokens: allowed ? tokens - 1 : tokens, updatedAt: t, expireAt: t + bucketTtlMs(limit) });
+  return allowed;
+}
+
+function compileRatePolicies(raw = {}) {
+  const limitOf = (o, base) => ({
+    cap: Number.isFinite(Number(o?.cap)) ? Number(o.cap) : base.cap,
+    refillPerSec: Number.isFinite(Number(o?.refillPerSec)) ? Number(o.refillPerSec) : base.refillPerSec,
+  });
+  const bySourceOf = (o, base) => Object.fromEntries(Object.entries(o?.bySource || {}).map(([src, l]) => [src, limitOf(l, base)]));
+  const def = limitOf(raw.default, { cap: RATE_CAP, refillPerSec: RATE_REFILL });
+  return {
+    notify: { text: raw.notify?.text || null, cooldownMs: Number(raw.notify?.cooldownMs) || 30000 },
+    default: { name: "default", ...def, notify: !!raw.default?.notify, bySource: bySourceOf(raw.default, def) },
+    policies: (raw.policies || []).map((p, i) => {
+      if (!p?.name || (!p.match && !p.postback)) throw new Error(`policies[${i}] requires name and match or postback`);
+      const lim = limitOf(p, def);
+      return { name: String(p.name), match: p.match ? new RegExp(p.match, "i") : null, postback: p.postback || null, ...lim, notify: !!p.notify, bySource: bySourceOf(p, lim) };
+    }),
+  };
+}
+// 再読込（current あり）でファイルが壊れていたら current を維持する（ルート別ポリシーを黙って落とさない）
+function loadRatePolicies(current = null) {
+  try {
+    return compileRatePolicies(JSON.parse(fs.readFileSync(RATE_LIMITS_FILE, "utf8")));
+  } catch (e) {
+    if (e.code === "ENOENT") return compileRatePolicies();
+    if (current) {
+      logger.error({ file: RATE_LIMITS_FILE, err: String(e) }, "[RateLimit] policy reload failed, keeping current policies");
+      return current;
+    }
+    logger.error({ file: RATE_LIMITS_FILE, err: String(e) }, "[RateLimit] policy load failed, using RATE_CAP/RATE_REFILL only");
+    return compileRatePolicies();
+  }
+}
+let ratePolicies = loadRatePolicies();
+logger.info({ file: RATE_LIMITS_FILE, policies: ratePolicies.policies.map(p => p.name) }, "[BOOT] rate limit policies");
+
+// テキスト or postback data からルート別ポリシーを選ぶ（該当なしは null）
+function matchRatePolicy({ text, postback }) {
+  for (const p of ratePolicies.policies) {
+    if (text !== undefined && p.match && p.match.test(text)) return p;
+    if (postback !== undefined && p.postback && postback.startsWith(p.postback)) return p;
+  }
+  return null;
+}
+
+// 許可なら true。Redis 障害時は通す（fail-open）
+async function allowRate(key, policy = ratePolicies.default, sourceType = "unknown") {
+  const limit = policy.bySource[sourceType] || policy;
+  const bucketKey = `${policy.name}:${key}`;
+  let allowed;
+  if (redis) {
+    try { allowed = (await redis.rateTake(`rl:${bucketKey}`, limit.cap, limit.refillPerSec, bucketTtlMs(limit))) === 1; }
+    catch (e) { logger.warn({ err: String(e), bucketKey }, "[RateLimit] redis error -> allow"); return true; }
+  } else {
+    allowed = takeTokenMem(bucketKey, limit);
+  }
+  if (!allowed) rateLimitBlockCounter.inc({ policy: policy.name, source: sourceType });
+  return allowed;
+}
+function rateSize() { return redis ? -1 : rateMem.size; }
+
+// notify 有効なポリシーで止めたとき、cooldown ごとに1回だけ丁寧なお断りを返す
+async function notifyRateLimited(event, policy) {
+  if (!policy.notify || !event.replyToken) return;
+  const key = `rlnote:${policy.name}:${keyFromEvent(event)}`;
+  const first = redis
+    ? (await redis.set(key, "1", "PX", ratePolicies.notify.cooldownMs, "NX")) === "OK"
+    : takeTokenMem(key, { cap: 1, refillPerSec: 1000 / ratePolicies.notify.cooldownMs });
+  if (!first) return;
+  const t = await translatorFor(event);
+  await replyWithRetryOrPush(event, [{ type: "text", text: i18n.localize(ratePolicies.notify.text, t.lang) || t("ratelimit.notify") }]);
 }
 
 // ====== キュー制御（per-key 直列実行） ======
@@ -460,43 +2502,278 @@ function lockPerKeyAndRun(key, taskFn) {
   return run;
 }
 
+// ====== Webhook ジョブキュー（Redis Stream／メモリ、失敗は dead-letter へ） ======
+// 受信イベントを ACK 前に永続化し、ワーカーが per-key 直列（lockPerKeyAndRun）で処理する。
+// 順序保証はプロセス内（従来の lockPerKeyAndRun と同じ範囲）。
+const QUEUE_STREAM = "webhook:events";
+const QUEUE_GROUP = "workers";
+const QUEUE_CONSUMER = `${os.hostname()}-${process.pid}`;
+const DLQ_MEM_MAX = 1000;
+const memQueue = []; // { id, event, rid, attempts }
+const dlqMem = new Map(); // id -> dead letter
+let queueReader = null; // XREADGROUP BLOCK 用の専用接続
+let queueStopping = false;
+let memQueueDrain = null; // 処理中の drainMemQueue（停止時はこれを待つ）
+
+async function enqueueEvents(events, rid) {
+  if (redis) {
+    const tx = redis.multi();
+    for (const event of events) tx.xadd(QUEUE_STREAM, "MAXLEN", "~", 10000, "*", "data", JSON.stringify({ event, rid, attempts: 0 }));
+    const results = await tx.exec();
+    const failed = results.find(([err]) => err);
+    if (failed) throw failed[0];
+    return;
+  }
+  for (const event of events) memQueue.push({ id: randomUUID(), event, rid, attempts: 0 });
+  setImmediate(drainMemQueue);
+}
+
+// 1件を最大 QUEUE_MAX_ATTEMPTS 回試行（per-key ロック内で再試行するので後続イベントを追い越さない）
+async function handleQueuedEvent(entry) {
+  const { event, rid } = entry;
+  const eventId = event.webhookEventId || "no-id";
+  let attempt = entry.attempts || 0;
+  for (;;) {
+    attempt++;
+    try {
+      await processEvent(event, rid, { retry: attempt > 1 || !!entry.replay });
+      queueEventCounter.inc({ result: "ok" });
+      return;
+    } catch (e) {
+      if (attempt >= QUEUE_MAX_ATTEMPTS) {
+        await addDeadLetter({ id: entry.id, event, rid, attempts: attempt, error: String(e?.message || e) });
+        queueEventCounter.inc({ result: "dead" });
+        logger.error({ rid, eventId, attempt, err: String(e) }, "[Queue] giving up -> dead-letter");
+        return;
+      }
+      queueEventCounter.inc({ result: "retry" });
+      logger.warn({ rid, eventId, attempt, err: String(e) }, "[Queue] processing failed, retrying");
+      await sleep(QUEUE_RETRY_DELAY_MS * attempt);
+    }
+  }
+}
+
+function dispatchQueued(entry, onDone) {
+  return lockPerKeyAndRun(keyFromEvent(entry.event), async () => {
+    try { await handleQueuedEvent(entry); } finally { await onDone(); }
+  });
+}
+
+// 停止中も空になるまで続ける（メモリのキューは再起動で消えるので、SIGTERM でも処理し切ってから終わる）
+function drainMemQueue() {
+  if (memQueueDrain) return memQueueDrain;
+  memQueueDrain = (async () => {
+    while (memQueue.length > 0) {
+      const batch = memQueue.splice(0, 20);
+      await Promise.allSettled(batch.map(entry => dispatchQueued(entry, async () => {})));
+    }
+  })().finally(() => { memQueueDrain = null; });
+  return memQueueDrain;
+}
+
+const parseStreamEntry = ([id, fields]) => {
+  try { const i = fields.indexOf("data"); return { id, ...JSON.parse(fields[i + 1]) }; } catch { return { id, broken: true }; }
+};
+async function runStreamEntries(entries) {
+  await Promise.allSettled(entries.map(parseStreamEntry).map(entry => {
+    const ack = () => redis.xack(QUEUE_STREAM, QUEUE_GROUP, entry.id).then(() => redis.xdel(QUEUE_STREAM, entry.id));
+    if (entry.broken || !entry.event) { logger.error({ id: entry.id }, "[Queue] broken stream entry, dropping"); return ack(); }
+    return dispatchQueued(entry, ack);
+  }));
+}
+
+async function streamWorkerLoop() {
+  try { await redis.xgroup("CREATE", QUEUE_STREAM, QUEUE_GROUP, "0", "MKSTREAM"); }
+  catch (e) { if (!/BUSYGROUP/.test(String(e))) throw e; }
+  while (!queueStopping) {
+    try {
+      const res = await queueReader.xreadgroup("GROUP", QUEUE_GROUP, QUEUE_CONSUMER, "COUNT", 20, "BLOCK", 2000, "STREAMS", QUEUE_STREAM, ">");
+      if (res) await runStreamEntries(res[0][1]);
+    } catch (e) {
+      if (queueStopping) break;
+      logger.error({ err: String(e) }, "[Queue] read error");
+      await sleep(1000);
+    }
+  }
+}
+
+// 落ちたワーカー（SIGTERM/クラッシュ）が ACK しなかったエントリを引き取る。前回分を試行済みとして数える
+async function reclaimStaleEntries() {
+  if (!redis || queueStopping) return;
+  try {
+    const [, entries] = await redis.xautoclaim(QUEUE_STREAM, QUEUE_GROUP, QUEUE_CONSUMER, QUEUE_CLAIM_IDLE_MS, "0-0", "COUNT", 20);
+    if (!entries || entries.length === 0) return;
+    logger.warn({ count: entries.length }, "[Queue] reclaimed stale entries");
+    await runStreamEntries(entries.filter(e => e && e[1]).map(([id, fields]) => {
+      const entry = parseStreamEntry([id, fields]);
+      return [id, ["data", JSON.stringify({ ...entry, id: undefined, attempts: (entry.attempts || 0) + 1 })]];
+    }));
+  } catch (e) {
+    logger.error({ err: String(e) }, "[Queue] reclaim error");
+  }
+}
+
+let reclaimTimer = null;
+function startQueueWorkers() {
+  if (!redis || !FAST_HTTP_EARLY_200) return;
+  queueReader = redis.duplicate();
+  queueReader.on("error", (err) => logger.error({ err: String(err) }, "[Queue] reader error"));
+  streamWorkerLoop().catch(e => logger.error({ err: String(e) }, "[Queue] worker stopped"));
+  reclaimTimer = setInterval(reclaimStaleEntries, Math.max(1000, Math.floor(QUEUE_CLAIM_IDLE_MS / 2)));
+  reclaimTimer.unref();
+  logger.info({ stream: QUEUE_STREAM, consumer: QUEUE_CONSUMER }, "[BOOT] webhook queue on Redis stream");
+}
+// Redis のワーカーは読むのをやめるだけ（未ACK分は他レプリカ／再起動後に再処理）。メモリのキューは残りを処理し切る
+async function stopQueueWorkers() {
+  queueStopping = true;
+  if (reclaimTimer) clearInterval(reclaimTimer);
+  if (queueReader) queueReader.disconnect();
+  if (memQueue.length > 0 || memQueueDrain) {
+    logger.info({ pending: memQueue.length }, "[Queue] draining in-memory events before shutdown");
+    await drainMemQueue();
+  }
+}
+
+// ---- dead-letter ----
+async function addDeadLetter({ id, event, rid, attempts, error }) {
+  const dl = { id: id || randomUUID(), event, rid, attempts, error, failedAt: toISO() };
+  if (redis) await redis.hset("webhook:dlq", dl.id, JSON.stringify(dl));
+  else {
+    dlqMem.set(dl.id, dl);
+    if (dlqMem.size > DLQ_MEM_MAX) dlqMem.delete(dlqMem.keys().next().value);
+  }
+  return dl;
+}
+async function listDeadLetters() {
+  const all = redis
+    ? Object.values(await redis.hgetall("webhook:dlq")).map(raw => { try { return JSON.parse(raw); } catch { return null; } }).filter(Boolean)
+    : [...dlqMem.values()];
+  return all.sort((a, b) => String(a.failedAt).localeCompare(String(b.failedAt)));
+}
+async function removeDeadLetters(ids) {
+  if (redis) return ids.length ? redis.hdel("webhook:dlq", ...ids) : 0;
+  let n = 0; for (const id of ids) if (dlqMem.delete(id)) n++; return n;
+}
+async function countDeadLetters() { return redis ? redis.hlen("webhook:dlq") : dlqMem.size; }
+// 再投入: 重複/レート/タップ判定を通さず（replay）キューへ戻す
+async function replayDeadLetters(ids) {
+  const all = await listDeadLetters();
+  const picked = all.filter(dl => ids.includes(dl.id));
+  for (const dl of picked) {
+    if (redis) await redis.xadd(QUEUE_STREAM, "MAXLEN", "~", 10000, "*", "data", JSON.stringify({ event: dl.event, rid: dl.rid, attempts: 0, replay: true }));
+    else memQueue.push({ id: dl.id, event: dl.event, rid: dl.rid, attempts: 0, replay: true });
+  }
+  await removeDeadLetters(picked.map(dl => dl.id));
+  if (!redis) setImmediate(drainMemQueue);
+  return picked.length;
+}
+
 // ====== イベント処理（1件） ======
-async function processEvent(event, rid) {
+// opts.retry: キューからの再試行/再投入。重複・レート・タップ判定は初回で済んでいるので通さない
+async function processEvent(event, rid, opts = {}) {
   const eventId = event.webhookEventId || "no-id";
+  const retry = !!opts.retry;
 
-  if (event?.deliveryContext?.isRedelivery) { logger.info({ rid, eventId }, "[Skip] Redelivery"); return; }
-  if (await isDuplicate(event)) { logger.info({ rid, eventId }, "[Skip] Duplicate"); return; }
+  if (!retry && event?.deliveryContext?.isRedelivery) { logger.info({ rid, eventId }, "[Skip] Redelivery"); return; }
+  if (!retry && await isDuplicate(event)) { logger.info({ rid, eventId }, "[Skip] Duplicate"); return; }
 
   const userKey = keyFromEvent(event);
-  if (!allowRate(userKey)) { logger.warn({ rid, eventId, userKey }, "[RateLimit] Too many requests"); return; }
+  const sourceType = event.source?.type || "unknown";
+  // グループ・トークルーム: ボット宛てでないメッセージ（レート制限・ログの対象にもしない）・静かな時間は何もしない
+  const group = chatIdOf(event) && ["message", "postback"].includes(event.type) ? await gateGroupEvent(event) : null;
+  if (group?.skip) {
+    logger[group.skip === "not-addressed" ? "debug" : "info"]({ rid, eventId, userKey, reason: group.skip }, "[Groups] ignored");
+    return;
+  }
+  if (!retry && !(await allowRate(userKey, ratePolicies.default, sourceType))) {
+    logger.warn({ rid, eventId, userKey, policy: "default" }, "[RateLimit] Too many requests");
+    await notifyRateLimited(event, ratePolicies.default);
+    return;
+  }
 
   safeLogEvent(event, rid);
+  await recordRecentEvent(event, rid);
 
-  if (event.type === "follow") { logger.info({ rid, eventId }, "[Info] follow event -> no-op"); return; }
+  const maintenance = await maintenanceReply(event);
+  if (maintenance) {
+    if (event.replyToken) await replyWithRetryOrPush(event, maintenance);
+    logger.info({ rid, eventId, userKey }, "[Maintenance] canned reply");
+    return;
+  }
 
+  // 振り分けはプラグイン（lib/plugins.js）。ここでは共通の前処理（タップ・ルート別レート）と返信だけ行う
+  let msgs;
   if (event.type === "postback") {
     const data = String(event.postback?.data || "");
-    if (!(await tapGuardAccept(userKey, data))) {
+    if (!retry && !(await tapGuardAccept(userKey, data))) {
       logger.info({ rid, eventId, userKey, data, windowMs: TAP_DEBOUNCE_MS }, "[TapGuard] duplicate postback"); return;
     }
-    if (data.startsWith("faq:")) {
-      const key = decodeURIComponent(data.slice(4));
-      const msgs = faqData[key] ? [createFaqAnswerFlex(key)] : null;
-      if (msgs) await replyWithRetryOrPush(event, msgs);
+    const policy = retry ? null : matchRatePolicy({ postback: data });
+    if (policy && !(await allowRate(userKey, policy, sourceType))) {
+      logger.warn({ rid, eventId, userKey, policy: policy.name }, "[RateLimit] Too many requests");
+      await notifyRateLimited(event, policy); return;
     }
-    return;
-  }
-
-  if (event.type === "message" && event.message?.type === "text" && event.replyToken) {
-    if (!(await tapGuardAccept(userKey, event.message.text))) {
+    if (await relayHandoffPostback(event, data)) return; // 有人対応中は中継だけ
+    msgs = await plugins.dispatchPostback(data, event, { rid }, { allow: group?.allow });
+    if (faqAskedByEvent.has(event)) await recordInsight(event, null, { kind: "faq", key: faqAskedByEvent.get(event) });
+    else if (unmatchedByEvent.has(event)) await recordInsight(event, null, { kind: "unmatched" });
+  } else if (event.type === "message" && event.message?.type === "text" && event.replyToken) {
+    if (!retry && !(await tapGuardAccept(userKey, event.message.text))) {
       logger.info({ rid, eventId, userKey, text: event.message.text, windowMs: TAP_DEBOUNCE_MS }, "[TapGuard] duplicate tap"); return;
     }
-    const msgs = await routeMessage(event.message.text.trim(), event);
-    if (msgs && msgs.length > 0) { await replyWithRetryOrPush(event, msgs); }
-    return;
+    const text = group ? group.text : event.message.text.trim();
+    const policy = retry ? null : matchRatePolicy({ text });
+    if (policy && !(await allowRate(userKey, policy, sourceType))) {
+      logger.warn({ rid, eventId, userKey, policy: policy.name }, "[RateLimit] Too many requests");
+      await notifyRateLimited(event, policy); return;
+    }
+    // 有人対応・出欠の会話中はそちらが先（分析ではそれぞれのコマンドとして数える）
+    if ((msgs = await relayHandoffText(event, text))) await recordInsight(event, text, { kind: "route", key: "handoff" });
+    else if ((msgs = await handleRsvpText(event, text))) await recordInsight(event, text, { kind: "route", key: "rsvp" });
+    else msgs = await routeMessage(text, event, { allow: group?.allow });
+  } else {
+    msgs = await plugins.dispatchEvent(event, { rid });
+    if (msgs === undefined) { logger.info({ rid, eventId, type: event.type }, "[Info] Unsupported event type -> no-op"); return; }
   }
 
-  logger.info({ rid, eventId, type: event.type }, "[Info] Unsupported event type -> no-op");
+  if (msgs && msgs.length > 0 && event.replyToken) await replyWithRetryOrPush(event, msgs);
+}
+
+// ====== 設定の再読込（SIGHUP / admin config reload / POST /admin/api/config/reload） ======
+// reloadable の項目だけ差し替える。それ以外の変更は pendingRestart に残して報告するだけ（値は起動時のまま）。不正なら何も変えない
+function reloadSettings(by = "signal") {
+  let next;
+  try {
+    next = loadSettings({ baseDir: __dirname });
+  } catch (e) {
+    if (!(e instanceof SettingsError)) throw e;
+    logger.error({ by, errors: e.errors }, "[Settings] reload rejected");
+    return { ok: false, applied: [], restartRequired: [], errors: e.errors };
+  }
+  const { applied, restartRequired } = diffSettings(settingsState, next);
+  const pick = (o) => Object.fromEntries(reloadableKeys().map(k => [k, o[k]]));
+  settingsState = {
+    ...next,
+    values: { ...settingsState.values, ...pick(next.values) },
+    sources: { ...settingsState.sources, ...pick(next.sources) },
+    pendingRestart: restartRequired,
+  };
+  ({ TAP_DEBOUNCE_MS, WEBHOOK_MAX_EVENT_AGE_MS, WEBHOOK_MAX_CLOCK_SKEW_MS, RATE_CAP, RATE_REFILL, QUEUE_MAX_ATTEMPTS, QUEUE_RETRY_DELAY_MS, RECENT_EVENTS_MAX } = settingsState.values);
+  logger.level = settingsState.values.LOG_LEVEL;
+  ratePolicies = loadRatePolicies(ratePolicies); // RATE_CAP 等が変わらなくても RATE_LIMITS_FILE の編集を拾う
+  logger.info({ by, applied, restartRequired }, "[Settings] reloaded");
+  return { ok: true, applied, restartRequired, errors: [] };
+}
+// 表示用の実効値（秘密情報は伏字）
+function effectiveSettings() {
+  return {
+    settings: redactSettings(settingsState.values),
+    sources: settingsState.sources,
+    reloadable: reloadableKeys(),
+    pendingRestart: settingsState.pendingRestart || [],
+    file: settingsState.file,
+    loadedAt: toISO(new Date(settingsState.loadedAt)),
+  };
 }
 
 // ====== 健康チェック/レディネス/メトリクス ======
@@ -507,7 +2784,7 @@ app.get("/health", (_req, res) => {
   res.status(200).json({
     ok: true, ts: toISO(), uptimeSec: Math.floor(process.uptime()),
     perKeyQueues: perKeyQueue.size, seenCacheSize: seenSize(), tapGuardSize: tapGuardSize(),
-    tapWindowMs: TAP_DEBOUNCE_MS, rateEntries: rate.size, redis: !!redis,
+    tapWindowMs: TAP_DEBOUNCE_MS, rateEntries: rateSize(), redis: !!redis,
     memory: { rssMB: +(mem.rss / 1024 / 1024).toFixed(1), heapUsedMB: +(mem.heapUsed / 1024 / 1024).toFixed(1) },
     early200: FAST_HTTP_EARLY_200,
   });
@@ -521,49 +2798,466 @@ app.get("/ready", async (_req, res) => {
     return res.status(503).json({ ready: false, error: String(e) });
   }
 });
+// 認証ヘッダの照合（定数時間比較）
+const safeEqual = (a, b) => { const x = Buffer.from(String(a)), y = Buffer.from(String(b)); return x.length === y.length && timingSafeEqual(x, y); };
+function basicAuthOk(req, user, pass) {
+  const hdr = req.headers.authorization || "";
+  if (!user || !pass || !hdr.startsWith("Basic ")) return false;
+  const raw = Buffer.from(hdr.slice(6), "base64").toString();
+  const i = raw.indexOf(":");
+  const u = safeEqual(raw.slice(0, Math.max(i, 0)), user), p = safeEqual(raw.slice(i + 1), pass);
+  return i >= 0 && u && p;
+}
+function bearerOk(req, token) {
+  const hdr = req.headers.authorization || "";
+  return !!token && hdr.startsWith("Bearer ") && safeEqual(hdr.slice(7), token);
+}
+
 // /metrics（Basic 認証任意）
 app.get("/metrics", async (req, res) => {
-  if (METRICS_USER && METRICS_PASS) {
-    const hdr = req.headers.authorization || "";
-    let u = "", p = "";
-    if (hdr.startsWith("Basic ")) {
-      try { [u, p] = Buffer.from(hdr.slice(6), "base64").toString().split(":"); } catch { /* noop */ }
-    }
-    if (u !== METRICS_USER || p !== METRICS_PASS) return res.status(401).set("WWW-Authenticate", "Basic realm=metrics").end();
-  }
+  if (METRICS_USER && METRICS_PASS && !basicAuthOk(req, METRICS_USER, METRICS_PASS)) return res.status(401).set("WWW-Authenticate", "Basic realm=metrics").end();
   res.set("Content-Type", prom.register.contentType);
   res.end(await prom.register.metrics());
 });
 
+// ====== 写真配信・ギャラリー ======
+app.get("/photos/:id/:variant", async (req, res) => {
+  try {
+    const { id, variant } = req.params;
+    if (!["original", "thumb"].includes(variant)) return res.sendStatus(404);
+    const photo = await getPhoto(id);
+    if (!photo || (photo.status !== "approved" && !verifyPhotoSig(id, variant, req.query.sig))) return res.sendStatus(404);
+    const buf = await photoStorage.get(`${id}-${variant}`);
+    if (!buf) return res.sendStatus(404);
+    res.set("Content-Type", (variant === "thumb" && photo.thumbContentType) || photo.contentType || "image/jpeg");
+    res.set("Cache-Control", photo.status === "approved" ? "public, max-age=86400" : "private, no-store");
+    res.send(buf);
+  } catch (e) {
+    logger.error({ rid: req.rid, err: String(e) }, "[Photos] serve error");
+    res.sendStatus(500);
+  }
+});
+
+const escapeHtml = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+app.get("/gallery", async (req, res) => {
+  try {
+    const photos = (await listPhotos({ album: "guest", status: "approved" })).slice(0, 200);
+    const items = photos.map(p => `<a href="/photos/${escapeHtml(p.id)}/original"><img src="/photos/${escapeHtml(p.id)}/thumb" loading="lazy" alt=""></a>`).join("\n");
+    const t = i18n.translator(i18n.normalizeLang(req.query.lang) || req.acceptsLanguages(...i18n.supported) || DEFAULT_LANG);
+    res.set("Content-Type", "text/html; charset=utf-8").set("Vary", "Accept-Language").send(`<!doctype html>
+<html lang="${t.lang}"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(t("gallery.alt"))}</title>
+<style>
+body{margin:0;font-family:sans-serif;background:#FFF0F5;color:#333}
+h1{text-align:center;color:#C19A6B;font-size:1.4rem;margin:1rem}
+.grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(140px,1fr));gap:6px;padding:6px}
+.grid img{width:100%;aspect-ratio:1/1;object-fit:cover;border-radius:6px;display:block}
+p{text-align:center}
+</style></head>
+<body><h1>${escapeHtml(t("gallery.alt"))} 🕊️</h1>
+${photos.length ? `<div class="grid">\n${items}\n</div>` : `<p>${escapeHtml(t("gallery.pageEmpty"))}</p>`}
+</body></html>`);
+  } catch (e) {
+    logger.error({ rid: req.rid, err: String(e) }, "[Photos] gallery error");
+    res.sendStatus(500);
+  }
+});
+
+// 会場スクリーン用のクイズのランキング（5秒ごとに再読込）。表示名が出るので ?key=QUIZ_BOARD_KEY 必須
+// 鍵が未設定なら STRICT_MODE（本番の既定）では閉じたまま。鍵なしで開くのは開発時だけ
+app.get("/quiz/board", async (req, res) => {
+  if (QUIZ_BOARD_KEY ? !safeEqual(req.query.key || "", QUIZ_BOARD_KEY) : STRICT_MODE) return res.sendStatus(404);
+  try {
+    const t = i18n.translator(i18n.normalizeLang(req.query.lang) || req.acceptsLanguages(...i18n.supported) || DEFAULT_LANG);
+    const [status, board] = await Promise.all([quizStatus(t), quizLeaderboard()]);
+    const q = status.question;
+    const phase = !q ? t("quiz.boardWaiting") : status.open ? t("quiz.boardOpen", { sec: Math.max(0, Math.ceil((status.endsAt - now()) / 1000)) })
+      : status.revealed ? t("quiz.boardAnswer", { answer: `${CHOICE_LABELS[q.answer]}. ${i18n.localize(q.choices[q.answer], t.lang)}` }) : t("quiz.boardClosed");
+    const rows = board.entries.map(e => `<tr><td>${e.rank}</td><td>${escapeHtml(e.name || t("quiz.anonymous"))}</td><td>${e.score}</td></tr>`).join("\n");
+    res.set("Content-Type", "text/html; charset=utf-8").set("Cache-Control", "no-store").set("Vary", "Accept-Language").send(`<!doctype html>
+<html lang="${t.lang}"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><meta http-equiv="refresh" content="5">
+<title>${escapeHtml(status.title)}</title>
+<style>
+body{margin:0;font-family:sans-serif;background:#FFFAF0;color:#333;text-align:center}
+h1{color:#C19A6B;font-size:2.4rem;margin:1.5rem 1rem .5rem}
+.q{font-size:1.8rem;margin:.5rem 2rem}
+.phase{font-size:1.4rem;color:#8A6A45;margin:.5rem}
+table{margin:1.5rem auto;border-collapse:collapse;font-size:1.6rem;min-width:50%}
+td{padding:.4rem 1.2rem;border-bottom:1px solid #E6C9C9}
+td:last-child{text-align:right}
+</style></head>
+<body><h1>${escapeHtml(status.title)}</h1>
+${q ? `<p class="q">Q${status.index + 1}. ${escapeHtml(i18n.localize(q.text, t.lang))}</p>` : ""}
+<p class="phase">${escapeHtml(phase)} ／ ${escapeHtml(t("quiz.boardAnswered", { n: status.answered }))}</p>
+${board.players ? `<table>\n${rows}\n</table>` : `<p>${escapeHtml(t("quiz.rankingEmpty"))}</p>`}
+</body></html>`);
+  } catch (e) {
+    logger.error({ rid: req.rid, err: String(e) }, "[Quiz] board error");
+    res.sendStatus(500);
+  }
+});
+
+// ====== Flex テンプレートのプレビュー（開発用。FLEX_PREVIEW、既定は NODE_ENV が production 以外のとき） ======
+// GET は <name>.sample.json、POST は送った JSON を差し込んで、LINE に送る形の Flex と上限チェックの結果を返す（送信はしない）
+// 読み直すのはプレビュー専用のインスタンス（返信に使う flexTemplates は起動時のまま。編集途中のテンプレートを本番の返信に出さない）
+if (FLEX_PREVIEW) {
+  const previewTemplates = createFlexTemplates({ dir: FLEX_TEMPLATES_DIR, themeFile: FLEX_THEME_FILE });
+  const previewFlex = (req, res, data) => {
+    try {
+      previewTemplates.reload(); // 編集をすぐ確認できるよう毎回読み直す
+      if (!previewTemplates.names().includes(req.params.name)) return res.status(404).json({ error: "unknown template", templates: previewTemplates.names() });
+      const message = { type: "flex", altText: String(req.query.altText || req.params.name), contents: previewTemplates.render(req.params.name, data ?? previewTemplates.sample(req.params.name) ?? {}) };
+      const errors = validateFlexMessage(message);
+      res.status(errors.length ? 422 : 200).json({ template: req.params.name, errors, message });
+    } catch (e) {
+      res.status(400).json({ error: String(e.message || e), details: e.details || [] });
+    }
+  };
+  app.get("/dev/flex", (_req, res) => {
+    try {
+      previewTemplates.reload();
+      res.json({ templates: previewTemplates.names(), theme: previewTemplates.theme });
+    } catch (e) {
+      res.status(400).json({ error: String(e.message || e), details: e.details || [] });
+    }
+  });
+  app.get("/dev/flex/:name", (req, res) => previewFlex(req, res));
+  app.post("/dev/flex/:name", (req, res) => previewFlex(req, res, req.body));
+  logger.warn("[BOOT] flex template preview enabled at /dev/flex");
+}
+
+// ====== 管理画面（/admin。Basic 認証、画面は web/ の静的ファイルで、表示内容は /admin/api/* から取得） ======
+const WEB_DIR = path.join(__dirname, "web");
+const adminWebEnabled = () => !!(ADMIN_WEB_USER && ADMIN_WEB_PASS);
+function requireAdminWeb(req, res, next) {
+  if (!adminWebEnabled()) return res.sendStatus(404);
+  if (!basicAuthOk(req, ADMIN_WEB_USER, ADMIN_WEB_PASS)) return res.status(401).set("WWW-Authenticate", 'Basic realm="admin", charset="UTF-8"').end();
+  res.set({
+    "Cache-Control": "no-store", "X-Frame-Options": "DENY", "X-Content-Type-Options": "nosniff", "Referrer-Policy": "no-referrer",
+    "Content-Security-Policy": "default-src 'self'; img-src 'self' data:; frame-ancestors 'none'; form-action 'self'",
+  });
+  next();
+}
+app.get("/admin", requireAdminWeb, (_req, res) => res.sendFile(path.join(WEB_DIR, "admin.html")));
+app.use("/admin/assets", requireAdminWeb, express.static(WEB_DIR, { index: false }));
+
+// ====== 管理API（Bearer 認証、または管理画面の Basic 認証） ======
+// Basic はブラウザが自動で付けるので、GET 以外は管理画面の JS が付ける X-Admin-Dashboard ヘッダも要求する（他サイトからの CSRF 対策）
+// 呼び出しはすべて監査ログへ（actor は res.locals.adminActor = "api" / "web:<ユーザー名>"、結果は HTTP ステータス、補足はハンドラが res.locals.auditDetail に）
+function requireAdminApi(req, res, next) {
+  if (!ADMIN_API_TOKEN && !adminWebEnabled()) return res.status(403).json({ error: "admin api disabled" });
+  res.locals.adminActor = "api";
+  res.on("finish", () => {
+    const actor = res.locals.adminActor;
+    appendAudit({ actor, action: `api ${req.method} ${req.baseUrl}${req.path}`, detail: res.locals.auditDetail, result: res.statusCode < 400 ? "ok" : res.statusCode === 401 ? "denied" : `http ${res.statusCode}`, via: actor === "api" ? "api" : "web", rid: req.rid });
+  });
+  if (bearerOk(req, ADMIN_API_TOKEN)) return next();
+  if (adminWebEnabled() && basicAuthOk(req, ADMIN_WEB_USER, ADMIN_WEB_PASS)) {
+    res.locals.adminActor = `web:${ADMIN_WEB_USER}`;
+    if (!["GET", "HEAD"].includes(req.method) && req.get("x-admin-dashboard") !== "1") return res.status(403).json({ error: "missing X-Admin-Dashboard header" });
+    return next();
+  }
+  return res.status(401).set("WWW-Authenticate", "Bearer realm=admin").json({ error: "unauthorized" });
+}
+// async ハンドラの例外を 500 JSON に変換
+const asyncRoute = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch((e) => {
+  logger.error({ rid: req.rid, err: e.stack || String(e) }, "[AdminAPI] error");
+  if (!res.headersSent) res.status(500).json({ error: "internal error" });
+});
+
+app.get("/admin/api/stats", requireAdminApi, asyncRoute(async (_req, res) => {
+  const [faqs, jobs, members] = await Promise.all([listFaqs(), listScheduledJobs(), listMembers()]);
+  res.json({ ts: toISO(), stats: await runtimeStats(), counts: { ...countMembers(members), faqs: faqs.length, jobs: jobs.length }, maintenance: await getMaintenance() });
+}));
+// 質問の分析。days は今日を含む日数、top は上位の件数
+app.get("/admin/api/insights", requireAdminApi, asyncRoute(async (req, res) => {
+  const days = Math.min(Math.max(Number(req.query.days) || 7, 1), INSIGHTS_RETENTION_DAYS);
+  const top = Math.min(Math.max(Number(req.query.top) || 20, 1), 100);
+  res.json(await insightsReport({ days, top }));
+}));
+app.delete("/admin/api/insights/unmatched", requireAdminApi, asyncRoute(async (req, res) => {
+  const phrase = String(req.query.phrase || "");
+  res.locals.auditDetail = phrase;
+  if (!(await forgetUnmatched(phrase))) return res.status(404).json({ error: "not found" });
+  res.json({ ok: true });
+}));
+app.get("/admin/api/quiz", requireAdminApi, asyncRoute(async (req, res) => {
+  const { question: q, ...status } = await quizStatus();
+  const board = await quizLeaderboard({ limit: Math.min(Math.max(Number(req.query.limit) || QUIZ_RANKING_MAX, 1), 100) });
+  res.json({
+    ...status, endsAt: status.endsAt && toISO(new Date(status.endsAt)),
+    question: q && { id: q.id, text: q.text, choices: q.choices, answer: status.revealed ? q.answer : null, tally: await quizTally(q) },
+    players: board.players, ranking: board.entries,
+  });
+}));
+const phaseJson = (p) => p && { id: p.id, name: p.name, start: p.start === null ? null : toISO(new Date(p.start)), hideFaqs: [...p.hideFaqs], notice: p.notice, galleryLink: p.galleryLink, richMenu: p.richMenu };
+app.get("/admin/api/phases", requireAdminApi, asyncRoute(async (_req, res) => {
+  const { phase, scheduled, override } = await phaseStatus();
+  res.json({ current: phase?.id || null, scheduled: scheduled?.id || null, override, phases: phaseConfig.phases.map(phaseJson) });
+}));
+// { "id": "<フェーズ>" } で手動上書き、{ "id": null } で時刻どおりに戻す
+app.put("/admin/api/phase", requireAdminApi, asyncRoute(async (req, res) => {
+  const id = req.body?.id ?? null;
+  if (id !== null && !phaseConfig.get(id)) return res.status(400).json({ error: "unknown phase" });
+  res.locals.auditDetail = id || "auto";
+  await setPhaseOverride(id, res.locals.adminActor);
+  await applyPhaseChange();
+  const { phase, override } = await phaseStatus();
+  res.json({ current: phase?.id || null, override });
+}));
+app.get("/admin/api/config", requireAdminApi, (_req, res) => res.json(effectiveSettings()));
+app.post("/admin/api/config/reload", requireAdminApi, (_req, res) => {
+  const r = reloadSettings(res.locals.adminActor);
+  res.locals.auditDetail = r.ok ? `applied ${r.applied.join(",") || "-"}; restart ${r.restartRequired.join(",") || "-"}` : "invalid";
+  res.status(r.ok ? 200 : 400).json(r);
+});
+app.get("/admin/api/events/recent", requireAdminApi, asyncRoute(async (req, res) => {
+  res.json({ events: await listRecentEvents(Math.min(Math.max(Number(req.query.limit) || RECENT_EVENTS_MAX, 1), RECENT_EVENTS_MAX)) });
+}));
+app.get("/admin/api/maintenance", requireAdminApi, asyncRoute(async (_req, res) => {
+  res.json(await getMaintenance());
+}));
+app.put("/admin/api/maintenance", requireAdminApi, asyncRoute(async (req, res) => {
+  if (typeof req.body?.enabled !== "boolean") return res.status(400).json({ error: "enabled must be boolean" });
+  if (req.body.message !== undefined && typeof req.body.message !== "string") return res.status(400).json({ error: "message must be string" });
+  res.locals.auditDetail = req.body.enabled ? "on" : "off";
+  res.json(await setMaintenance({ enabled: req.body.enabled, message: req.body.message, by: res.locals.adminActor }));
+}));
+// 送信確認用。宛先はユーザー／グループ／ルームの ID
+app.post("/admin/api/messages/test", requireAdminApi, asyncRoute(async (req, res) => {
+  const to = String(req.body?.to || "").trim();
+  const text = String(req.body?.text || "").trim();
+  if (!/^[UCR][0-9a-f]{32}$/.test(to)) return res.status(400).json({ error: "invalid to" });
+  if (!text || text.length > 5000) return res.status(400).json({ error: "invalid text" });
+  res.locals.auditDetail = `to ${to}`;
+  try {
+    await pushWithRetry(to, [{ type: "text", text }]);
+  } catch (e) {
+    logger.warn({ rid: req.rid, to, err: String(e) }, "[AdminAPI] test message failed");
+    return res.status(502).json({ error: "push failed", status: e.response?.status || null });
+  }
+  res.json({ ok: true, to });
+}));
+app.get("/admin/api/audit", requireAdminApi, asyncRoute(async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  res.json({ entries: await listAudit({ limit, actor: req.query.actor ? String(req.query.actor) : undefined, action: req.query.action ? String(req.query.action) : undefined }) });
+}));
+app.get("/admin/api/admins", requireAdminApi, asyncRoute(async (_req, res) => {
+  res.json({ roles: permissions.roles, admins: await listAdmins() });
+}));
+
+app.get("/admin/api/faqs", requireAdminApi, asyncRoute(async (_req, res) => {
+  res.json({ faqs: await listFaqs() });
+}));
+app.get("/admin/api/faqs/:key", requireAdminApi, asyncRoute(async (req, res) => {
+  const faq = await getFaq(req.params.key);
+  if (!faq) return res.status(404).json({ error: "not found" });
+  res.json(faq);
+}));
+app.post("/admin/api/faqs", requireAdminApi, asyncRoute(async (req, res) => {
+  const key = String(req.body?.key || "").trim(), q = String(req.body?.q || "").trim(), a = String(req.body?.a || "").trim();
+  const invalid = validateFaqInput(key, q, a);
+  if (invalid) return res.status(400).json({ error: invalid });
+  const translations = validateFaqTranslations(req.body?.i18n);
+  if (translations.error) return res.status(400).json({ error: translations.error });
+  if (await getFaq(key)) return res.status(409).json({ error: "already exists" });
+  const faq = await saveFaq(key, { q, a, i18n: translations.value });
+  logger.info({ rid: req.rid, key }, "[FAQ] created via api");
+  res.status(201).json(faq);
+}));
+app.put("/admin/api/faqs/:key", requireAdminApi, asyncRoute(async (req, res) => {
+  const key = req.params.key;
+  const prev = await getFaq(key);
+  const q = String(req.body?.q ?? prev?.q ?? "").trim(), a = String(req.body?.a ?? prev?.a ?? "").trim();
+  const invalid = validateFaqInput(key, q, a);
+  if (invalid) return res.status(400).json({ error: invalid });
+  const translations = validateFaqTranslations(req.body?.i18n); // 省略時は既存の訳を維持
+  if (translations.error) return res.status(400).json({ error: translations.error });
+  const faq = await saveFaq(key, { q, a, i18n: translations.value });
+  logger.info({ rid: req.rid, key, created: !prev }, "[FAQ] saved via api");
+  res.status(prev ? 200 : 201).json(faq);
+}));
+app.delete("/admin/api/faqs/:key", requireAdminApi, asyncRoute(async (req, res) => {
+  if (!(await removeFaq(req.params.key))) return res.status(404).json({ error: "not found" });
+  logger.info({ rid: req.rid, key: req.params.key }, "[FAQ] removed via api");
+  res.status(204).end();
+}));
+
+app.get("/admin/api/rsvp", requireAdminApi, asyncRoute(async (_req, res) => {
+  const answers = await listRsvpAnswers();
+  res.json({ summary: summarizeRsvp(answers), answers });
+}));
+app.get("/admin/api/rsvp.csv", requireAdminApi, asyncRoute(async (_req, res) => {
+  const csv = rsvpToCsv(await listRsvpAnswers());
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", 'attachment; filename="rsvp.csv"');
+  res.send("\uFEFF" + csv); // Excel で文字化けしないよう BOM 付き
+}));
+app.get("/admin/api/jobs", requireAdminApi, asyncRoute(async (_req, res) => {
+  res.json({ jobs: await listScheduledJobs() });
+}));
+app.post("/admin/api/jobs", requireAdminApi, asyncRoute(async (req, res) => {
+  const raw = req.body?.runAt;
+  const ymd = typeof raw === "string" && raw.match(/^(\d{4})-(\d{2})-(\d{2})/); // Date.parse も存在しない日付を繰り越すので先に弾く
+  const runAt = typeof raw === "number" ? raw : !raw || (ymd && !isCalendarDate(Number(ymd[1]), Number(ymd[2]), Number(ymd[3]))) ? null : Date.parse(raw) || parseScheduleTime(String(raw));
+  const target = parseScheduleTarget(String(req.body?.target || ""));
+  const text = String(req.body?.text || "").trim();
+  if (!runAt) return res.status(400).json({ error: "invalid runAt" });
+  if (!target) return res.status(400).json({ error: "invalid target" });
+  if (!text || text.length > SCHEDULE_TEXT_MAX) return res.status(400).json({ error: "invalid text" });
+  const job = await addScheduledJob({ runAt, target, text, createdBy: "api" });
+  logger.info({ rid: req.rid, jobId: job.id, target }, "[Scheduler] job added via api");
+  res.status(201).json(job);
+}));
+app.delete("/admin/api/jobs/:id", requireAdminApi, asyncRoute(async (req, res) => {
+  if (!(await cancelScheduledJob(req.params.id))) return res.status(404).json({ error: "not found" });
+  res.status(204).end();
+}));
+app.get("/admin/api/followers", requireAdminApi, asyncRoute(async (req, res) => {
+  const filter = { type: req.query.type || undefined, status: req.query.status || undefined, tag: req.query.tag || undefined };
+  const members = await listMembers(filter);
+  res.json({ counts: countMembers(await listMembers()), total: members.length, members });
+}));
+app.put("/admin/api/followers/:id/tags", requireAdminApi, asyncRoute(async (req, res) => {
+  const tags = Array.isArray(req.body?.tags) ? req.body.tags.map(String) : null;
+  if (!tags || !tags.every(t => MEMBER_TAG_RE.test(t))) return res.status(400).json({ error: "invalid tags" });
+  const member = await getMember(req.params.id);
+  if (!member) return res.status(404).json({ error: "not found" });
+  res.json(await saveMember({ ...member, tags: [...new Set(tags)], updatedAt: toISO() }));
+}));
+// グループ・トークルーム（台帳の情報 + 設定）。PUT は指定した項目だけ変える
+app.get("/admin/api/groups", requireAdminApi, asyncRoute(async (_req, res) => {
+  const chats = [...(await listMembers({ type: "group" })), ...(await listMembers({ type: "room" }))];
+  res.json({ commands: groupCommands(), groups: await Promise.all(chats.map(async (m) => ({ ...m, settings: await getGroupSettings(m.id) }))) });
+}));
+app.put("/admin/api/groups/:id/settings", requireAdminApi, asyncRoute(async (req, res) => {
+  const member = await getMember(req.params.id);
+  if (!member || member.type === "user") return res.status(404).json({ error: "not found" });
+  const { quietHours, commands, welcome } = req.body || {};
+  const unknown = Array.isArray(commands) ? commands.filter(c => !groupCommands().includes(c)) : [];
+  if (unknown.length) return res.status(400).json({ error: `unknown commands: ${unknown.join(", ")}` });
+  try { normalizeGroupSettings({ quietHours, commands, welcome }); } catch (e) { return res.status(400).json({ error: e.message }); }
+  res.locals.auditDetail = JSON.stringify({ quietHours, commands, welcome });
+  res.json(await setGroupSettings(member.id, { quietHours, commands, welcome }, res.locals.adminActor));
+}));
+app.get("/admin/api/dead-letters", requireAdminApi, asyncRoute(async (req, res) => {
+  const all = await listDeadLetters();
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  res.json({ total: all.length, deadLetters: all.slice(-limit) });
+}));
+app.post("/admin/api/dead-letters/replay", requireAdminApi, asyncRoute(async (req, res) => {
+  const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(String) : (await listDeadLetters()).map(dl => dl.id);
+  const replayed = await replayDeadLetters(ids);
+  logger.info({ rid: req.rid, replayed }, "[Queue] dead letters replayed via api");
+  res.json({ replayed });
+}));
+app.post("/admin/api/dead-letters/:id/replay", requireAdminApi, asyncRoute(async (req, res) => {
+  const replayed = await replayDeadLetters([req.params.id]);
+  if (!replayed) return res.status(404).json({ error: "not found" });
+  res.json({ replayed });
+}));
+app.delete("/admin/api/dead-letters", requireAdminApi, asyncRoute(async (req, res) => {
+  const purged = await removeDeadLetters((await listDeadLetters()).map(dl => dl.id));
+  logger.info({ rid: req.rid, purged }, "[Queue] dead letters purged via api");
+  res.json({ purged });
+}));
+app.delete("/admin/api/dead-letters/:id", requireAdminApi, asyncRoute(async (req, res) => {
+  if (!(await removeDeadLetters([req.params.id]))) return res.status(404).json({ error: "not found" });
+  res.status(204).end();
+}));
+app.get("/admin/api/photos", requireAdminApi, asyncRoute(async (req, res) => {
+  const photos = await listPhotos({ status: req.query.status || undefined, album: req.query.album || undefined });
+  res.json({ photos: photos.map(p => ({ ...p, thumbUrl: `/photos/${p.id}/thumb?sig=${signPhoto(p.id, "thumb")}` })) });
+}));
+app.post("/admin/api/photos/:id/:action(approve|reject)", requireAdminApi, asyncRoute(async (req, res) => {
+  const photo = await moderatePhoto(req.params.id, req.params.action, "api");
+  if (!photo) return res.status(404).json({ error: "not found" });
+  res.json(photo);
+}));
+app.delete("/admin/api/photos/:id", requireAdminApi, asyncRoute(async (req, res) => {
+  if (!(await deletePhoto(req.params.id))) return res.status(404).json({ error: "not found" });
+  res.status(204).end();
+}));
+
+// 席次: 名簿・テーブル情報は CSV（text/csv）で全件置き換え、紐付けはコード／氏名で引き継ぐ
+const csvBody = express.text({ type: ["text/csv", "text/plain"], limit: BODY_LIMIT });
+app.get("/admin/api/seating", requireAdminApi, asyncRoute(async (_req, res) => {
+  res.json({ tables: await listSeatingTables(), guests: await listSeatingGuests() });
+}));
+app.put("/admin/api/seating/guests", requireAdminApi, csvBody, asyncRoute(async (req, res) => {
+  const { guests, errors } = seating.parseGuestCsv(typeof req.body === "string" ? req.body : "");
+  if (errors.length) return res.status(400).json({ error: "invalid csv", details: errors.slice(0, 50) });
+  const saved = await replaceSeatingGuests(guests);
+  logger.info({ rid: req.rid, guests: saved.length }, "[Seating] guests imported via api");
+  res.json({ imported: saved.length, linked: saved.filter(g => g.userId).length, guests: saved });
+}));
+app.put("/admin/api/seating/tables", requireAdminApi, csvBody, asyncRoute(async (req, res) => {
+  const { tables, errors } = seating.parseTableCsv(typeof req.body === "string" ? req.body : "");
+  if (errors.length) return res.status(400).json({ error: "invalid csv", details: errors.slice(0, 50) });
+  await replaceSeatingTables(tables);
+  logger.info({ rid: req.rid, tables: tables.length }, "[Seating] tables imported via api");
+  res.json({ imported: tables.length, tables });
+}));
+app.get("/admin/api/seating/:kind(guests|tables).csv", requireAdminApi, asyncRoute(async (req, res) => {
+  const csv = req.params.kind === "guests" ? seating.guestsToCsv(await listSeatingGuests()) : seating.tablesToCsv(await listSeatingTables());
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${req.params.kind}.csv"`);
+  res.send("\uFEFF" + csv);
+}));
+app.patch("/admin/api/seating/guests/:id", requireAdminApi, asyncRoute(async (req, res) => {
+  const table = String(req.body?.table || "").trim(), seat = String(req.body?.seat ?? "").trim();
+  if (!seating.TABLE_ID_RE.test(table) || seat.length > seating.SEAT_MAX) return res.status(400).json({ error: "invalid table or seat" });
+  const { guest, error } = await reassignSeat(req.params.id, table, seat);
+  if (error) return res.status(404).json({ error: "not found" });
+  logger.info({ rid: req.rid, guestId: guest.id, table }, "[Seating] reassigned via api");
+  res.json(guest);
+}));
+
 // ====== Webhook ======
 app.post("/webhook", async (req, res) => {
   const rid = req.rid;
   const sig = validateSignature(req);
   if (!sig.ok) {
     logger.warn({ rid, sig }, "[WARN] Invalid signature");
+    webhookRejectCounter.inc({ reason: `signature-${sig.reason}` });
     if (STRICT_SIGNATURE) return res.sendStatus(403);
     return res.sendStatus(200);
   }
+  const bodyErrors = validateWebhookBody(req.body);
+  if (bodyErrors.length) {
+    logger.warn({ rid, errors: bodyErrors.slice(0, 5) }, "[Webhook] invalid body");
+    webhookRejectCounter.inc({ reason: "schema" });
+    return res.status(400).json({ error: "invalid webhook body", details: bodyErrors.slice(0, 5) });
+  }
+  if (WEBHOOK_CAPTURE_FILE) fs.promises.appendFile(WEBHOOK_CAPTURE_FILE, JSON.stringify(req.body) + "\n").catch(err => logger.warn({ rid, err: String(err) }, "[Webhook] capture failed"));
 
-  const events = Array.isArray(req.body?.events) ? req.body.events : [];
-  if (events.length === 0) { logger.info({ rid }, "[Webhook] No events"); return res.sendStatus(200); }
+  // 不正・古すぎる・未来すぎるイベントはそれだけ捨てる（残りは処理して 200）
+  const receivedAt = now();
+  const events = req.body.events.filter((ev, i) => {
+    const errors = validateEvent(ev, `$.events[${i}]`);
+    const reason = errors.length ? "schema" : checkEventTime(ev, receivedAt, { maxAgeMs: WEBHOOK_MAX_EVENT_AGE_MS, maxSkewMs: WEBHOOK_MAX_CLOCK_SKEW_MS });
+    if (!reason) return true;
+    webhookEventRejectCounter.inc({ reason, type: eventTypeLabel(ev?.type) });
+    logger.warn({ rid, reason, eventId: ev?.webhookEventId, type: ev?.type, ageMs: Number.isInteger(ev?.timestamp) ? receivedAt - ev.timestamp : undefined, errors: errors.slice(0, 5) }, "[Webhook] event rejected");
+    return false;
+  });
+  if (events.length === 0) { logger.info({ rid, received: req.body.events.length }, "[Webhook] No events"); return res.sendStatus(200); }
 
   const endTimer = webhookHist.startTimer();
   const start = now();
 
   if (FAST_HTTP_EARLY_200) {
-    res.sendStatus(200);
-    queueMicrotask(async () => {
-      try {
-        const tasks = events.map(ev => lockPerKeyAndRun(keyFromEvent(ev), () => processEvent(ev, rid)));
-        await Promise.allSettled(tasks);
-      } catch (e) {
-        logger.error({ rid, err: e.stack || String(e) }, "[Webhook Handling Error BG]");
-      } finally {
-        endTimer();
-        logger.info({ rid, elapsed: elapsed(start) }, "[Webhook Async Done]");
-      }
-    });
+    // 永続化してから 200（保存に失敗したら 500 で LINE 側の再送に任せる）
+    try {
+      await enqueueEvents(events, rid);
+      res.sendStatus(200);
+    } catch (e) {
+      logger.error({ rid, err: e.stack || String(e) }, "[Webhook Enqueue Error]");
+      res.sendStatus(500);
+    } finally {
+      endTimer();
+      logger.info({ rid, elapsed: elapsed(start), events: events.length }, "[Webhook Enqueued]");
+    }
   } else {
     try {
       for (const ev of events) {
@@ -583,22 +3277,49 @@ app.post("/webhook", async (req, res) => {
 });
 
 // ====== 起動/終了 ======
-const server = app.listen(PORT, "0.0.0.0", () => { logger.info(`Server running at http://0.0.0.0:${PORT}`); });
+// require しただけでは listen しない（組み込み・テスト用）。init でプラグイン・キューワーカー・予約配信を開始
+let server = null;
+async function init() {
+  if (plugins.started) return;
+  assertStrictModeReady();
+  await plugins.init(services);
+  startQueueWorkers();
+  startScheduler();
+}
+async function start(port = PORT) {
+  await init();
+  server = app.listen(port, "0.0.0.0", () => { logger.info(`Server running at http://0.0.0.0:${port}`); });
+  return server;
+}
+// 受付停止 → キューの停止（メモリのキューは処理し切る。Redis の未ACK分は他レプリカ／再起動後に再処理）→ 処理中イベントの完了待ち → プラグイン shutdown → Redis 切断
+async function stop() {
+  clearInterval(schedulerTimer);
+  if (server) { await new Promise(r => server.close(r)); server = null; }
+  await stopQueueWorkers();
+  await Promise.allSettled([...perKeyQueue.values()]);
+  await plugins.shutdown();
+  try { if (redis) await redis.quit(); } catch (e) { logger.warn({ e: String(e) }, "[Shutdown] redis.quit error"); }
+}
 
 function shutdown(code = 0) {
   logger.info("[Shutdown] closing server...");
   // 猶予15s（キュー中処理の完了を待ちやすく）
   const force = setTimeout(() => { logger.warn("[Shutdown] force exit after timeout"); process.exit(code); }, 15000).unref();
-  server.close(async () => {
-    try { if (redis) await redis.quit(); } catch (e) { logger.warn({ e: String(e) }, "[Shutdown] redis.quit error"); }
+  stop().finally(() => {
     clearTimeout(force);
     logger.info("[Shutdown] closed. Bye.");
     process.exit(code);
   });
 }
 
-process.on("SIGINT", () => shutdown(0));
-process.on("SIGTERM", () => shutdown(0));
-// 落ちない方針：ログだけ出して継続（必要なら exit(1) に変更）
-process.on("unhandledRejection", (r) => logger.error({ err: String(r) }, "[Warn] unhandledRejection"));
-process.on("uncaughtException", (e) => logger.error({ err: String(e?.stack || e) }, "[Fatal] uncaughtException"));
+if (require.main === module) {
+  start().catch(e => { logger.error({ err: String(e?.stack || e) }, "[Fatal] startup failed"); process.exit(1); });
+  process.on("SIGINT", () => shutdown(0));
+  process.on("SIGTERM", () => shutdown(0));
+  process.on("SIGHUP", () => reloadSettings("signal"));
+  // 落ちない方針：ログだけ出して継続（必要なら exit(1) に変更）
+  process.on("unhandledRejection", (r) => logger.error({ err: String(r) }, "[Warn] unhandledRejection"));
+  process.on("uncaughtException", (e) => logger.error({ err: String(e?.stack || e) }, "[Fatal] uncaughtException"));
+}
+
+module.exports = { app, init, start, stop, plugins, services, processEvent };
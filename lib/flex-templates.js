@@ -0,0 +1,186 @@
+// lib/flex-templates.js - Flex テンプレート（JSON ファイル + 差し込み・繰り返し・条件）と共通テーマ、送信前の Flex 上限チェック
+"use strict";
+
+/* ===== テンプレートの書き方（templates/flex/<name>.json は Flex の bubble／carousel をそのまま書く） =====
+ * 差し込み: "{{path}}" / "Q. {{faq.q}}"。文字列全体が {{...}} 1つなら値をそのまま（数値・配列・オブジェクト）入れる。
+ *           値が undefined のプロパティは出力しない。theme（templates/theme.json）は常に {{theme.colors.primary}} で参照できる
+ * フィルタ: {{f.q | truncate:40}} / {{theme.colors.buttons | at:i}}（配列を i で循環） / {{f.key | uri}} / {{x | default:'なし'}}
+ *           引数は数値・'文字列'・パス（スコープから解決）
+ * 繰り返し: 配列の要素に { "$each": "faqs", "as": "f", "index": "i", "template": {...} } → faqs の件数分に展開
+ * 条件:     任意のオブジェクトに "$if": "path" / "$unless": "path" → 満たさなければその要素（プロパティ）ごと消える
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// LINE の Flex Message の上限（https://developers.line.biz/ja/reference/messaging-api/#flex-message）
+const FLEX_LIMITS = { altText: 400, carouselBubbles: 12, bubbleBytes: 30 * 1024, carouselBytes: 50 * 1024, label: 40, messageText: 300, postbackData: 300, uri: 1000 };
+
+class FlexTemplateError extends Error {
+  constructor(message, details = []) {
+    super(details.length ? `${message}: ${details.join("; ")}` : message);
+    this.name = "FlexTemplateError";
+    this.details = details;
+  }
+}
+
+// ---- 差し込み ----
+const EXPR_RE = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const WHOLE_RE = /^\{\{\s*([^{}]+?)\s*\}\}$/;
+
+function lookup(scope, p) {
+  return String(p).split(".").reduce((v, k) => (v === null || v === undefined ? undefined : v[k]), scope);
+}
+function argValue(scope, raw) {
+  const s = raw.trim();
+  if (/^-?\d+(\.\d+)?$/.test(s)) return Number(s);
+  const q = s.match(/^'(.*)'$/);
+  return q ? q[1] : lookup(scope, s);
+}
+const FILTERS = {
+  truncate: (v, n) => { const s = String(v ?? ""); return s.length > n ? s.slice(0, n - 1) + "…" : s; },
+  at: (v, i) => (Array.isArray(v) && v.length ? v[((Number(i) || 0) % v.length + v.length) % v.length] : undefined),
+  uri: (v) => encodeURIComponent(String(v ?? "")),
+  default: (v, d) => (v === undefined || v === null || v === "" ? d : v),
+};
+function evaluate(expr, scope) {
+  const [head, ...filters] = expr.split("|");
+  let value = lookup(scope, head.trim());
+  for (const f of filters) {
+    const [name, ...args] = f.split(":");
+    const fn = FILTERS[name.trim()];
+    if (!fn) throw new FlexTemplateError(`unknown filter "${name.trim()}" in {{${expr}}}`);
+    value = fn(value, ...args.join(":").split(",").filter(a => a.trim() !== "").map(a => argValue(scope, a)));
+  }
+  return value;
+}
+function interpolate(str, scope) {
+  const whole = str.match(WHOLE_RE);
+  if (whole) return evaluate(whole[1], scope);
+  return str.replace(EXPR_RE, (_m, expr) => { const v = evaluate(expr, scope); return v === undefined || v === null ? "" : String(v); });
+}
+
+// ---- 展開（SKIP はその要素／プロパティを出力しない印） ----
+const SKIP = Symbol("skip");
+function renderNode(node, scope) {
+  if (typeof node === "string") { const v = interpolate(node, scope); return v === undefined ? SKIP : v; }
+  if (Array.isArray(node)) {
+    const out = [];
+    for (const item of node) {
+      if (item && typeof item === "object" && !Array.isArray(item) && "$each" in item) {
+        if (!item.template) throw new FlexTemplateError(`$each "${item.$each}" requires template`);
+        const list = lookup(scope, item.$each);
+        if (list !== undefined && list !== null && !Array.isArray(list)) throw new FlexTemplateError(`$each "${item.$each}" is not an array`);
+        (list || []).forEach((v, i) => {
+          const r = renderNode(item.template, { ...scope, [item.as || "item"]: v, [item.index || "index"]: i });
+          if (r !== SKIP) out.push(r);
+        });
+        continue;
+      }
+      const r = renderNode(item, scope);
+      if (r !== SKIP) out.push(r);
+    }
+    return out;
+  }
+  if (node && typeof node === "object") {
+    if ("$if" in node && !evaluate(String(node.$if), scope)) return SKIP;
+    if ("$unless" in node && evaluate(String(node.$unless), scope)) return SKIP;
+    const out = {};
+    for (const [k, v] of Object.entries(node)) {
+      if (k === "$if" || k === "$unless") continue;
+      const r = renderNode(v, scope);
+      if (r !== SKIP) out[k] = r;
+    }
+    return out;
+  }
+  return node;
+}
+
+// ---- 上限チェック（エラーは "contents.body.contents[2].action.label: ..." の形で全部返す） ----
+function walkComponents(node, where, errors) {
+  if (Array.isArray(node)) { node.forEach((n, i) => walkComponents(n, `${where}[${i}]`, errors)); return; }
+  if (!node || typeof node !== "object") return;
+  if (node.type === "text" && !Array.isArray(node.contents) && !(typeof node.text === "string" && node.text)) errors.push(`${where}.text: must be a non-empty string`);
+  if (node.type === "box" && !Array.isArray(node.contents)) errors.push(`${where}.contents: must be an array`);
+  const a = node.action;
+  if (a && typeof a === "object") {
+    const w = `${where}.action`;
+    if (a.label !== undefined && String(a.label).length > FLEX_LIMITS.label) errors.push(`${w}.label: over ${FLEX_LIMITS.label} chars`);
+    if (a.type === "message" && !(a.text && String(a.text).length <= FLEX_LIMITS.messageText)) errors.push(`${w}.text: must be 1-${FLEX_LIMITS.messageText} chars`);
+    if (a.type === "postback" && !(a.data && String(a.data).length <= FLEX_LIMITS.postbackData)) errors.push(`${w}.data: must be 1-${FLEX_LIMITS.postbackData} chars`);
+    if (a.type === "uri" && !(/^(https?|line|tel):/.test(String(a.uri || "")) && String(a.uri).length <= FLEX_LIMITS.uri)) errors.push(`${w}.uri: must be http(s)/line/tel and up to ${FLEX_LIMITS.uri} chars`);
+  }
+  for (const [k, v] of Object.entries(node)) if (k !== "action" && v && typeof v === "object") walkComponents(v, `${where}.${k}`, errors);
+}
+const byteLength = (v) => Buffer.byteLength(JSON.stringify(v));
+
+function validateFlexMessage(message) {
+  const errors = [];
+  if (!message || message.type !== "flex") return ["type: must be flex"];
+  const alt = message.altText;
+  if (typeof alt !== "string" || alt.length === 0 || alt.length > FLEX_LIMITS.altText) errors.push(`altText: must be 1-${FLEX_LIMITS.altText} chars`);
+  const c = message.contents;
+  if (c?.type === "bubble") {
+    if (byteLength(c) > FLEX_LIMITS.bubbleBytes) errors.push(`contents: bubble exceeds ${FLEX_LIMITS.bubbleBytes} bytes`);
+  } else if (c?.type === "carousel") {
+    const bubbles = Array.isArray(c.contents) ? c.contents : [];
+    if (bubbles.length === 0 || bubbles.length > FLEX_LIMITS.carouselBubbles) errors.push(`contents.contents: carousel needs 1-${FLEX_LIMITS.carouselBubbles} bubbles`);
+    bubbles.forEach((b, i) => {
+      if (b?.type !== "bubble") errors.push(`contents.contents[${i}]: must be a bubble`);
+      else if (byteLength(b) > FLEX_LIMITS.bubbleBytes) errors.push(`contents.contents[${i}]: bubble exceeds ${FLEX_LIMITS.bubbleBytes} bytes`);
+    });
+    if (byteLength(c) > FLEX_LIMITS.carouselBytes) errors.push(`contents: carousel exceeds ${FLEX_LIMITS.carouselBytes} bytes`);
+  } else {
+    errors.push("contents.type: must be bubble or carousel");
+  }
+  walkComponents(c, "contents", errors);
+  return errors;
+}
+
+// ---- 読み込み（dir/*.json がテンプレート、*.sample.json はプレビュー用の見本データ） ----
+function loadTemplates(dir) {
+  const templates = new Map(), samples = new Map();
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort()) {
+    let parsed;
+    try { parsed = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")); } catch (e) { throw new FlexTemplateError(`${file}: ${e.message}`); }
+    const m = file.match(/^([\w-]+)\.sample\.json$/);
+    if (m) { samples.set(m[1], parsed); continue; }
+    const name = file.replace(/\.json$/, "");
+    if (!/^[\w-]+$/.test(name)) throw new FlexTemplateError(`${file}: template name must be [A-Za-z0-9_-]`);
+    if (!["bubble", "carousel"].includes(parsed?.type)) throw new FlexTemplateError(`${file}: top level must be a bubble or carousel`);
+    templates.set(name, parsed);
+  }
+  return { templates, samples };
+}
+
+// dir: テンプレート置き場、themeFile: 共通テーマ。render(name, data) は bubble/carousel、message(altText, contents) は Flex メッセージを返す
+// 上限チェック（validateFlexMessage）は送信直前にまとめて行う（app.js の sanitizeMessages）
+function createFlexTemplates({ dir, themeFile }) {
+  let state = { templates: new Map(), samples: new Map(), theme: {} };
+
+  function reload() {
+    const { templates, samples } = loadTemplates(dir);
+    const theme = themeFile && fs.existsSync(themeFile) ? JSON.parse(fs.readFileSync(themeFile, "utf8")) : {};
+    state = { templates, samples, theme };
+    return { templates: [...templates.keys()], samples: [...samples.keys()] };
+  }
+
+  function render(name, data = {}) {
+    const tpl = state.templates.get(name);
+    if (!tpl) throw new FlexTemplateError(`unknown template "${name}"`);
+    return renderNode(tpl, { ...data, theme: state.theme });
+  }
+
+  const message = (altText, contents) => ({ type: "flex", altText: FILTERS.truncate(altText, FLEX_LIMITS.altText), contents });
+
+  return {
+    reload,
+    render,
+    message,
+    names: () => [...state.templates.keys()],
+    sample: (name) => state.samples.get(name) || null,
+    get theme() { return state.theme; },
+  };
+}
+
+module.exports = { createFlexTemplates, renderNode, validateFlexMessage, FlexTemplateError, FLEX_LIMITS };
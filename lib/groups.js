@@ -0,0 +1,79 @@
+// lib/groups.js - グループ・トークルームでの応答条件（メンション／コマンド接頭辞）とグループ別設定（静かな時間・使えるコマンド・あいさつ）
+"use strict";
+
+/* ===== グループ別設定（保存は app.js 側。Redis の group:settings ハッシュ／メモリ） =====
+ * { "quietHours": "22:00-07:00" | null,   // この時間帯は管理コマンド以外に応答しない（SCHEDULE_TZ_OFFSET_MIN のローカル時刻、日またぎ可）
+ *   "commands": ["faq", "huku"] | null,   // 使えるコマンド（ハンドラの command 名、既定はプラグイン名。"intents" はインテント応答）。null は全部
+ *   "welcome": true }                     // 参加時・メンバー参加時のあいさつ
+ */
+
+const DEFAULT_GROUP_SETTINGS = Object.freeze({ quietHours: null, commands: null, welcome: true });
+const COMMAND_NAME_RE = /^[a-z][a-z0-9_-]{0,39}$/;
+const QUIET_RE = /^(\d{1,2}):(\d{2})\s*[-~〜]\s*(\d{1,2}):(\d{2})$/;
+
+// メンション（isSelf = このボット）を本文から取り除く。index / length は text 上の位置
+function parseMention(message) {
+  const text = String(message?.text || "");
+  const self = (Array.isArray(message?.mention?.mentionees) ? message.mention.mentionees : [])
+    .filter(m => m?.isSelf && Number.isInteger(m.index) && Number.isInteger(m.length))
+    .sort((a, b) => b.index - a.index); // 後ろから消す（前の位置がずれないように）
+  let out = text;
+  for (const m of self) out = out.slice(0, m.index) + out.slice(m.index + m.length);
+  return { mentioned: self.length > 0, text: out.trim() };
+}
+
+// ボット宛てなら { text, via: "mention" | "prefix" }、そうでなければ null。prefix が空ならメンションのみ
+function addressedText(message, prefix = "/") {
+  const { mentioned, text } = parseMention(message);
+  if (mentioned) return { text, via: "mention" };
+  if (prefix && text.startsWith(prefix) && text.length > prefix.length) return { text: text.slice(prefix.length).trim(), via: "prefix" };
+  return null;
+}
+
+// "22:00-07:00" -> { start, end }（0時からの分）。"off" 等は null、不正なら undefined
+function parseQuietHours(spec) {
+  const s = String(spec ?? "").trim();
+  if (!s || /^(off|none|なし)$/i.test(s)) return null;
+  const m = s.match(QUIET_RE);
+  if (!m) return undefined;
+  const [sh, sm, eh, em] = m.slice(1).map(Number);
+  if (sh > 23 || eh > 23 || sm > 59 || em > 59) return undefined;
+  const start = sh * 60 + sm, end = eh * 60 + em;
+  return start === end ? undefined : { start, end };
+}
+const pad2 = (n) => String(n).padStart(2, "0");
+const formatMinutes = (m) => `${pad2(Math.floor(m / 60))}:${pad2(m % 60)}`;
+const formatQuietHours = (q) => (q ? `${formatMinutes(q.start)}-${formatMinutes(q.end)}` : null);
+
+function inQuietHours(settings, ts, tzOffsetMin = 540) {
+  const q = parseQuietHours(settings?.quietHours);
+  if (!q) return false;
+  const d = new Date(ts + tzOffsetMin * 60000);
+  const m = d.getUTCHours() * 60 + d.getUTCMinutes();
+  return q.start < q.end ? m >= q.start && m < q.end : m >= q.start || m < q.end;
+}
+
+// 保存・API 入力の正規化。不正な項目があれば throw（message はそのまま 400 の error に使う）
+function normalizeGroupSettings(raw = {}, base = DEFAULT_GROUP_SETTINGS) {
+  const out = { ...DEFAULT_GROUP_SETTINGS, ...base };
+  if (raw.quietHours !== undefined) {
+    const q = parseQuietHours(raw.quietHours);
+    if (q === undefined) throw new Error("quietHours must be HH:MM-HH:MM or null");
+    out.quietHours = formatQuietHours(q);
+  }
+  if (raw.commands !== undefined) {
+    if (raw.commands !== null && !(Array.isArray(raw.commands) && raw.commands.every(c => COMMAND_NAME_RE.test(String(c))))) throw new Error("commands must be a list of command names or null");
+    out.commands = raw.commands === null ? null : [...new Set(raw.commands.map(String))].sort();
+  }
+  if (raw.welcome !== undefined) {
+    if (typeof raw.welcome !== "boolean") throw new Error("welcome must be boolean");
+    out.welcome = raw.welcome;
+  }
+  return out;
+}
+
+const isCommandEnabled = (settings, command) => !settings?.commands || settings.commands.includes(command);
+
+module.exports = {
+  DEFAULT_GROUP_SETTINGS, parseMention, addressedText, parseQuietHours, formatQuietHours, inQuietHours, normalizeGroupSettings, isCommandEnabled,
+};
@@ -0,0 +1,66 @@
+// lib/i18n.js - 応答文面のメッセージカタログ（locales/<lang>.json を読み込み、言語ごとに文面を引く）
+"use strict";
+
+/* ===== 方針 =====
+ * - locales/ 配下の <lang>.json が1言語。ファイルを足せば対応言語が増える（コード変更不要）
+ * - キーはドット区切りのフラットな文字列。値は文字列（{{name}} 形式で差し込み）か、選択肢などの配列
+ * - 見つからないキーは既定言語 → キーそのものの順でフォールバック（表示が空にならないように）
+ * - 設定ファイル内の文面は "文字列" か { "ja": "...", "en": "..." } のどちらでも書ける（localize で解決）
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const interpolate = (tpl, vars = {}) => String(tpl).replace(/\{\{\s*(\w+)\s*\}\}/g, (_m, k) => (vars[k] ?? ""));
+
+function loadBundles(dir) {
+  const bundles = {};
+  for (const file of fs.readdirSync(dir).filter(f => /^[a-z]{2,3}(-[a-z0-9]+)?\.json$/i.test(f)).sort()) {
+    const lang = file.replace(/\.json$/i, "").toLowerCase();
+    const raw = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error(`${file}: catalog must be an object`);
+    bundles[lang] = raw;
+  }
+  return bundles;
+}
+
+function createI18n({ dir, defaultLang = "ja" }) {
+  const bundles = loadBundles(dir);
+  if (!bundles[defaultLang]) throw new Error(`default language bundle not found: ${defaultLang}.json in ${dir}`);
+  const supported = Object.keys(bundles);
+
+  // "en-US" / "EN" / "zh-Hant" 等を対応言語に寄せる。非対応なら null
+  function normalizeLang(code) {
+    const c = String(code || "").trim().toLowerCase().replace(/_/g, "-");
+    if (!c) return null;
+    if (bundles[c]) return c;
+    const base = c.split("-")[0];
+    return bundles[base] ? base : null;
+  }
+
+  function t(lang, key, vars) {
+    const v = bundles[lang]?.[key] ?? bundles[defaultLang][key];
+    if (v === undefined) return key;
+    return typeof v === "string" ? interpolate(v, vars) : v;
+  }
+
+  // 言語を固定した t。t.lang で言語を参照できる
+  function translator(lang) {
+    const l = normalizeLang(lang) || defaultLang;
+    const fn = (key, vars) => t(l, key, vars);
+    fn.lang = l;
+    return fn;
+  }
+
+  function localize(value, lang) {
+    if (value === null || value === undefined || typeof value === "string") return value;
+    return value[lang] ?? value[defaultLang] ?? Object.values(value)[0];
+  }
+
+  // 言語の表示名（各カタログの "lang.name"）
+  const languageName = (lang) => bundles[lang]?.["lang.name"] || lang;
+
+  return { t, translator, normalizeLang, localize, languageName, supported, defaultLang };
+}
+
+module.exports = { createI18n, interpolate };
@@ -0,0 +1,62 @@
+// lib/insights.js - ゲストの質問の分析（分類の集計キー、ユーザーIDのハッシュ化、未回答フレーズの正規化・伏字、日別集計のまとめ）
+"use strict";
+
+/* ===== 分類（受け取ったテキスト1件につき1つ。保存は app.js 側） =====
+ * route:<command>  振り分けで一致したコマンド（プラグインの command 名。出欠・有人対応の会話中は rsvp / handoff）
+ * faq:<key>        FAQ の回答（FAQ:キー・postback・インテント経由。フェーズで隠したものも「聞かれた」として数える）
+ * intent:<id>      FAQ 以外を返したインテント
+ * unmatched        何も返せなかった（フォールバックの候補提示も含む）。本文は normalizePhrase して件数だけ残す
+ * ユーザーは hashUserId（HMAC）でのみ扱い、元の ID・本文は保存しない
+ */
+
+const { createHmac } = require("crypto");
+
+const KINDS = ["route", "faq", "intent", "unmatched"];
+const PHRASE_MAX = 60;
+
+const hashUserId = (userId, salt) => (userId ? createHmac("sha256", String(salt)).update(String(userId)).digest("hex").slice(0, 16) : null);
+
+const insightField = (kind, key) => (kind === "unmatched" ? "unmatched" : `${kind}:${key ?? "-"}`);
+
+// 表記ゆれ（全角/半角・大小文字・空白・末尾の記号）を寄せ、URL・メールアドレス・4桁以上の数字は伏字。2文字未満は数えない
+function normalizePhrase(text) {
+  const s = String(text || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, "<url>")
+    .replace(/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, "<email>")
+    .replace(/\d[\d -]{2,}\d/g, "<num>")
+    .replace(/\s+/g, " ")
+    .replace(/ (?=[^\x00-\x7f])|(?<=[^\x00-\x7f]) /g, "") // 日本語の前後の空白は区切りではない
+    .replace(/[\s!?.。、…~〜]+$/u, "")
+    .trim();
+  const chars = [...s];
+  return chars.length < 2 ? null : chars.slice(0, PHRASE_MAX).join("");
+}
+
+// ts の日付（tzOffsetMin のローカル時刻、YYYY-MM-DD）と、そこから遡る n 日分（新しい順）
+const dayOf = (ts, tzOffsetMin = 540) => new Date(ts + tzOffsetMin * 60000).toISOString().slice(0, 10);
+const lastDays = (n, ts, tzOffsetMin = 540) => Array.from({ length: n }, (_, i) => dayOf(ts - i * 86400000, tzOffsetMin));
+
+// perDay: [{ day, counts: { "faq:駐車場": 3, unmatched: 2, ... }, users }] -> 期間の合計・種別ごとの上位・日別の推移
+function summarizeInsights(perDay, { top = 10 } = {}) {
+  const totals = Object.fromEntries(KINDS.map(k => [k, 0]));
+  const byKey = Object.fromEntries(KINDS.filter(k => k !== "unmatched").map(k => [k, new Map()]));
+  const byDay = perDay.map(({ day, counts = {}, users = 0 }) => {
+    let total = 0;
+    for (const [field, raw] of Object.entries(counts)) {
+      const n = Number(raw) || 0;
+      const i = field.indexOf(":");
+      const kind = i < 0 ? field : field.slice(0, i);
+      if (!(kind in totals)) continue;
+      totals[kind] += n;
+      total += n;
+      if (i >= 0) byKey[kind].set(field.slice(i + 1), (byKey[kind].get(field.slice(i + 1)) || 0) + n);
+    }
+    return { day, total, unmatched: Number(counts.unmatched) || 0, users };
+  });
+  const rank = (m) => [...m].map(([key, count]) => ({ key, count })).sort((a, b) => b.count - a.count || a.key.localeCompare(b.key)).slice(0, top);
+  return { totals, faqs: rank(byKey.faq), routes: rank(byKey.route), intents: rank(byKey.intent), byDay };
+}
+
+module.exports = { KINDS, hashUserId, insightField, normalizePhrase, dayOf, lastDays, summarizeInsights };
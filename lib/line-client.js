@@ -0,0 +1,173 @@
+// lib/line-client.js - LINE Messaging API の送信クライアント（タイムアウト・ジッター付きリトライ・返信トークン期限・サーキットブレーカー・計測）
+"use strict";
+
+/* ===== 方針 =====
+ * - 失敗の扱い: 429 / 5xx / タイムアウト・通信エラーだけ再試行。4xx はその場で err.response = { status } を投げる
+ * - 待ち時間: Retry-After を優先（retryAfterMaxMs を超える指定は待たずに諦める）。無ければ baseMs * 2^(n-1)（上限 maxMs）に 50-100% のジッター
+ * - 返信: deadline（返信トークンの期限、epoch ms）までに次の試行が終わらないなら待たずに諦め、err.deadlineExceeded = true（呼び出し側で push に切り替える）。5xx・タイムアウトの試行があれば err.maybeAccepted = true（届いたかもしれないので push しない）。
+ *   接続拒否・名前解決失敗など送る前に失敗した通信エラーは届いていないので maybeAccepted にしない
+ * - push / multicast / broadcast: 1回の送信で同じ X-Line-Retry-Key を使う（再試行での二重送信を防ぐ。409 は受付済みとして成功扱い）
+ * - サーキットブレーカー: API（api / data）ごとに 5xx・タイムアウトが threshold 回続くと open。cooldownMs 後に1件だけ試し（half-open）、
+ *   成功で closed・失敗で再び open。open の間は通信せず err.code = "LINE_CIRCUIT_OPEN" を投げる（429・4xx は障害として数えない）
+ * - metrics: { observe(endpoint, method, status, seconds), circuit(api, state) } を渡すと呼ぶ（Prometheus への登録は app.js 側）
+ */
+
+const { randomUUID } = require("crypto");
+
+const CIRCUIT_STATES = { closed: 0, "half-open": 1, open: 2 };
+const DEFAULT_RETRY = Object.freeze({ maxAttempts: 4, baseMs: 500, maxMs: 8000, retryAfterMaxMs: 30000 });
+const DEFAULT_BREAKER = Object.freeze({ threshold: 5, cooldownMs: 30000 });
+const ID_SEGMENT_RE = /^(?:[UCR][0-9a-f]{32}|\d+|richmenu-[\w-]+|richmenualias-[\w-]+)$/;
+
+// メトリクスのラベル用に ID を伏せたパス（/v2/bot/profile/U... -> /v2/bot/profile/:id）
+const endpointOf = (p) => String(p).split("?")[0].split("/").map(s => (ID_SEGMENT_RE.test(s) ? ":id" : s)).join("/");
+
+// Retry-After（秒 または HTTP 日付）-> ms。無し・不正は 0
+function parseRetryAfter(value, nowMs = Date.now()) {
+  if (!value) return 0;
+  if (/^\d+$/.test(String(value).trim())) return Number(value) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? 0 : Math.max(0, at - nowMs);
+}
+
+const backoffMs = (attempt, { baseMs, maxMs }, random = Math.random) => Math.round(Math.min(maxMs, baseMs * 2 ** (attempt - 1)) * (0.5 + random() * 0.5));
+
+const isRetryableStatus = (status) => status === 429 || (status >= 500 && status < 600);
+
+// 送った後に応答を待ち切れなかった失敗か（タイムアウト・中断）。ECONNREFUSED / ENOTFOUND / EAI_AGAIN 等は LINE に届いていない
+const isAfterSendFailure = (err) => err?.code === "LINE_TIMEOUT" || err?.name === "AbortError";
+
+function createCircuitBreaker({ threshold, cooldownMs }, { now = Date.now, onChange = () => {} } = {}) {
+  let state = "closed", failures = 0, openedAt = 0, probing = false;
+  const set = (next) => { if (state !== next) { state = next; onChange(next); } };
+  return {
+    // 通してよいか（open の間は false。cooldown 明けは1件だけ通して half-open）
+    allow() {
+      if (state === "closed") return true;
+      if (state === "open" && now() - openedAt >= cooldownMs) { set("half-open"); probing = false; }
+      if (state === "half-open" && !probing) { probing = true; return true; }
+      return false;
+    },
+    success() { failures = 0; probing = false; set("closed"); },
+    failure() {
+      failures++;
+      probing = false;
+      if (state === "half-open" || failures >= threshold) { openedAt = now(); set("open"); }
+    },
+    // 障害と関係ない結果（429 等）。half-open の試しは終わったことにする
+    release() { probing = false; },
+    status: () => ({ state, failures, openedAt: openedAt || null, retryInMs: state === "open" ? Math.max(0, cooldownMs - (now() - openedAt)) : 0 }),
+  };
+}
+
+function createLineClient({
+  token, apiBase = "https://api.line.me", dataApiBase = "https://api-data.line.me", fetch: fetchImpl = globalThis.fetch, dispatcher,
+  timeoutMs = 5000, retry = {}, breaker = {}, logger, metrics, now = Date.now, sleep = (ms) => new Promise(r => setTimeout(r, ms)), random = Math.random,
+} = {}) {
+  const retryOpts = { ...DEFAULT_RETRY, ...retry };
+  const breakers = Object.fromEntries(["api", "data"].map(api => [api, createCircuitBreaker({ ...DEFAULT_BREAKER, ...breaker }, {
+    now,
+    onChange: (state) => {
+      metrics?.circuit?.(api, state);
+      logger?.[state === "open" ? "error" : "warn"]?.({ api, state }, "[LINE] circuit breaker state changed");
+    },
+  })]));
+  for (const api of Object.keys(breakers)) metrics?.circuit?.(api, "closed");
+
+  const circuitOpenError = (api) => {
+    const err = new Error(`LINE API circuit open (${api})`);
+    err.code = "LINE_CIRCUIT_OPEN";
+    return err;
+  };
+
+  // 1回だけの呼び出し（ブレーカー・計測付き）。fetch 互換の Response を返す（lib/richmenu.js の request にもそのまま渡せる）
+  async function request(p, { method = "GET", body, headers = {}, dataApi = false } = {}) {
+    const api = dataApi ? "data" : "api";
+    const endpoint = endpointOf(p);
+    const cb = breakers[api];
+    if (!cb.allow()) { metrics?.observe?.(endpoint, method, "circuit_open", 0); throw circuitOpenError(api); }
+    const start = now();
+    const ac = new AbortController();
+    const timer = setTimeout(() => ac.abort(new Error("timeout")), timeoutMs);
+    try {
+      const resp = await fetchImpl((dataApi ? dataApiBase : apiBase) + p, {
+        method, body, dispatcher, signal: ac.signal,
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json", ...headers },
+      });
+      if (resp.status >= 500) cb.failure(); else if (resp.status === 429) cb.release(); else cb.success();
+      metrics?.observe?.(endpoint, method, String(resp.status), (now() - start) / 1000);
+      return resp;
+    } catch (err) {
+      cb.failure();
+      metrics?.observe?.(endpoint, method, ac.signal.aborted ? "timeout" : "error", (now() - start) / 1000);
+      throw ac.signal.aborted ? Object.assign(new Error(`LINE API timeout after ${timeoutMs}ms: ${method} ${endpoint}`), { code: "LINE_TIMEOUT" }) : err;
+    } finally { clearTimeout(timer); }
+  }
+
+  // 再試行付きの呼び出し。成功した Response を返す。deadline は返信トークン等の期限（epoch ms）
+  // 失敗時の err.maybeAccepted: 5xx・タイムアウトの試行があった（LINE 側では受け付けられたかもしれない）
+  async function call(p, opts = {}, { label = `${opts.method || "GET"} ${endpointOf(p)}`, ctx = {}, deadline = null, retryKey = null } = {}) {
+    const start = now();
+    const headers = retryKey ? { ...opts.headers, "X-Line-Retry-Key": retryKey } : opts.headers;
+    let maybeAccepted = false;
+    for (let attempt = 1; ; attempt++) {
+      let resp, err, waitMs;
+      try { resp = await request(p, { ...opts, headers }); } catch (e) {
+        if (e.code === "LINE_CIRCUIT_OPEN") { e.maybeAccepted = maybeAccepted; throw e; }
+        logger?.warn?.({ ...ctx, attempt, err: String(e), elapsedMs: now() - start }, `LINE ${label} failed`);
+        if (isAfterSendFailure(e)) maybeAccepted = true;
+        err = Object.assign(e, { maybeAccepted });
+        waitMs = backoffMs(attempt, retryOpts, random);
+      }
+      if (resp) {
+        if (resp.ok || (retryKey && resp.status === 409)) {
+          logger?.info?.({ ...ctx, status: resp.status, attempt, elapsedMs: now() - start }, resp.ok ? `LINE ${label} OK` : `LINE ${label} already accepted`);
+          return resp;
+        }
+        const bodyText = await resp.text().catch(() => "");
+        logger?.error?.({ ...ctx, attempt, status: resp.status, data: bodyText.slice(0, 300), elapsedMs: now() - start }, `LINE ${label} error`);
+        if (resp.status >= 500) maybeAccepted = true;
+        err = Object.assign(new Error(`${label} failed ${resp.status}: ${bodyText}`), { response: { status: resp.status }, maybeAccepted });
+        if (!isRetryableStatus(resp.status)) throw err;
+        const retryAfter = parseRetryAfter(resp.headers.get("retry-after"), now());
+        if (retryAfter > retryOpts.retryAfterMaxMs) { logger?.warn?.({ ...ctx, retryAfterMs: retryAfter }, `LINE ${label} Retry-After too long, giving up`); throw err; }
+        waitMs = retryAfter || backoffMs(attempt, retryOpts, random);
+      }
+      if (attempt >= retryOpts.maxAttempts) throw err;
+      if (deadline && now() + waitMs + timeoutMs > deadline) {
+        logger?.warn?.({ ...ctx, attempt, waitMs, deadlineInMs: deadline - now() }, `LINE ${label} deadline reached, giving up`);
+        err.deadlineExceeded = true;
+        throw err;
+      }
+      await sleep(waitMs);
+    }
+  }
+
+  const postJson = (p, payload, meta) => call(p, { method: "POST", body: JSON.stringify(payload) }, meta);
+  const getJson = async (p, meta) => (await call(p, {}, meta)).json();
+
+  return {
+    request,
+    call,
+    reply: (replyToken, messages, { deadline, ctx } = {}) => postJson("/v2/bot/message/reply", { replyToken, messages }, { label: "Reply", ctx, deadline }),
+    push: (to, messages, { ctx } = {}) => postJson("/v2/bot/message/push", { to, messages }, { label: "Push", ctx: { to, ...ctx }, retryKey: randomUUID() }),
+    multicast: (to, messages, { ctx } = {}) => postJson("/v2/bot/message/multicast", { to, messages }, { label: "Multicast", ctx: { recipients: to.length, ...ctx }, retryKey: randomUUID() }),
+    broadcast: (messages, { ctx } = {}) => postJson("/v2/bot/message/broadcast", { messages }, { label: "Broadcast", ctx, retryKey: randomUUID() }),
+    profile: (userId) => getJson(`/v2/bot/profile/${encodeURIComponent(userId)}`, { label: "Profile", ctx: { userId } }),
+    groupSummary: (groupId) => getJson(`/v2/bot/group/${encodeURIComponent(groupId)}/summary`, { label: "GroupSummary", ctx: { groupId } }),
+    // chat: "group" | "room"
+    chatMemberProfile: (chat, chatId, userId) => getJson(`/v2/bot/${chat}/${encodeURIComponent(chatId)}/member/${encodeURIComponent(userId)}`, { label: "MemberProfile", ctx: { userId } }),
+    // ユーザーが送った画像等（api-data）。maxBytes を超えたら throw
+    async content(messageId, { preview = false, maxBytes = Infinity } = {}) {
+      const resp = await call(`/v2/bot/message/${encodeURIComponent(messageId)}/content${preview ? "/preview" : ""}`, { dataApi: true }, { label: "Content", ctx: { messageId } });
+      const declared = Number(resp.headers.get("content-length") || 0);
+      if (declared > maxBytes) throw new Error(`content too large: ${declared}`);
+      const buf = Buffer.from(await resp.arrayBuffer());
+      if (buf.length > maxBytes) throw new Error(`content too large: ${buf.length}`);
+      return { buf, contentType: resp.headers.get("content-type") || "image/jpeg" };
+    },
+    circuit: () => Object.fromEntries(Object.entries(breakers).map(([api, cb]) => [api, cb.status()])),
+  };
+}
+
+module.exports = { CIRCUIT_STATES, endpointOf, parseRetryAfter, backoffMs, createCircuitBreaker, createLineClient };
@@ -0,0 +1,79 @@
+// lib/phases.js - 当日の進行フェーズ（開場前 → 挙式 → 披露宴 → 二次会 → お開き後）の定義と、時刻からのフェーズ判定（上書き・保存は app.js 側）
+"use strict";
+
+/* ===== フェーズ定義（PHASES_FILE で指定。見本は config/phases.example.json） =====
+ * {
+ *   "date": "2026-05-03",                      // start が "HH:MM" のときの日付（時刻は tzOffsetMin で解釈）
+ *   "phases": [
+ *     { "id": "before", "name": { "ja": "開場前", "en": "Before doors" } },   // 先頭は start 省略可（最初の start より前もこのフェーズ）
+ *     { "id": "reception", "start": "14:00",   // "HH:MM" / "YYYY-MM-DD HH:MM" / ISO 8601（オフセット付き）
+ *       "hideFaqs": ["送迎バス"],              // FAQ 一覧・回答・インテント・フォールバックから隠す FAQ のキー
+ *       "notice": { "ja": "...", "en": "..." }, // FAQ 一覧の先頭に出すお知らせ
+ *       "galleryLink": true,                   // FAQ 一覧にギャラリーへのボタンを付ける
+ *       "richMenu": "guest" }                  // このフェーズに入ったら既定にするリッチメニュー（config/richmenus.json の id）
+ *   ]
+ * }
+ * start は昇順。インテント側は intents.json の "phases": ["before", ...] で有効なフェーズを絞れる
+ */
+
+const fs = require("fs");
+
+const ID_RE = /^[a-z][a-z0-9_-]{0,31}$/;
+
+// "HH:MM"（date 必須） / "YYYY-MM-DD HH:MM"（tzOffsetMin で解釈） / ISO 8601 -> epoch ms。不正なら null
+function parsePhaseStart(value, { date, tzOffsetMin = 540 } = {}) {
+  const s = String(value || "").trim();
+  let m = s.match(/^(\d{1,2}):(\d{2})$/);
+  if (m && date) m = `${date} ${s}`.match(/^(\d{4})-(\d{2})-(\d{2}) (\d{1,2}):(\d{2})$/);
+  else m = s.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})$/);
+  if (m) {
+    const [y, mo, d, hh, mm] = m.slice(1).map(Number);
+    if (hh > 23 || mm > 59) return null;
+    return Date.UTC(y, mo - 1, d, hh, mm) - tzOffsetMin * 60000;
+  }
+  const t = /[zZ]|[+-]\d{2}:?\d{2}$/.test(s) ? Date.parse(s) : NaN;
+  return Number.isFinite(t) ? t : null;
+}
+
+function compilePhases(raw = {}, { tzOffsetMin = 540 } = {}) {
+  const list = Array.isArray(raw.phases) ? raw.phases : [];
+  if (raw.date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(String(raw.date))) throw new Error("phases: date must be YYYY-MM-DD");
+  const seen = new Set();
+  let prevStart = -Infinity;
+  const phases = list.map((p, i) => {
+    const where = `phases[${i}]`;
+    if (!p || !ID_RE.test(String(p.id || ""))) throw new Error(`${where}: invalid id ${p?.id}`);
+    if (seen.has(p.id)) throw new Error(`${where}: duplicate id ${p.id}`);
+    seen.add(p.id);
+    let start = null;
+    if (p.start !== undefined) {
+      start = parsePhaseStart(p.start, { date: raw.date, tzOffsetMin });
+      if (start === null) throw new Error(`${where}: invalid start ${p.start}`);
+      if (start <= prevStart) throw new Error(`${where}: start must be after the previous phase`);
+      prevStart = start;
+    } else if (i > 0) {
+      throw new Error(`${where}: start is required (only the first phase may omit it)`);
+    }
+    if (p.hideFaqs !== undefined && !(Array.isArray(p.hideFaqs) && p.hideFaqs.every(k => typeof k === "string"))) throw new Error(`${where}: hideFaqs must be string[]`);
+    if (p.richMenu !== undefined && typeof p.richMenu !== "string") throw new Error(`${where}: richMenu must be a menu id`);
+    return {
+      id: p.id, start, name: p.name || p.id, notice: p.notice || null, galleryLink: !!p.galleryLink, richMenu: p.richMenu || null,
+      hideFaqs: new Set(p.hideFaqs || []),
+    };
+  });
+  const byId = new Map(phases.map(p => [p.id, p]));
+  return {
+    phases,
+    get: (id) => byId.get(id) || null,
+    // ts 時点のフェーズ（最後に start を過ぎたもの。どれも過ぎていなければ先頭）。定義が空なら null
+    at: (ts) => phases.reduce((cur, p) => (p.start !== null && p.start <= ts ? p : cur), phases[0] || null),
+  };
+}
+
+function loadPhases(file, opts) {
+  return compilePhases(JSON.parse(fs.readFileSync(file, "utf8")), opts);
+}
+
+const isFaqHidden = (phase, key) => !!phase && phase.hideFaqs.has(key);
+
+module.exports = { compilePhases, loadPhases, parsePhaseStart, isFaqHidden };
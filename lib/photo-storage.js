@@ -0,0 +1,62 @@
+// lib/photo-storage.js - ゲスト写真の保存先（差し替え可能なストレージ）
+"use strict";
+
+/* ===== インターフェース =====
+ * put(key, buffer)    -> Promise<void>
+ * get(key)            -> Promise<Buffer|null>（無ければ null）
+ * remove(key)         -> Promise<void>
+ * 追加のバックエンドは registerPhotoStorage(name, factory) で登録し、PHOTO_STORAGE=<name> で選ぶ
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const factories = new Map();
+
+function registerPhotoStorage(name, factory) {
+  factories.set(name, factory);
+}
+
+function createPhotoStorage(name, opts = {}) {
+  const factory = factories.get(name);
+  if (!factory) throw new Error(`unknown photo storage: ${name} (available: ${[...factories.keys()].join(", ")})`);
+  return factory(opts);
+}
+
+// ローカルディスク。key はファイル名として安全な文字だけを許可
+registerPhotoStorage("local", ({ dir }) => {
+  if (!dir) throw new Error("local photo storage requires dir");
+  fs.mkdirSync(dir, { recursive: true });
+  const fileOf = (key) => {
+    if (!/^[\w.-]+$/.test(key)) throw new Error(`invalid storage key: ${key}`);
+    return path.join(dir, key);
+  };
+  return {
+    kind: "local",
+    async put(key, buffer) {
+      const file = fileOf(key);
+      await fs.promises.writeFile(file + ".tmp", buffer);
+      await fs.promises.rename(file + ".tmp", file);
+    },
+    async get(key) {
+      try { return await fs.promises.readFile(fileOf(key)); }
+      catch (e) { if (e.code === "ENOENT") return null; throw e; }
+    },
+    async remove(key) {
+      await fs.promises.rm(fileOf(key), { force: true });
+    },
+  };
+});
+
+// プロセス内（テスト・一時利用向け）
+registerPhotoStorage("memory", () => {
+  const files = new Map();
+  return {
+    kind: "memory",
+    async put(key, buffer) { files.set(key, Buffer.from(buffer)); },
+    async get(key) { return files.get(key) || null; },
+    async remove(key) { files.delete(key); },
+  };
+});
+
+module.exports = { createPhotoStorage, registerPhotoStorage };
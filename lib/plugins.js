@@ -0,0 +1,132 @@
+// lib/plugins.js - ハンドラプラグインの登録と振り分け（イベント種別・テキスト正規表現・postback 接頭辞）
+"use strict";
+
+/* ===== プラグインの形 =====
+ * module.exports = {
+ *   name: "faq",
+ *   init: async (services) => {},       // 任意。起動時に登録順で呼ばれる
+ *   shutdown: async (services) => {},   // 任意。終了時に登録の逆順で呼ばれる
+ *   handlers: [
+ *     { text: /^faq$/i, handle: async (ctx) => [...] },           // テキスト（正規表現、ctx.match に結果）
+ *     { postback: "faq:", handle: async (ctx) => [...] },         // postback data の接頭辞（ctx.data に全体）
+ *     { event: ["follow", "image"], handle: async (ctx) => [...] }, // event.type（message は message.type）
+ *     { text: /^席$/, command: "seating", handle: ... }              // command: グループで使えるコマンドを絞るときの名前（既定はプラグイン名）
+ *   ],
+ * };
+ * ctx = { event, text, match, data, rid, services, plugin }。services は app.js が渡す共有サービス（store はプラグインごとの名前空間）
+ * handle の戻り値: メッセージ配列 = 返信 / null・[] = 処理済みで返信なし / undefined = 対象外として次のハンドラへ
+ * ハンドラは登録順に評価し、最初に undefined 以外を返したものが勝つ
+ */
+
+const NAME_RE = /^[a-z][a-z0-9_-]{0,39}$/;
+
+// message イベントは message.type（text / image ...）、それ以外は event.type（follow / join ...）
+const eventKind = (event) => (event?.type === "message" ? event.message?.type : event?.type) || "unknown";
+
+function validatePlugin(plugin) {
+  if (!plugin || typeof plugin !== "object") throw new Error("plugin must be an object");
+  if (!NAME_RE.test(String(plugin.name || ""))) throw new Error(`invalid plugin name: ${plugin.name}`);
+  for (const hook of ["init", "shutdown"]) {
+    if (plugin[hook] !== undefined && typeof plugin[hook] !== "function") throw new Error(`${plugin.name}: ${hook} must be a function`);
+  }
+  if (!Array.isArray(plugin.handlers)) throw new Error(`${plugin.name}: handlers must be an array`);
+  plugin.handlers.forEach((h, i) => {
+    const where = `${plugin.name}.handlers[${i}]`;
+    const specs = ["text", "postback", "event"].filter(k => h?.[k] !== undefined);
+    if (specs.length !== 1) throw new Error(`${where}: exactly one of text / postback / event is required`);
+    if (h.text !== undefined && !(h.text instanceof RegExp)) throw new Error(`${where}: text must be a RegExp`);
+    if (h.postback !== undefined && (typeof h.postback !== "string" || !h.postback)) throw new Error(`${where}: postback must be a non-empty prefix`);
+    if (h.event !== undefined && ![].concat(h.event).every(e => typeof e === "string" && e)) throw new Error(`${where}: event must be a string or string[]`);
+    if (h.command !== undefined && !NAME_RE.test(String(h.command))) throw new Error(`${where}: invalid command name ${h.command}`);
+    if (typeof h.handle !== "function") throw new Error(`${where}: handle must be a function`);
+  });
+}
+
+// services: 共有サービス。storeFor(name) があればプラグインごとの store を差し込む
+// metrics: { handled: Counter{plugin,kind}, errors: Counter{plugin} }（任意）
+function createPluginHost({ logger, metrics = {} } = {}) {
+  const plugins = [];
+  let services = null;
+  let started = false;
+
+  const scopedServices = (p) => {
+    if (!p.services) p.services = { ...services, store: services.storeFor ? services.storeFor(p.plugin.name) : services.store };
+    return p.services;
+  };
+
+  async function runInit(p) {
+    if (p.plugin.init) await p.plugin.init(scopedServices(p));
+    logger?.info({ plugin: p.plugin.name, handlers: p.plugin.handlers.length }, "[Plugins] initialized");
+  }
+
+  // 定義の誤りはその場で throw。起動後に use した場合は init を行い、その Promise を返す
+  function use(plugin) {
+    validatePlugin(plugin);
+    if (plugins.some(p => p.plugin.name === plugin.name)) throw new Error(`duplicate plugin name: ${plugin.name}`);
+    const entry = { plugin, services: null };
+    plugins.push(entry);
+    return started ? runInit(entry) : Promise.resolve();
+  }
+
+  async function init(sharedServices) {
+    if (started) return;
+    services = sharedServices || {};
+    started = true;
+    for (const p of plugins) await runInit(p);
+  }
+
+  // 1つ失敗しても残りの shutdown は続ける（ログのみ）
+  async function shutdown() {
+    if (!started) return;
+    started = false;
+    for (const p of [...plugins].reverse()) {
+      if (!p.plugin.shutdown) continue;
+      try { await p.plugin.shutdown(scopedServices(p)); }
+      catch (e) { logger?.error({ plugin: p.plugin.name, err: String(e?.stack || e) }, "[Plugins] shutdown failed"); }
+    }
+  }
+
+  const commandOf = (p, h) => h.command || p.plugin.name;
+
+  // opts.allow(command): false を返したハンドラは飛ばす（グループで無効にしたコマンドなど）
+  // opts.onHandled({ plugin, command }): 処理したハンドラを知らせる（質問の分析など）
+  async function dispatch(kind, test, base, { allow, onHandled } = {}) {
+    if (!started) throw new Error("plugins are not initialized");
+    for (const p of plugins) {
+      for (const h of p.plugin.handlers) {
+        if (allow && !allow(commandOf(p, h))) continue;
+        const hit = test(h);
+        if (!hit) continue;
+        let out;
+        try {
+          out = await h.handle({ ...base, match: hit === true ? null : hit, services: scopedServices(p), plugin: p.plugin.name });
+        } catch (e) {
+          metrics.errors?.inc({ plugin: p.plugin.name });
+          if (e && typeof e === "object" && !e.plugin) e.plugin = p.plugin.name;
+          throw e;
+        }
+        if (out === undefined) continue;
+        metrics.handled?.inc({ plugin: p.plugin.name, kind });
+        onHandled?.({ plugin: p.plugin.name, command: commandOf(p, h) });
+        return out;
+      }
+    }
+    return undefined;
+  }
+
+  return {
+    use,
+    init,
+    shutdown,
+    // extra: ctx に足す値（rid など）。opts: { allow, onHandled }（dispatch を参照）
+    dispatchText: (text, event, extra = {}, opts = {}) => dispatch("text", h => h.text && text.match(h.text), { ...extra, event, text }, opts),
+    dispatchPostback: (data, event, extra = {}, opts = {}) => dispatch("postback", h => h.postback !== undefined && data.startsWith(h.postback), { ...extra, event, data }, opts),
+    dispatchEvent: (event, extra = {}) => { const kind = eventKind(event); return dispatch(kind, h => h.event !== undefined && [].concat(h.event).includes(kind), { ...extra, event }); },
+    list: () => plugins.map(p => ({ name: p.plugin.name, handlers: p.plugin.handlers.length })),
+    // テキスト／postback ハンドラのコマンド名（重複なし、登録順）
+    commands: () => [...new Set(plugins.flatMap(p => p.plugin.handlers.filter(h => h.event === undefined).map(h => commandOf(p, h))))],
+    get started() { return started; },
+  };
+}
+
+module.exports = { createPluginHost, validatePlugin, eventKind };
@@ -0,0 +1,90 @@
+// lib/quiz.js - ゲスト参加のクイズ（定義ファイルの検証、回答の採点、ランキングの順位付け）。状態の保存・出題の配信は app.js 側
+"use strict";
+
+/* ===== クイズ定義（QUIZ_FILE で指定。見本は config/quiz.example.json） =====
+ * {
+ *   "title": { "ja": "新郎新婦クイズ", "en": "Couple quiz" },
+ *   "audience": "all",             // 出題の送り先: all（全友だちへ broadcast）/ tag:<名前>（セグメントへ multicast。attending など予約配信と同じ）
+ *   "timeLimitSec": 20,            // 回答の受付時間（問題ごとに上書き可）
+ *   "points": 100,                 // 正解の満点（問題ごとに上書き可）。早く答えるほど高く、締切ちょうどで半分
+ *   "questions": [
+ *     { "id": "q1", "text": { "ja": "...", "en": "..." },
+ *       "choices": [{ "ja": "...", "en": "..." }, "..."],  // 2〜4 択（文字列か言語別）
+ *       "answer": 0,                  // 正解の choices の添字
+ *       "image": "https://...",       // 任意。問題の画像（https）
+ *       "explanation": { "ja": "..." } } // 任意。正解発表に添える
+ *   ]
+ * }
+ * 出題は admin quiz next で先頭から順に。回答は postback（quiz:<回>:<問題ID>:<添字>）で、1問につき1人1回
+ */
+
+const fs = require("fs");
+
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const AUDIENCE_RE = /^(all|tag:\S{1,30})$/;
+const CHOICE_LABELS = ["A", "B", "C", "D"];
+const TIME_LIMIT_SEC = { min: 5, max: 600 };
+
+const isText = (v) => (typeof v === "string" && v.trim() !== "") || (!!v && typeof v === "object" && !Array.isArray(v) && Object.values(v).some(s => typeof s === "string" && s.trim()));
+
+function compileQuiz(raw = {}) {
+  const audience = raw.audience === undefined ? "all" : String(raw.audience);
+  if (!AUDIENCE_RE.test(audience)) throw new Error(`quiz: invalid audience ${audience}`);
+  const limitOf = (v, where, fallback) => {
+    if (v === undefined) return fallback;
+    if (!Number.isInteger(v) || v < TIME_LIMIT_SEC.min || v > TIME_LIMIT_SEC.max) throw new Error(`${where}: timeLimitSec must be ${TIME_LIMIT_SEC.min}-${TIME_LIMIT_SEC.max}`);
+    return v * 1000;
+  };
+  const pointsOf = (v, where, fallback) => {
+    if (v === undefined) return fallback;
+    if (!Number.isInteger(v) || v < 1 || v > 10000) throw new Error(`${where}: points must be 1-10000`);
+    return v;
+  };
+  const timeLimitMs = limitOf(raw.timeLimitSec, "quiz", 20000);
+  const points = pointsOf(raw.points, "quiz", 100);
+  const seen = new Set();
+  const questions = (Array.isArray(raw.questions) ? raw.questions : []).map((q, i) => {
+    const where = `questions[${i}]`;
+    if (!q || !ID_RE.test(String(q.id || ""))) throw new Error(`${where}: invalid id ${q?.id}`);
+    if (seen.has(q.id)) throw new Error(`${where}: duplicate id ${q.id}`);
+    seen.add(q.id);
+    if (!isText(q.text)) throw new Error(`${where}: text is required`);
+    if (!Array.isArray(q.choices) || q.choices.length < 2 || q.choices.length > CHOICE_LABELS.length || !q.choices.every(isText)) throw new Error(`${where}: choices must be 2-${CHOICE_LABELS.length} texts`);
+    if (!Number.isInteger(q.answer) || q.answer < 0 || q.answer >= q.choices.length) throw new Error(`${where}: answer must be a choice index`);
+    if (q.image !== undefined && !/^https:\/\/\S+$/.test(String(q.image))) throw new Error(`${where}: image must be an https URL`);
+    if (q.explanation !== undefined && !isText(q.explanation)) throw new Error(`${where}: explanation must be text`);
+    return {
+      id: q.id, text: q.text, choices: q.choices, answer: q.answer, image: q.image || null, explanation: q.explanation || null,
+      timeLimitMs: limitOf(q.timeLimitSec, where, timeLimitMs), points: pointsOf(q.points, where, points),
+    };
+  });
+  const byId = new Map(questions.map(q => [q.id, q]));
+  return { title: raw.title || null, audience, questions, get: (id) => byId.get(id) || null };
+}
+
+function loadQuiz(file) {
+  return compileQuiz(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+// 正解なら満点の 50〜100%（受付開始からの経過で直線的に減る）、不正解は 0
+function scoreAnswer({ correct, elapsedMs, limitMs, points }) {
+  if (!correct) return 0;
+  const left = Math.min(Math.max(1 - elapsedMs / limitMs, 0), 1);
+  return Math.round(points * (0.5 + 0.5 * left));
+}
+
+// [{ userId, score, ... }] -> 得点の高い順に rank を付ける（同点は同順位、次は飛ばす: 1, 1, 3）
+function rankEntries(entries) {
+  const sorted = [...entries].sort((a, b) => b.score - a.score || String(a.userId).localeCompare(String(b.userId)));
+  let rank = 0;
+  return sorted.map((e, i) => { if (i === 0 || sorted[i - 1].score !== e.score) rank = i + 1; return { ...e, rank }; });
+}
+
+// postback data: quiz:<回>:<問題ID>:<添字>
+const answerData = (round, questionId, choice) => `quiz:${round}:${questionId}:${choice}`;
+function parseAnswerData(data) {
+  const m = String(data || "").match(/^quiz:([0-9a-f]{8}):([a-z0-9][a-z0-9_-]{0,31}):(\d)$/);
+  return m ? { round: m[1], questionId: m[2], choice: Number(m[3]) } : null;
+}
+
+module.exports = { CHOICE_LABELS, compileQuiz, loadQuiz, scoreAnswer, rankEntries, answerData, parseAnswerData };
@@ -0,0 +1,126 @@
+// lib/richmenu.js - リッチメニューの宣言的定義を LINE に同期（app.js と scripts/richmenu-sync.js で共用）
+"use strict";
+
+/* ===== 方針 =====
+ * - 定義（config/richmenus.json）の内容と画像から短いハッシュを作り、LINE 側の name を "<id>@<hash>" にする
+ *   → 同じ定義なら再作成しない（冪等）。定義を変えると新しいメニューを作り、古い同 id のものは prune で削除
+ * - request(path, { method, body, headers, dataApi }) は fetch 互換の Response を返す関数（lib/line-client.js の request 等）
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createHash } = require("crypto");
+
+const AREA_MAX = 20;
+const CHAT_BAR_TEXT_MAX = 14;
+const IMAGE_MAX_BYTES = 1024 * 1024;
+
+function validateDefinition(def, baseDir) {
+  const where = `richmenu "${def?.id}"`;
+  if (!def || !/^[\w-]{1,50}$/.test(def.id || "")) throw new Error("richmenu id must be 1-50 chars of [A-Za-z0-9_-]");
+  const { width, height } = def.size || {};
+  if (!(width >= 800 && width <= 2500 && height >= 250 && width / height >= 1.45)) throw new Error(`${where}: invalid size`);
+  if (!def.chatBarText || def.chatBarText.length > CHAT_BAR_TEXT_MAX) throw new Error(`${where}: chatBarText must be 1-${CHAT_BAR_TEXT_MAX} chars`);
+  if (!Array.isArray(def.areas) || def.areas.length === 0 || def.areas.length > AREA_MAX) throw new Error(`${where}: areas must be 1-${AREA_MAX}`);
+  def.areas.forEach((a, i) => {
+    const b = a.bounds || {};
+    if (!(b.x >= 0 && b.y >= 0 && b.width > 0 && b.height > 0 && b.x + b.width <= width && b.y + b.height <= height)) {
+      throw new Error(`${where}: areas[${i}] is out of bounds`);
+    }
+    if (!["message", "postback", "uri"].includes(a.action?.type)) throw new Error(`${where}: areas[${i}].action.type must be message, postback or uri`);
+  });
+  const imagePath = path.resolve(baseDir, def.image || "");
+  if (!def.image || !fs.existsSync(imagePath)) throw new Error(`${where}: image not found (${def.image})`);
+  const image = fs.readFileSync(imagePath);
+  if (image.length > IMAGE_MAX_BYTES) throw new Error(`${where}: image exceeds 1MB`);
+  const contentType = /\.png$/i.test(imagePath) ? "image/png" : "image/jpeg";
+  const body = { size: def.size, selected: !!def.selected, chatBarText: def.chatBarText, areas: def.areas };
+  const hash = createHash("sha256").update(JSON.stringify(body)).update(image).digest("hex").slice(0, 10);
+  return { id: def.id, default: !!def.default, audience: def.audience || null, body, image, contentType, name: `${def.id}@${hash}` };
+}
+
+function loadDefinitions(configFile, baseDir = path.dirname(path.dirname(configFile))) {
+  const raw = JSON.parse(fs.readFileSync(configFile, "utf8"));
+  const defs = (raw.menus || []).map(d => validateDefinition(d, baseDir));
+  if (new Set(defs.map(d => d.id)).size !== defs.length) throw new Error("richmenu ids must be unique");
+  if (defs.filter(d => d.default).length > 1) throw new Error("only one richmenu can be default");
+  return defs;
+}
+
+function createRichMenuManager({ request, logger, configFile, baseDir }) {
+  async function call(p, opts = {}, expectJson = true) {
+    const resp = await request(p, opts);
+    if (!resp.ok) {
+      const text = await resp.text().catch(() => "");
+      const err = new Error(`${opts.method || "GET"} ${p} failed ${resp.status}: ${text.slice(0, 300)}`);
+      err.response = { status: resp.status };
+      throw err;
+    }
+    return expectJson ? resp.json().catch(() => ({})) : null;
+  }
+
+  const listRemote = async () => (await call("/v2/bot/richmenu/list")).richmenus || [];
+  const isManaged = (name, defs) => defs.some(d => String(name).startsWith(`${d.id}@`));
+
+  // 定義を LINE 側へ反映。戻り値 menus は { 定義id: richMenuId }
+  async function sync({ prune = true, dryRun = false } = {}) {
+    const defs = loadDefinitions(configFile, baseDir);
+    const remote = await listRemote();
+    const result = { menus: {}, created: [], reused: [], deleted: [], defaultId: null, audiences: {} };
+    for (const def of defs) {
+      const existing = remote.find(r => r.name === def.name);
+      if (existing) {
+        result.menus[def.id] = existing.richMenuId;
+        result.reused.push(def.id);
+      } else if (!dryRun) {
+        const { richMenuId } = await call("/v2/bot/richmenu", { method: "POST", body: JSON.stringify({ ...def.body, name: def.name }) });
+        // 画像の無いメニューは同じ名前で次回 reused になってしまうので、アップロードに失敗したら消してから投げ直す
+        try {
+          await call(`/v2/bot/richmenu/${richMenuId}/content`, { method: "POST", body: def.image, headers: { "Content-Type": def.contentType }, dataApi: true }, false);
+        } catch (e) {
+          await call(`/v2/bot/richmenu/${richMenuId}`, { method: "DELETE" }, false)
+            .catch(err => logger.error({ id: def.id, richMenuId, err: String(err) }, "[RichMenu] cleanup after failed upload failed"));
+          throw e;
+        }
+        result.menus[def.id] = richMenuId;
+        result.created.push(def.id);
+        logger.info({ id: def.id, richMenuId }, "[RichMenu] created");
+      } else {
+        result.created.push(def.id);
+      }
+      if (def.default) result.defaultId = def.id;
+      if (def.audience) result.audiences[def.audience] = def.id;
+    }
+    if (prune) {
+      const keep = new Set(defs.map(d => d.name));
+      for (const r of remote.filter(r => isManaged(r.name, defs) && !keep.has(r.name))) {
+        if (!dryRun) await call(`/v2/bot/richmenu/${r.richMenuId}`, { method: "DELETE" }, false);
+        result.deleted.push(r.richMenuId);
+        logger.info({ richMenuId: r.richMenuId, name: r.name }, "[RichMenu] pruned");
+      }
+    }
+    return result;
+  }
+
+  // 管理対象（"<id>@..."）をすべて削除し、既定メニューも外す
+  async function reset() {
+    const defs = loadDefinitions(configFile, baseDir);
+    await clearDefault();
+    const deleted = [];
+    for (const r of (await listRemote()).filter(r => isManaged(r.name, defs))) {
+      await call(`/v2/bot/richmenu/${r.richMenuId}`, { method: "DELETE" }, false);
+      deleted.push(r.richMenuId);
+    }
+    return { deleted };
+  }
+
+  const setDefault = (richMenuId) => call(`/v2/bot/user/all/richmenu/${richMenuId}`, { method: "POST" }, false);
+  const clearDefault = () => call("/v2/bot/user/all/richmenu", { method: "DELETE" }, false).catch(e => { if (e.response?.status !== 404) throw e; });
+  const linkUser = (userId, richMenuId) => call(`/v2/bot/user/${encodeURIComponent(userId)}/richmenu/${richMenuId}`, { method: "POST" }, false);
+  const unlinkUser = (userId) => call(`/v2/bot/user/${encodeURIComponent(userId)}/richmenu`, { method: "DELETE" }, false).catch(e => { if (e.response?.status !== 404) throw e; });
+  const getDefault = () => call("/v2/bot/user/all/richmenu").then(r => r.richMenuId || null).catch(e => { if (e.response?.status === 404) return null; throw e; });
+
+  return { loadDefinitions: () => loadDefinitions(configFile, baseDir), listRemote, sync, reset, setDefault, clearDefault, getDefault, linkUser, unlinkUser };
+}
+
+module.exports = { createRichMenuManager, loadDefinitions };
@@ -0,0 +1,51 @@
+// lib/roles.js - 管理者ロール（viewer < staff < owner）とコマンド別の必要ロール、登録トークンの期間指定（保存は app.js 側）
+"use strict";
+
+/* ===== 権限ファイル（config/permissions.json） =====
+ * { "roles": ["viewer", "staff", "owner"], "commands": { "faq.edit": "staff", ... } }
+ * roles は弱い順。commands に無い権限名は最上位ロール（owner）が必要として扱う（書き忘れで開かないように）
+ */
+
+const fs = require("fs");
+const { createHash } = require("crypto");
+
+const DEFAULT_ROLES = ["viewer", "staff", "owner"];
+const TTL_MAX_MS = 30 * 24 * 60 * 60 * 1000;
+
+function compilePermissions(raw = {}) {
+  const roles = Array.isArray(raw.roles) && raw.roles.length ? raw.roles.map(String) : DEFAULT_ROLES;
+  if (new Set(roles).size !== roles.length) throw new Error("permissions: duplicate role");
+  const commands = {};
+  for (const [perm, role] of Object.entries(raw.commands || {})) {
+    if (!roles.includes(role)) throw new Error(`permissions: ${perm} requires unknown role ${role}`);
+    commands[perm] = role;
+  }
+  const rank = (role) => roles.indexOf(role); // 未登録・不明は -1
+  const top = roles[roles.length - 1];
+  return {
+    roles,
+    commands,
+    top,
+    rank,
+    isRole: (role) => roles.includes(role),
+    required: (perm) => commands[perm] || top,
+    allows: (role, perm) => rank(role) >= 0 && rank(role) >= rank(commands[perm] || top),
+  };
+}
+
+function loadPermissions(file) {
+  return compilePermissions(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+// "30m" / "12h" / "7d" -> ミリ秒（上限 30日）。不正なら null
+function parseTtl(spec) {
+  const m = String(spec || "").trim().match(/^(\d{1,4})([mhd])$/i);
+  if (!m) return null;
+  const ms = Number(m[1]) * { m: 60e3, h: 3600e3, d: 86400e3 }[m[2].toLowerCase()];
+  return ms > 0 && ms <= TTL_MAX_MS ? ms : null;
+}
+
+// トークンはハッシュで保存（ストアを見られても登録に使えないように）
+const hashToken = (token) => createHash("sha256").update(String(token)).digest("hex");
+
+module.exports = { compilePermissions, loadPermissions, parseTtl, hashToken, DEFAULT_ROLES };
@@ -0,0 +1,164 @@
+// lib/seating.js - 席次表（ゲスト名簿・テーブル情報）の CSV 読み書きと名前照合（保存は app.js 側）
+"use strict";
+
+/* ===== CSV 形式 =====
+ * ゲスト: name,table,seat,code,kana（1行目はヘッダー。name と table は必須、日本語の見出し「氏名」「テーブル」「席」「招待コード」「ふりがな」も可）
+ *   code が空なら取り込み時に発行（招待状に印字する想定の 6 文字。紛らわしい 0/O/1/I は使わない）
+ * テーブル: table,name,note,map（map は卓ごとのフロアマップ画像 URL。https のみ）
+ * 取り込みは全件置き換え。1件でもエラーがあれば何も変更しない（errors に "line N: ..." を返す）
+ */
+
+const { randomInt } = require("crypto");
+
+const GUESTS_MAX = 2000;
+const TABLES_MAX = 200;
+const NAME_MAX = 60;
+const TABLE_ID_RE = /^[^\s|,]{1,20}$/;
+const SEAT_MAX = 10;
+const CODE_RE = /^[A-Z0-9]{4,12}$/;
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+const GUEST_COLUMNS = {
+  name: ["name", "氏名", "名前", "お名前"],
+  table: ["table", "テーブル", "卓"],
+  seat: ["seat", "席", "席番号"],
+  code: ["code", "招待コード", "コード", "invitation code"],
+  kana: ["kana", "ふりがな", "フリガナ", "よみ"],
+};
+const TABLE_COLUMNS = {
+  table: ["table", "テーブル", "卓", "id"],
+  name: ["name", "名称", "テーブル名"],
+  note: ["note", "備考", "メモ"],
+  map: ["map", "マップ", "フロアマップ"],
+};
+
+// RFC 4180 相当（ダブルクォート・改行入りセル・BOM・CRLF）。空行は捨てる
+function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"' && cell === "") quoted = true;
+    else if (c === ",") { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += c;
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ""));
+}
+
+const csvCell = (v) => { const str = v === undefined || v === null ? "" : String(v); return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str; };
+const toCsv = (rows) => rows.map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+
+function mapHeader(header, columns) {
+  const norm = header.map(h => h.trim().toLowerCase());
+  return Object.fromEntries(Object.entries(columns).map(([field, names]) => [field, norm.findIndex(h => names.includes(h))]));
+}
+
+// 全角/半角・カナ/かな・大小文字・空白の違いを無視して照合する
+function normalizeName(s) {
+  return String(s || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[ァ-ヶ]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0x60))
+    .replace(/[\s・.]+/g, "")
+    .replace(/(様|さま|さん)$/, "");
+}
+const normalizeCode = (s) => String(s || "").normalize("NFKC").trim().toUpperCase();
+
+function generateCode(taken) {
+  for (;;) {
+    const code = Array.from({ length: 6 }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join("");
+    if (!taken.has(code)) { taken.add(code); return code; }
+  }
+}
+
+function parseGuestCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { guests: [], errors: ["empty csv"] };
+  const col = mapHeader(header, GUEST_COLUMNS);
+  if (col.name < 0 || col.table < 0) return { guests: [], errors: ["header must include name and table columns"] };
+  if (rows.length > GUESTS_MAX) return { guests: [], errors: [`too many guests (max ${GUESTS_MAX})`] };
+  const errors = [];
+  const taken = new Set();
+  const parsed = rows.map((r, i) => {
+    const line = i + 2;
+    const get = (f) => (col[f] >= 0 ? String(r[col[f]] ?? "").trim() : "");
+    const guest = { name: get("name"), kana: get("kana") || null, table: get("table"), seat: get("seat") || null, code: normalizeCode(get("code")) || null };
+    if (!guest.name || guest.name.length > NAME_MAX) errors.push(`line ${line}: name must be 1-${NAME_MAX} chars`);
+    if (!TABLE_ID_RE.test(guest.table)) errors.push(`line ${line}: table must be 1-20 chars without spaces, "|" or ","`);
+    if (guest.seat && guest.seat.length > SEAT_MAX) errors.push(`line ${line}: seat must be up to ${SEAT_MAX} chars`);
+    if (guest.code && !CODE_RE.test(guest.code)) errors.push(`line ${line}: code must be 4-12 letters or digits`);
+    else if (guest.code && taken.has(guest.code)) errors.push(`line ${line}: duplicate code ${guest.code}`);
+    if (guest.code) taken.add(guest.code);
+    return guest;
+  });
+  if (errors.length) return { guests: [], errors };
+  const guests = parsed.map(g => { const code = g.code || generateCode(taken); return { ...g, id: code, code }; });
+  return { guests, errors };
+}
+
+function parseTableCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { tables: [], errors: ["empty csv"] };
+  const col = mapHeader(header, TABLE_COLUMNS);
+  if (col.table < 0) return { tables: [], errors: ["header must include a table column"] };
+  if (rows.length > TABLES_MAX) return { tables: [], errors: [`too many tables (max ${TABLES_MAX})`] };
+  const errors = [];
+  const seen = new Set();
+  const tables = rows.map((r, i) => {
+    const line = i + 2;
+    const get = (f) => (col[f] >= 0 ? String(r[col[f]] ?? "").trim() : "");
+    const table = { id: get("table"), name: get("name") || null, note: get("note") || null, map: get("map") || null };
+    if (!TABLE_ID_RE.test(table.id)) errors.push(`line ${line}: table must be 1-20 chars without spaces, "|" or ","`);
+    else if (seen.has(table.id)) errors.push(`line ${line}: duplicate table ${table.id}`);
+    seen.add(table.id);
+    if (table.name && table.name.length > NAME_MAX) errors.push(`line ${line}: name must be up to ${NAME_MAX} chars`);
+    if (table.note && table.note.length > 200) errors.push(`line ${line}: note must be up to 200 chars`);
+    if (table.map && !/^https:\/\/\S+$/.test(table.map)) errors.push(`line ${line}: map must be an https URL`);
+    return table;
+  });
+  return errors.length ? { tables: [], errors } : { tables, errors };
+}
+
+const bySeat = (a, b) => String(a.table).localeCompare(String(b.table), "ja", { numeric: true }) || String(a.seat || "").localeCompare(String(b.seat || ""), "ja", { numeric: true });
+
+function guestsToCsv(guests) {
+  return toCsv([["name", "kana", "table", "seat", "code", "linked"], ...[...guests].sort(bySeat).map(g => [g.name, g.kana, g.table, g.seat, g.code, g.userId ? "yes" : "no"])]);
+}
+function tablesToCsv(tables) {
+  return toCsv([["table", "name", "note", "map"], ...tables.map(t => [t.id, t.name, t.note, t.map])]);
+}
+
+// 招待コードの完全一致を優先、次に氏名・ふりがなの正規化一致（同姓同名は複数返る）
+function findGuests(guests, query) {
+  const code = normalizeCode(query);
+  const byCode = guests.filter(g => g.code === code);
+  if (byCode.length) return byCode;
+  const name = normalizeName(query);
+  if (!name) return [];
+  return guests.filter(g => normalizeName(g.name) === name || (g.kana && normalizeName(g.kana) === name));
+}
+
+// 再取り込み時に LINE アカウントの紐付けを引き継ぐ（コード一致 → 氏名一致が1人だけの場合）
+function carryLinks(prevGuests, nextGuests) {
+  const linked = prevGuests.filter(g => g.userId);
+  const used = new Set();
+  const sameName = (list, g) => list.filter(x => normalizeName(x.name) === normalizeName(g.name));
+  return nextGuests.map(g => {
+    let prev = linked.find(p => p.code === g.code);
+    if (!prev) { const same = sameName(linked, g); if (same.length === 1 && sameName(nextGuests, g).length === 1) prev = same[0]; }
+    if (!prev || used.has(prev.userId)) return { ...g, userId: null, linkedAt: null };
+    used.add(prev.userId);
+    return { ...g, userId: prev.userId, linkedAt: prev.linkedAt };
+  });
+}
+
+module.exports = { parseCsv, parseGuestCsv, parseTableCsv, guestsToCsv, tablesToCsv, findGuests, carryLinks, normalizeName, bySeat, TABLE_ID_RE, SEAT_MAX };
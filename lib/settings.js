@@ -0,0 +1,203 @@
+// lib/settings.js - 設定値の定義・読み込み・検証（既定値 < 設定ファイル < 環境変数）、秘密情報の伏字、実行中の再読込の差分
+"use strict";
+
+/* ===== 設定ファイル（SETTINGS_FILE、既定 config/settings.json。無くてもよい） =====
+ * { "TAP_DEBOUNCE_MS": 800, "RATE_CAP": 20, "LOG_LEVEL": "debug" }   // キーは環境変数と同じ名前。知らないキーはエラー（綴り間違いで黙って既定値にならないように）
+ * - 値は環境変数が最優先。空文字の環境変数は「未設定」扱い（allowEmpty の項目だけは空文字も値として使う）
+ * - 型と範囲をまとめて検証し、1つでも不正なら SettingsError（errors に全項目）
+ * - reloadable: true の項目だけ実行中に再読込（SIGHUP / admin config reload）で反映する。それ以外の変更は再起動が必要として報告
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createHmac, randomUUID } = require("crypto");
+
+const LOG_LEVELS = ["fatal", "error", "warn", "info", "debug", "trace", "silent"];
+const LINE_USER_ID = /^U[0-9a-f]{32}$/;
+
+// チャネルシークレットから用途ごとの鍵を導出（同じ鍵を署名検証と使い回さない）。シークレットが無ければ ""
+const derivedKey = (label) => (v) => (v.LINE_CHANNEL_SECRET ? createHmac("sha256", v.LINE_CHANNEL_SECRET).update(label).digest("base64url") : "");
+
+// default は値か (values, ctx) => 値。values はそこまでに決まった設定（上から順に決める）
+// required: (values) => true の項目は、既定値も空なら検証エラー（再起動で変わる乱数の鍵にしない）
+const SETTINGS = [
+  { key: "NODE_ENV", type: "string", default: "" },
+  { key: "PORT", type: "int", default: 3000, min: 0, max: 65535 },
+  { key: "LINE_ACCESS_TOKEN", type: "string", default: "", secret: true },
+  { key: "LINE_CHANNEL_SECRET", type: "string", default: "", secret: true },
+  { key: "LINE_API_BASE", type: "url", default: "https://api.line.me" },
+  { key: "LINE_DATA_API_BASE", type: "url", default: "https://api-data.line.me" },
+  { key: "STRICT_MODE", type: "bool", default: (v) => v.NODE_ENV === "production" },
+  { key: "STRICT_SIGNATURE", type: "bool", default: (v) => v.STRICT_MODE },
+  { key: "FAST_HTTP_EARLY_200", type: "bool", default: true },
+  { key: "TAP_DEBOUNCE_MS", type: "int", default: 1200, min: 0, max: 60000, reloadable: true },
+  { key: "DEDUPE_TTL_MS", type: "int", default: 60 * 60 * 1000, min: 1000 },
+  { key: "WEBHOOK_MAX_EVENT_AGE_MS", type: "int", default: (v) => v.DEDUPE_TTL_MS, min: 0, reloadable: true },
+  { key: "WEBHOOK_MAX_CLOCK_SKEW_MS", type: "int", default: 60000, min: 0, reloadable: true },
+  { key: "RATE_CAP", type: "number", default: 10, min: 1, reloadable: true },
+  { key: "RATE_REFILL", type: "number", default: 1, min: 0, reloadable: true },
+  { key: "REQUEST_TIMEOUT_MS", type: "int", default: 5000, min: 100, max: 120000 },
+  { key: "DNS_CACHE_TTL", type: "int", default: 0, min: 0 },
+  { key: "LINE_RETRY_MAX_ATTEMPTS", type: "int", default: 4, min: 1, max: 10 },
+  { key: "LINE_RETRY_BASE_MS", type: "int", default: 500, min: 0, max: 60000 },
+  { key: "LINE_RETRY_MAX_MS", type: "int", default: 8000, min: 0, max: 120000 },
+  { key: "LINE_RETRY_AFTER_MAX_MS", type: "int", default: 30000, min: 0 },
+  { key: "LINE_REPLY_TOKEN_TTL_MS", type: "int", default: 60000, min: 1000 },
+  { key: "LINE_BREAKER_THRESHOLD", type: "int", default: 5, min: 1 },
+  { key: "LINE_BREAKER_COOLDOWN_MS", type: "int", default: 30000, min: 0 },
+  { key: "QUEUE_MAX_ATTEMPTS", type: "int", default: 3, min: 1, max: 20, reloadable: true },
+  { key: "QUEUE_RETRY_DELAY_MS", type: "int", default: 1000, min: 0, reloadable: true },
+  { key: "QUEUE_CLAIM_IDLE_MS", type: "int", default: 60000, min: 1000 },
+  { key: "SCHEDULER_INTERVAL_MS", type: "int", default: 5000, min: 10 },
+  { key: "SCHEDULE_TZ_OFFSET_MIN", type: "int", default: 540, min: -720, max: 840 },
+  { key: "ADMIN_USER_IDS", type: "list", default: [], itemPattern: LINE_USER_ID },
+  { key: "ADMIN_REG_TOKEN", type: "string", default: "", secret: true },
+  { key: "ADMIN_REG_ROLE", type: "string", default: "staff" },
+  { key: "PERMISSIONS_FILE", type: "path", default: (_v, { baseDir }) => path.join(baseDir, "config", "permissions.json") },
+  { key: "AUDIT_FILE", type: "path", default: "" },
+  { key: "AUDIT_MAX", type: "int", default: 10000, min: 1 },
+  { key: "WEBHOOK_CAPTURE_FILE", type: "path", default: "" },
+  { key: "REDIS_URL", type: "string", default: "", pattern: /^rediss?:\/\//, secret: "url" },
+  { key: "RATE_LIMITS_FILE", type: "path", default: (_v, { baseDir }) => path.join(baseDir, "config", "rate-limits.json") },
+  { key: "PUBLIC_BASE_URL", type: "url", default: "" },
+  { key: "PHOTO_STORAGE", type: "string", default: "local" },
+  { key: "PHOTO_DIR", type: "path", default: (_v, { baseDir }) => path.join(baseDir, "data", "photos") },
+  { key: "PHOTO_MAX_BYTES", type: "int", default: 10 * 1024 * 1024, min: 1 },
+  { key: "PHOTO_URL_SECRET", type: "string", default: derivedKey("photo-url"), required: () => true, secret: true }, // 署名付き写真URLは再起動・レプリカ間で同じ鍵
+  { key: "SEATING_MAP_URL", type: "url", default: "" },
+  { key: "RICHMENUS_FILE", type: "path", default: (_v, { baseDir }) => path.join(baseDir, "config", "richmenus.json") },
+  { key: "INTENTS_FILE", type: "path", default: (_v, { baseDir }) => path.join(baseDir, "config", "intents.json") },
+  { key: "PHASES_FILE", type: "path", default: "" }, // 未設定ならフェーズ無し（見本は config/phases.example.json）
+  { key: "QUIZ_FILE", type: "path", default: "" }, // 未設定ならクイズ無し（見本は config/quiz.example.json）
+  { key: "QUIZ_BOARD_KEY", type: "string", default: "", secret: true },
+  { key: "FLEX_TEMPLATES_DIR", type: "path", default: (_v, { baseDir }) => path.join(baseDir, "templates", "flex") },
+  { key: "FLEX_THEME_FILE", type: "path", default: (_v, { baseDir }) => path.join(baseDir, "templates", "theme.json") },
+  { key: "FLEX_PREVIEW", type: "bool", default: (v) => v.NODE_ENV !== "production" },
+  { key: "LOCALES_DIR", type: "path", default: (_v, { baseDir }) => path.join(baseDir, "locales") },
+  { key: "DEFAULT_LANG", type: "string", default: "ja", lowercase: true, pattern: /^[a-z]{2,3}(-[a-z0-9]+)*$/ },
+  { key: "METRICS_USER", type: "string", default: "" },
+  { key: "METRICS_PASS", type: "string", default: "", secret: true },
+  { key: "ADMIN_API_TOKEN", type: "string", default: "", secret: true },
+  { key: "ADMIN_WEB_USER", type: "string", default: "" },
+  { key: "ADMIN_WEB_PASS", type: "string", default: "", secret: true },
+  { key: "RECENT_EVENTS_MAX", type: "int", default: 100, min: 1, max: 1000, reloadable: true },
+  { key: "INSIGHTS_RETENTION_DAYS", type: "int", default: 30, min: 1, max: 366 },
+  { key: "INSIGHTS_UNMATCHED_MAX", type: "int", default: 500, min: 1 },
+  { key: "INSIGHTS_SALT", type: "string", default: (v) => derivedKey("insights")(v) || (v.REDIS_URL ? "" : randomUUID()), required: (v) => !!v.REDIS_URL, secret: true }, // Redis に残る集計はデプロイを跨いで同じ鍵で
+  { key: "GROUP_COMMAND_PREFIX", type: "string", default: "/", allowEmpty: true, pattern: /^\S{0,5}$/ },
+  { key: "PLUGIN_MODULES", type: "list", default: [] },
+  { key: "LOG_LEVEL", type: "enum", values: LOG_LEVELS, default: "info", reloadable: true },
+  { key: "BODY_LIMIT", type: "string", default: "1mb", pattern: /^\d+(b|kb|mb)$/i },
+];
+const SPEC_BY_KEY = new Map(SETTINGS.map(s => [s.key, s]));
+
+class SettingsError extends Error {
+  constructor(errors) {
+    super(`invalid settings (${errors.length}): ${errors.join("; ")}`);
+    this.name = "SettingsError";
+    this.errors = errors;
+  }
+}
+
+// 1項目を型に合わせて変換。不正なら { error }
+function coerce(spec, raw) {
+  const fail = (why) => ({ error: `${spec.key}: ${why} (got ${spec.secret ? "a hidden value" : JSON.stringify(raw)})` });
+  switch (spec.type) {
+    case "int":
+    case "number": {
+      const n = typeof raw === "number" ? raw : /^\s*-?\d+(\.\d+)?\s*$/.test(String(raw)) ? Number(raw) : NaN;
+      if (!Number.isFinite(n) || (spec.type === "int" && !Number.isInteger(n))) return fail(`must be ${spec.type === "int" ? "an integer" : "a number"}`);
+      if (spec.min !== undefined && n < spec.min) return fail(`must be >= ${spec.min}`);
+      if (spec.max !== undefined && n > spec.max) return fail(`must be <= ${spec.max}`);
+      return { value: n };
+    }
+    case "bool": {
+      if (typeof raw === "boolean") return { value: raw };
+      const s = String(raw).trim().toLowerCase();
+      if (["true", "1", "yes", "on"].includes(s)) return { value: true };
+      if (["false", "0", "no", "off"].includes(s)) return { value: false };
+      return fail("must be true or false");
+    }
+    case "enum": {
+      const s = String(raw).trim().toLowerCase();
+      return spec.values.includes(s) ? { value: s } : fail(`must be one of ${spec.values.join(", ")}`);
+    }
+    case "url": {
+      const s = String(raw).trim().replace(/\/+$/, "");
+      if (!s) return { value: "" };
+      try { if (!/^https?:$/.test(new URL(s).protocol)) return fail("must be an http(s) URL"); } catch { return fail("must be an http(s) URL"); }
+      return { value: s };
+    }
+    case "list": {
+      const items = (Array.isArray(raw) ? raw : String(raw).split(",")).map(s => String(s).trim()).filter(Boolean);
+      const bad = spec.itemPattern ? items.filter(s => !spec.itemPattern.test(s)) : [];
+      return bad.length ? fail(`has invalid item(s) ${bad.join(", ")}`) : { value: items };
+    }
+    default: { // string / path
+      if (typeof raw === "object") return fail("must be a string");
+      const s = spec.lowercase ? String(raw).trim().toLowerCase() : String(raw);
+      if (s && spec.pattern && !spec.pattern.test(s)) return fail(`must match ${spec.pattern}`);
+      return { value: s };
+    }
+  }
+}
+
+function readSettingsFile(file) {
+  if (!file) return {};
+  let raw;
+  try { raw = fs.readFileSync(file, "utf8"); } catch (e) { if (e.code === "ENOENT") return {}; throw new SettingsError([`SETTINGS_FILE: cannot read ${file} (${e.code || e.message})`]); }
+  let parsed;
+  try { parsed = JSON.parse(raw); } catch (e) { throw new SettingsError([`SETTINGS_FILE: ${file} is not valid JSON (${e.message})`]); }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) throw new SettingsError([`SETTINGS_FILE: ${file} must contain a JSON object`]);
+  return parsed;
+}
+
+// -> { values, sources: { KEY: "default" | "file" | "env" }, file, loadedAt }
+function loadSettings({ env = process.env, baseDir = process.cwd(), file = env.SETTINGS_FILE || path.join(baseDir, "config", "settings.json"), now = Date.now } = {}) {
+  const fromFile = readSettingsFile(file);
+  const errors = Object.keys(fromFile).filter(k => !SPEC_BY_KEY.has(k)).map(k => `${k}: unknown setting in ${file}`);
+  const values = {}, sources = {};
+  for (const spec of SETTINGS) {
+    const envRaw = env[spec.key];
+    let raw, source;
+    if (envRaw !== undefined && (envRaw !== "" || spec.allowEmpty)) { raw = envRaw; source = "env"; }
+    else if (fromFile[spec.key] !== undefined && fromFile[spec.key] !== null) { raw = fromFile[spec.key]; source = "file"; }
+    if (source) {
+      const r = coerce(spec, raw);
+      if (r.error) { errors.push(source === "file" ? `${r.error} in ${file}` : r.error); continue; }
+      values[spec.key] = r.value;
+      sources[spec.key] = source;
+    } else {
+      values[spec.key] = typeof spec.default === "function" ? spec.default(values, { baseDir, env }) : spec.default;
+      sources[spec.key] = "default";
+      if (values[spec.key] === "" && spec.required?.(values)) errors.push(`${spec.key}: must be set (or set LINE_CHANNEL_SECRET to derive it)`);
+    }
+  }
+  if (errors.length) throw new SettingsError(errors);
+  return { values, sources, file: file || null, loadedAt: now() };
+}
+
+// 表示用（秘密情報は設定の有無だけ、URL はパスワード部分だけ伏せる）
+function redactSettings(values) {
+  return Object.fromEntries(SETTINGS.filter(s => s.key in values).map(({ key, secret }) => {
+    const v = values[key];
+    if (!secret || !v) return [key, v];
+    if (secret === "url") return [key, String(v).replace(/\/\/([^:@/]*):[^@/]*@/, "//$1:***@")];
+    return [key, "***"];
+  }));
+}
+
+// 再読込: 反映できる変更（reloadable）と再起動が要る変更に分ける。自動生成の既定値（乱数の鍵など）は比べない
+function diffSettings(prev, next) {
+  const changed = SETTINGS.filter(s => next.sources[s.key] !== "default" || prev.sources[s.key] !== "default")
+    .filter(s => JSON.stringify(prev.values[s.key]) !== JSON.stringify(next.values[s.key]))
+    .map(s => s.key);
+  return {
+    applied: changed.filter(k => SPEC_BY_KEY.get(k).reloadable),
+    restartRequired: changed.filter(k => !SPEC_BY_KEY.get(k).reloadable),
+  };
+}
+
+const reloadableKeys = () => SETTINGS.filter(s => s.reloadable).map(s => s.key);
+
+module.exports = { SETTINGS, LOG_LEVELS, SettingsError, loadSettings, redactSettings, diffSettings, reloadableKeys };
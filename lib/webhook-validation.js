@@ -0,0 +1,118 @@
+// lib/webhook-validation.js - Webhook 本文とイベントの検証（JSON Schema のサブセット、イベント種別ごとのスキーマ、時刻の許容範囲）
+"use strict";
+
+/* ===== 方針 =====
+ * - スキーマは JSON Schema（draft 2020-12）の一部だけを使う: type / properties / required / items / enum / pattern / minLength / maxLength / minimum / maxItems
+ *   未知のプロパティは許す（LINE 側の項目追加で落とさない）。未知のイベント種別は共通部分だけ検証
+ * - 本文が壊れていれば要求ごと拒否（400）。個々のイベントが不正・古すぎる・未来すぎる場合はそのイベントだけ捨てる（200 で返し、LINE の再送を招かない）
+ * - 時刻: timestamp が maxAgeMs より古ければ "stale"、maxSkewMs より未来なら "future"（再送攻撃・時計ずれ対策。0 で無効）
+ */
+
+const ID = { user: "^U[0-9a-f]{32}$", group: "^C[0-9a-f]{32}$", room: "^R[0-9a-f]{32}$" };
+
+const SOURCE = {
+  type: "object",
+  required: ["type"],
+  properties: {
+    type: { enum: ["user", "group", "room"] },
+    userId: { type: "string", pattern: ID.user },
+    groupId: { type: "string", pattern: ID.group },
+    roomId: { type: "string", pattern: ID.room },
+  },
+};
+const MEMBERS = { type: "object", required: ["members"], properties: { members: { type: "array", maxItems: 500, items: { type: "object", required: ["userId"], properties: { userId: { type: "string", pattern: ID.user } } } } } };
+
+const BASE_EVENT = {
+  type: "object",
+  required: ["type", "timestamp"],
+  properties: {
+    type: { type: "string", pattern: "^[A-Za-z]{1,40}$" },
+    timestamp: { type: "integer", minimum: 0 },
+    mode: { enum: ["active", "standby"] },
+    webhookEventId: { type: "string", minLength: 1, maxLength: 64 },
+    replyToken: { type: "string", minLength: 1, maxLength: 256 },
+    deliveryContext: { type: "object", properties: { isRedelivery: { type: "boolean" } } },
+    source: SOURCE,
+  },
+};
+
+// イベント種別ごとの追加の必須項目（BASE_EVENT に重ねて検証）
+const EVENT_SCHEMAS = {
+  message: {
+    type: "object",
+    required: ["source", "message"],
+    properties: {
+      message: {
+        type: "object",
+        required: ["id", "type"],
+        properties: {
+          id: { type: "string", minLength: 1, maxLength: 64 },
+          type: { enum: ["text", "image", "video", "audio", "file", "location", "sticker"] },
+          text: { type: "string", maxLength: 5000 },
+          mention: { type: "object", properties: { mentionees: { type: "array", maxItems: 100, items: { type: "object", properties: { index: { type: "integer", minimum: 0 }, length: { type: "integer", minimum: 0 } } } } } },
+        },
+      },
+    },
+  },
+  postback: { type: "object", required: ["source", "postback"], properties: { postback: { type: "object", required: ["data"], properties: { data: { type: "string", maxLength: 300 } } } } },
+  follow: { type: "object", required: ["source"] },
+  unfollow: { type: "object", required: ["source"] },
+  join: { type: "object", required: ["source"] },
+  leave: { type: "object", required: ["source"] },
+  memberJoined: { type: "object", required: ["source", "joined"], properties: { joined: MEMBERS } },
+  memberLeft: { type: "object", required: ["source", "left"], properties: { left: MEMBERS } },
+};
+
+const WEBHOOK_BODY = {
+  type: "object",
+  required: ["events"],
+  properties: {
+    destination: { type: "string", maxLength: 64 },
+    events: { type: "array", items: { type: "object" } },
+  },
+};
+
+const typeOf = (v) => (v === null ? "null" : Array.isArray(v) ? "array" : Number.isInteger(v) ? "integer" : typeof v);
+const typeMatches = (want, v) => want === typeOf(v) || (want === "number" && typeOf(v) === "integer");
+
+// value を schema で検証し、エラー（"$.events[0].source.userId: ..." の形）の配列を返す
+function validate(schema, value, at = "$") {
+  const errors = [];
+  if (schema.type && ![].concat(schema.type).some(t => typeMatches(t, value))) return [`${at}: must be ${[].concat(schema.type).join(" or ")}`];
+  if (schema.enum && !schema.enum.includes(value)) return [`${at}: must be one of ${schema.enum.join(", ")}`];
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: must be at least ${schema.minLength} chars`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: must be at most ${schema.maxLength} chars`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: does not match ${schema.pattern}`);
+  }
+  if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((v, i) => errors.push(...validate(schema.items, v, `${at}[${i}]`)));
+  }
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) if (value[key] === undefined) errors.push(`${at}.${key}: is required`);
+    for (const [key, sub] of Object.entries(schema.properties || {})) if (value[key] !== undefined) errors.push(...validate(sub, value[key], `${at}.${key}`));
+  }
+  return errors;
+}
+
+const validateWebhookBody = (body) => validate(WEBHOOK_BODY, body);
+
+function validateEvent(event, at = "$") {
+  const errors = validate(BASE_EVENT, event, at);
+  if (errors.length || !Object.hasOwn(EVENT_SCHEMAS, event.type)) return errors;
+  return validate(EVENT_SCHEMAS[event.type], event, at);
+}
+
+// null（許容範囲内）| "stale" | "future"
+function checkEventTime(event, nowMs, { maxAgeMs = 0, maxSkewMs = 0 } = {}) {
+  if (maxAgeMs > 0 && event.timestamp < nowMs - maxAgeMs) return "stale";
+  if (maxSkewMs > 0 && event.timestamp > nowMs + maxSkewMs) return "future";
+  return null;
+}
+
+// メトリクスのラベル用（任意の文字列をラベルにしない）
+const eventTypeLabel = (type) => (Object.hasOwn(EVENT_SCHEMAS, type) ? type : "other");
+
+module.exports = { BASE_EVENT, EVENT_SCHEMAS, WEBHOOK_BODY, validate, validateWebhookBody, validateEvent, checkEventTime, eventTypeLabel };
@@ -0,0 +1,274 @@
+// plugins/admin.js - 管理者の登録・ロール管理・監査ログ・稼働状況・質問の分析・進行フェーズ・メンテナンス・設定（admin register / unregister / roles / promote / demote / revoke / token / audit / stats / insights / phase / maintenance / config）
+"use strict";
+
+const { parseTtl } = require("../lib/roles");
+
+const text = (s) => [{ type: "text", text: s }];
+const USER_ID = "(U[0-9a-f]{32})";
+const TOKEN_TTL_DEFAULT_MS = 24 * 60 * 60 * 1000;
+const AUDIT_SHOW_DEFAULT = 20;
+const INSIGHTS_DAYS_DEFAULT = 7;
+const INSIGHTS_DAYS_MAX = 30;
+
+// 個別トークのユーザーだけ（トークンや権限をグループに流さない）
+const directUserId = (event) => (event.source?.type === "user" ? event.source.userId || null : null);
+const roleName = (t, role) => t(`role.${role}`);
+const phaseName = (services, t, phase) => (phase ? `${services.i18n.localize(phase.name, t.lang)} (${phase.id})` : "-");
+
+// promote / demote / revoke の共通チェック。問題なければ { current }、あればお断り文
+async function checkRoleChange({ event, services, t, target }) {
+  if (target === event.source?.userId) return { error: text(t("roles.self")) };
+  const current = await services.admins.record(target);
+  if (current?.fixed) return { error: text(t("roles.fixed", { id: target })) };
+  return { current };
+}
+
+async function notifyTarget(services, userId, key, vars) {
+  try {
+    const t = await services.translatorForUser(userId);
+    await services.push(userId, text(t(key, { ...vars, role: vars.role ? roleName(t, vars.role) : "" })));
+  } catch (e) {
+    services.logger.warn({ err: String(e) }, "[Admin] role change notify failed");
+  }
+}
+
+module.exports = {
+  name: "admin",
+  handlers: [
+    {
+      // 合言葉（ADMIN_REG_TOKEN）か admin token で発行したトークンで登録。今より弱いロールのトークンでは下げない
+      text: /^admin[:\s]+register\s+(\S+)$/i,
+      handle: async ({ event, match, services }) => {
+        const t = await services.translatorFor(event);
+        const uid = directUserId(event);
+        if (!uid) return text(t("common.directOnly"));
+        const grant = await services.admins.redeemToken(match[1]);
+        if (!grant) {
+          await services.audit.append({ actor: uid, action: "roles.register", result: "denied", via: "chat" });
+          return text(t("admin.regMismatch"));
+        }
+        const { permissions } = services.admins;
+        const current = await services.admins.record(uid);
+        if (current && permissions.rank(current.role) >= permissions.rank(grant.role)) return text(t("admin.alreadyRole", { role: roleName(t, current.role) }));
+        await services.admins.setRole(uid, grant.role, grant.createdBy === "env" ? "env-token" : `token:${grant.createdBy || "-"}`);
+        await services.audit.append({ actor: uid, action: "roles.register", target: uid, detail: `${current?.role || "-"} -> ${grant.role}`, result: "ok", via: "chat" });
+        return text(t("admin.registered", { role: roleName(t, grant.role) }));
+      },
+    },
+    {
+      text: /^admin[:\s]+unregister$/i,
+      handle: async ({ event, services }) => {
+        const t = await services.translatorFor(event);
+        const uid = directUserId(event);
+        if (!uid) return text(t("common.directOnly"));
+        const current = await services.admins.record(uid);
+        if (!current) return text(t("admin.notRegistered"));
+        if (current.fixed) return text(t("roles.fixed", { id: uid }));
+        await services.admins.setRole(uid, null);
+        await services.audit.append({ actor: uid, role: current.role, action: "roles.unregister", target: uid, detail: `${current.role} -> -`, result: "ok", via: "chat" });
+        return text(t("admin.unregistered"));
+      },
+    },
+    {
+      text: /^admin[:\s]+(stats|status)$/i,
+      handle: async ({ event, services }) => {
+        const denied = await services.admins.authorize(event, "stats");
+        if (denied) return denied;
+        const stats = await services.runtimeStats();
+        return text(Object.entries(stats).map(([k, v]) => `${k}: ${v}`).join("\n"));
+      },
+    },
+    {
+      text: /^admin[:\s]+(roles|admins)$/i,
+      handle: async ({ event, services }) => {
+        const denied = await services.admins.authorize(event, "roles.view");
+        if (denied) return denied;
+        const t = await services.translatorFor(event);
+        const admins = await services.admins.list();
+        const lines = await Promise.all(admins.map(async (a) => {
+          const member = await services.members.get(a.userId);
+          return `・${roleName(t, a.role)} ${member?.displayName || t("members.noName")} ${a.userId}${a.fixed ? " " + t("roles.fixedMark") : ""}`;
+        }));
+        return text(services.util.truncate([t("roles.head", { n: admins.length }), ...lines].join("\n"), 5000));
+      },
+    },
+    {
+      text: new RegExp(`^admin[:\\s]+(promote|demote)\\s+${USER_ID}\\s+(\\S+)$`, "i"),
+      handle: async ({ event, match, services }) => {
+        const denied = await services.admins.authorize(event, "roles.manage");
+        if (denied) return denied;
+        const t = await services.translatorFor(event);
+        const { permissions } = services.admins;
+        const op = match[1].toLowerCase(), target = match[2], role = match[3].toLowerCase();
+        if (!permissions.isRole(role)) return text(t("roles.usage", { roles: permissions.roles.join(" / ") }));
+        const { current, error } = await checkRoleChange({ event, services, t, target });
+        if (error) return error;
+        const from = current ? permissions.rank(current.role) : -1, to = permissions.rank(role);
+        if (op === "promote" && to <= from) return text(t("roles.notHigher", { id: target, current: roleName(t, current.role) }));
+        if (op === "demote" && (!current || to >= from)) return text(current ? t("roles.notLower", { id: target, current: roleName(t, current.role) }) : t("roles.notFound", { id: target }));
+        await services.admins.setRole(target, role, event.source.userId);
+        await services.audit.append({ actor: event.source.userId, action: `roles.${op}`, target, detail: `${current?.role || "-"} -> ${role}`, result: "ok", via: "chat" });
+        await notifyTarget(services, target, "roles.notifyChanged", { role });
+        return text(t("roles.changed", { id: target, role: roleName(t, role) }));
+      },
+    },
+    {
+      text: new RegExp(`^admin[:\\s]+revoke\\s+${USER_ID}$`, "i"),
+      handle: async ({ event, match, services }) => {
+        const denied = await services.admins.authorize(event, "roles.manage");
+        if (denied) return denied;
+        const t = await services.translatorFor(event);
+        const target = match[1];
+        const { current, error } = await checkRoleChange({ event, services, t, target });
+        if (error) return error;
+        if (!current) return text(t("roles.notFound", { id: target }));
+        await services.admins.setRole(target, null);
+        await services.audit.append({ actor: event.source.userId, action: "roles.revoke", target, detail: `${current.role} -> -`, result: "ok", via: "chat" });
+        await notifyTarget(services, target, "roles.notifyRevoked", {});
+        return text(t("roles.revoked", { id: target }));
+      },
+    },
+    {
+      // admin token <role> [30m|12h|7d] [once|multi]。既定は 24時間・1回限り
+      text: /^admin[:\s]+token\s+(\S+)(?:\s+(\d+[mhd]))?(?:\s+(once|multi))?$/i,
+      handle: async ({ event, match, services }) => {
+        const denied = await services.admins.authorize(event, "roles.manage");
+        if (denied) return denied;
+        const t = await services.translatorFor(event);
+        const uid = directUserId(event);
+        if (!uid) return text(t("common.directOnly"));
+        const { permissions } = services.admins;
+        const role = match[1].toLowerCase();
+        const ttlMs = match[2] ? parseTtl(match[2]) : TOKEN_TTL_DEFAULT_MS;
+        if (!permissions.isRole(role) || !ttlMs) return text(t("token.usage", { roles: permissions.roles.join(" / ") }));
+        const once = (match[3] || "once").toLowerCase() === "once";
+        const issued = await services.admins.issueToken({ role, ttlMs, once, by: uid });
+        await services.audit.append({ actor: uid, action: "roles.token", detail: `${role} ${once ? "once" : "multi"} until ${issued.expiresAt}`, result: "ok", via: "chat" });
+        return text(t("token.issued", { role: roleName(t, role), uses: t(once ? "token.once" : "token.multi"), until: services.util.formatLocalTime(Date.parse(issued.expiresAt)), token: issued.token }));
+      },
+    },
+    {
+      text: /^admin[:\s]+audit(?:\s+(\d{1,3}))?$/i,
+      handle: async ({ event, match, services }) => {
+        const denied = await services.admins.authorize(event, "audit.view");
+        if (denied) return denied;
+        const t = await services.translatorFor(event);
+        const entries = await services.audit.list({ limit: Math.min(Number(match[1]) || AUDIT_SHOW_DEFAULT, 100) });
+        if (entries.length === 0) return text(t("audit.empty"));
+        const short = (id) => (id && id.length > 12 ? "…" + id.slice(-6) : id || "-");
+        const lines = entries.map(e => `${services.util.formatLocalTime(Date.parse(e.ts))} ${short(e.actor)} ${e.action} [${e.result}]${e.target ? " → " + short(e.target) : ""}${e.detail ? " " + services.util.truncate(e.detail, 60) : ""}`);
+        return text(services.util.truncate([t("audit.head", { n: entries.length }), ...lines].join("\n"), 5000));
+      },
+    },
+    {
+      text: /^admin[:\s]+phase$/i,
+      handle: async ({ event, services }) => {
+        const denied = await services.admins.authorize(event, "phase.view");
+        if (denied) return denied;
+        const t = await services.translatorFor(event);
+        const phases = services.phases.list();
+        if (phases.length === 0) return text(t("phase.none"));
+        const { phase, override } = await services.phases.status();
+        const lines = phases.map(p => `${p === phase ? "▶" : "・"} ${p.start === null ? "--:--" : services.util.formatLocalTime(p.start)} ${phaseName(services, t, p)}`);
+        return text([t("phase.head", { name: phaseName(services, t, phase), mode: t(override ? "phase.modeManual" : "phase.modeAuto") }), ...lines].join("\n"));
+      },
+    },
+    {
+      // admin phase set <id> で手動固定、admin phase auto で時刻どおりに戻す
+      text: /^admin[:\s]+phase\s+(?:set\s+(\S+)|(auto))$/i,
+      handle: async ({ event, match, services }) => {
+        const denied = await services.admins.authorize(event, "phase.edit");
+        if (denied) return denied;
+        const t = await services.translatorFor(event);
+        const id = match[1] ? match[1].toLowerCase() : null;
+        if (id && !services.phases.get(id)) return text(t("phase.usage", { phases: services.phases.list().map(p => p.id).join(" / ") || "-" }));
+        await services.phases.setOverride(id, event.source.userId);
+        await services.phases.apply();
+        await services.audit.append({ actor: event.source.userId, action: "phase.set", detail: id || "auto", result: "ok", via: "chat" });
+        const current = await services.phases.current();
+        return text(id ? t("phase.set", { name: phaseName(services, t, current) }) : t("phase.auto", { name: phaseName(services, t, current) }));
+      },
+    },
+    {
+      // admin insights [日数]: よく聞かれた FAQ と未回答の多いフレーズ（FAQ 追加の候補）
+      text: /^admin[:\s]+insights(?:\s+(\d{1,2}))?$/i,
+      handle: async ({ event, match, services }) => {
+        const denied = await services.admins.authorize(event, "insights.view");
+        if (denied) return denied;
+        const t = await services.translatorFor(event);
+        const days = Math.min(Math.max(Number(match[1]) || INSIGHTS_DAYS_DEFAULT, 1), INSIGHTS_DAYS_MAX);
+        const r = await services.insights.report({ days, top: 5 });
+        const list = (items, label) => (items.length ? items.map(x => `・${label(x)} ${x.count}`).join("\n") : t("common.none"));
+        return text(services.util.truncate([
+          t("insights.head", { days }),
+          t("insights.totals", { ...r.totals, total: r.byDay.reduce((n, d) => n + d.total, 0), users: r.byDay.reduce((n, d) => n + d.users, 0) }),
+          t("insights.faqs"), list(r.faqs, x => x.key),
+          t("insights.unmatched"), list(r.unmatched, x => x.phrase),
+          ...(r.unmatched.length ? [t("insights.hint")] : []),
+        ].join("\n"), 5000));
+      },
+    },
+    {
+      // FAQ にした（対応済みの）フレーズを未回答の一覧から外す
+      text: /^admin[:\s]+insights\s+forget\s+(.+)$/i,
+      handle: async ({ event, match, services }) => {
+        const denied = await services.admins.authorize(event, "insights.edit");
+        if (denied) return denied;
+        const t = await services.translatorFor(event);
+        const phrase = match[1].trim();
+        return text(t((await services.insights.forgetUnmatched(phrase)) ? "insights.forgotten" : "insights.notFound", { phrase }));
+      },
+    },
+    {
+      // admin maintenance [on [返信文] | off]
+      text: /^admin[:\s]+maintenance(?:\s+(on|off)(?:\s+([\s\S]+))?)?$/i,
+      handle: async ({ event, match, services }) => {
+        const denied = await services.admins.authorize(event, "maintenance");
+        if (denied) return denied;
+        const t = await services.translatorFor(event);
+        if (!match[1]) {
+          const state = await services.maintenance.get();
+          return text(state.enabled
+            ? t("maintenance.statusOn", { by: state.updatedBy || "-", at: state.updatedAt ? services.util.formatLocalTime(Date.parse(state.updatedAt)) : "-", message: state.message || t("maintenance.reply") })
+            : t("maintenance.statusOff"));
+        }
+        const enabled = match[1].toLowerCase() === "on";
+        const state = await services.maintenance.set({ enabled, message: enabled ? match[2] || "" : "", by: event.source.userId });
+        await services.audit.append({ actor: event.source.userId, action: `maintenance.${enabled ? "on" : "off"}`, detail: state.message || undefined, result: "ok", via: "chat" });
+        return text(enabled ? t("maintenance.turnedOn", { message: state.message || t("maintenance.reply") }) : t("maintenance.turnedOff"));
+      },
+    },
+    {
+      // 既定値から変えた設定だけ一覧（秘密情報は伏字）。再起動待ちの変更があれば添える
+      text: /^admin[:\s]+config$/i,
+      handle: async ({ event, services }) => {
+        const denied = await services.admins.authorize(event, "config.view");
+        if (denied) return denied;
+        const t = await services.translatorFor(event);
+        const cfg = services.settings.effective();
+        const lines = Object.entries(cfg.settings).filter(([k]) => cfg.sources[k] !== "default").map(([k, v]) => `・${k}=${Array.isArray(v) ? v.join(",") : v} (${cfg.sources[k]})`);
+        return text(services.util.truncate([
+          t("config.head", { file: cfg.file || "-", at: services.util.formatLocalTime(Date.parse(cfg.loadedAt)) }),
+          ...(lines.length ? lines : [t("common.none")]),
+          ...(cfg.pendingRestart.length ? [t("config.pending", { keys: cfg.pendingRestart.join(", ") })] : []),
+        ].join("\n"), 5000));
+      },
+    },
+    {
+      // 設定ファイル・環境変数を読み直し、reloadable の項目だけ反映
+      text: /^admin[:\s]+config\s+reload$/i,
+      handle: async ({ event, services }) => {
+        const denied = await services.admins.authorize(event, "config.reload");
+        if (denied) return denied;
+        const t = await services.translatorFor(event);
+        const r = services.settings.reload(event.source.userId);
+        await services.audit.append({ actor: event.source.userId, action: "config.reload", detail: r.ok ? `applied ${r.applied.join(",") || "-"}; restart ${r.restartRequired.join(",") || "-"}` : "invalid", result: r.ok ? "ok" : "failed", via: "chat" });
+        if (!r.ok) return text(services.util.truncate(t("config.invalid", { errors: r.errors.join("\n") }), 5000));
+        return text([
+          t("config.reloaded", { keys: r.applied.join(", ") || t("common.none") }),
+          ...(r.restartRequired.length ? [t("config.pending", { keys: r.restartRequired.join(", ") })] : []),
+        ].join("\n"));
+      },
+    },
+  ],
+};
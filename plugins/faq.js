@@ -0,0 +1,107 @@
+// plugins/faq.js - FAQ 一覧・回答（テキスト／postback）と管理コマンド（admin faq list|add|edit|remove|translate）
+"use strict";
+
+// ストアと Flex は app.js 側（インテント・フォールバック・管理APIと共用）。ここはチャットからの入口だけ
+const text = (s) => [{ type: "text", text: s }];
+
+// 現在のフェーズで隠している FAQ は「ご案内終了」を返す。どちらも質問の分析では「聞かれた FAQ」として数える
+// 無いキーは客の入力そのままなので FAQ としては数えず unmatched にする（メトリクスのラベル・集計のフィールドに載せない）
+async function answer({ event, services }, key) {
+  const t = await services.translatorFor(event);
+  if (services.phases.isFaqHidden(await services.phases.current(), key)) {
+    services.insights.noteFaq(event, key);
+    return text(t("phase.faqHidden"));
+  }
+  const faq = await services.faqs.get(key);
+  if (!faq) { services.insights.noteUnmatched(event); return null; }
+  services.insights.noteFaq(event, key);
+  return [services.faqs.answerFlex(faq, t)];
+}
+
+// 権限が無ければ denied（お断り文）を返す。確認結果は監査ログに残る
+async function requireAdmin({ event, services }, perm) {
+  return { t: await services.translatorFor(event), denied: await services.admins.authorize(event, perm) };
+}
+
+module.exports = {
+  name: "faq",
+  handlers: [
+    {
+      text: /^faq$/i,
+      handle: async ({ event, services }) => [services.faqs.listFlex(await services.faqs.list(), await services.translatorFor(event), await services.phases.current())],
+    },
+    {
+      text: /^faq:(.+)$/i,
+      handle: (ctx) => answer(ctx, ctx.match[1].trim()),
+    },
+    {
+      postback: "faq:",
+      handle: (ctx) => {
+        let key;
+        try { key = decodeURIComponent(ctx.data.slice(4)); } catch { return null; }
+        return answer(ctx, key);
+      },
+    },
+    {
+      text: /^admin[:\s]+faq\s+list$/i,
+      handle: async (ctx) => {
+        const { t, denied } = await requireAdmin(ctx, "faq.view");
+        if (denied) return denied;
+        const list = await ctx.services.faqs.list();
+        if (list.length === 0) return text(t("faq.admin.empty"));
+        return text(ctx.services.util.truncate(list.map(f => `・${f.key}: ${f.q}`).join("\n"), 5000));
+      },
+    },
+    {
+      text: /^admin[:\s]+faq\s+(add|edit)\s+([\s\S]+)$/i,
+      handle: async (ctx) => {
+        const { event, match, services } = ctx;
+        const { t, denied } = await requireAdmin(ctx, "faq.edit");
+        if (denied) return denied;
+        const mode = match[1].toLowerCase();
+        const input = services.faqs.parseCommand(match[2]);
+        const prev = await services.faqs.get(input.key);
+        if (mode === "add" && prev) return text(t("faq.admin.exists", { key: input.key }));
+        if (mode === "edit" && !prev) return text(t("faq.admin.notFound", { key: input.key }));
+        // edit は空欄の項目を既存値のまま残す
+        const q = input.q || prev?.q || "";
+        const a = input.a || prev?.a || "";
+        const invalid = services.faqs.validate(input.key, q, a, t);
+        if (invalid) return text(invalid + "\n" + t("faq.admin.example"));
+        await services.faqs.save(input.key, { q, a });
+        services.logger.info({ key: input.key, mode, by: event.source?.userId }, "[FAQ] saved via chat");
+        return text(t(mode === "add" ? "faq.admin.added" : "faq.admin.updated", { key: input.key }));
+      },
+    },
+    {
+      text: /^admin[:\s]+faq\s+(remove|delete)\s+(.+)$/i,
+      handle: async (ctx) => {
+        const { event, match, services } = ctx;
+        const { t, denied } = await requireAdmin(ctx, "faq.edit");
+        if (denied) return denied;
+        const key = match[2].trim();
+        if (!(await services.faqs.remove(key))) return text(t("faq.admin.notFound", { key }));
+        services.logger.info({ key, by: event.source?.userId }, "[FAQ] removed via chat");
+        return text(t("faq.admin.removed", { key }));
+      },
+    },
+    {
+      text: /^admin[:\s]+faq\s+translate\s+(\S+)\s+([\s\S]+)$/i,
+      handle: async (ctx) => {
+        const { event, match, services } = ctx;
+        const { t, denied } = await requireAdmin(ctx, "faq.edit");
+        if (denied) return denied;
+        const { i18n } = services;
+        const lang = i18n.normalizeLang(match[1]);
+        const input = services.faqs.parseCommand(match[2]);
+        const example = t("faq.admin.translateExample", { options: i18n.supported.filter(l => l !== i18n.defaultLang).join(", ") });
+        if (!lang || lang === i18n.defaultLang) return text(example);
+        const invalid = services.faqs.validate(input.key, input.q, input.a, t);
+        if (invalid) return text(invalid + "\n" + example);
+        if (!(await services.faqs.saveTranslation(input.key, lang, input))) return text(t("faq.admin.notFound", { key: input.key }));
+        services.logger.info({ key: input.key, lang, by: event.source?.userId }, "[FAQ] translation saved via chat");
+        return text(t("faq.admin.translated", { key: input.key, lang }));
+      },
+    },
+  ],
+};
@@ -0,0 +1,61 @@
+// plugins/groups.js - グループ・トークルームの設定（admin group [ID] [quiet <HH:MM-HH:MM|off> | commands <all|none|名前,...> | welcome <on|off>]）
+"use strict";
+
+const { parseQuietHours } = require("../lib/groups");
+
+const text = (s) => [{ type: "text", text: s }];
+
+function statusText(t, id, member, settings) {
+  return t("group.status", {
+    id, name: member?.displayName || "-",
+    quiet: settings.quietHours || t("common.none"),
+    commands: settings.commands ? settings.commands.join(", ") || t("common.none") : t("group.allCommands"),
+    welcome: t(settings.welcome ? "group.on" : "group.off"),
+    members: (member?.memberIds || []).length,
+  });
+}
+
+module.exports = {
+  name: "groups",
+  handlers: [
+    {
+      // ID を省略するとこのグループ（トークルーム）。管理コマンドなのでグループのコマンド設定では止めない
+      text: /^admin[:\s]+group(?:\s+([CR][0-9a-f]{32}))?(?:\s+(quiet|commands|welcome)\s+(.+))?$/i,
+      command: "admin",
+      handle: async ({ event, match, services }) => {
+        const t = await services.translatorFor(event);
+        const [, explicitId, field, rawValue] = match;
+        const denied = await services.admins.authorize(event, field ? "group.edit" : "group.view");
+        if (denied) return denied;
+        const id = explicitId || services.groups.idOf(event);
+        if (!id) return text(t("group.usage"));
+        const member = await services.members.get(id);
+        if (explicitId && !member) return text(t("group.notFound", { id }));
+        if (!field) return text(statusText(t, id, member, await services.groups.getSettings(id)));
+
+        const value = rawValue.trim();
+        let patch;
+        switch (field.toLowerCase()) {
+          case "quiet":
+            if (parseQuietHours(value) === undefined) return text(t("group.invalidQuiet"));
+            patch = { quietHours: value };
+            break;
+          case "commands": {
+            if (/^all$/i.test(value)) { patch = { commands: null }; break; }
+            const names = /^none$/i.test(value) ? [] : value.toLowerCase().split(/[\s,、]+/).filter(Boolean);
+            const available = services.groups.commands();
+            const unknown = names.filter(n => !available.includes(n));
+            if (unknown.length) return text(t("group.unknownCommands", { names: unknown.join(", "), available: available.join(", ") }));
+            patch = { commands: names };
+            break;
+          }
+          default:
+            if (!/^(on|off)$/i.test(value)) return text(t("group.usage"));
+            patch = { welcome: /^on$/i.test(value) };
+        }
+        const settings = await services.groups.setSettings(id, patch, event.source?.userId || null);
+        return text(t("group.updated", { status: statusText(t, id, member, settings) }));
+      },
+    },
+  ],
+};
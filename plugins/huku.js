@@ -0,0 +1,56 @@
+// plugins/huku.js - うさぎ画像（"huku" を含む発言にランダムで1枚）。画像は起動時に写真ストアの rabbit アルバムへ登録
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+// PUBLIC_BASE_URL 未設定時は下記の公開URLを使う
+const RABBIT_SEED_DIR = path.join(__dirname, "..", "huku");
+const RABBIT_SEED_BASE_URL = "https://raw.githubusercontent.com/rara0423usapiy02-debug/express-hello-world/c19ba036deab7aebd1484d78191d27a8a7060b9c/huku/";
+
+// Redis 有効時は photos:seeded で登録は初回のみ（削除した画像が再起動で復活しないように）
+// 登録済みの画像も中身は毎回確かめる（写真ストアが memory や使い捨てのディスクだと、メタデータだけ残って中身が消える）
+async function ensurePhotoSeeds({ redis, photos, logger }) {
+  const firstRun = !redis || (await redis.set("photos:seeded", "1", "NX")) === "OK";
+  let files = [];
+  try { files = fs.readdirSync(RABBIT_SEED_DIR).filter(f => /\.jpe?g$/i.test(f)); } catch { return; }
+  let added = 0, restored = 0;
+  for (const file of files) {
+    const id = "rabbit-" + file.replace(/\.[^.]+$/, "").replace(/[^\w-]/g, "_");
+    const read = () => fs.readFileSync(path.join(RABBIT_SEED_DIR, file));
+    if (await photos.get(id)) {
+      for (const variant of ["original", "thumb"]) {
+        if (await photos.storage.get(`${id}-${variant}`)) continue;
+        await photos.storage.put(`${id}-${variant}`, read());
+        restored++;
+      }
+      continue;
+    }
+    if (!firstRun) continue; // 管理画面で削除済み
+    const buf = read();
+    await photos.storage.put(`${id}-original`, buf);
+    await photos.storage.put(`${id}-thumb`, buf);
+    await photos.save({ id, album: "rabbit", status: "approved", contentType: "image/jpeg", size: buf.length, uploadedBy: null, createdAt: new Date().toISOString(), externalUrl: RABBIT_SEED_BASE_URL + file });
+    added++;
+  }
+  if (added || restored) logger.info({ added, restored }, "[Photos] rabbit seeds registered");
+}
+
+module.exports = {
+  name: "huku",
+  // シード失敗で起動は止めない（画像が無ければ photo.noRabbit を返すだけ）
+  init: (services) => ensurePhotoSeeds(services).catch(e => services.logger.error({ err: String(e) }, "[Photos] seeding failed")),
+  handlers: [
+    {
+      text: /\bhuku\b/i,
+      handle: async ({ event, services }) => {
+        const t = await services.translatorFor(event);
+        const { photos } = services;
+        const list = (await photos.list({ album: "rabbit", status: "approved" })).filter(p => photos.url(p, "original"));
+        if (list.length === 0) return [{ type: "text", text: t("photo.noRabbit") }];
+        const p = list[Math.floor(Math.random() * list.length)];
+        return [{ type: "image", originalContentUrl: photos.url(p, "original"), previewImageUrl: photos.url(p, "thumb") }];
+      },
+    },
+  ],
+};
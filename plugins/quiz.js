@@ -0,0 +1,72 @@
+// plugins/quiz.js - ゲスト参加のクイズ（回答ボタンの postback、ranking、admin quiz [next | reveal | reset]）
+"use strict";
+
+const { CHOICE_LABELS } = require("../lib/quiz");
+
+const text = (s) => [{ type: "text", text: s }];
+
+module.exports = {
+  name: "quiz",
+  handlers: [
+    {
+      // 回答ボタン（quiz:<回>:<問題ID>:<添字>）。二度押し・締切後・前の問題のボタンは受け付けない
+      postback: "quiz:",
+      handle: async ({ event, data, services }) => {
+        const t = await services.translatorFor(event);
+        if (event.source?.type !== "user") return text(t("common.directOnly"));
+        const r = await services.quiz.answer(event, data);
+        if (r.result !== "ok") return text(t(`quiz.answer.${r.result}`));
+        return text(t("quiz.answer.ok", { choice: CHOICE_LABELS[r.choice] }));
+      },
+    },
+    {
+      text: /^(ranking|ランキング|クイズ順位)$/i,
+      handle: async ({ event, services }) => {
+        const t = await services.translatorFor(event);
+        const board = await services.quiz.leaderboard({ userId: event.source?.type === "user" ? event.source.userId : null });
+        return services.quiz.rankingMessages(board, t);
+      },
+    },
+    {
+      // admin quiz: 進行状況 / next: 次の問題を配信 / reveal: 締め切って正解発表 / reset: 得点ごと最初から
+      text: /^admin[:\s]+quiz(?:\s+(next|reveal|reset))?$/i,
+      command: "admin",
+      handle: async ({ event, match, services }) => {
+        const action = (match[1] || "").toLowerCase();
+        const denied = await services.admins.authorize(event, !action ? "quiz.view" : action === "reset" ? "quiz.reset" : "quiz.run");
+        if (denied) return denied;
+        const t = await services.translatorFor(event);
+        const by = event.source?.userId || null;
+        if (action === "next") {
+          const r = await services.quiz.next(by);
+          if (r.error) return text(t(`quiz.admin.${r.error}`));
+          await services.audit.append({ actor: by, action: "quiz.next", detail: r.question.id, result: "ok", via: "chat" });
+          return text(t("quiz.admin.opened", { n: r.state.index + 1, id: r.question.id, sec: Math.round(r.question.timeLimitMs / 1000) }));
+        }
+        if (action === "reveal") {
+          const r = await services.quiz.reveal(by);
+          if (r.error) return text(t(`quiz.admin.${r.error}`));
+          if (r.sent) await services.audit.append({ actor: by, action: "quiz.reveal", detail: r.question.id, result: "ok", via: "chat" });
+          const tally = r.tally.map((n, i) => `${i === r.question.answer ? "◎" : "・"}${CHOICE_LABELS[i]} ${n}`).join("\n");
+          return text(`${t("quiz.admin.revealed", { id: r.question.id, answered: r.answered })}\n${tally}`);
+        }
+        if (action === "reset") {
+          await services.quiz.reset(by);
+          await services.audit.append({ actor: by, action: "quiz.reset", result: "ok", via: "chat" });
+          return text(t("quiz.admin.reset"));
+        }
+        const s = await services.quiz.status(t);
+        if (s.total === 0) return text(t("quiz.admin.noQuiz"));
+        const board = await services.quiz.leaderboard({ limit: 3 });
+        const top = board.entries.map(e => `${e.rank}. ${e.name || t("quiz.anonymous")} ${e.score}`).join("\n");
+        return text([
+          t("quiz.admin.status", {
+            title: s.title, n: s.index === null ? 0 : s.index + 1, total: s.total, answered: s.answered, players: board.players,
+            state: t(s.index === null ? "quiz.admin.stateIdle" : s.open ? "quiz.admin.stateOpen" : s.revealed ? "quiz.admin.stateRevealed" : "quiz.admin.stateClosed"),
+          }),
+          ...(top ? [top] : []),
+        ].join("\n"));
+      },
+    },
+  ],
+};
@@ -0,0 +1,15 @@
+// plugins/test.js - 疎通確認用（"test" に2通返す）
+"use strict";
+
+module.exports = {
+  name: "test",
+  handlers: [
+    {
+      text: /^test$/i,
+      handle: async ({ event, services }) => {
+        const t = await services.translatorFor(event);
+        return [{ type: "text", text: t("test.hello") }, { type: "text", text: t("test.help") }];
+      },
+    },
+  ],
+};
@@ -0,0 +1,142 @@
+// scripts/line-emulator.js - LINE Messaging API のローカル代替サーバー（送信内容の記録・障害注入）
+"use strict";
+
+/* ===== 使い方 =====
+ * - 単体起動: `node scripts/line-emulator.js`（EMULATOR_PORT 既定 3100）
+ *   本体は `LINE_API_BASE=http://127.0.0.1:3100` で起動する
+ * - 記録の参照: GET /__emulator/calls、リセット: DELETE /__emulator/calls
+ * - 障害注入: POST /__emulator/faults {"path":"/v2/bot/message/reply","status":429,"retryAfter":1,"times":1}
+ *   （"delayMs" を付けると応答を遅らせる。タイムアウトの確認用）
+ * - X-Line-Retry-Key: 受け付けた（2xx を返した）キーがもう一度来たら 409
+ * - テストからは createLineEmulator() を require して同じ操作を関数で行う
+ */
+
+const express = require("express");
+
+function createLineEmulator() {
+  const app = express();
+  const calls = []; // { method, path, body, auth, retryKey, status, at }
+  const faults = []; // { path, status, retryAfter, body, times, delayMs }
+  const acceptedRetryKeys = new Set();
+  const profiles = new Map(); // userId -> プロフィールの上書き（language 等）
+
+  const richMenus = new Map(); // richMenuId -> menu
+  let defaultRichMenuId = null;
+  let richMenuSeq = 0;
+
+  app.use(express.json({ limit: "5mb" }));
+  app.use(express.raw({ type: ["image/*", "application/octet-stream"], limit: "5mb" }));
+
+  // ---- 制御用 ----
+  app.get("/__emulator/calls", (_req, res) => res.json({ calls }));
+  app.delete("/__emulator/calls", (_req, res) => { reset(); res.status(204).end(); });
+  app.post("/__emulator/faults", (req, res) => { fail(req.body || {}); res.status(201).json({ faults }); });
+
+  // ---- 障害注入（path 前方一致・times 回まで） ----
+  function takeFault(path) {
+    const i = faults.findIndex(f => path.startsWith(f.path));
+    if (i < 0) return null;
+    const f = faults[i];
+    if (--f.times <= 0) faults.splice(i, 1);
+    return f;
+  }
+
+  app.use((req, res, next) => {
+    if (req.path.startsWith("/__emulator")) return next();
+    const call = { method: req.method, path: req.path, body: Buffer.isBuffer(req.body) ? { bytes: req.body.length, contentType: req.get("content-type") } : req.body, auth: req.get("authorization") || "", retryKey: req.get("x-line-retry-key") || null, status: 200, at: Date.now() };
+    calls.push(call);
+    if (!/^Bearer \S+/.test(call.auth)) {
+      call.status = 401;
+      return res.status(401).json({ message: "Authentication failed. Confirm that the access token in the authorization header is valid." });
+    }
+    const f = takeFault(req.path);
+    if (f) {
+      call.status = f.status;
+      if (f.retryAfter) res.set("Retry-After", String(f.retryAfter));
+      const send = () => { if (!res.headersSent) res.status(f.status).json(f.body || { message: `emulated ${f.status}` }); };
+      return f.delayMs ? setTimeout(send, f.delayMs) : send();
+    }
+    if (call.retryKey) {
+      if (acceptedRetryKeys.has(call.retryKey)) { call.status = 409; return res.status(409).json({ message: "The retry key is already accepted" }); }
+      res.on("finish", () => { if (res.statusCode < 300) acceptedRetryKeys.add(call.retryKey); });
+    }
+    next();
+  });
+
+  // ---- API（必要最小限の応答） ----
+  app.post("/v2/bot/message/:kind", (req, res) => {
+    if (!Array.isArray(req.body?.messages) || req.body.messages.length === 0) return res.status(400).json({ message: "The request body has 1 error(s)" });
+    res.json({ sentMessages: req.body.messages.map((_m, i) => ({ id: String(Date.now() + i), quoteToken: "q" })) });
+  });
+  app.get("/v2/bot/profile/:userId", (req, res) => {
+    res.json({ userId: req.params.userId, displayName: `Guest ${req.params.userId.slice(-4)}`, language: "ja", ...profiles.get(req.params.userId) });
+  });
+  app.get("/v2/bot/group/:groupId/summary", (req, res) => {
+    res.json({ groupId: req.params.groupId, groupName: `Group ${req.params.groupId.slice(-4)}` });
+  });
+  app.get("/v2/bot/:chat(group|room)/:chatId/member/:userId", (req, res) => {
+    res.json({ userId: req.params.userId, displayName: `Guest ${req.params.userId.slice(-4)}`, ...profiles.get(req.params.userId) });
+  });
+  // ユーザーが送った画像（api-data 側）。中身はダミーの JPEG ヘッダ + messageId
+  app.get("/v2/bot/message/:id/content/preview", (req, res) => {
+    res.type("image/jpeg").send(Buffer.concat([Buffer.from([0xff, 0xd8, 0xff]), Buffer.from(`preview:${req.params.id}`)]));
+  });
+  app.get("/v2/bot/message/:id/content", (req, res) => {
+    res.type("image/jpeg").send(Buffer.concat([Buffer.from([0xff, 0xd8, 0xff]), Buffer.from(`original:${req.params.id}`)]));
+  });
+  app.post("/v2/bot/richmenu", (req, res) => {
+    const richMenuId = `richmenu-${++richMenuSeq}`;
+    richMenus.set(richMenuId, { richMenuId, ...req.body });
+    res.json({ richMenuId });
+  });
+  app.get("/v2/bot/richmenu/list", (_req, res) => res.json({ richmenus: [...richMenus.values()] }));
+  app.delete("/v2/bot/richmenu/:id", (req, res) => {
+    if (!richMenus.delete(req.params.id)) return res.status(404).json({ message: "Not found" });
+    if (defaultRichMenuId === req.params.id) defaultRichMenuId = null;
+    res.json({});
+  });
+  app.post("/v2/bot/richmenu/:id/content", (req, res) => {
+    if (!richMenus.has(req.params.id)) return res.status(404).json({ message: "Not found" });
+    res.json({});
+  });
+  app.post("/v2/bot/user/all/richmenu/:id", (req, res) => {
+    if (!richMenus.has(req.params.id)) return res.status(404).json({ message: "Not found" });
+    defaultRichMenuId = req.params.id;
+    res.json({});
+  });
+  app.get("/v2/bot/user/all/richmenu", (_req, res) => {
+    if (!defaultRichMenuId) return res.status(404).json({ message: "no default rich menu" });
+    res.json({ richMenuId: defaultRichMenuId });
+  });
+  app.delete("/v2/bot/user/all/richmenu", (_req, res) => { defaultRichMenuId = null; res.json({}); });
+  app.use((_req, res) => res.json({}));
+
+  function fail({ path = "/", status = 500, retryAfter = 0, body = null, times = 1, delayMs = 0 } = {}) {
+    faults.push({ path, status: Number(status), retryAfter: Number(retryAfter) || 0, body, times: Number(times) || 1, delayMs: Number(delayMs) || 0 });
+  }
+  // 記録と障害注入をクリア（リッチメニュー等の状態は残す）
+  function reset() { calls.length = 0; faults.length = 0; }
+  const callsTo = (path) => calls.filter(c => c.path === path);
+
+  function listen(port = 0, host = "127.0.0.1") {
+    return new Promise((resolve, reject) => {
+      const server = app.listen(port, host, () => {
+        const { port: bound } = server.address();
+        resolve({ port: bound, baseUrl: `http://${host}:${bound}`, close: () => new Promise(r => server.close(() => r())) });
+      });
+      server.on("error", reject);
+    });
+  }
+
+  return { app, calls, faults, profiles, fail, reset, callsTo, listen };
+}
+
+module.exports = { createLineEmulator };
+
+if (require.main === module) {
+  const port = Number(process.env.EMULATOR_PORT || 3100);
+  createLineEmulator().listen(port).then(({ baseUrl }) => {
+    console.log(`[Emulator] LINE API emulator listening at ${baseUrl}`);
+    console.log(`[Emulator] start the bot with LINE_API_BASE=${baseUrl}`);
+  });
+}
@@ -0,0 +1,48 @@
+// scripts/richmenu-sync.js - config/richmenus.json の定義を LINE に冪等同期する CLI
+"use strict";
+
+/* ===== 使い方 =====
+ *   LINE_ACCESS_TOKEN=... node scripts/richmenu-sync.js [--apply] [--dry-run] [--no-prune] [--reset]
+ * - 既定: 定義と同じものが無ければ作成し、古くなった管理対象メニューを削除（何度実行しても同じ結果）
+ * - --apply: 同期後に default 指定のメニューを全員の既定にする（管理者への個別リンクはチャットの `admin richmenu apply`）
+ * - --dry-run: LINE 側を変更せず、作成/削除予定だけ表示
+ * - --reset: 管理対象メニューをすべて削除し、既定メニューを外す
+ */
+
+const path = require("path");
+const { createLineClient } = require("../lib/line-client");
+const { createRichMenuManager } = require("../lib/richmenu");
+
+const TOKEN = process.env.LINE_ACCESS_TOKEN || "";
+const API_BASE = (process.env.LINE_API_BASE || "https://api.line.me").replace(/\/+$/, "");
+const DATA_API_BASE = (process.env.LINE_DATA_API_BASE || "https://api-data.line.me").replace(/\/+$/, "");
+const CONFIG = process.env.RICHMENUS_FILE || path.join(__dirname, "..", "config", "richmenus.json");
+
+const logger = { info: (o, msg) => console.log(msg, JSON.stringify(o)), warn: (o, msg) => console.warn(msg, JSON.stringify(o)), error: (o, msg) => console.error(msg, JSON.stringify(o)) };
+
+const client = createLineClient({ token: TOKEN, apiBase: API_BASE, dataApiBase: DATA_API_BASE, timeoutMs: 15000 });
+
+async function main(argv) {
+  const flags = new Set(argv);
+  if (!TOKEN) throw new Error("LINE_ACCESS_TOKEN is required");
+  const manager = createRichMenuManager({ request: client.request, logger, configFile: CONFIG, baseDir: path.join(__dirname, "..") });
+
+  if (flags.has("--reset")) {
+    const { deleted } = await manager.reset();
+    console.log(`reset: deleted ${deleted.length} menu(s)`);
+    return;
+  }
+  const result = await manager.sync({ prune: !flags.has("--no-prune"), dryRun: flags.has("--dry-run") });
+  console.log(`created: ${result.created.join(", ") || "-"}`);
+  console.log(`reused:  ${result.reused.join(", ") || "-"}`);
+  console.log(`deleted: ${result.deleted.length}`);
+  if (flags.has("--apply") && !flags.has("--dry-run") && result.defaultId) {
+    await manager.setDefault(result.menus[result.defaultId]);
+    console.log(`default: ${result.defaultId} (${result.menus[result.defaultId]})`);
+  }
+}
+
+main(process.argv.slice(2)).catch((e) => {
+  console.error(`[richmenu-sync] ${e.message || e}`);
+  process.exit(1);
+});
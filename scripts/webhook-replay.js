@@ -0,0 +1,84 @@
+// scripts/webhook-replay.js - 保存した Webhook 本文に署名し直してローカルのボットへ送り直すデバッグ用 CLI
+"use strict";
+
+/* ===== 使い方 =====
+ *   LINE_CHANNEL_SECRET=... node scripts/webhook-replay.js <file|-> [--url http://127.0.0.1:3000/webhook] [--fresh] [--dry-run] [--allow-remote]
+ * - 入力: Webhook 本文（{ destination, events }）、イベント1件、イベントの配列の JSON、またはそれらを1行ずつ並べた JSONL
+ *   （WEBHOOK_CAPTURE_FILE で保存したファイルをそのまま使える）。1行（1ファイル）を1回の要求として送る
+ * - --fresh: timestamp を今に、webhookEventId を新しい値にする（古すぎるイベントの拒否・重複検知に掛からないように）
+ * - --dry-run: 送らずに、送る本文と署名だけ表示
+ * - 送り先はループバック（localhost / 127.0.0.1 / ::1）だけ。--allow-remote で解除
+ *   ボットは LINE_API_BASE をエミュレータ（npm run emulator）に向けて起動しておく（本物の返信トークンは使えず、push で実際のゲストに届きうる）
+ */
+
+const fs = require("fs");
+const { createHmac, randomUUID } = require("crypto");
+
+const SECRET = process.env.LINE_CHANNEL_SECRET || "";
+const DEFAULT_URL = `http://127.0.0.1:${process.env.PORT || 3000}/webhook`;
+const LOOPBACK = new Set(["localhost", "127.0.0.1", "[::1]"]);
+
+const sign = (body, secret = SECRET) => createHmac("sha256", secret).update(body).digest("base64");
+
+// 1行（またはファイル全体）-> Webhook 本文
+function toBody(value) {
+  if (Array.isArray(value)) return { destination: "Ureplay", events: value };
+  if (value && Array.isArray(value.events)) return value;
+  if (value && typeof value.type === "string") return { destination: "Ureplay", events: [value] };
+  throw new Error("input must be a webhook body, an event or an array of events");
+}
+
+function parseInput(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+  try { return [toBody(JSON.parse(trimmed))]; } catch (e) { if (!(e instanceof SyntaxError)) throw e; }
+  return trimmed.split(/\r?\n/).filter(l => l.trim()).map((line, i) => {
+    try { return toBody(JSON.parse(line)); } catch (e) { throw new Error(`line ${i + 1}: ${e.message}`); }
+  });
+}
+
+const refresh = (body, at = Date.now()) => ({
+  ...body,
+  events: body.events.map(ev => ({ ...ev, timestamp: at, webhookEventId: `replay-${randomUUID()}`, deliveryContext: { ...ev.deliveryContext, isRedelivery: false } })),
+});
+
+function parseArgs(argv) {
+  const opts = { file: null, url: DEFAULT_URL, fresh: false, dryRun: false, allowRemote: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--url") opts.url = argv[++i];
+    else if (a === "--fresh") opts.fresh = true;
+    else if (a === "--dry-run") opts.dryRun = true;
+    else if (a === "--allow-remote") opts.allowRemote = true;
+    else if (!opts.file && !a.startsWith("--")) opts.file = a;
+    else throw new Error(`unknown argument: ${a}`);
+  }
+  if (!opts.file) throw new Error("usage: node scripts/webhook-replay.js <file|-> [--url URL] [--fresh] [--dry-run] [--allow-remote]");
+  return opts;
+}
+
+async function main(argv) {
+  const opts = parseArgs(argv);
+  if (!SECRET) throw new Error("LINE_CHANNEL_SECRET is required");
+  const url = new URL(opts.url);
+  if (!opts.allowRemote && !LOOPBACK.has(url.hostname)) throw new Error(`refusing to send to ${url.hostname} (use --allow-remote)`);
+  const bodies = parseInput(fs.readFileSync(opts.file === "-" ? 0 : opts.file, "utf8"));
+  if (bodies.length === 0) throw new Error("no payloads in input");
+
+  let failed = 0;
+  for (const [i, original] of bodies.entries()) {
+    const body = JSON.stringify(opts.fresh ? refresh(original) : original);
+    const signature = sign(body);
+    if (opts.dryRun) { console.log(`#${i + 1} x-line-signature: ${signature}\n${body}`); continue; }
+    const resp = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json", "x-line-signature": signature }, body, signal: AbortSignal.timeout(15000) });
+    const detail = resp.ok ? "" : ` ${(await resp.text().catch(() => "")).slice(0, 300)}`;
+    console.log(`#${i + 1} ${original.events.length} event(s) -> ${resp.status}${detail}`);
+    if (!resp.ok) failed++;
+  }
+  if (failed) process.exitCode = 1;
+}
+
+main(process.argv.slice(2)).catch((e) => {
+  console.error(`[webhook-replay] ${e.message || e}`);
+  process.exit(1);
+});
@@ -0,0 +1,75 @@
+// test/admin-roles.test.js - 管理者ロール（登録トークン・昇格／降格／取り消し・コマンド別権限）と監査ログの E2E テスト
+"use strict";
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStack, postWebhook, textEvent } = require("./support/harness");
+
+const REPLY = "/v2/bot/message/reply";
+const PUSH = "/v2/bot/message/push";
+const OWNER = "U" + "0".repeat(31) + "1";
+const ALICE = "U" + "a".repeat(32);
+const BOB = "U" + "b".repeat(32);
+
+describe("admin roles", () => {
+  let stack;
+  const say = async (user, text) => {
+    await postWebhook(stack.baseUrl, [textEvent(user, text)]);
+    return stack.emulator.callsTo(REPLY).at(-1).body.messages[0].text;
+  };
+  const api = (path, token = "admin-token") => fetch(stack.baseUrl + path, { headers: { Authorization: `Bearer ${token}` } });
+  const issueToken = async (spec) => (await say(OWNER, `admin token ${spec}`)).match(/admin register (\S+)/)[1];
+
+  before(async () => {
+    stack = await startStack({ ADMIN_USER_IDS: OWNER, ADMIN_REG_TOKEN: "legacy-pass", ADMIN_API_TOKEN: "admin-token", TAP_DEBOUNCE_MS: "1" });
+  });
+  after(async () => { await stack?.stop(); });
+  beforeEach(() => stack.emulator.reset());
+
+  it("registers with a one-time token and enforces per-command permissions", async () => {
+    const token = await issueToken("viewer 1h once");
+    assert.match(await say(ALICE, `admin register ${token}`), /閲覧のみ/);
+    assert.match(await say(BOB, `admin register ${token}`), /一致しないか/);
+
+    assert.match(await say(ALICE, "admin faq list"), /駐車場/);
+    assert.equal(await say(ALICE, "admin faq add 新規|質問|回答"), "権限対象ではございません。");
+    assert.equal(await say(ALICE, `admin promote ${BOB} staff`), "権限対象ではございません。");
+  });
+
+  it("lets owners promote, demote and revoke, and notifies the target", async () => {
+    assert.match(await say(OWNER, `admin promote ${ALICE} staff`), /スタッフ/);
+    assert.match(stack.emulator.callsTo(PUSH).at(-1).body.messages[0].text, /スタッフ に変更/);
+    assert.match(await say(ALICE, "admin faq add 新規|質問|回答"), /登録いたしました/);
+
+    assert.match(await say(OWNER, `admin promote ${ALICE} viewer`), /今より上/);
+    assert.match(await say(OWNER, `admin demote ${ALICE} viewer`), /閲覧のみ/);
+    assert.match(await say(OWNER, `admin demote ${OWNER} viewer`), /ご自身/);
+    assert.match(await say(OWNER, "admin roles"), new RegExp(`閲覧のみ .* ${ALICE}`));
+
+    assert.match(await say(OWNER, `admin revoke ${ALICE}`), /取り消しました/);
+    assert.equal(await say(ALICE, "admin stats"), "権限対象ではございません。");
+    assert.match(await say(ALICE, "admin unregister"), /登録されていません/);
+  });
+
+  it("grants the configured role for the legacy passphrase and rejects bad token specs", async () => {
+    assert.match(await say(BOB, "admin register legacy-pass"), /スタッフ/);
+    assert.match(await say(BOB, "admin register legacy-pass"), /すでに/);
+    assert.match(await say(OWNER, "admin token staff 90d"), /^例: admin token/);
+    assert.match(await say(OWNER, "admin token janitor"), /^例: admin token/);
+  });
+
+  it("records admin actions in the audit log, viewable in chat and over the API", async () => {
+    const chat = await say(OWNER, "admin audit 50");
+    assert.match(chat, /roles\.promote \[ok\]/);
+    assert.match(chat, /faq\.edit \[denied\]/);
+    assert.doesNotMatch(chat, /legacy-pass/);
+    assert.equal(await say(BOB, "admin audit"), "権限対象ではございません。");
+
+    assert.equal((await api("/admin/api/audit", "wrong")).status, 401);
+    const { entries } = await (await api("/admin/api/audit?action=roles&limit=100")).json();
+    assert.ok(entries.some(e => e.action === "roles.revoke" && e.actor === OWNER && e.target === ALICE));
+    assert.ok(entries.every(e => e.action.startsWith("roles")));
+    const all = await (await api("/admin/api/audit?actor=api")).json();
+    assert.ok(all.entries.some(e => e.action === "api GET /admin/api/audit" && e.result === "denied"));
+  });
+});
@@ -0,0 +1,92 @@
+// test/dashboard.test.js - 管理画面（/admin）と、その裏の JSON API（稼働状況・直近イベント・メンテナンス・テスト送信）の E2E テスト
+"use strict";
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStack, postWebhook, textEvent } = require("./support/harness");
+
+const REPLY = "/v2/bot/message/reply";
+const PUSH = "/v2/bot/message/push";
+const ADMIN = "U" + "d".repeat(32);
+const GUEST = "U" + "f".repeat(32);
+const BASIC = "Basic " + Buffer.from("planner:s3cret:with-colon").toString("base64");
+
+describe("admin dashboard", () => {
+  let stack;
+  const web = (path, { method = "GET", body, headers = {} } = {}) => fetch(stack.baseUrl + path, {
+    method, headers: { Authorization: BASIC, ...(body && { "Content-Type": "application/json" }), ...headers }, body: body && JSON.stringify(body),
+  });
+  const say = async (user, text) => {
+    await postWebhook(stack.baseUrl, [textEvent(user, text)]);
+    return stack.emulator.callsTo(REPLY).at(-1)?.body.messages[0].text;
+  };
+
+  before(async () => {
+    stack = await startStack({ ADMIN_USER_IDS: ADMIN, ADMIN_WEB_USER: "planner", ADMIN_WEB_PASS: "s3cret:with-colon", ADMIN_API_TOKEN: "admin-token", TAP_DEBOUNCE_MS: "1" });
+  });
+  after(async () => { await stack?.stop(); });
+  beforeEach(() => stack.emulator.reset());
+
+  it("serves the page and assets only with Basic credentials", async () => {
+    const anon = await fetch(stack.baseUrl + "/admin");
+    assert.equal(anon.status, 401);
+    assert.match(anon.headers.get("www-authenticate"), /^Basic realm="admin"/);
+    assert.equal((await fetch(stack.baseUrl + "/admin", { headers: { Authorization: "Basic " + Buffer.from("planner:nope").toString("base64") } })).status, 401);
+
+    const page = await web("/admin");
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get("content-security-policy"), /default-src 'self'/);
+    assert.match(await page.text(), /<script src="\/admin\/assets\/admin\.js"/);
+    assert.equal((await web("/admin/assets/admin.js")).status, 200);
+    assert.equal((await fetch(stack.baseUrl + "/admin/assets/admin.js")).status, 401);
+  });
+
+  it("returns live stats and recent webhook events with register tokens masked", async () => {
+    await say(GUEST, "faq");
+    await say(GUEST, "admin register secret-pass");
+    const stats = await (await web("/admin/api/stats")).json();
+    assert.equal(stats.maintenance.enabled, false);
+    assert.ok(stats.counts.faqs > 0);
+    assert.equal(typeof stats.stats.uptimeSec, "number");
+
+    const { events } = await (await web("/admin/api/events/recent?limit=5")).json();
+    assert.equal(events[0].text, "admin:register ******");
+    assert.equal(events[1].text, "faq");
+    assert.equal(events[1].sourceId, GUEST);
+  });
+
+  it("requires the dashboard header for changes made with Basic credentials", async () => {
+    const csrf = await web("/admin/api/maintenance", { method: "PUT", body: { enabled: true } });
+    assert.equal(csrf.status, 403);
+    assert.equal((await (await web("/admin/api/maintenance")).json()).enabled, false);
+    assert.equal((await web("/admin/api/maintenance", { method: "PUT", body: { enabled: "yes" }, headers: { "X-Admin-Dashboard": "1" } })).status, 400);
+  });
+
+  it("answers guests with a canned reply in maintenance mode while admins keep working", async () => {
+    const on = await web("/admin/api/maintenance", { method: "PUT", body: { enabled: true }, headers: { "X-Admin-Dashboard": "1" } });
+    assert.equal(on.status, 200);
+    assert.equal((await on.json()).updatedBy, "web:planner");
+    assert.match(await say(GUEST, "faq"), /メンテナンス中/);
+    assert.match(await say(ADMIN, "test"), /Hello/);
+
+    await web("/admin/api/maintenance", { method: "PUT", body: { enabled: true, message: "只今準備中です" }, headers: { "X-Admin-Dashboard": "1" } });
+    assert.equal(await say(GUEST, "test"), "只今準備中です");
+
+    const off = await fetch(stack.baseUrl + "/admin/api/maintenance", { method: "PUT", headers: { Authorization: "Bearer admin-token", "Content-Type": "application/json" }, body: JSON.stringify({ enabled: false }) });
+    assert.equal(off.status, 200);
+    assert.match(await say(GUEST, "test"), /Hello/);
+  });
+
+  it("sends a test message and records who did it in the audit log", async () => {
+    assert.equal((await web("/admin/api/messages/test", { method: "POST", body: { to: "nobody", text: "hi" }, headers: { "X-Admin-Dashboard": "1" } })).status, 400);
+    const sent = await web("/admin/api/messages/test", { method: "POST", body: { to: GUEST, text: "テスト送信です" }, headers: { "X-Admin-Dashboard": "1" } });
+    assert.equal(sent.status, 200);
+    const push = stack.emulator.callsTo(PUSH).at(-1).body;
+    assert.equal(push.to, GUEST);
+    assert.equal(push.messages[0].text, "テスト送信です");
+
+    const { entries } = await (await web("/admin/api/audit?actor=web:planner")).json();
+    assert.ok(entries.some(e => e.action === "api POST /admin/api/messages/test" && e.result === "ok" && e.detail === `to ${GUEST}`));
+    assert.ok(entries.some(e => e.action === "api PUT /admin/api/maintenance" && e.result === "http 403"));
+  });
+});
@@ -0,0 +1,109 @@
+// test/flex-templates.test.js - Flex テンプレート（テーマ・繰り返し・条件）、上限チェック、開発用プレビューの E2E テスト
+"use strict";
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startStack, postWebhook, textEvent } = require("./support/harness");
+
+const REPLY = "/v2/bot/message/reply";
+const ADMIN = "U" + "7".repeat(32);
+const GUEST = "U" + "6".repeat(32);
+const TEMPLATES = path.join(__dirname, "..", "templates");
+
+// ボタンのラベルを切り詰めない（上限チェックで落ちる）テンプレートと、バブルを繰り返すカルーセル
+const RAW_LABELS = { type: "bubble", body: { type: "box", layout: "vertical", contents: [{ $each: "items", template: { type: "button", action: { type: "message", label: "{{item}}", text: "{{item}}" } } }] } };
+const PAGES = { type: "carousel", contents: [{ $each: "pages", as: "p", index: "i", template: { type: "bubble", body: { type: "box", layout: "vertical", contents: [{ type: "text", text: "{{i}}: {{p}}" }] } } }] };
+
+describe("flex templates", () => {
+  let stack, dir;
+  const lastMessage = () => stack.emulator.callsTo(REPLY).at(-1).body.messages[0];
+  const say = async (user, text) => { await postWebhook(stack.baseUrl, [textEvent(user, text)]); return lastMessage(); };
+  const preview = (name, body) => fetch(`${stack.baseUrl}/dev/flex/${name}`, body ? { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) } : {});
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "flex-"));
+    fs.mkdirSync(path.join(dir, "flex"));
+    for (const f of fs.readdirSync(path.join(TEMPLATES, "flex"))) fs.copyFileSync(path.join(TEMPLATES, "flex", f), path.join(dir, "flex", f));
+    fs.writeFileSync(path.join(dir, "flex", "raw-labels.json"), JSON.stringify(RAW_LABELS));
+    fs.writeFileSync(path.join(dir, "flex", "pages.json"), JSON.stringify(PAGES));
+    const theme = JSON.parse(fs.readFileSync(path.join(TEMPLATES, "theme.json"), "utf8"));
+    fs.writeFileSync(path.join(dir, "theme.json"), JSON.stringify({ ...theme, colors: { ...theme.colors, primary: "#123456" }, headerImage: "https://example.com/header.png" }));
+    stack = await startStack({ ADMIN_USER_IDS: ADMIN, FLEX_PREVIEW: "true", FLEX_TEMPLATES_DIR: path.join(dir, "flex"), FLEX_THEME_FILE: path.join(dir, "theme.json"), TAP_DEBOUNCE_MS: "1" });
+  });
+  after(async () => {
+    await stack?.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  beforeEach(() => stack.emulator.reset());
+
+  it("renders FAQ replies from templates with the shared theme", async () => {
+    const list = await say(GUEST, "faq");
+    assert.equal(list.altText, "結婚式FAQリスト");
+    assert.equal(list.contents.hero.url, "https://example.com/header.png");
+    const [title, , ...buttons] = list.contents.body.contents;
+    assert.equal(title.color, "#123456");
+    assert.deepEqual(buttons.slice(0, 4).map(b => b.color), ["#FADADD", "#D5E8D4", "#DDEBF7", "#FADADD"]);
+    assert.equal(buttons[0].action.text, "FAQ:駐車場");
+
+    const answer = await say(GUEST, "FAQ:駐車場");
+    assert.equal(answer.altText, "駐車場はありますか？");
+    assert.equal(answer.contents.body.contents[0].text, "Q. 駐車場はありますか？");
+  });
+
+  it("previews templates with sample or posted data", async () => {
+    const { templates } = await (await fetch(`${stack.baseUrl}/dev/flex`)).json();
+    assert.deepEqual(templates, ["faq-answer", "faq-list", "pages", "quiz-question", "raw-labels"]);
+
+    const sample = await (await preview("faq-list")).json();
+    assert.deepEqual(sample.errors, []);
+    const contents = sample.message.contents.body.contents;
+    assert.equal(contents[2].text, "本日はご来場いただき、誠にありがとうございました。"); // $if notice
+    assert.equal(contents.filter(c => c.type === "button").length, 4); // $each 3件 + ギャラリー
+    assert.ok(!contents.some(c => c.text === "ただいまご案内できるFAQはございません。")); // $unless faqs.length
+
+    const empty = await (await preview("faq-list", { title: "FAQ", emptyText: "なし", faqs: [] })).json();
+    assert.deepEqual(empty.message.contents.body.contents.map(c => c.type), ["text", "separator", "text"]);
+    assert.equal((await preview("nope")).status, 404);
+  });
+
+  it("reports LINE limits in the preview", async () => {
+    const long = await preview("raw-labels", { items: ["ok", "x".repeat(41)] });
+    assert.equal(long.status, 422);
+    assert.deepEqual((await long.json()).errors, ["contents.body.contents[1].action.label: over 40 chars"]);
+
+    const pages = await (await preview("pages", { pages: Array.from({ length: 13 }, (_, i) => `p${i}`) })).json();
+    assert.equal(pages.message.contents.contents[12].body.contents[0].text, "12: p12");
+    assert.match(pages.errors[0], /carousel needs 1-12 bubbles/);
+  });
+
+  it("replaces an over-limit flex reply with its altText before sending", async () => {
+    fs.writeFileSync(path.join(dir, "flex", "faq-list.json"), JSON.stringify({
+      type: "bubble", body: { type: "box", layout: "vertical", contents: [{ $each: "faqs", as: "f", template: { type: "button", action: { type: "message", label: "{{f.q}}", text: "FAQ:{{f.key}}" } } }] },
+    }));
+    await say(ADMIN, `admin faq add 長い質問|${"とても".repeat(15)}長い質問ですか？|はい`);
+    assert.equal((await (await preview("faq-list")).json()).errors.length, 0); // 見本データは上限内
+    assert.equal((await say(GUEST, "faq")).type, "flex"); // プレビューが読み直しても返信は起動時のテンプレートのまま
+
+    const restarted = await startStack({ FLEX_TEMPLATES_DIR: path.join(dir, "flex"), FLEX_THEME_FILE: path.join(dir, "theme.json"), ADMIN_USER_IDS: ADMIN, TAP_DEBOUNCE_MS: "1" });
+    try {
+      await postWebhook(restarted.baseUrl, [textEvent(ADMIN, `admin faq add 長い質問|${"とても".repeat(15)}長い質問ですか？|はい`)]);
+      await postWebhook(restarted.baseUrl, [textEvent(GUEST, "faq")]);
+      const reply = restarted.emulator.callsTo(REPLY).at(-1).body.messages[0];
+      assert.deepEqual({ type: reply.type, text: reply.text }, { type: "text", text: "結婚式FAQリスト" });
+    } finally {
+      await restarted.stop();
+    }
+  });
+
+  it("is disabled by default in production", async () => {
+    const prod = await startStack({});
+    try {
+      assert.equal((await fetch(`${prod.baseUrl}/dev/flex`)).status, 404);
+    } finally {
+      await prod.stop();
+    }
+  });
+});
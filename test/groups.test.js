@@ -0,0 +1,118 @@
+// test/groups.test.js - グループ・トークルーム（メンション／接頭辞での応答、静かな時間、使えるコマンド、参加時のあいさつとメンバー把握）の E2E テスト
+"use strict";
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStack, postWebhook, textEvent } = require("./support/harness");
+
+const REPLY = "/v2/bot/message/reply";
+const ADMIN = "U" + "5".repeat(32);
+const GUEST = "U" + "4".repeat(32);
+const GROUP = "C" + "3".repeat(32);
+const OTHER_GROUP = "C" + "2".repeat(32);
+// グループごとのレート制限（config/rate-limits.json の bySource.group）に掛からないよう、設定を変えるテストは別のグループで
+const LIMITED_GROUP = "C" + "6".repeat(32);
+const QUIET_GROUP = "C" + "7".repeat(32);
+
+const inGroup = (ev, groupId = GROUP) => ({ ...ev, source: { type: "group", groupId, userId: ev.source.userId } });
+const groupText = (user, text, mentionees) => {
+  const ev = inGroup(textEvent(user, text));
+  if (mentionees) ev.message.mention = { mentionees };
+  return ev;
+};
+let seq = 0;
+const chatEvent = (type, groupId, extra = {}) => ({
+  type, webhookEventId: `grp-${process.pid}-${++seq}`, timestamp: Date.now(), deliveryContext: { isRedelivery: false },
+  ...(type !== "leave" && type !== "memberLeft" && { replyToken: `grp-rt-${seq}` }), source: { type: "group", groupId }, ...extra,
+});
+const members = (...ids) => ({ members: ids.map(userId => ({ type: "user", userId })) });
+// SCHEDULE_TZ_OFFSET_MIN（既定 JST）での "HH:MM"
+const localHHMM = (offsetMin) => new Date(Date.now() + (offsetMin + 540) * 60000).toISOString().slice(11, 16);
+
+describe("group chats", () => {
+  let stack;
+  const replies = () => stack.emulator.callsTo(REPLY).map(c => c.body.messages[0]);
+  const send = async (...events) => { stack.emulator.reset(); await postWebhook(stack.baseUrl, events); return replies(); };
+  const say = async (user, text, groupId = GROUP) => (await send(inGroup(textEvent(user, `/${text}`), groupId)))[0];
+  const api = (p, init = {}) => fetch(stack.baseUrl + p, { ...init, headers: { Authorization: "Bearer admin-token", "Content-Type": "application/json" } });
+
+  before(async () => {
+    stack = await startStack({ ADMIN_USER_IDS: ADMIN, ADMIN_API_TOKEN: "admin-token", TAP_DEBOUNCE_MS: "1" });
+  });
+  after(async () => { await stack?.stop(); });
+  beforeEach(() => stack.emulator.reset());
+
+  it("answers only when mentioned or called with the command prefix", async () => {
+    assert.equal((await send(groupText(GUEST, "huku faq"))).length, 0);
+    assert.equal((await send(groupText(GUEST, "faq"))).length, 0);
+    assert.equal((await send(groupText(GUEST, "@Someone faq", [{ index: 0, length: 8, type: "user", userId: ADMIN }]))).length, 0);
+
+    const [mentioned] = await send(groupText(GUEST, "@WeddingBot faq", [{ index: 0, length: 11, type: "user", userId: "Ubot", isSelf: true }]));
+    assert.equal(mentioned.altText, "結婚式FAQリスト");
+    const [trailing] = await send(groupText(GUEST, "test @WeddingBot", [{ index: 5, length: 11, type: "user", userId: "Ubot", isSelf: true }]));
+    assert.equal(trailing.text, "Hello, user");
+    assert.equal((await say(GUEST, "faq")).altText, "結婚式FAQリスト");
+    assert.match((await say(GUEST, "駐車場ある？")).altText, /駐車場/); // インテントも宛てたときだけ
+  });
+
+  it("welcomes the bot joining and new members, and tracks who is in the group", async () => {
+    const [joined] = await send(chatEvent("join", GROUP));
+    assert.match(joined.text, /ご招待いただきありがとうございます/);
+    assert.match(joined.text, /「\/faq」/);
+
+    const [hello] = await send(chatEvent("memberJoined", GROUP, { joined: members(GUEST, "U" + "1".repeat(32)) }));
+    assert.match(hello.text, /^Guest 4444さん、Guest 1111さん、ようこそ/);
+    await send(chatEvent("memberLeft", GROUP, { left: members("U" + "1".repeat(32)) }));
+
+    const status = (await say(ADMIN, "admin group")).text;
+    assert.match(status, /Group 3333（C3{32}）/);
+    assert.match(status, /把握しているメンバー: 1人/);
+    assert.match(status, /使えるコマンド: すべて/);
+  });
+
+  it("lets admins limit the commands available in a group", async () => {
+    assert.equal((await say(GUEST, "admin group commands faq", LIMITED_GROUP)).text, "権限対象ではございません。");
+    assert.match((await say(ADMIN, "admin group commands bogus, faq", LIMITED_GROUP)).text, /不明なコマンド: bogus\n指定できるもの: all, none, .*huku/);
+    assert.match((await say(ADMIN, "admin group commands faq", LIMITED_GROUP)).text, /使えるコマンド: faq/);
+
+    assert.equal((await say(GUEST, "faq", LIMITED_GROUP)).altText, "結婚式FAQリスト");
+    assert.equal(await say(GUEST, "huku", LIMITED_GROUP), undefined);
+    assert.equal(await say(GUEST, "駐車場ある？", LIMITED_GROUP), undefined); // intents も無効
+    assert.match((await say(ADMIN, "admin group commands all", LIMITED_GROUP)).text, /使えるコマンド: すべて/);
+    assert.equal((await say(GUEST, "test", LIMITED_GROUP)).text, "Hello, user");
+  });
+
+  it("stays quiet during quiet hours except for admin commands", async () => {
+    assert.equal((await say(ADMIN, "admin group quiet 25:00-07:00", QUIET_GROUP)).text, "時間は 22:00-07:00 の形式か off で指定してください。");
+    const quiet = `${localHHMM(-10)}-${localHHMM(60)}`;
+    assert.match((await say(ADMIN, `admin group quiet ${quiet}`, QUIET_GROUP)).text, new RegExp(`静かな時間: ${quiet}`));
+    assert.equal(await say(GUEST, "faq", QUIET_GROUP), undefined);
+    assert.equal((await send(chatEvent("memberJoined", QUIET_GROUP, { joined: members(GUEST) }))).length, 0);
+    assert.equal((await say(GUEST, "faq", OTHER_GROUP)).altText, "結婚式FAQリスト"); // 設定はグループごと
+    assert.match((await say(ADMIN, "admin group quiet off", QUIET_GROUP)).text, /静かな時間: なし/);
+    assert.equal((await say(GUEST, "faq", QUIET_GROUP)).altText, "結婚式FAQリスト");
+  });
+
+  it("manages group settings from a 1:1 chat and over the admin API", async () => {
+    const direct = async (text) => (await send(textEvent(ADMIN, text)))[0].text;
+    assert.match(await direct("admin group"), /^例: admin group quiet/);
+    assert.match(await direct(`admin group ${"C" + "9".repeat(32)} welcome off`), /台帳にありません/);
+    assert.match(await direct(`admin group ${GROUP} welcome off`), /参加時のあいさつ: オフ/);
+    assert.equal((await send(chatEvent("memberJoined", GROUP, { joined: members(GUEST) }))).length, 0);
+
+    const { groups, commands } = await (await api("/admin/api/groups")).json();
+    assert.ok(commands.includes("faq") && commands.includes("intents") && !commands.includes("admin"));
+    const g = groups.find(x => x.id === GROUP);
+    assert.equal(g.displayName, "Group 3333");
+    assert.equal(g.settings.welcome, false);
+
+    const put = (id, body) => api(`/admin/api/groups/${id}/settings`, { method: "PUT", body: JSON.stringify(body) });
+    assert.equal((await put(GROUP, { quietHours: "nope" })).status, 400);
+    assert.equal((await put(GROUP, { commands: ["faq", "bogus"] })).status, 400);
+    assert.equal((await put("C" + "9".repeat(32), { welcome: true })).status, 404);
+    const [from, to] = [localHHMM(120), localHHMM(180)]; // 今は静かな時間の外
+    const ok = await (await put(GROUP, { welcome: true, quietHours: `${from} - ${to}` })).json();
+    assert.deepEqual({ welcome: ok.welcome, quietHours: ok.quietHours, commands: ok.commands, updatedBy: ok.updatedBy }, { welcome: true, quietHours: `${from}-${to}`, commands: null, updatedBy: "api" });
+    assert.equal((await send(chatEvent("memberJoined", GROUP, { joined: members(GUEST) }))).length, 1);
+  });
+});
@@ -0,0 +1,40 @@
+// test/handoff.test.js - 有人対応（チケット中は自動応答を止めてテキスト・ボタン操作を管理者へ中継、終了で元に戻る）の E2E テスト
+"use strict";
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStack, postWebhook, textEvent, postbackEvent } = require("./support/harness");
+
+const REPLY = "/v2/bot/message/reply";
+const MULTICAST = "/v2/bot/message/multicast";
+const ADMIN = "U" + "9".repeat(32);
+const GUEST = "U" + "4".repeat(32);
+
+describe("staff handoff", () => {
+  let stack;
+  const replies = () => stack.emulator.callsTo(REPLY).map(c => c.body.messages[0]);
+  const relayed = () => stack.emulator.callsTo(MULTICAST).map(c => c.body.messages[0].text);
+
+  before(async () => { stack = await startStack({ ADMIN_USER_IDS: ADMIN, TAP_DEBOUNCE_MS: "1" }); });
+  after(async () => { await stack?.stop(); });
+  beforeEach(() => stack.emulator.reset());
+
+  it("mutes auto-replies and relays texts and button taps while a ticket is open", async () => {
+    await postWebhook(stack.baseUrl, [textEvent(GUEST, "スタッフ")]);
+    assert.match(replies()[0].text, /^スタッフにおつなぎします/);
+    assert.match(relayed()[0], /^【有人対応】#1 /);
+
+    stack.emulator.reset();
+    await postWebhook(stack.baseUrl, [textEvent(GUEST, "faq")]);
+    await postWebhook(stack.baseUrl, [postbackEvent(GUEST, "faq:" + encodeURIComponent("駐車場"))]);
+    assert.equal(stack.emulator.callsTo(REPLY).length, 0);
+    assert.deepEqual(relayed().map(s => s.split("\n")[0]), [`【#1 ${GUEST}】faq`, `【#1 ${GUEST}】[postback] faq:駐車場`]);
+  });
+
+  it("answers button taps again after the guest ends the handoff", async () => {
+    await postWebhook(stack.baseUrl, [textEvent(GUEST, "終了")]);
+    assert.match(replies()[0].text, /^スタッフ対応を終了しました/);
+    await postWebhook(stack.baseUrl, [postbackEvent(GUEST, "faq:" + encodeURIComponent("駐車場"))]);
+    assert.equal(replies().at(-1).type, "flex");
+  });
+});
@@ -0,0 +1,75 @@
+// test/i18n.test.js - 言語の解決（プロフィール／lang コマンド）とカタログからの応答の E2E テスト
+"use strict";
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStack, postWebhook, textEvent, postbackEvent } = require("./support/harness");
+
+const REPLY = "/v2/bot/message/reply";
+const ADMIN = "U" + "e".repeat(32);
+let uid = 0;
+const newUser = () => `U${String(++uid).padStart(31, "0")}f`;
+
+describe("i18n", () => {
+  let stack;
+  const lastMessage = () => stack.emulator.callsTo(REPLY).at(-1).body.messages[0];
+
+  before(async () => { stack = await startStack({ ADMIN_USER_IDS: ADMIN, TAP_DEBOUNCE_MS: "1" }); });
+  after(async () => { await stack?.stop(); });
+  beforeEach(() => stack.emulator.reset());
+
+  it("replies in Japanese by default", async () => {
+    await postWebhook(stack.baseUrl, [textEvent(newUser(), "faq")]);
+    assert.equal(lastMessage().altText, "結婚式FAQリスト");
+  });
+
+  it("uses the LINE profile language when the user has not chosen one", async () => {
+    const user = newUser();
+    stack.emulator.profiles.set(user, { language: "en-US" });
+    await postWebhook(stack.baseUrl, [textEvent(user, "faq")]);
+    assert.equal(lastMessage().altText, "Wedding FAQ list");
+    await postWebhook(stack.baseUrl, [postbackEvent(user, "faq:" + encodeURIComponent("駐車場"))]);
+    assert.equal(lastMessage().altText, "Is there parking?");
+  });
+
+  it("switches language with `lang` and keeps it per user", async () => {
+    const user = newUser();
+    await postWebhook(stack.baseUrl, [textEvent(user, "lang en")]);
+    assert.match(lastMessage().text, /English/);
+    await postWebhook(stack.baseUrl, [textEvent(user, "rsvp")]);
+    assert.equal(lastMessage().altText, "Will you be able to attend?");
+    await postWebhook(stack.baseUrl, [textEvent(newUser(), "rsvp")]);
+    assert.equal(lastMessage().altText, "ご出欠をお知らせください");
+    await postWebhook(stack.baseUrl, [textEvent(user, "lang ja")]);
+    await postWebhook(stack.baseUrl, [textEvent(user, "faq")]);
+    assert.equal(lastMessage().altText, "結婚式FAQリスト");
+  });
+
+  it("rejects unsupported languages and lists the available ones", async () => {
+    await postWebhook(stack.baseUrl, [textEvent(newUser(), "lang xx")]);
+    assert.match(lastMessage().text, /ja \/ en|en \/ ja/);
+  });
+
+  it("welcomes new friends in their profile language", async () => {
+    const user = newUser();
+    stack.emulator.profiles.set(user, { language: "en" });
+    await postWebhook(stack.baseUrl, [{ type: "follow", webhookEventId: `ev-follow-${user}`, timestamp: Date.now(), replyToken: `rt-follow-${user}`, deliveryContext: { isRedelivery: false }, source: { type: "user", userId: user } }]);
+    const msg = lastMessage();
+    assert.match(msg.text, /thank you for adding us/);
+    assert.equal(msg.quickReply.items[0].action.label, "FAQ list");
+  });
+
+  it("localizes admin replies and stores FAQ translations", async () => {
+    const guest = newUser();
+    await postWebhook(stack.baseUrl, [textEvent(guest, "lang en")]);
+    await postWebhook(stack.baseUrl, [textEvent(guest, "admin faq list")]);
+    assert.equal(lastMessage().text, "You are not authorized to use this command.");
+
+    await postWebhook(stack.baseUrl, [textEvent(ADMIN, "admin faq translate en 更衣室|Where can I change?|Changing rooms are on the first floor.")]);
+    assert.match(lastMessage().text, /en 訳を保存/);
+    await postWebhook(stack.baseUrl, [textEvent(guest, "FAQ:更衣室")]);
+    assert.equal(lastMessage().altText, "Where can I change?");
+    await postWebhook(stack.baseUrl, [textEvent(ADMIN, "FAQ:更衣室")]);
+    assert.equal(lastMessage().altText, "更衣室はありますか？");
+  });
+});
@@ -0,0 +1,74 @@
+// test/insights.test.js - 質問の分析（コマンド／FAQ／インテント／未回答の分類、ハッシュ化したユーザー数、未回答フレーズ、メトリクス、admin insights）の E2E テスト
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStack, postWebhook, textEvent, postbackEvent } = require("./support/harness");
+
+const REPLY = "/v2/bot/message/reply";
+const ADMIN = "U" + "a".repeat(32);
+const GUESTS = ["b", "c", "d"].map(c => "U" + c.repeat(32));
+
+describe("guest question insights", () => {
+  let stack;
+  const say = async (user, text) => { await postWebhook(stack.baseUrl, [textEvent(user, text)]); return stack.emulator.callsTo(REPLY).at(-1)?.body.messages[0]; };
+  const api = (p, init = {}) => fetch(stack.baseUrl + p, { ...init, headers: { Authorization: "Bearer admin-token" } });
+
+  before(async () => {
+    stack = await startStack({ ADMIN_USER_IDS: ADMIN, ADMIN_API_TOKEN: "admin-token", TAP_DEBOUNCE_MS: "1" });
+    const [a, b, c] = GUESTS;
+    await say(a, "faq");
+    await say(a, "FAQ:駐車場");
+    await postWebhook(stack.baseUrl, [postbackEvent(b, "faq:" + encodeURIComponent("駐車場"))]);
+    await say(c, "駐車場ある？"); // FAQ を返すインテント
+    await say(a, "ケーキ入刀は何時ですか？");
+    await say(b, "ケーキ入刀は　何時ですか");
+    await say(c, "ケーキ入刀は何時ですか!!");
+    await say(c, "090-1234-5678 に電話ください");
+  });
+  after(async () => { await stack?.stop(); });
+
+  it("classifies inbound texts and aggregates them without user IDs", async () => {
+    const resp = await api("/admin/api/insights?days=2");
+    const raw = await resp.text();
+    for (const id of GUESTS) assert.ok(!raw.includes(id));
+    const r = JSON.parse(raw);
+    assert.deepEqual(r.totals, { route: 1, faq: 3, intent: 0, unmatched: 4 });
+    assert.deepEqual(r.faqs, [{ key: "駐車場", count: 3 }]);
+    assert.deepEqual(r.routes, [{ key: "faq", count: 1 }]);
+    assert.equal(r.byDay.length, 2);
+    assert.deepEqual({ total: r.byDay[0].total, unmatched: r.byDay[0].unmatched, users: r.byDay[0].users }, { total: 8, unmatched: 4, users: 3 });
+    assert.deepEqual(r.unmatched, [{ phrase: "ケーキ入刀は何時ですか", count: 3 }, { phrase: "<num>に電話ください", count: 1 }]);
+  });
+
+  it("exports labelled counters", async () => {
+    const metrics = await (await fetch(stack.baseUrl + "/metrics")).text();
+    assert.match(metrics, /line_inbound_texts_total\{kind="faq",key="駐車場"\} 3/);
+    assert.match(metrics, /line_inbound_texts_total\{kind="unmatched",key=""\} 4/);
+  });
+
+  it("shows insights to admins and forgets phrases turned into FAQs", async () => {
+    assert.equal((await say(GUESTS[0], "admin insights")).text, "権限対象ではございません。");
+    const report = (await say(ADMIN, "admin insights")).text;
+    assert.match(report, /^質問の分析（直近7日）/);
+    assert.match(report, /FAQ 3 \/ コマンド \d+ \/ インテント 0 \/ 未回答 4/);
+    assert.match(report, /よく聞かれた FAQ:\n・駐車場 3/);
+    assert.match(report, /・ケーキ入刀は何時ですか 3/);
+
+    assert.match((await say(ADMIN, "admin insights forget ケーキ入刀は何時ですか？")).text, /外しました/);
+    assert.match((await say(ADMIN, "admin insights forget ケーキ入刀は何時ですか")).text, /ありません/);
+    assert.equal((await api("/admin/api/insights/unmatched?phrase=" + encodeURIComponent("<num>に電話ください"), { method: "DELETE" })).status, 200);
+    assert.deepEqual((await (await api("/admin/api/insights")).json()).unmatched, []);
+  });
+
+  it("counts unknown FAQ keys as unmatched without labelling them", async () => {
+    await say(GUESTS[1], "faq:山田さんの住所");
+    await postWebhook(stack.baseUrl, [postbackEvent(GUESTS[2], "faq:" + encodeURIComponent("山田さんの住所"))]);
+    const r = await (await api("/admin/api/insights?days=1")).json();
+    assert.deepEqual(r.faqs, [{ key: "駐車場", count: 3 }]);
+    assert.equal(r.totals.unmatched, 6);
+    const metrics = await (await fetch(stack.baseUrl + "/metrics")).text();
+    assert.doesNotMatch(metrics, /山田さんの住所/);
+    assert.match(metrics, /line_inbound_texts_total\{kind="unmatched",key=""\} 6/);
+  });
+});
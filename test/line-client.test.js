@@ -0,0 +1,98 @@
+// test/line-client.test.js - LINE API クライアント（返信トークン期限、push の再試行キー、接続拒否時の push、サーキットブレーカー、エンドポイント別メトリクス）の E2E テスト
+"use strict";
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const { startStack, postWebhook, textEvent, waitFor } = require("./support/harness");
+
+const REPLY = "/v2/bot/message/reply";
+const PUSH = "/v2/bot/message/push";
+const user = (c) => "U" + c.repeat(32);
+
+describe("LINE API client", () => {
+  let stack;
+  const metrics = async () => (await fetch(stack.baseUrl + "/metrics")).text();
+
+  before(async () => {
+    stack = await startStack({ LINE_RETRY_BASE_MS: "10", LINE_RETRY_MAX_ATTEMPTS: "3", LINE_BREAKER_THRESHOLD: "2", LINE_BREAKER_COOLDOWN_MS: "1000" });
+  });
+  after(async () => { await stack?.stop(); });
+  beforeEach(() => stack.emulator.reset());
+
+  it("does not wait past the reply token deadline and pushes instead", async () => {
+    stack.emulator.fail({ path: REPLY, status: 429, retryAfter: 5 });
+    const started = Date.now();
+    await postWebhook(stack.baseUrl, [textEvent(user("a"), "test", { timestamp: Date.now() - 58000 })]);
+    assert.ok(Date.now() - started < 3000);
+    assert.deepEqual(stack.emulator.callsTo(REPLY).map(c => c.status), [429]);
+    const pushes = stack.emulator.callsTo(PUSH);
+    assert.equal(pushes.length, 1);
+    assert.equal(pushes[0].body.messages[0].text, "Hello, user");
+  });
+
+  it("does not push after a reply that may have been accepted", async () => {
+    stack.emulator.fail({ path: REPLY, status: 503, retryAfter: 5 });
+    await postWebhook(stack.baseUrl, [textEvent(user("f"), "test", { timestamp: Date.now() - 58000 })]);
+    assert.deepEqual(stack.emulator.callsTo(REPLY).map(c => c.status), [503]);
+    assert.equal(stack.emulator.callsTo(PUSH).length, 0);
+    await waitFor(() => /Reply may have been accepted -> no Push fallback/.test(stack.logs()));
+    assert.match(await metrics(), /line_reply_unconfirmed_total 1/);
+  });
+
+  it("retries a push with the same retry key", async () => {
+    stack.emulator.fail({ path: REPLY, status: 400 });
+    stack.emulator.fail({ path: PUSH, status: 503 });
+    await postWebhook(stack.baseUrl, [textEvent(user("b"), "test")]);
+    const pushes = stack.emulator.callsTo(PUSH);
+    assert.deepEqual(pushes.map(c => c.status), [503, 200]);
+    assert.ok(pushes[0].retryKey);
+    assert.equal(pushes[1].retryKey, pushes[0].retryKey);
+  });
+
+  it("opens the circuit on repeated 5xx, fails fast, then recovers after the cooldown", async () => {
+    stack.emulator.fail({ path: REPLY, status: 503, times: 10 });
+    await postWebhook(stack.baseUrl, [textEvent(user("c"), "test")]);
+    assert.deepEqual(stack.emulator.callsTo(REPLY).map(c => c.status), [503, 503]); // 3回目はブレーカーで止まる
+    assert.match(await metrics(), /line_api_circuit_state\{api="api"\} 2/);
+
+    stack.emulator.calls.length = 0;
+    await postWebhook(stack.baseUrl, [textEvent(user("d"), "test")]);
+    assert.equal(stack.emulator.calls.length, 0);
+    assert.match(await metrics(), /line_api_responses_total\{endpoint="\/v2\/bot\/message\/reply",method="POST",status="circuit_open"\} [1-9]/);
+
+    stack.emulator.reset();
+    await new Promise(r => setTimeout(r, 1100));
+    await postWebhook(stack.baseUrl, [textEvent(user("e"), "test")]);
+    assert.deepEqual(stack.emulator.callsTo(REPLY).map(c => c.status), [200]);
+    const m = await metrics();
+    assert.match(m, /line_api_circuit_state\{api="api"\} 0/);
+    assert.match(m, /line_api_request_duration_seconds_count\{endpoint="\/v2\/bot\/profile\/:id",method="GET"\} \d+/);
+    assert.match(m, /line_api_responses_total\{endpoint="\/v2\/bot\/message\/reply",method="POST",status="503"\} 3/); // 手前のテストの1回を含む
+  });
+});
+
+describe("LINE API client (connection refused)", () => {
+  let stack, proxy;
+  // LINE_API_BASE の先を最初は誰も listen していないポートにし、Push fallback の後でエミュレータへの中継を開く
+  before(async () => {
+    const port = await new Promise(r => { const s = net.createServer().listen(0, "127.0.0.1", () => { const p = s.address().port; s.close(() => r(p)); }); });
+    stack = await startStack({ LINE_API_BASE: `http://127.0.0.1:${port}`, LINE_RETRY_BASE_MS: "300", LINE_RETRY_MAX_ATTEMPTS: "3", LINE_BREAKER_THRESHOLD: "20" });
+    const emuPort = Number(new URL(stack.emulatorUrl).port);
+    proxy = net.createServer(sock => { const up = net.connect(emuPort, "127.0.0.1"); sock.pipe(up).pipe(sock); up.on("error", () => sock.destroy()); sock.on("error", () => up.destroy()); });
+    proxy.port = port;
+  });
+  after(async () => { await new Promise(r => proxy?.listening ? proxy.close(r) : r()); await stack?.stop(); });
+
+  it("pushes when the reply never reached LINE", async () => {
+    const done = postWebhook(stack.baseUrl, [textEvent(user("9"), "test", { timestamp: Date.now() - 58000 })]);
+    await waitFor(() => /Reply failed -> Push fallback/.test(stack.logs()), { timeoutMs: 10000 });
+    await new Promise(r => proxy.listen(proxy.port, "127.0.0.1", r));
+    await done;
+    assert.equal(stack.emulator.callsTo(REPLY).length, 0);
+    const pushes = stack.emulator.callsTo(PUSH);
+    assert.deepEqual(pushes.map(c => c.status), [200]);
+    assert.equal(pushes[0].body.messages[0].text, "Hello, user");
+    assert.doesNotMatch(stack.logs(), /Reply may have been accepted/);
+  });
+});
@@ -0,0 +1,91 @@
+// test/phases.test.js - 進行フェーズ（時刻での切替・FAQ の出し分け・手動上書き）とメンテナンスモードのチャット操作の E2E テスト
+"use strict";
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startStack, postWebhook, textEvent, waitFor } = require("./support/harness");
+
+const REPLY = "/v2/bot/message/reply";
+const MULTICAST = "/v2/bot/message/multicast";
+const ADMIN = "U" + "9".repeat(32);
+const GUEST = "U" + "8".repeat(32);
+const iso = (offsetMs) => new Date(Date.now() + offsetMs).toISOString();
+
+// 今は reception（1時間前に開始）、post は1時間後
+const PHASES = {
+  phases: [
+    { id: "before", name: { ja: "開場前", en: "Before doors" } },
+    { id: "reception", start: iso(-3600e3), name: { ja: "披露宴", en: "Reception" }, hideFaqs: ["送迎バス"] },
+    { id: "post", start: iso(3600e3), name: { ja: "お開き後", en: "After the event" }, hideFaqs: ["送迎バス", "駐車場"], notice: { ja: "本日はありがとうございました", en: "Thank you for coming" }, galleryLink: true },
+  ],
+};
+
+describe("event phases", () => {
+  let stack, dir;
+  const lastMessage = () => stack.emulator.callsTo(REPLY).at(-1).body.messages[0];
+  const say = async (user, text) => { await postWebhook(stack.baseUrl, [textEvent(user, text)]); return lastMessage(); };
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "phases-"));
+    fs.writeFileSync(path.join(dir, "phases.json"), JSON.stringify(PHASES));
+    stack = await startStack({ ADMIN_USER_IDS: ADMIN, ADMIN_API_TOKEN: "admin-token", PHASES_FILE: path.join(dir, "phases.json"), SCHEDULER_INTERVAL_MS: "100", TAP_DEBOUNCE_MS: "1" });
+  });
+  after(async () => {
+    await stack?.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  beforeEach(() => stack.emulator.reset());
+
+  it("hides FAQs for the current phase in the list, answers, intents and fallback", async () => {
+    const list = JSON.stringify(await say(GUEST, "faq"));
+    assert.match(list, /駐車場はありますか/);
+    assert.doesNotMatch(list, /送迎バス/);
+    assert.match((await say(GUEST, "FAQ:送迎バス")).text, /ご案内は終了/);
+    assert.match((await say(GUEST, "バスは何時ですか")).text, /ご案内は終了/);
+    assert.doesNotMatch(JSON.stringify((await say(GUEST, "よくわからない質問です")).quickReply), /送迎バス/);
+  });
+
+  it("picks intents enabled for the current phase", async () => {
+    assert.match((await say(GUEST, "ありがとう")).text, /本日はお越しいただき/);
+  });
+
+  it("lets admins pin a phase, notifies them, and shows the notice with a gallery link", async () => {
+    await new Promise(r => setTimeout(r, 300)); // 起動時のフェーズ適用（予約配信の tick）を待つ
+    assert.match((await say(ADMIN, "admin phase")).text, /▶ .*披露宴 \(reception\)/);
+    assert.match((await say(ADMIN, "admin phase set post")).text, /お開き後 \(post\) に固定/);
+    await waitFor(() => stack.emulator.callsTo(MULTICAST).some(c => /reception → post/.test(c.body.messages[0].text)));
+
+    const list = await say(GUEST, "faq");
+    const body = JSON.stringify(list.contents);
+    assert.match(body, /本日はありがとうございました/);
+    assert.match(body, /"text":"gallery"/);
+    assert.doesNotMatch(body, /駐車場/);
+
+    assert.match((await say(ADMIN, "admin phase set nope")).text, /^例: admin phase set/);
+    assert.equal((await say(GUEST, "admin phase set before")).text, "権限対象ではございません。");
+    assert.match((await say(ADMIN, "admin phase auto")).text, /時刻どおり.*披露宴/);
+  });
+
+  it("exposes phases over the admin API", async () => {
+    const api = (p, init = {}) => fetch(stack.baseUrl + p, { ...init, headers: { Authorization: "Bearer admin-token", "Content-Type": "application/json" } });
+    const state = await (await api("/admin/api/phases")).json();
+    assert.equal(state.current, "reception");
+    assert.deepEqual(state.phases.map(p => p.id), ["before", "reception", "post"]);
+    assert.equal((await api("/admin/api/phase", { method: "PUT", body: JSON.stringify({ id: "nope" }) })).status, 400);
+    assert.deepEqual(await (await api("/admin/api/phase", { method: "PUT", body: JSON.stringify({ id: "before" }) })).json(), { current: "before", override: true });
+    assert.match((await say(GUEST, "ありがとう")).text, /楽しみに/);
+    await api("/admin/api/phase", { method: "PUT", body: JSON.stringify({ id: null }) });
+  });
+
+  it("switches maintenance mode from chat", async () => {
+    assert.match((await say(ADMIN, "admin maintenance")).text, /通常運転中/);
+    assert.match((await say(ADMIN, "admin maintenance on 只今準備中です")).text, /只今準備中です/);
+    assert.equal((await say(GUEST, "faq")).text, "只今準備中です");
+    assert.match((await say(ADMIN, "admin maintenance")).text, /メンテナンス中です/);
+    assert.equal((await say(ADMIN, "admin maintenance off")).text, "通常運転に戻しました。");
+    assert.equal((await say(GUEST, "faq")).type, "flex");
+  });
+});
@@ -0,0 +1,87 @@
+// test/photos.test.js - 写真の受信・承認・ギャラリー配信の E2E テスト
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHmac } = require("crypto");
+const { startStack, postWebhook, textEvent, postbackEvent, CHANNEL_SECRET } = require("./support/harness");
+
+const ADMIN = "U" + "c".repeat(32);
+const GUEST = "U" + "d".repeat(32);
+const PUBLIC = "https://bot.example.com";
+
+function imageEvent(userId, messageId) {
+  const ev = textEvent(userId, "");
+  ev.message = { type: "image", id: messageId, contentProvider: { type: "line" } };
+  return ev;
+}
+
+describe("guest photos", () => {
+  let stack, photoId;
+  const replies = () => stack.emulator.callsTo("/v2/bot/message/reply");
+
+  before(async () => {
+    stack = await startStack({ ADMIN_USER_IDS: ADMIN, PUBLIC_BASE_URL: PUBLIC, PHOTO_STORAGE: "memory", TAP_DEBOUNCE_MS: "1" });
+  });
+  after(async () => { await stack?.stop(); });
+
+  it("stores a received image as pending and asks admins to moderate", async () => {
+    await postWebhook(stack.baseUrl, [imageEvent(GUEST, "m-photo-1")]);
+    assert.ok(stack.emulator.calls.some(c => c.path === "/v2/bot/message/m-photo-1/content"));
+    assert.ok(stack.emulator.calls.some(c => c.path === "/v2/bot/message/m-photo-1/content/preview"));
+    assert.match(replies().at(-1).body.messages[0].text, /ありがとうございます/);
+
+    const [note] = stack.emulator.callsTo("/v2/bot/message/multicast");
+    assert.deepEqual(note.body.to, [ADMIN]);
+    const flex = note.body.messages[0];
+    photoId = flex.altText.replace("新しい写真 #", "");
+    assert.match(flex.contents.hero.url, new RegExp(`^${PUBLIC}/photos/${photoId}/thumb\\?sig=`));
+  });
+
+  it("serves pending photos only with a valid signature", async () => {
+    assert.equal((await fetch(`${stack.baseUrl}/photos/${photoId}/thumb`)).status, 404);
+    const [note] = stack.emulator.callsTo("/v2/bot/message/multicast");
+    const signed = note.body.messages[0].contents.hero.url.replace(PUBLIC, stack.baseUrl);
+    const resp = await fetch(signed);
+    assert.equal(resp.status, 200);
+    assert.match(Buffer.from(await resp.arrayBuffer()).toString("latin1"), /preview:m-photo-1/);
+
+    // 鍵はチャネルシークレットそのものではなく導出した固定の鍵（再起動しても URL が変わらない）
+    const key = createHmac("sha256", CHANNEL_SECRET).update("photo-url").digest("base64url");
+    assert.equal(new URL(signed).searchParams.get("sig"), createHmac("sha256", key).update(`${photoId}:thumb`).digest("base64url").slice(0, 22));
+  });
+
+  it("keeps the gallery empty until approved", async () => {
+    await postWebhook(stack.baseUrl, [textEvent(GUEST, "gallery")]);
+    assert.match(replies().at(-1).body.messages[0].text, /準備中/);
+  });
+
+  it("approves from the admin postback and shows it in the gallery", async () => {
+    await postWebhook(stack.baseUrl, [postbackEvent(ADMIN, `photo:approve:${photoId}`)]);
+    assert.match(replies().at(-1).body.messages[0].text, /approved/);
+
+    await postWebhook(stack.baseUrl, [textEvent(GUEST, "ギャラリー")]);
+    const carousel = replies().at(-1).body.messages[0];
+    assert.equal(carousel.contents.type, "carousel");
+    assert.equal(carousel.contents.contents[0].hero.url, `${PUBLIC}/photos/${photoId}/thumb`);
+
+    const html = await (await fetch(`${stack.baseUrl}/gallery`)).text();
+    assert.match(html, new RegExp(`/photos/${photoId}/thumb`));
+    assert.equal((await fetch(`${stack.baseUrl}/photos/${photoId}/original`)).status, 200);
+  });
+
+  it("ignores moderation postbacks from non-admins", async () => {
+    const before = replies().length;
+    await postWebhook(stack.baseUrl, [postbackEvent(GUEST, `photo:reject:${photoId}`)]);
+    assert.equal(replies().length, before);
+  });
+
+  it("sends a rabbit photo from the store for `huku`", async () => {
+    await postWebhook(stack.baseUrl, [textEvent(GUEST, "huku")]);
+    const img = replies().at(-1).body.messages[0];
+    assert.equal(img.type, "image");
+    assert.match(img.originalContentUrl, new RegExp(`^${PUBLIC}/photos/rabbit-[\\w-]+/original$`));
+    const local = img.originalContentUrl.replace(PUBLIC, stack.baseUrl);
+    assert.equal((await fetch(local)).status, 200);
+  });
+});
@@ -0,0 +1,87 @@
+// test/plugins.test.js - app.js を require で組み込み（listen なし）、プラグインの登録・振り分け・ライフサイクルを確認
+"use strict";
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createLineEmulator } = require("../scripts/line-emulator");
+const { textEvent, postbackEvent } = require("./support/harness");
+
+const REPLY = "/v2/bot/message/reply";
+const USER = "U" + "c".repeat(32);
+
+const hooks = [];
+const samplePlugin = {
+  name: "sample",
+  init: async (services) => { hooks.push("init"); await services.store.set("greeting", "pong"); },
+  shutdown: async () => { hooks.push("shutdown"); },
+  handlers: [
+    { text: /^ping(?:\s+(\d+))?$/i, handle: async ({ match, services }) => [{ type: "text", text: `${await services.store.get("greeting")} ${match[1] || ""}`.trim() }] },
+    { text: /^maybe$/i, handle: async () => undefined },
+    { text: /^maybe$/i, handle: async () => [{ type: "text", text: "second" }] },
+    { postback: "sample:", handle: async ({ data }) => [{ type: "text", text: `got ${data}` }] },
+    { event: "sticker", handle: async ({ event }) => [{ type: "text", text: `sticker ${event.message.stickerId}` }] },
+  ],
+};
+
+describe("plugins", () => {
+  let emulator, emu, bot;
+  const lastText = () => emulator.callsTo(REPLY).at(-1)?.body.messages.map(m => m.text);
+
+  before(async () => {
+    emulator = createLineEmulator();
+    emu = await emulator.listen();
+    Object.assign(process.env, {
+      NODE_ENV: "production", LOG_LEVEL: "silent", PORT: "0",
+      LINE_API_BASE: emu.baseUrl, LINE_DATA_API_BASE: emu.baseUrl, LINE_ACCESS_TOKEN: "test-token",
+      LINE_CHANNEL_SECRET: "test-channel-secret", FAST_HTTP_EARLY_200: "false", PHOTO_STORAGE: "memory", TAP_DEBOUNCE_MS: "1",
+    });
+    bot = require("../app");
+    bot.plugins.use(samplePlugin);
+    await bot.init();
+  });
+  after(async () => { await emu?.close(); });
+  beforeEach(() => emulator.reset());
+
+  it("dispatches text, postback and event handlers from a registered plugin", async () => {
+    assert.deepEqual(hooks, ["init"]);
+    await bot.processEvent(textEvent(USER, "ping 42"), "rid-1");
+    assert.deepEqual(lastText(), ["pong 42"]);
+    await bot.processEvent(textEvent(USER, "maybe"), "rid-2");
+    assert.deepEqual(lastText(), ["second"]);
+    await bot.processEvent(postbackEvent(USER, "sample:1"), "rid-3");
+    assert.deepEqual(lastText(), ["got sample:1"]);
+    await bot.processEvent({ ...textEvent(USER, ""), message: { type: "sticker", id: "s1", packageId: "1", stickerId: "2" } }, "rid-4");
+    assert.deepEqual(lastText(), ["sticker 2"]);
+  });
+
+  it("keeps the ported built-in plugins working", async () => {
+    await bot.processEvent(textEvent(USER, "test"), "rid-5");
+    assert.deepEqual(lastText(), ["Hello, user", "May I help you?"]);
+    await bot.processEvent(postbackEvent(USER, "faq:" + encodeURIComponent("駐車場")), "rid-6");
+    assert.equal(emulator.callsTo(REPLY).at(-1).body.messages[0].altText, "駐車場はありますか？");
+    assert.deepEqual(bot.plugins.list().map(p => p.name), ["core", "admin", "groups", "faq", "quiz", "huku", "test", "sample"]);
+  });
+
+  it("rejects invalid or duplicate plugin definitions", () => {
+    assert.throws(() => bot.plugins.use({ name: "Bad Name", handlers: [] }), /invalid plugin name/);
+    assert.throws(() => bot.plugins.use({ name: "x", handlers: [{ text: /a/, postback: "a:", handle() {} }] }), /exactly one/);
+    assert.throws(() => bot.plugins.use({ ...samplePlugin }), /duplicate/);
+  });
+
+  it("serves the exported app from a caller-owned server", async () => {
+    const server = http.createServer(bot.app);
+    await new Promise(r => server.listen(0, "127.0.0.1", r));
+    try {
+      const resp = await fetch(`http://127.0.0.1:${server.address().port}/health`);
+      assert.equal(resp.status, 200);
+    } finally {
+      await new Promise(r => server.close(r));
+    }
+  });
+
+  it("runs shutdown hooks on stop", async () => {
+    await bot.stop();
+    assert.deepEqual(hooks, ["init", "shutdown"]);
+  });
+});
@@ -0,0 +1,69 @@
+// test/queue.test.js - 早期 200 + キュー処理、dead-letter と再投入 API の E2E テスト
+"use strict";
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStack, postWebhook, textEvent, waitFor } = require("./support/harness");
+
+const REPLY = "/v2/bot/message/reply";
+const groupText = (groupId, text) => {
+  const ev = textEvent("U" + "9".repeat(32), text);
+  ev.source = { type: "group", groupId, userId: ev.source.userId };
+  return ev;
+};
+
+describe("webhook queue", () => {
+  let stack;
+  const api = (path, init = {}) => fetch(stack.baseUrl + path, { ...init, headers: { Authorization: "Bearer admin-token", "Content-Type": "application/json", ...init.headers } });
+
+  before(async () => {
+    stack = await startStack({ FAST_HTTP_EARLY_200: "true", ADMIN_API_TOKEN: "admin-token", QUEUE_MAX_ATTEMPTS: "2", QUEUE_RETRY_DELAY_MS: "50" });
+  });
+  after(async () => { await stack?.stop(); });
+  beforeEach(async () => {
+    stack.emulator.reset();
+    await api("/admin/api/dead-letters", { method: "DELETE" });
+  });
+
+  it("acks first and replies from the worker", async () => {
+    assert.equal(await postWebhook(stack.baseUrl, [groupText("C" + "a".repeat(32), "/test")]), 200);
+    await waitFor(() => stack.emulator.callsTo(REPLY).length === 1);
+  });
+
+  it("moves an event to dead letters after the last attempt and replays it", async () => {
+    stack.emulator.fail({ path: REPLY, status: 400, times: 2 });
+    await postWebhook(stack.baseUrl, [groupText("C" + "b".repeat(32), "/test")]);
+
+    let dead;
+    await waitFor(async () => { dead = await (await api("/admin/api/dead-letters")).json(); return dead.total === 1; });
+    assert.equal(dead.deadLetters[0].attempts, 2);
+    assert.match(dead.deadLetters[0].error, /400/);
+    assert.deepEqual(stack.emulator.callsTo(REPLY).map(c => c.status), [400, 400]);
+
+    const resp = await api(`/admin/api/dead-letters/${dead.deadLetters[0].id}/replay`, { method: "POST" });
+    assert.deepEqual(await resp.json(), { replayed: 1 });
+    await waitFor(() => stack.emulator.callsTo(REPLY).some(c => c.status === 200));
+    assert.equal((await (await api("/admin/api/dead-letters")).json()).total, 0);
+  });
+
+  it("purges dead letters", async () => {
+    stack.emulator.fail({ path: REPLY, status: 400, times: 2 });
+    await postWebhook(stack.baseUrl, [groupText("C" + "c".repeat(32), "/test")]);
+    await waitFor(async () => (await (await api("/admin/api/dead-letters")).json()).total === 1);
+    assert.deepEqual(await (await api("/admin/api/dead-letters", { method: "DELETE" })).json(), { purged: 1 });
+  });
+
+  it("processes queued in-memory events before exiting on SIGTERM", async () => {
+    const other = await startStack({ FAST_HTTP_EARLY_200: "true", TAP_DEBOUNCE_MS: "1" });
+    other.emulator.fail({ path: REPLY, status: 200, delayMs: 300, times: 3 });
+    for (let i = 0; i < 3; i++) await postWebhook(other.baseUrl, [groupText("C" + "d".repeat(32), "/test")]);
+    await other.stop();
+    assert.equal(other.emulator.callsTo(REPLY).length, 3);
+    assert.match(other.logs(), /draining in-memory events before shutdown/);
+  });
+
+  it("requires the admin token", async () => {
+    const resp = await fetch(stack.baseUrl + "/admin/api/dead-letters");
+    assert.equal(resp.status, 401);
+  });
+});
@@ -0,0 +1,128 @@
+// test/quiz.test.js - クイズ（出題の配信、回答の採点と二度押し・締切・古いボタンの扱い、正解発表、ranking、会場スクリーン、管理API）の E2E テスト
+"use strict";
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startStack, postWebhook, textEvent, postbackEvent } = require("./support/harness");
+
+const REPLY = "/v2/bot/message/reply";
+const BROADCAST = "/v2/bot/message/broadcast";
+const ADMIN = "U" + "9".repeat(32);
+const user = (c) => "U" + c.repeat(32);
+
+const QUIZ = {
+  title: { ja: "新郎新婦クイズ", en: "Couple quiz" },
+  audience: "all",
+  timeLimitSec: 30,
+  points: 100,
+  questions: [
+    { id: "q1", text: { ja: "二人が出会った場所は？", en: "Where did they meet?" }, choices: ["大学", "職場", "結婚式"], answer: 1, explanation: "同じ部署でした。" },
+    { id: "q2", text: "新郎の好物は？", choices: ["カレー", "お寿司"], answer: 0 },
+  ],
+};
+
+describe("guest quiz", () => {
+  let stack, dir, buttons;
+  const lastMessage = () => stack.emulator.callsTo(REPLY).at(-1).body.messages[0];
+  const say = async (from, text) => { await postWebhook(stack.baseUrl, [textEvent(from, text)]); return lastMessage(); };
+  const press = async (from, data) => { await postWebhook(stack.baseUrl, [postbackEvent(from, data)]); return lastMessage().text; };
+  const api = async (p) => (await fetch(stack.baseUrl + p, { headers: { Authorization: "Bearer admin-token" } })).json();
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "quiz-"));
+    fs.writeFileSync(path.join(dir, "quiz.json"), JSON.stringify(QUIZ));
+    stack = await startStack({ QUIZ_FILE: path.join(dir, "quiz.json"), QUIZ_BOARD_KEY: "board-key", ADMIN_USER_IDS: ADMIN, ADMIN_API_TOKEN: "admin-token", TAP_DEBOUNCE_MS: "1" });
+  });
+  after(async () => {
+    await stack?.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  beforeEach(() => stack.emulator.reset());
+
+  it("sends the next question as a Flex message with answer buttons", async () => {
+    assert.equal((await say(user("1"), "admin quiz next")).text, "権限対象ではございません。");
+    assert.match((await say(ADMIN, "admin quiz")).text, /0\/2 問目（未開始）/);
+    assert.match((await say(ADMIN, "admin quiz next")).text, /Q1（q1）を配信しました/);
+    const [sent] = stack.emulator.callsTo(BROADCAST);
+    const flex = sent.body.messages[0];
+    assert.equal(flex.type, "flex");
+    assert.match(flex.altText, /^Q1\. 二人が出会った場所は？/);
+    buttons = flex.contents.body.contents.filter(c => c.type === "button").map(c => c.action);
+    assert.deepEqual(buttons.map(a => a.label), ["A. 大学", "B. 職場", "C. 結婚式"]);
+    assert.match(buttons[1].data, /^quiz:[0-9a-f]{8}:q1:1$/);
+  });
+
+  it("scores one answer per guest and rejects answers after the reveal", async () => {
+    assert.equal(await press(user("1"), buttons[1].data), "B で回答しました。正解発表をお待ちください！");
+    assert.equal(await press(user("1"), buttons[0].data), "この問題にはすでに回答済みです。");
+    assert.match(await press(user("2"), buttons[0].data), /^A で回答しました/);
+
+    const revealed = (await say(ADMIN, "admin quiz reveal")).text;
+    assert.match(revealed, /q1 の正解を発表しました（回答 2 人）/);
+    assert.match(revealed, /・A 1\n◎B 1\n・C 0/);
+    const announce = stack.emulator.callsTo(BROADCAST)[0].body.messages[0];
+    assert.equal(announce.text, "Q1 の正解は「B. 職場」でした！（正解 1 人／回答 2 人）\n同じ部署でした。");
+    assert.equal(announce.quickReply.items[0].action.text, "ranking");
+
+    assert.equal(await press(user("3"), buttons[2].data), "時間切れです。次の問題をお待ちください。");
+    const metrics = await (await fetch(stack.baseUrl + "/metrics")).text();
+    assert.match(metrics, /line_quiz_answers_total\{result="already"\} 1/);
+    assert.match(metrics, /line_quiz_answers_total\{result="late"\} 1/);
+  });
+
+  it("shows the ranking to guests and rejects buttons of an earlier question", async () => {
+    const ranking = (await say(user("1"), "ランキング")).text;
+    assert.match(ranking, /参加 2 人/);
+    assert.match(ranking, /1位 Guest 1111 \d{2,3}点\n2位 Guest 2222 0点/);
+    assert.match(ranking, /あなたは 1位/);
+    assert.doesNotMatch((await say(user("4"), "ranking")).text, /あなたは/);
+
+    await say(ADMIN, "admin quiz next");
+    assert.equal(await press(user("2"), buttons[0].data), "この問題の受付は終了しています。");
+    const status = await api("/admin/api/quiz");
+    assert.equal(status.question.id, "q2");
+    assert.equal(status.question.answer, null); // 正解発表まで出さない
+    assert.equal(status.open, true);
+    assert.equal(status.players, 2);
+    assert.deepEqual(status.ranking.map(e => e.name), ["Guest 1111", "Guest 2222"]);
+  });
+
+  it("serves the venue screen only with the board key", async () => {
+    assert.equal((await fetch(stack.baseUrl + "/quiz/board")).status, 404);
+    const resp = await fetch(stack.baseUrl + "/quiz/board?key=board-key&lang=ja");
+    assert.equal(resp.status, 200);
+    const html = await resp.text();
+    assert.match(html, /<title>新郎新婦クイズ<\/title>/);
+    assert.match(html, /Q2\. 新郎の好物は？/);
+    assert.match(html, /回答受付中（残り \d+ 秒）/);
+    assert.match(html, /<td>1<\/td><td>Guest 1111<\/td>/);
+    assert.match(await (await fetch(stack.baseUrl + "/quiz/board?key=board-key&lang=en")).text(), /Couple quiz/);
+  });
+
+  it("finishes after the last question and resets for owners", async () => {
+    assert.equal((await say(ADMIN, "admin quiz next")).text, "全問出題済みです。やり直すときは admin quiz reset");
+    assert.equal((await say(ADMIN, "admin quiz reset")).text, "クイズの得点と進行をリセットしました。");
+    assert.match((await say(ADMIN, "admin quiz")).text, /0\/2 問目（未開始）回答 0 人／参加 0 人/);
+    assert.equal((await say(user("1"), "ranking")).text, "まだ回答がありません。");
+    const audit = await api("/admin/api/audit?action=quiz");
+    const done = audit.entries.filter(e => !String(e.detail).startsWith("admin quiz")); // 権限確認（detail はコマンド文）を除く
+    assert.deepEqual(done.map(e => e.action), ["quiz.reset", "quiz.next", "quiz.reveal", "quiz.next"]);
+  });
+});
+
+describe("guest quiz without QUIZ_FILE or QUIZ_BOARD_KEY", () => {
+  it("stays off and keeps the venue screen closed in strict mode", async () => {
+    const stack = await startStack({ ADMIN_USER_IDS: ADMIN });
+    try {
+      await postWebhook(stack.baseUrl, [textEvent(ADMIN, "admin quiz next")]);
+      assert.equal(stack.emulator.callsTo(REPLY).at(-1).body.messages[0].text, "クイズが設定されていません（QUIZ_FILE）。");
+      assert.equal(stack.emulator.callsTo(BROADCAST).length, 0);
+      assert.equal((await fetch(stack.baseUrl + "/quiz/board")).status, 404);
+    } finally {
+      await stack.stop();
+    }
+  });
+});
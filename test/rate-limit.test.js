@@ -0,0 +1,66 @@
+// test/rate-limit.test.js - ルート別レート制限ポリシーとお断り返信の E2E テスト
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startStack, postWebhook, textEvent } = require("./support/harness");
+
+const REPLY = "/v2/bot/message/reply";
+
+describe("rate limit policies", () => {
+  let stack, dir, file;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ratelimit-"));
+    file = path.join(dir, "rate-limits.json");
+    fs.writeFileSync(file, JSON.stringify({
+      notify: { text: "しばらくお待ちください", cooldownMs: 60000 },
+      policies: [{ name: "greeting", match: "^test$", cap: 1, refillPerSec: 0, notify: true }],
+    }));
+    stack = await startStack({ RATE_LIMITS_FILE: file, TAP_DEBOUNCE_MS: "1", ADMIN_API_TOKEN: "admin-token" });
+  });
+  after(async () => {
+    await stack?.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("blocks by route policy, replies politely once per cooldown and labels the metric", async () => {
+    const user = "U" + "7".repeat(32);
+    for (let i = 0; i < 3; i++) {
+      await postWebhook(stack.baseUrl, [textEvent(user, "test")]);
+      await new Promise(r => setTimeout(r, 5));
+    }
+    const texts = stack.emulator.callsTo(REPLY).map(c => c.body.messages[0].text);
+    assert.deepEqual(texts, ["Hello, user", "しばらくお待ちください"]);
+
+    const metrics = await (await fetch(stack.baseUrl + "/metrics")).text();
+    assert.match(metrics, /line_ratelimit_block_total\{policy="greeting",source="user"\} 2/);
+  });
+
+  it("keeps other routes under the default policy", async () => {
+    const user = "U" + "8".repeat(32);
+    await postWebhook(stack.baseUrl, [textEvent(user, "test")]);
+    await postWebhook(stack.baseUrl, [textEvent(user, "faq")]);
+    assert.equal(stack.emulator.callsTo(REPLY).filter(c => c.body.messages[0].type === "flex").length, 1);
+  });
+
+  it("reloads policies with the settings and keeps them when the file is broken", async () => {
+    const reload = () => fetch(stack.baseUrl + "/admin/api/config/reload", { method: "POST", headers: { Authorization: "Bearer admin-token" } });
+    const faqTwice = async (user) => {
+      stack.emulator.reset();
+      await postWebhook(stack.baseUrl, [textEvent(user, "faq")]);
+      await postWebhook(stack.baseUrl, [textEvent(user, "faq")]);
+      return stack.emulator.callsTo(REPLY).length;
+    };
+    fs.writeFileSync(file, JSON.stringify({ policies: [{ name: "faq", match: "^faq$", cap: 1, refillPerSec: 0 }] }));
+    assert.equal((await reload()).status, 200);
+    assert.equal(await faqTwice("U" + "a".repeat(32)), 1);
+
+    fs.writeFileSync(file, "{ broken");
+    assert.equal((await reload()).status, 200);
+    assert.equal(await faqTwice("U" + "b".repeat(32)), 1); // 直前のポリシーのまま
+    assert.match(stack.logs(), /policy reload failed, keeping current policies/);
+  });
+});
@@ -0,0 +1,73 @@
+// test/richmenu.test.js - リッチメニューの同期（冪等）・既定設定・管理者リンクの E2E テスト
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFile } = require("child_process");
+const path = require("path");
+const { startStack, postWebhook, textEvent } = require("./support/harness");
+
+const ADMIN = "U" + "a".repeat(32);
+const lastText = (stack) => stack.emulator.callsTo("/v2/bot/message/reply").at(-1).body.messages[0].text;
+
+describe("rich menu management", () => {
+  let stack;
+  before(async () => { stack = await startStack({ ADMIN_USER_IDS: ADMIN, TAP_DEBOUNCE_MS: "1" }); });
+  after(async () => { await stack?.stop(); });
+
+  it("creates, uploads and applies menus on `admin richmenu apply`", async () => {
+    stack.emulator.reset();
+    await postWebhook(stack.baseUrl, [textEvent(ADMIN, "admin richmenu apply")]);
+    const created = stack.emulator.callsTo("/v2/bot/richmenu");
+    assert.equal(created.length, 2);
+    assert.match(created[0].body.name, /^guest@[0-9a-f]{10}$/);
+    const uploads = stack.emulator.calls.filter(c => /\/content$/.test(c.path));
+    assert.equal(uploads.length, 2);
+    assert.equal(uploads[0].body.contentType, "image/png");
+    assert.ok(stack.emulator.calls.some(c => c.path === "/v2/bot/user/all/richmenu/richmenu-1" && c.method === "POST"));
+    assert.ok(stack.emulator.calls.some(c => c.path === `/v2/bot/user/${ADMIN}/richmenu/richmenu-2`));
+    assert.match(lastText(stack), /新規: guest, admin/);
+  });
+
+  it("is idempotent on a second apply", async () => {
+    stack.emulator.reset();
+    await postWebhook(stack.baseUrl, [textEvent(ADMIN, "admin richmenu apply")]);
+    assert.equal(stack.emulator.callsTo("/v2/bot/richmenu").length, 0);
+    assert.match(lastText(stack), /既存: guest, admin/);
+  });
+
+  it("lists definitions with their state", async () => {
+    await postWebhook(stack.baseUrl, [textEvent(ADMIN, "admin richmenu list")]);
+    assert.match(lastText(stack), /guest \[既定 \/ 適用中\]/);
+  });
+
+  it("syncs idempotently from the CLI", async () => {
+    const run = () => new Promise((resolve, reject) => execFile(process.execPath, [path.join(__dirname, "..", "scripts", "richmenu-sync.js")], {
+      env: { PATH: process.env.PATH, LINE_ACCESS_TOKEN: "cli-token", LINE_API_BASE: stack.emulatorUrl, LINE_DATA_API_BASE: stack.emulatorUrl },
+    }, (err, stdout, stderr) => (err ? reject(new Error(stderr || err.message)) : resolve(stdout))));
+    assert.match(await run(), /reused: {2}guest, admin/);
+  });
+
+  it("removes managed menus on reset", async () => {
+    await postWebhook(stack.baseUrl, [textEvent(ADMIN, "admin richmenu reset")]);
+    assert.match(lastText(stack), /削除 2 件/);
+  });
+
+  it("deletes a created menu when its image upload fails so the next apply recreates it", async () => {
+    stack.emulator.reset();
+    stack.emulator.fail({ path: "/v2/bot/richmenu/richmenu-3/content", status: 400 });
+    await postWebhook(stack.baseUrl, [textEvent(ADMIN, "admin richmenu apply")]);
+    assert.match(lastText(stack), /リッチメニューの操作に失敗しました。/);
+    assert.ok(stack.emulator.calls.some(c => c.path === "/v2/bot/richmenu/richmenu-3" && c.method === "DELETE"));
+
+    stack.emulator.reset();
+    await postWebhook(stack.baseUrl, [textEvent(ADMIN, "admin richmenu apply")]);
+    assert.match(lastText(stack), /新規: guest, admin/);
+    assert.equal(stack.emulator.calls.filter(c => /\/content$/.test(c.path)).length, 2);
+  });
+
+  it("rejects non-admins", async () => {
+    await postWebhook(stack.baseUrl, [textEvent("U" + "b".repeat(32), "admin richmenu apply")]);
+    assert.equal(lastText(stack), "権限対象ではございません。");
+  });
+});
@@ -0,0 +1,27 @@
+// test/rsvp.test.js - 出欠（多段フローでの回答、CSV 書き出しの数式対策）の E2E テスト
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStack, postWebhook, textEvent, postbackEvent } = require("./support/harness");
+
+const REPLY = "/v2/bot/message/reply";
+const GUEST = "U" + "5".repeat(32);
+
+describe("rsvp", () => {
+  let stack;
+  before(async () => { stack = await startStack({ ADMIN_API_TOKEN: "admin-token", TAP_DEBOUNCE_MS: "1" }); });
+  after(async () => { await stack?.stop(); });
+
+  it("exports free-text answers without letting spreadsheets evaluate them", async () => {
+    await postWebhook(stack.baseUrl, [textEvent(GUEST, "出欠")]);
+    for (const data of ["rsvp:attend:yes", "rsvp:companions:1", "rsvp:bus:0"]) await postWebhook(stack.baseUrl, [postbackEvent(GUEST, data)]);
+    await postWebhook(stack.baseUrl, [textEvent(GUEST, '=HYPERLINK("https://example.com","x")')]);
+    assert.match(stack.emulator.callsTo(REPLY).at(-1).body.messages[0].text, /HYPERLINK/);
+
+    const csv = await (await fetch(stack.baseUrl + "/admin/api/rsvp.csv", { headers: { Authorization: "Bearer admin-token" } })).text();
+    const [, row] = csv.replace(/^\uFEFF/, "").split("\r\n");
+    assert.ok(row.startsWith(`${GUEST},yes,1,`));
+    assert.match(row, /,"'=HYPERLINK\(""https:\/\/example\.com"",""x""\)",/);
+  });
+});
@@ -0,0 +1,30 @@
+// test/schedule.test.js - 予約配信（日時の解釈、存在しない日付の拒否）の E2E テスト
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStack, postWebhook, textEvent } = require("./support/harness");
+
+const REPLY = "/v2/bot/message/reply";
+const ADMIN = "U" + "9".repeat(32);
+
+describe("scheduled messages", () => {
+  let stack;
+  const say = async (text) => { await postWebhook(stack.baseUrl, [textEvent(ADMIN, text)]); return stack.emulator.callsTo(REPLY).at(-1).body.messages[0].text; };
+  const addJob = (runAt) => fetch(stack.baseUrl + "/admin/api/jobs", {
+    method: "POST", headers: { Authorization: "Bearer admin-token", "Content-Type": "application/json" }, body: JSON.stringify({ runAt, target: "all", text: "まもなく開宴です" }),
+  });
+
+  before(async () => { stack = await startStack({ ADMIN_USER_IDS: ADMIN, ADMIN_API_TOKEN: "admin-token", TAP_DEBOUNCE_MS: "1" }); });
+  after(async () => { await stack?.stop(); });
+
+  it("rejects dates that do not exist on the calendar", async () => {
+    assert.match(await say("admin schedule 2030-02-31 13:15 all まもなく開宴です"), /^日時の形式が正しくありません/);
+    assert.match(await say("admin schedule 2030-04-31 13:15 all まもなく開宴です"), /^日時の形式が正しくありません/);
+    assert.match(await say("admin schedule 2032-02-29 13:15 all まもなく開宴です"), /^予約いたしました/); // うるう年
+
+    assert.equal((await addJob("2030-02-31T13:15:00Z")).status, 400);
+    assert.equal((await addJob("2030-02-31 13:15")).status, 400);
+    assert.equal((await addJob("2030-02-28T13:15:00Z")).status, 201);
+  });
+});
@@ -0,0 +1,81 @@
+// test/seating.test.js - 席次表の取り込み・ゲストの紐付け・お席の案内の E2E テスト
+"use strict";
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStack, postWebhook, textEvent } = require("./support/harness");
+
+const REPLY = "/v2/bot/message/reply";
+const ADMIN = "U" + "e".repeat(32);
+let uid = 0;
+const newUser = () => `U${String(++uid).padStart(31, "0")}a`;
+
+const GUESTS_CSV = [
+  "氏名,テーブル,席,招待コード,ふりがな",
+  "山田 太郎,A,1,TARO01,やまだたろう",
+  "山田 花子,A,2,HANA02,やまだはなこ",
+  "佐藤 一郎,A,3,,",
+  "鈴木 次郎,B,1,JIRO03,",
+  "鈴木 次郎,B,2,JIRO04,",
+].join("\n");
+
+describe("seating", () => {
+  let stack;
+  const lastMessage = () => stack.emulator.callsTo(REPLY).at(-1).body.messages[0];
+  const say = async (user, text) => { await postWebhook(stack.baseUrl, [textEvent(user, text)]); return lastMessage(); };
+  const api = (path, init = {}) => fetch(stack.baseUrl + path, { ...init, headers: { Authorization: "Bearer admin-token", ...init.headers } });
+
+  before(async () => {
+    stack = await startStack({ ADMIN_USER_IDS: ADMIN, ADMIN_API_TOKEN: "admin-token", TAP_DEBOUNCE_MS: "1", SEATING_MAP_URL: "https://example.com/floor.png" });
+    assert.match((await say(ADMIN, `admin seating import\n${GUESTS_CSV}`)).text, /5名/);
+    await say(ADMIN, "admin seating tables\ntable,name,note\nA,ローズ,窓側\nB,リリー,");
+  });
+  after(async () => { await stack?.stop(); });
+  beforeEach(() => stack.emulator.reset());
+
+  it("asks unlinked guests for their name or code", async () => {
+    assert.match((await say(newUser(), "席")).text, /招待コード/);
+  });
+
+  it("links by invitation code and shows the table with tablemates", async () => {
+    const user = newUser();
+    const msg = await say(user, "席 taro01");
+    assert.equal(msg.type, "flex");
+    assert.equal(msg.altText, "お席のご案内: A（ローズ）");
+    assert.equal(msg.contents.hero.url, "https://example.com/floor.png");
+    const body = JSON.stringify(msg.contents.body);
+    assert.match(body, /山田 花子/);
+    assert.match(body, /佐藤 一郎/);
+    assert.doesNotMatch(body, /鈴木/);
+    assert.equal((await say(user, "my table")).altText, "お席のご案内: A（ローズ）");
+  });
+
+  it("links by kana-insensitive name and rejects ambiguous, unknown and taken names", async () => {
+    assert.equal((await say(newUser(), "table ヤマダ ハナコ")).altText, "お席のご案内: A（ローズ）");
+    assert.match((await say(newUser(), "席 鈴木次郎")).text, /招待コードで/);
+    assert.match((await say(newUser(), "席 田中")).text, /見つかりません/);
+    assert.match((await say(newUser(), "席 山田太郎")).text, /別のアカウント/);
+  });
+
+  it("lets admins move a guest and keeps links across re-imports", async () => {
+    const user = newUser();
+    await say(user, "席 JIRO04");
+    assert.match((await say(ADMIN, "admin seat JIRO04|A|4")).text, /テーブル A/);
+    assert.equal((await say(user, "席")).altText, "お席のご案内: A（ローズ）");
+
+    const resp = await api("/admin/api/seating/guests", { method: "PUT", headers: { "Content-Type": "text/csv" }, body: "name,table,seat,code\n鈴木 次郎,C,9,JIRO04\n" });
+    assert.equal(resp.status, 200);
+    assert.equal((await resp.json()).linked, 1);
+    assert.equal((await say(user, "席")).altText, "お席のご案内: C");
+  });
+
+  it("rejects invalid CSV without changing the list", async () => {
+    const bad = await api("/admin/api/seating/guests", { method: "PUT", headers: { "Content-Type": "text/csv" }, body: "name,table\n,A\n" });
+    assert.equal(bad.status, 400);
+    assert.match((await bad.json()).details[0], /line 2/);
+    const csv = Buffer.from(await (await api("/admin/api/seating/guests.csv")).arrayBuffer()).toString("utf8");
+    assert.match(csv, /^\uFEFFname,kana,table,seat,code,linked/);
+    assert.match(csv, /鈴木 次郎,,C,9,JIRO04,yes/);
+    assert.equal((await fetch(stack.baseUrl + "/admin/api/seating")).status, 401);
+  });
+});
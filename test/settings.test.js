@@ -0,0 +1,117 @@
+// test/settings.test.js - 設定（起動時の検証、SETTINGS_FILE と環境変数の優先順位、伏字にした実効値の API、SIGHUP・admin config reload での再読込）の E2E テスト
+"use strict";
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startStack, postWebhook, textEvent, waitFor } = require("./support/harness");
+
+const REPLY = "/v2/bot/message/reply";
+const ADMIN = "U" + "9".repeat(32);
+const user = (c) => "U" + c.repeat(32);
+const AUTH = { Authorization: "Bearer admin-token" };
+
+describe("settings validation at boot", () => {
+  it("refuses to start with an invalid value and lists the problem", async () => {
+    await assert.rejects(startStack({ RATE_CAP: "abc", LINE_RETRY_MAX_ATTEMPTS: "0" }), (e) => {
+      assert.match(e.message, /exited early/);
+      assert.match(e.message, /RATE_CAP: must be a number/);
+      assert.match(e.message, /LINE_RETRY_MAX_ATTEMPTS: must be >= 1/);
+      return true;
+    });
+  });
+
+  it("refuses to keep insights in Redis without a stable key for hashing user IDs", async () => {
+    await assert.rejects(startStack({ STRICT_MODE: "false", LINE_CHANNEL_SECRET: "", PHOTO_URL_SECRET: "photo-key", REDIS_URL: "redis://127.0.0.1:1" }), (e) => {
+      assert.match(e.message, /INSIGHTS_SALT: must be set/);
+      return true;
+    });
+  });
+
+  it("refuses to start with an unknown key in the settings file", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "settings-"));
+    try {
+      fs.writeFileSync(path.join(dir, "settings.json"), JSON.stringify({ TAP_DEBOUNCE: 10 }));
+      await assert.rejects(startStack({ SETTINGS_FILE: path.join(dir, "settings.json") }), /TAP_DEBOUNCE: unknown setting/);
+    } finally { fs.rmSync(dir, { recursive: true, force: true }); }
+  });
+});
+
+describe("settings reload", () => {
+  let stack, dir, file;
+  const writeSettings = (o) => fs.writeFileSync(file, JSON.stringify(o));
+  const config = async () => (await fetch(stack.baseUrl + "/admin/api/config", { headers: AUTH })).json();
+  const lastMessage = () => stack.emulator.callsTo(REPLY).at(-1).body.messages[0];
+  const say = async (from, text) => { await postWebhook(stack.baseUrl, [textEvent(from, text)]); return lastMessage(); };
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "settings-"));
+    file = path.join(dir, "settings.json");
+    writeSettings({ TAP_DEBOUNCE_MS: 60000, RATE_CAP: 50, LOG_LEVEL: "warn" });
+    stack = await startStack({ SETTINGS_FILE: file, ADMIN_USER_IDS: ADMIN, ADMIN_API_TOKEN: "admin-token", RATE_CAP: "40" });
+  });
+  after(async () => {
+    await stack?.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  beforeEach(() => stack.emulator.reset());
+
+  it("shows the effective settings with secrets redacted", async () => {
+    assert.equal((await fetch(stack.baseUrl + "/admin/api/config")).status, 401);
+    const cfg = await config();
+    assert.equal(cfg.file, file);
+    assert.equal(cfg.settings.LINE_ACCESS_TOKEN, "***");
+    assert.equal(cfg.settings.ADMIN_API_TOKEN, "***");
+    assert.equal(cfg.settings.LINE_CHANNEL_SECRET, "***");
+    assert.doesNotMatch(JSON.stringify(cfg), /admin-token|test-token|test-channel-secret/);
+    assert.deepEqual([cfg.settings.TAP_DEBOUNCE_MS, cfg.sources.TAP_DEBOUNCE_MS], [60000, "file"]);
+    assert.deepEqual([cfg.settings.RATE_CAP, cfg.sources.RATE_CAP], [40, "env"]); // 環境変数がファイルより優先
+    assert.deepEqual([cfg.settings.QUEUE_MAX_ATTEMPTS, cfg.sources.QUEUE_MAX_ATTEMPTS], [3, "default"]);
+    assert.ok(cfg.reloadable.includes("TAP_DEBOUNCE_MS"));
+  });
+
+  it("applies reloadable changes on SIGHUP and reports the ones that need a restart", async () => {
+    await say(user("1"), "test");
+    await postWebhook(stack.baseUrl, [textEvent(user("1"), "test")]);
+    assert.equal(stack.emulator.callsTo(REPLY).length, 1); // 60 秒のタップガードで2回目は捨てられる
+
+    writeSettings({ TAP_DEBOUNCE_MS: 1, RATE_CAP: 50, LOG_LEVEL: "warn", REQUEST_TIMEOUT_MS: 4000 });
+    stack.signal("SIGHUP");
+    await waitFor(async () => (await config()).settings.TAP_DEBOUNCE_MS === 1);
+    const cfg = await config();
+    assert.deepEqual(cfg.pendingRestart, ["REQUEST_TIMEOUT_MS"]);
+    assert.equal(cfg.settings.REQUEST_TIMEOUT_MS, 5000); // 再起動まで起動時の値のまま
+
+    stack.emulator.reset();
+    await say(user("2"), "test");
+    await new Promise(r => setTimeout(r, 20));
+    await say(user("2"), "test");
+    assert.equal(stack.emulator.callsTo(REPLY).length, 2);
+  });
+
+  it("reloads from chat and keeps the current settings when the file is invalid", async () => {
+    assert.equal((await say(user("3"), "admin config reload")).text, "権限対象ではございません。");
+
+    writeSettings({ TAP_DEBOUNCE_MS: 1, RATE_CAP: 50, LOG_LEVEL: "loud" });
+    const rejected = (await say(ADMIN, "admin config reload")).text;
+    assert.match(rejected, /取りやめました/);
+    assert.match(rejected, /LOG_LEVEL: must be one of/);
+    assert.equal((await config()).settings.LOG_LEVEL, "warn");
+
+    writeSettings({ TAP_DEBOUNCE_MS: 1, RATE_CAP: 50, LOG_LEVEL: "error", REQUEST_TIMEOUT_MS: 4000 });
+    const reloaded = (await say(ADMIN, "admin config reload")).text;
+    assert.match(reloaded, /反映した項目: LOG_LEVEL/);
+    assert.match(reloaded, /再起動で反映される変更: REQUEST_TIMEOUT_MS/);
+    const shown = (await say(ADMIN, "admin config")).text;
+    assert.match(shown, /・LOG_LEVEL=error \(file\)/);
+    assert.match(shown, /・ADMIN_API_TOKEN=\*\*\* \(env\)/);
+
+    const resp = await fetch(stack.baseUrl + "/admin/api/config/reload", { method: "POST", headers: AUTH });
+    assert.equal(resp.status, 200);
+    assert.deepEqual(await resp.json(), { ok: true, applied: [], restartRequired: ["REQUEST_TIMEOUT_MS"], errors: [] });
+    const audit = await (await fetch(stack.baseUrl + "/admin/api/audit?action=config", { headers: AUTH })).json();
+    assert.ok(audit.entries.some(e => e.action === "config.reload" && e.actor === ADMIN && e.result === "failed"));
+  });
+});
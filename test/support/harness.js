@@ -0,0 +1,127 @@
+// test/support/harness.js - エミュレータ + app.js 子プロセスを起動し、署名付き Webhook を投げる
+"use strict";
+
+const { spawn } = require("child_process");
+const { createHmac } = require("crypto");
+const net = require("net");
+const path = require("path");
+const { createLineEmulator } = require("../../scripts/line-emulator");
+
+const APP_PATH = path.join(__dirname, "..", "..", "app.js");
+const CHANNEL_SECRET = "test-channel-secret";
+const NO_SETTINGS = path.join(__dirname, "no-settings.json"); // 存在しないパス
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.listen(0, "127.0.0.1", () => { const { port } = srv.address(); srv.close(() => resolve(port)); });
+    srv.on("error", reject);
+  });
+}
+
+async function waitReady(baseUrl, child, timeoutMs = 10000) {
+  const until = Date.now() + timeoutMs;
+  while (Date.now() < until) {
+    if (child.exitCode !== null) throw new Error(`app exited early (code ${child.exitCode})`);
+    try { const r = await fetch(baseUrl + "/health"); if (r.ok) return; } catch { /* 起動待ち */ }
+    await new Promise(r => setTimeout(r, 100));
+  }
+  throw new Error("app did not become ready");
+}
+
+// env で app.js の設定を上書きできる（既定は同期応答・厳格署名・Redis なし）
+async function startStack(env = {}) {
+  const emulator = createLineEmulator();
+  const emu = await emulator.listen();
+  const port = await freePort();
+  const child = spawn(process.execPath, [APP_PATH], {
+    env: {
+      PATH: process.env.PATH,
+      NODE_ENV: "production",
+      PORT: String(port),
+      LINE_API_BASE: emu.baseUrl,
+      LINE_DATA_API_BASE: emu.baseUrl,
+      LINE_ACCESS_TOKEN: "test-token",
+      LINE_CHANNEL_SECRET: CHANNEL_SECRET,
+      STRICT_SIGNATURE: "true",
+      FAST_HTTP_EARLY_200: "false",
+      PHOTO_STORAGE: "memory",
+      SETTINGS_FILE: NO_SETTINGS, // 手元の config/settings.json を読まないように
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let logs = "";
+  const keep = (buf) => { logs = (logs + buf.toString()).slice(-20000); };
+  child.stdout.on("data", keep);
+  child.stderr.on("data", keep);
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  try { await waitReady(baseUrl, child); } catch (e) { child.kill(); await emu.close(); e.message += "\n" + logs; throw e; }
+
+  async function stop() {
+    if (child.exitCode === null) {
+      const exited = new Promise(r => child.once("exit", r));
+      child.kill("SIGTERM");
+      await Promise.race([exited, new Promise(r => setTimeout(r, 3000))]);
+      if (child.exitCode === null) child.kill("SIGKILL");
+    }
+    await emu.close();
+  }
+
+  return { baseUrl, emulatorUrl: emu.baseUrl, emulator, stop, logs: () => logs, signal: (sig) => child.kill(sig) };
+}
+
+function sign(body, secret = CHANNEL_SECRET) {
+  return createHmac("sha256", secret).update(body).digest("base64");
+}
+
+async function postWebhook(baseUrl, events, { signature } = {}) {
+  const body = JSON.stringify({ destination: "Utest", events });
+  const resp = await fetch(baseUrl + "/webhook", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "x-line-signature": signature ?? sign(body) },
+    body,
+  });
+  return resp.status;
+}
+
+let seq = 0;
+function textEvent(userId, text, extra = {}) {
+  seq++;
+  return {
+    type: "message",
+    webhookEventId: `ev-${process.pid}-${seq}`,
+    timestamp: Date.now(),
+    replyToken: `rt-${seq}`,
+    deliveryContext: { isRedelivery: false },
+    source: { type: "user", userId },
+    message: { type: "text", id: `m-${seq}`, text },
+    ...extra,
+  };
+}
+function postbackEvent(userId, data, extra = {}) {
+  seq++;
+  return {
+    type: "postback",
+    webhookEventId: `ev-${process.pid}-${seq}`,
+    timestamp: Date.now(),
+    replyToken: `rt-${seq}`,
+    deliveryContext: { isRedelivery: false },
+    source: { type: "user", userId },
+    postback: { data },
+    ...extra,
+  };
+}
+
+// 非同期処理（早期 200 など）の結果待ち
+async function waitFor(predicate, { timeoutMs = 5000, intervalMs = 50 } = {}) {
+  const until = Date.now() + timeoutMs;
+  while (Date.now() < until) {
+    if (await predicate()) return;
+    await new Promise(r => setTimeout(r, intervalMs));
+  }
+  throw new Error("waitFor: condition not met in time");
+}
+
+module.exports = { startStack, postWebhook, sign, textEvent, postbackEvent, waitFor, CHANNEL_SECRET };
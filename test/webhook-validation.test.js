@@ -0,0 +1,100 @@
+// test/webhook-validation.test.js - Webhook の検証（STRICT_MODE の起動条件と署名、本文・イベントのスキーマ、時刻の許容範囲、保存した本文の再送 CLI）の E2E テスト
+"use strict";
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFile } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startStack, postWebhook, textEvent, sign, waitFor, CHANNEL_SECRET } = require("./support/harness");
+
+const REPLY = "/v2/bot/message/reply";
+const REPLAY = path.join(__dirname, "..", "scripts", "webhook-replay.js");
+const user = (c) => "U" + c.repeat(32);
+
+const postRaw = (baseUrl, body) => fetch(baseUrl + "/webhook", { method: "POST", headers: { "Content-Type": "application/json", "x-line-signature": sign(body) }, body });
+const replay = (args) => new Promise((resolve) => execFile(process.execPath, [REPLAY, ...args], {
+  env: { PATH: process.env.PATH, LINE_CHANNEL_SECRET: CHANNEL_SECRET }, timeout: 20000,
+}, (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr })));
+
+describe("strict mode boot", () => {
+  it("refuses to start in production without the channel secret", async () => {
+    await assert.rejects(startStack({ LINE_CHANNEL_SECRET: "" }), /exited early/);
+  });
+
+  it("refuses to start without any key for signed photo URLs", async () => {
+    await assert.rejects(startStack({ STRICT_MODE: "false", STRICT_SIGNATURE: "", LINE_CHANNEL_SECRET: "" }), /PHOTO_URL_SECRET: must be set/);
+  });
+
+  it("starts without the channel secret when STRICT_MODE=false and accepts unsigned requests", async () => {
+    const stack = await startStack({ STRICT_MODE: "false", STRICT_SIGNATURE: "", LINE_CHANNEL_SECRET: "", PHOTO_URL_SECRET: "photo-key" });
+    try {
+      assert.equal(await postWebhook(stack.baseUrl, [textEvent(user("1"), "test")], { signature: "" }), 200);
+      assert.equal(stack.emulator.callsTo(REPLY).length, 1);
+    } finally { await stack.stop(); }
+  });
+});
+
+describe("webhook validation", () => {
+  let stack, dir, capture;
+  const metrics = async () => (await fetch(stack.baseUrl + "/metrics")).text();
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-"));
+    capture = path.join(dir, "capture.jsonl");
+    stack = await startStack({ STRICT_SIGNATURE: "", WEBHOOK_CAPTURE_FILE: capture, TAP_DEBOUNCE_MS: "1" });
+  });
+  after(async () => { await stack?.stop(); fs.rmSync(dir, { recursive: true, force: true }); });
+  beforeEach(() => stack.emulator.reset());
+
+  it("requires a valid signature by default in production", async () => {
+    assert.equal(await postWebhook(stack.baseUrl, [textEvent(user("2"), "test")], { signature: "bm9wZQ==" }), 403);
+    assert.match(await metrics(), /line_webhook_rejected_total\{reason="signature-length-mismatch"\} 1/);
+  });
+
+  it("rejects a malformed body with 400", async () => {
+    const resp = await postRaw(stack.baseUrl, JSON.stringify({ destination: "Utest", events: "nope" }));
+    assert.equal(resp.status, 400);
+    assert.deepEqual((await resp.json()).details, ["$.events: must be array"]);
+    assert.match(await metrics(), /line_webhook_rejected_total\{reason="schema"\} 1/);
+  });
+
+  it("drops invalid, stale and future events and processes the rest", async () => {
+    const bad = textEvent(user("3"), "test");
+    bad.source.userId = "Unot-a-line-id";
+    const events = [
+      textEvent(user("4"), "test"),
+      bad,
+      textEvent(user("5"), "test", { timestamp: Date.now() - 2 * 60 * 60 * 1000 }),
+      textEvent(user("6"), "test", { timestamp: Date.now() + 5 * 60 * 1000 }),
+      textEvent(user("7"), "test", { timestamp: Date.now() - 10 * 60 * 1000 }), // 短い障害の後に届いたものは通す
+    ];
+    assert.equal(await postWebhook(stack.baseUrl, events), 200);
+    assert.deepEqual(stack.emulator.callsTo(REPLY).map(c => c.body.replyToken), [events[0].replyToken, events[4].replyToken]);
+    const m = await metrics();
+    assert.match(m, /line_webhook_events_rejected_total\{reason="schema",type="message"\} 1/);
+    assert.match(m, /line_webhook_events_rejected_total\{reason="stale",type="message"\} 1/);
+    assert.match(m, /line_webhook_events_rejected_total\{reason="future",type="message"\} 1/);
+  });
+
+  it("replays captured payloads with a fresh signature", async () => {
+    await waitFor(() => fs.existsSync(capture) && fs.readFileSync(capture, "utf8").includes("Unot-a-line-id"));
+    const saved = path.join(dir, "saved.jsonl"); // 再送した本文も capture に追記されるので写しを使う
+    fs.copyFileSync(capture, saved);
+    const url = `${stack.baseUrl}/webhook`;
+
+    const same = await replay([saved, "--url", url]);
+    assert.equal(same.code, 0, same.stderr);
+    assert.equal(stack.emulator.callsTo(REPLY).length, 0); // 処理済み（重複）と古すぎるイベントは通らない
+
+    const fresh = await replay([saved, "--url", url, "--fresh"]);
+    assert.equal(fresh.code, 0, fresh.stderr);
+    assert.match(fresh.stdout, /5 event\(s\) -> 200/);
+    assert.equal(stack.emulator.callsTo(REPLY).length, 4); // 不正な userId のイベントだけは --fresh でも捨てられる
+
+    const remote = await replay([saved, "--url", "http://example.com/webhook"]);
+    assert.equal(remote.code, 1);
+    assert.match(remote.stderr, /refusing to send to example\.com/);
+  });
+});
@@ -0,0 +1,135 @@
+// test/webhook.test.js - 署名付き Webhook をローカルエミュレータ相手に流す E2E テスト
+"use strict";
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStack, postWebhook, textEvent, postbackEvent } = require("./support/harness");
+
+const REPLY = "/v2/bot/message/reply";
+const PUSH = "/v2/bot/message/push";
+let uid = 0;
+const newUser = () => `U${String(++uid).padStart(32, "0")}`;
+
+describe("POST /webhook", () => {
+  let stack;
+  before(async () => { stack = await startStack({ RATE_CAP: "3", RATE_REFILL: "0" }); });
+  after(async () => { await stack?.stop(); });
+  beforeEach(() => stack.emulator.reset());
+
+  describe("signature", () => {
+    it("rejects an invalid signature with 403 and sends nothing", async () => {
+      const status = await postWebhook(stack.baseUrl, [textEvent(newUser(), "test")], { signature: "bm9wZQ==" });
+      assert.equal(status, 403);
+      assert.equal(stack.emulator.calls.length, 0);
+    });
+
+    it("rejects a missing signature with 403", async () => {
+      const status = await postWebhook(stack.baseUrl, [textEvent(newUser(), "test")], { signature: "" });
+      assert.equal(status, 403);
+    });
+  });
+
+  describe("routing", () => {
+    it("replies to `test` with the fixed greeting", async () => {
+      const ev = textEvent(newUser(), "test");
+      assert.equal(await postWebhook(stack.baseUrl, [ev]), 200);
+      const [call] = stack.emulator.callsTo(REPLY);
+      assert.equal(call.body.replyToken, ev.replyToken);
+      assert.deepEqual(call.body.messages.map(m => m.text), ["Hello, user", "May I help you?"]);
+      assert.match(call.auth, /^Bearer test-token$/);
+    });
+
+    it("replies to `faq` with the FAQ list flex", async () => {
+      await postWebhook(stack.baseUrl, [textEvent(newUser(), "faq")]);
+      const [call] = stack.emulator.callsTo(REPLY);
+      assert.equal(call.body.messages[0].type, "flex");
+      assert.equal(call.body.messages[0].altText, "結婚式FAQリスト");
+    });
+
+    it("answers a faq: postback from the store", async () => {
+      await postWebhook(stack.baseUrl, [postbackEvent(newUser(), "faq:" + encodeURIComponent("駐車場"))]);
+      const [call] = stack.emulator.callsTo(REPLY);
+      assert.equal(call.body.messages[0].altText, "駐車場はありますか？");
+    });
+
+    it("matches a fuzzy intent", async () => {
+      await postWebhook(stack.baseUrl, [textEvent(newUser(), "駐車場ある？")]);
+      const [call] = stack.emulator.callsTo(REPLY);
+      assert.equal(call.body.messages[0].altText, "駐車場はありますか？");
+    });
+
+    it("stays silent for unmatched text in a group", async () => {
+      const ev = textEvent(newUser(), "/zzz qqq");
+      ev.source = { type: "group", groupId: "C" + "0".repeat(32), userId: ev.source.userId };
+      await postWebhook(stack.baseUrl, [ev]);
+      assert.equal(stack.emulator.calls.filter(c => c.path.startsWith("/v2/bot/message")).length, 0);
+    });
+  });
+
+  describe("guards", () => {
+    it("dedupes the same webhookEventId", async () => {
+      const ev = textEvent(newUser(), "test");
+      await postWebhook(stack.baseUrl, [ev]);
+      await postWebhook(stack.baseUrl, [ev]);
+      assert.equal(stack.emulator.callsTo(REPLY).length, 1);
+    });
+
+    it("skips redelivered events", async () => {
+      const ev = textEvent(newUser(), "test", { deliveryContext: { isRedelivery: true } });
+      await postWebhook(stack.baseUrl, [ev]);
+      assert.equal(stack.emulator.callsTo(REPLY).length, 0);
+    });
+
+    it("drops a repeated tap of the same text within the window", async () => {
+      const user = newUser();
+      await postWebhook(stack.baseUrl, [textEvent(user, "faq")]);
+      await postWebhook(stack.baseUrl, [textEvent(user, "FAQ ")]);
+      assert.equal(stack.emulator.callsTo(REPLY).length, 1);
+    });
+
+    it("rate limits a single user to RATE_CAP events", async () => {
+      const user = newUser();
+      for (const text of ["test", "faq", "FAQ:駐車場", "FAQ:服装", "FAQ:更衣室"]) {
+        await postWebhook(stack.baseUrl, [textEvent(user, text)]);
+      }
+      assert.equal(stack.emulator.callsTo(REPLY).length, 3);
+    });
+  });
+
+  describe("reply retry and push fallback", () => {
+    it("retries after 429 honouring Retry-After", async () => {
+      stack.emulator.fail({ path: REPLY, status: 429, retryAfter: 1 });
+      const started = Date.now();
+      await postWebhook(stack.baseUrl, [textEvent(newUser(), "test")]);
+      const replies = stack.emulator.callsTo(REPLY);
+      assert.deepEqual(replies.map(c => c.status), [429, 200]);
+      assert.ok(Date.now() - started >= 1000);
+      assert.equal(stack.emulator.callsTo(PUSH).length, 0);
+    });
+
+    it("retries after a 5xx", async () => {
+      stack.emulator.fail({ path: REPLY, status: 503, retryAfter: 1 });
+      await postWebhook(stack.baseUrl, [textEvent(newUser(), "test")]);
+      assert.deepEqual(stack.emulator.callsTo(REPLY).map(c => c.status), [503, 200]);
+    });
+
+    it("falls back to push once when reply returns 400", async () => {
+      const user = newUser();
+      stack.emulator.fail({ path: REPLY, status: 400 });
+      await postWebhook(stack.baseUrl, [textEvent(user, "test")]);
+      assert.deepEqual(stack.emulator.callsTo(REPLY).map(c => c.status), [400]);
+      const pushes = stack.emulator.callsTo(PUSH);
+      assert.equal(pushes.length, 1);
+      assert.equal(pushes[0].body.to, user);
+      assert.equal(pushes[0].body.messages[0].text, "Hello, user");
+    });
+
+    it("does not push to a group when reply returns 400", async () => {
+      const ev = textEvent(newUser(), "/test");
+      ev.source = { type: "group", groupId: "C" + "1".repeat(32), userId: ev.source.userId };
+      stack.emulator.fail({ path: REPLY, status: 400 });
+      await postWebhook(stack.baseUrl, [ev]);
+      assert.equal(stack.emulator.callsTo(PUSH).length, 0);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+// web/admin.js - 管理画面（/admin）。/admin/api/* の JSON を取得して描画する。認証はページと同じ Basic 認証をブラウザが送る
+"use strict";
+
+(() => {
+  const REFRESH_MS = 10000; // 稼働状況・直近イベントの自動更新間隔
+  const $ = (id) => document.getElementById(id);
+
+  // 変更系は X-Admin-Dashboard ヘッダ必須（サーバー側の CSRF 対策）
+  async function api(path, { method = "GET", body } = {}) {
+    const resp = await fetch("/admin/api" + path, {
+      method, credentials: "same-origin",
+      headers: { Accept: "application/json", ...(method !== "GET" && { "Content-Type": "application/json", "X-Admin-Dashboard": "1" }) },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(`${method} ${path}: ${data.error || resp.status}`);
+    return data;
+  }
+
+  // innerHTML は使わず textContent で組み立てる（ゲストの発言をそのまま表示するため）
+  function el(tag, text, className) {
+    const node = document.createElement(tag);
+    if (text !== undefined && text !== null) node.textContent = String(text);
+    if (className) node.className = className;
+    return node;
+  }
+  function fillRows(tbody, rows, emptyText) {
+    tbody.replaceChildren(...(rows.length ? rows : [[emptyText]]).map(cells => {
+      const tr = el("tr");
+      for (const c of cells) tr.append(c instanceof Node ? c : el("td", c));
+      if (cells.length === 1) tr.firstChild.colSpan = tbody.closest("table").tHead.rows[0].cells.length;
+      return tr;
+    }));
+  }
+  const localTime = (v) => (v ? new Date(v).toLocaleString("ja-JP", { dateStyle: "short", timeStyle: "medium" }) : "-");
+  const clip = (s, n = 80) => { s = String(s ?? ""); return s.length > n ? s.slice(0, n - 1) + "…" : s; };
+  const idCell = (id) => el("td", id, "id");
+
+  function showError(e) {
+    $("error").hidden = !e;
+    $("error").textContent = e ? String(e.message || e) : "";
+  }
+
+  async function loadStats() {
+    const { ts, stats, counts, maintenance } = await api("/stats");
+    const items = { ...stats, ...Object.fromEntries(Object.entries(counts).map(([k, v]) => [`count.${k}`, v])) };
+    $("stats").replaceChildren(...Object.entries(items).flatMap(([k, v]) => [el("dt", k), el("dd", v)]));
+    $("maintenance-badge").hidden = !maintenance.enabled;
+    $("updated").textContent = "更新: " + localTime(ts);
+    return maintenance;
+  }
+
+  async function loadEvents() {
+    const { events } = await api("/events/recent?limit=50");
+    fillRows($("events"), events.map(e => [
+      localTime(e.ts), e.msgType ? `${e.type}/${e.msgType}` : e.type, el("td", `${e.source || "-"} ${e.sourceId || ""}`, "id"),
+      clip(e.text ?? e.data ?? ""),
+    ]), "イベントはまだありません");
+  }
+
+  async function loadFollowers() {
+    const { counts, members } = await api("/followers");
+    $("follower-counts").textContent = `友だち ${counts.users} / ブロック ${counts.blocked} / グループ ${counts.groups} / ルーム ${counts.rooms}`;
+    fillRows($("followers"), members.map(m => [m.displayName || "-", m.type, m.status, (m.tags || []).join(", "), idCell(m.id)]), "まだ記録がありません");
+    $("member-ids").replaceChildren(...members.filter(m => m.status === "active").map(m => {
+      const opt = el("option");
+      opt.value = m.id;
+      opt.label = m.displayName || m.type;
+      return opt;
+    }));
+  }
+
+  async function loadFaqs() {
+    const { faqs } = await api("/faqs");
+    fillRows($("faqs"), faqs.map(f => [f.key, clip(f.q, 60), clip(f.a, 120)]), "FAQ は登録されていません");
+  }
+
+  async function loadJobs() {
+    const { jobs } = await api("/jobs");
+    fillRows($("jobs"), jobs.map(j => [idCell(j.id), localTime(j.runAt), j.target, clip(j.text, 80), j.createdBy || "-"]), "予約はありません");
+  }
+
+  function fillMaintenanceForm(state) {
+    const form = $("maintenance-form");
+    form.enabled.checked = !!state.enabled;
+    form.message.value = state.message || "";
+  }
+
+  // 送信中はボタンを止め、結果を横に出す
+  function bindForm(form, submit) {
+    form.addEventListener("submit", async (ev) => {
+      ev.preventDefault();
+      const button = form.querySelector("button");
+      const result = form.querySelector(".result");
+      button.disabled = true;
+      result.textContent = "送信中…";
+      try { result.textContent = await submit(form); }
+      catch (e) { result.textContent = "失敗: " + e.message; }
+      finally { button.disabled = false; }
+    });
+  }
+
+  async function refresh(full) {
+    try {
+      const maintenance = await loadStats();
+      await loadEvents();
+      if (full) {
+        fillMaintenanceForm(maintenance);
+        await Promise.all([loadFollowers(), loadFaqs(), loadJobs()]);
+      }
+      showError(null);
+    } catch (e) {
+      showError(e);
+    }
+  }
+
+  document.addEventListener("DOMContentLoaded", () => {
+    bindForm($("maintenance-form"), async (form) => {
+      const state = await api("/maintenance", { method: "PUT", body: { enabled: form.enabled.checked, message: form.message.value } });
+      fillMaintenanceForm(state);
+      await loadStats();
+      return state.enabled ? "メンテナンス中にしました" : "通常運転に戻しました";
+    });
+    bindForm($("test-form"), async (form) => {
+      const { to } = await api("/messages/test", { method: "POST", body: { to: form.to.value.trim(), text: form.text.value } });
+      return `${to} へ送信しました`;
+    });
+    refresh(true);
+    setInterval(() => { if (!document.hidden) refresh(false); }, REFRESH_MS);
+  });
+})();